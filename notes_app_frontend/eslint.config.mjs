@@ -1,5 +1,6 @@
 import pluginJs from "@eslint/js";
 import pluginReact from "eslint-plugin-react";
+import globals from "globals";
 
 export default [
   { files: ["**/*.{js,mjs,cjs,jsx}"] },
@@ -31,5 +32,31 @@ export default [
       "react/jsx-uses-react": "off",
       "react/jsx-uses-vars": "error"
     }
+  },
+  {
+    files: ["mock-server/**"],
+    languageOptions: {
+      sourceType: "commonjs",
+      globals: globals.node
+    }
+  },
+  {
+    // process.env values are replaced at build time
+    files: ["src/pwa/**"],
+    languageOptions: {
+      globals: { process: "readonly" }
+    }
+  },
+  {
+    files: ["src/service-worker.js"],
+    languageOptions: {
+      globals: globals.serviceworker
+    }
+  },
+  {
+    files: ["**/*.test.js", "src/setupTests.js"],
+    languageOptions: {
+      globals: globals.jest
+    }
   }
 ]
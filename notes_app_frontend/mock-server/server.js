@@ -0,0 +1,132 @@
+/**
+ * Mock sync server for Ocean Notes.
+ * Implements the REST API described in docs/sync-api.md with an in-memory store,
+ * so the sync flow can be tried and tested without an external service.
+ *
+ *   npm run mock-server            # listens on http://localhost:4000
+ *   PORT=5000 npm run mock-server
+ *
+ * Nothing is written to disk; restarting the server starts from an empty store.
+ */
+const http = require('http');
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+/**
+ * The API without the HTTP layer: handle(method, path, query, body) → { status, body }.
+ * Every stored change gets the next sequence number; clients pull by sequence.
+ * @param {{now?: () => number}} [options]
+ */
+function createNotesBackend({ now = Date.now } = {}) {
+  // id → { record, seq }; deleted notes stay as tombstones { id, deleted: true, updatedAt }
+  const notes = new Map();
+  let seq = 0;
+
+  const store = (record) => {
+    seq += 1;
+    notes.set(record.id, { record, seq });
+    return record;
+  };
+  const live = (id) => {
+    const entry = notes.get(id);
+    return entry && !entry.record.deleted ? entry.record : null;
+  };
+  const baseOf = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+  function handle(method, path, query = {}, body = null) {
+    if (method === 'GET' && path === '/api/health') return { status: 200, body: { ok: true, cursor: seq } };
+
+    if (method === 'GET' && path === '/api/notes') {
+      const since = Number(query.since || 0);
+      const changes = [...notes.values()]
+        .filter((e) => e.seq > since)
+        .sort((a, b) => a.seq - b.seq)
+        .map((e) => e.record);
+      return { status: 200, body: { changes, cursor: seq } };
+    }
+
+    const match = /^\/api\/notes\/([^/]+)$/.exec(path);
+    if (!match) return { status: 404, body: { error: 'Not found' } };
+    const id = decodeURIComponent(match[1]);
+
+    if (method === 'PUT') {
+      const note = body && body.note;
+      if (!note || typeof note !== 'object' || note.id !== id || typeof note.updatedAt !== 'number') {
+        return { status: 400, body: { error: 'Expected { note, base } with note.id matching the URL and a numeric updatedAt' } };
+      }
+      const current = live(id);
+      if (current && current.updatedAt !== baseOf(body.base)) return { status: 409, body: { note: current } };
+      const record = { ...note };
+      delete record.deleted; // a PUT after a deletion brings the note back
+      return { status: 200, body: { note: store(record), cursor: seq } };
+    }
+
+    if (method === 'DELETE') {
+      const current = live(id);
+      if (current && current.updatedAt !== baseOf(query.base)) return { status: 409, body: { note: current } };
+      if (current) store({ id, deleted: true, updatedAt: now() });
+      return { status: 200, body: { cursor: seq } };
+    }
+
+    return { status: 405, body: { error: 'Method not allowed' } };
+  }
+
+  return { handle };
+}
+
+/** Wrap a backend in an HTTP server (call .listen(port) on the result). */
+function createServer(backend = createNotesBackend()) {
+  return http.createServer((req, res) => {
+    const send = (status, payload) => {
+      res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      res.end(payload === undefined ? '' : JSON.stringify(payload));
+    };
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        send(413, { error: 'Request body too large' });
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (res.writableEnded) return;
+      let body = null;
+      if (chunks.length) {
+        try {
+          body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch {
+          send(400, { error: 'Body is not valid JSON' });
+          return;
+        }
+      }
+      const url = new URL(req.url, 'http://localhost');
+      const result = backend.handle(req.method, url.pathname, Object.fromEntries(url.searchParams), body);
+      send(result.status, result.body);
+    });
+  });
+}
+
+module.exports = { createNotesBackend, createServer };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 4000;
+  createServer().listen(port, () => {
+    console.log(`Ocean Notes mock sync server listening on http://localhost:${port}`);
+  });
+}
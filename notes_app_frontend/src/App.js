@@ -1,20 +1,103 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import './App.css';
 import './index.css';
 import { Header } from './components/Header';
 import { Sidebar } from './components/Sidebar';
 import { NotesList } from './components/NotesList';
 import { NoteEditor } from './components/NoteEditor';
+import { ImportExportDialog } from './components/ImportExportDialog';
+import { TrashView } from './components/TrashView';
+import { RevisionHistoryDialog } from './components/RevisionHistoryDialog';
+import { ConflictDialog } from './components/ConflictDialog';
+import { SyncDialog } from './components/SyncDialog';
+import { NotebookDialog } from './components/NotebookDialog';
+import { TagManagerDialog } from './components/TagManagerDialog';
+import { SmartFolderDialog } from './components/SmartFolderDialog';
+import { NoteNotFound } from './components/NoteNotFound';
+import { NotePane } from './components/NotePane';
+import { PaneResizer } from './components/PaneResizer';
+import { CommandPalette } from './components/CommandPalette';
+import { ShortcutsDialog } from './components/ShortcutsDialog';
+import { BrokenLinksDialog } from './components/BrokenLinksDialog';
+import { StorageUsage } from './components/StorageUsage';
+import { TemplatesDialog } from './components/TemplatesDialog';
+import { BatchActionBar } from './components/BatchActionBar';
+import { Toast } from './components/Toast';
 import { useLocalStorage } from './hooks/useLocalStorage';
-import { getInitialNotes } from './utils/storage';
-import { DEFAULT_NOTE, KEYS } from './constants';
+import { useUndoHistory } from './hooks/useUndoHistory';
+import { useSearchIndex } from './hooks/useSearchIndex';
+import { useNotesRepository } from './hooks/useNotesRepository';
+import { useServiceWorkerUpdate } from './hooks/useServiceWorkerUpdate';
+import { useRemoteSync } from './hooks/useRemoteSync';
+import { useHashLocation } from './hooks/useHashLocation';
+import { useShortcuts } from './hooks/useShortcuts';
+import { useReminders } from './hooks/useReminders';
+import { useAttachments } from './hooks/useAttachments';
+import { createId } from './utils/storage';
+import { purgeExpiredTrash, sameNoteContent, sortNotes } from './utils/notes';
+import { applyNoteStates, captureNoteStates } from './utils/history';
+import { recordRevision, removeRevisions, revisionsForNote } from './utils/revisions';
+import { removeDraft } from './utils/drafts';
+import { addTagsStates, duplicateStates, moveStates, pinStates, removeTagsStates, trashStates } from './utils/batch';
+import { importStates } from './utils/transfer';
+import { canMoveNotebook, notebookFilterIds, planNotebookDeletion } from './utils/notebooks';
+import { removeTagFromNotes, renameTagColors, renameTagInNotes, tagTree } from './utils/tags';
+import {
+  EMPTY_FILTERS,
+  createSmartFolder,
+  hasActiveFilters,
+  matchesSmartFolder,
+  removeTagFromFilter,
+  renameTagInFilter,
+} from './utils/filters';
+import { formatRoute, isSameScreen, parseRoute, routePath } from './utils/routes';
+import { isEditableTarget } from './utils/dom';
+import { resolveShortcuts } from './utils/shortcuts';
+import { moveInOrder, resolveListView, sortNotesBy } from './utils/listView';
+import { completeReminder, sameSchedule, snoozeReminder } from './utils/reminders';
+import { formatWhen } from './utils/dates';
+import { stripMarkdown } from './utils/markdown';
+import { completedToBottom, moveTask, parseTasks, shiftTask, toggleTask } from './utils/tasks';
+import { backlinks, brokenLinks, linkKey, linkTargets, renameLinkStates } from './utils/links';
+import { noteStorage, releasedAttachments, unusedAttachments } from './utils/attachments';
+import {
+  DEFAULT_DAILY_TEMPLATE_ID,
+  DEFAULT_TEMPLATES,
+  applyTemplate,
+  createTemplate,
+  dailyNoteRecord,
+  findDailyNote,
+} from './utils/templates';
+import {
+  DEFAULT_NOTE,
+  DEFAULT_SYNC_URL,
+  DEFAULT_TRASH_RETENTION_DAYS,
+  INBOX_NOTEBOOK_ID,
+  KEYS,
+  PANE_WIDTHS,
+  REMINDER_SNOOZE_MS,
+} from './constants';
+
+/** Apply a tag filter change to every smart folder (after renaming or deleting a tag). */
+function retagSmartFolders(folders, change) {
+  return (folders || []).map((f) => ({ ...f, filters: { ...f.filters, tags: change(f.filters.tags) } }));
+}
+
+/** The due date and reminder from an editor payload, which has them only when they were changed. */
+function schedulePatch(payload) {
+  return 'dueAt' in payload || 'reminder' in payload
+    ? { dueAt: payload.dueAt || null, reminder: payload.reminder || null }
+    : {};
+}
 
 /**
  * Root application component that sets up the app layout and initializes core state.
  * Layout:
  * - header (top navigation, search, theme toggle)
- * - sidebar (filters, tags)
- * - main (notes list, editor modal)
+ * - sidebar (filters, notebooks, tags, trash)
+ * - main: notes list and a reading pane where the selected note is shown and edited
+ *   (or the trash); panes are resizable, and stack with one shown at a time on small screens
+ * The URL hash follows the selected note, editor, search and filters (see utils/routes).
  */
 function App() {
   // Persistent settings with theme preference
@@ -28,21 +111,299 @@ function App() {
     document.documentElement.setAttribute('data-theme', theme);
   }, [settings?.theme]);
 
-  // Persistent notes list
-  const [notes, setNotes] = useLocalStorage(KEYS.notes, getInitialNotes);
+  // Notes, deleted notes (each with a deletedAt timestamp) and saved revisions,
+  // loaded from the storage repository and written back per note
+  const repository = useNotesRepository();
+  const appUpdate = useServiceWorkerUpdate();
+  const { notes, setNotes, trash, setTrash, revisions, setRevisions, notebooks, setNotebooks } = repository;
+  const isLoaded = repository.status === 'ready';
+
+  const trashRetentionDays = settings?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+
+  // Optional sync with a server (see docs/sync-api.md); off until configured
+  const syncSettings = { enabled: false, url: DEFAULT_SYNC_URL, ...(settings?.sync || {}) };
+  const remoteSync = useRemoteSync({
+    enabled: syncSettings.enabled && !repository.readOnly,
+    url: syncSettings.url,
+    ready: isLoaded,
+    adapter: repository.adapter,
+    notes,
+    setNotes,
+    setTrash,
+    setRevisions,
+  });
+
+  // Files attached to notes, kept as blobs beside them (see hooks/useAttachments)
+  const attachmentStore = useAttachments({
+    adapter: repository.adapter,
+    channel: repository.channel,
+    ready: isLoaded,
+    readOnly: repository.readOnly,
+  });
+  const { attachments, removeAttachments } = attachmentStore;
+
+  // Remove the files of notes deleted for good (or replaced by an import) once nothing refers to them
+  const attachmentUsersRef = useRef(null);
+  useEffect(() => {
+    if (!isLoaded) {
+      attachmentUsersRef.current = null;
+      return;
+    }
+    const before = attachmentUsersRef.current;
+    const after = { notes, trash, revisions };
+    attachmentUsersRef.current = after;
+    if (!before) return;
+    const released = releasedAttachments(before, after);
+    if (released.length) removeAttachments(released);
+  }, [isLoaded, notes, trash, revisions, removeAttachments]);
+  const unusedAttachmentList = useMemo(
+    () => unusedAttachments(attachments, { notes, trash, revisions }),
+    [attachments, notes, trash, revisions]
+  );
+
+  // Purge expired Trash entries on load and whenever the retention changes
+  useEffect(() => {
+    if (isLoaded) setTrash((prev) => purgeExpiredTrash(prev, trashRetentionDays));
+  }, [isLoaded, setTrash, trashRetentionDays]);
+
+  // Undo/redo of note operations, with a toast offering to undo the last one
+  const history = useUndoHistory();
+  const [toast, setToast] = useState(null);
+  const dismissToast = useCallback(() => setToast(null), []);
 
   // Session/UI state
   const [selectedNoteId, setSelectedNoteId] = useState(null);
-  const [selectedTag, setSelectedTag] = useState(null);
+  // Notes checked in the list for batch actions
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [checkedIds, setCheckedIds] = useState(() => new Set());
+  // Tag and pinned filters from the sidebar (see utils/filters)
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [notebookSelection, setSelectedNotebookId] = useState(null);
+  // Notebook being created ({ parentId }) or edited ({ id })
+  const [notebookDialog, setNotebookDialog] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [isEditorOpen, setIsEditorOpen] = useState(false);
   const [editorMode, setEditorMode] = useState('create'); // 'create' | 'edit'
+  const [isTransferOpen, setIsTransferOpen] = useState(false);
+  const [isSyncOpen, setIsSyncOpen] = useState(false);
+  const [isTagManagerOpen, setIsTagManagerOpen] = useState(false);
+  const [isSmartFolderOpen, setIsSmartFolderOpen] = useState(false);
+  const [isTemplatesOpen, setIsTemplatesOpen] = useState(false);
+  // Fields a template gave the next new note, and where typing starts in the editor
+  const [newNoteSeed, setNewNoteSeed] = useState(null);
+  const [editorCaret, setEditorCaret] = useState(null);
+  const [activeView, setActiveView] = useState('notes'); // 'notes' | 'trash'
+  const [historyNoteId, setHistoryNoteId] = useState(null);
+  // Save from the editor that clashed with a change made in another tab or on another device
+  const [editorConflict, setEditorConflict] = useState(null);
+  // The note as it was when the editor opened. The editor keeps showing it (and the
+  // user's draft) even if another tab changes the note meanwhile; saving then asks.
+  const [editorBase, setEditorBase] = useState(null);
 
   // Derived values
-  const selectedNote = useMemo(
-    () => notes.find((n) => n.id === selectedNoteId) || null,
-    [notes, selectedNoteId]
+  // One conflict is shown at a time: the editor's first, then other tabs', then the server's
+  const activeConflict =
+    editorConflict ||
+    repository.conflicts[0] ||
+    (remoteSync.conflicts[0] && { ...remoteSync.conflicts[0], source: 'server' }) ||
+    null;
+  // Checked notes that still exist (others may be deleted meanwhile, e.g. in another tab)
+  const checkedNotes = useMemo(
+    () => (isSelecting && checkedIds.size ? notes.filter((n) => checkedIds.has(n.id)) : []),
+    [isSelecting, checkedIds, notes]
+  );
+  const historyNote = useMemo(
+    () => notes.find((n) => n.id === historyNoteId) || null,
+    [notes, historyNoteId]
+  );
+  const historyRevisions = useMemo(
+    () => (historyNote ? revisionsForNote(revisions, historyNote) : []),
+    [revisions, historyNote]
+  );
+
+  // Reminders that go off are completed (see utils/reminders) without counting as an
+  // edit: no undo step, and updatedAt stays, so other devices alert on their own.
+  // They show as system notifications, or as a toast where those are not allowed.
+  const fireReminders = (due, firedAt) => {
+    const ids = new Set(due.map((n) => n.id));
+    setNotes((prev) => prev.map((n) => (ids.has(n.id) ? { ...n, reminder: completeReminder(n.reminder, firedAt) } : n)));
+    const inApp = due.filter(
+      (note) =>
+        !notifyReminder(
+          note.title || 'Untitled note',
+          {
+            body: note.dueAt ? `Due ${formatWhen(note.dueAt, firedAt)}` : stripMarkdown(note.content || '').slice(0, 140),
+            tag: `reminder:${note.id}`,
+          },
+          () => {
+            setActiveView('notes');
+            setSelectedNoteId(note.id);
+          }
+        )
+    );
+    if (inApp.length === 0) return;
+    const title = inApp[0].title || 'Untitled note';
+    setToast({
+      id: Date.now(),
+      message: `🔔 ${title}${inApp.length > 1 ? ` and ${inApp.length - 1} more` : ''}`,
+      actionLabel: 'Snooze 10 min',
+      onAction: () => snoozeReminders(inApp.map((n) => n.id), firedAt),
+      duration: 60 * 1000,
+    });
+  };
+
+  const snoozeReminders = (ids, firedAt) => {
+    const until = Date.now() + REMINDER_SNOOZE_MS;
+    setNotes((prev) => prev.map((n) => (ids.includes(n.id) ? { ...n, reminder: snoozeReminder(n.reminder, until, firedAt) } : n)));
+    setToast({ id: Date.now(), message: `Snoozed until ${formatWhen(until)}` });
+  };
+
+  const {
+    now: clock,
+    permission: notificationPermission,
+    requestPermission: requestNotificationPermission,
+    notify: notifyReminder,
+  } = useReminders({ notes, enabled: isLoaded && !repository.readOnly, onDue: fireReminders });
+
+  // Full-text search over the notes, ranked by relevance (see utils/search for the query syntax)
+  const searchIndex = useSearchIndex(notes);
+  // A notebook deleted in another tab stops filtering
+  const selectedNotebookId = notebooks.some((b) => b.id === notebookSelection) ? notebookSelection : null;
+  const notebookIds = useMemo(
+    () => notebookFilterIds(notebooks, notes, selectedNotebookId),
+    [notebooks, notes, selectedNotebookId]
+  );
+  // Notes move from upcoming to overdue as the clock moves on
+  const dueClock = filters.due ? clock : 0;
+  const searchResults = useMemo(
+    () =>
+      searchIndex.search(searchQuery, {
+        tagFilter: filters.tags,
+        pinnedOnly: filters.pinnedOnly,
+        notebookIds,
+        due: filters.due,
+        now: dueClock,
+        openTasks: filters.openTasks,
+      }),
+    [searchIndex, searchQuery, filters, notebookIds, dueClock]
+  );
+  // The list as laid out by the user's sort; search results stay ranked by relevance
+  const listView = useMemo(() => resolveListView(settings?.listView), [settings?.listView]);
+  const noteOrder = settings?.noteOrder;
+  const listedNotes = useMemo(() => {
+    const { sort, direction } = listView;
+    // The search index already lists notes newest first
+    if (searchResults.terms.length > 0 || (sort === 'updated' && direction === 'desc')) return searchResults.notes;
+    return sortNotesBy(searchResults.notes, listView, noteOrder);
+  }, [searchResults, listView, noteOrder]);
+
+  // Saved searches ("smart folders"): the query, filters and notebook together
+  const smartFolders = useMemo(() => settings?.smartFolders || [], [settings?.smartFolders]);
+  const currentSearch = { query: searchQuery, filters, notebookId: selectedNotebookId };
+  const activeSmartFolder = smartFolders.find((f) => matchesSmartFolder(f, currentSearch)) || null;
+  const canSaveSearch = !!searchQuery.trim() || hasActiveFilters(filters) || !!selectedNotebookId;
+
+  // New notes go into the notebook being viewed, with the fields of the template they start from
+  const newNoteDefaults = useMemo(
+    () => ({
+      ...DEFAULT_NOTE,
+      notebookId: selectedNotebookId || INBOX_NOTEBOOK_ID,
+      ...(newNoteSeed ? { title: newNoteSeed.title, content: newNoteSeed.content, tags: newNoteSeed.tags } : {}),
+    }),
+    [selectedNotebookId, newNoteSeed]
+  );
+
+  // Note templates (see utils/templates): the starter ones until the user saves their own
+  const templates = useMemo(() => settings?.templates || DEFAULT_TEMPLATES, [settings?.templates]);
+  const dailyTemplateId = settings?.dailyTemplateId === undefined ? DEFAULT_DAILY_TEMPLATE_ID : settings.dailyTemplateId;
+  const dailyTemplate = templates.find((t) => t.id === dailyTemplateId) || null;
+
+  // The URL hash and the screen follow each other (see utils/routes)
+  const [hash, navigate] = useHashLocation();
+  const appliedHashRef = useRef(null); // canonical hash of the state last applied or navigated to
+  const routeKeyRef = useRef(null);
+  const latestRef = useRef(null);
+  latestRef.current = { notes, isEditorOpen, editorMode, editorBase };
+
+  // Route -> state, on load and whenever the hash changes (links, Back/Forward)
+  useEffect(() => {
+    const route = parseRoute(hash);
+    setActiveView(route.view);
+    setSelectedNoteId(route.noteId);
+    setSearchQuery(route.query);
+    setFilters(route.filters);
+    setSelectedNotebookId(route.notebookId);
+    let { editor } = route;
+    // The editor needs the notes; a link to edit a missing note shows "not found" instead
+    if (isLoaded) {
+      const current = latestRef.current;
+      const note = route.noteId ? current.notes.find((n) => n.id === route.noteId) : null;
+      if (editor === 'edit' && !note) editor = null;
+      if (editor === 'create') {
+        setEditorMode('create');
+      } else if (editor === 'edit' && !(current.isEditorOpen && current.editorMode === 'edit' && current.editorBase?.id === note.id)) {
+        setEditorBase(note);
+        setEditorMode('edit');
+      }
+      setIsEditorOpen(!!editor);
+    }
+    appliedHashRef.current = formatRoute({ ...route, editor });
+  }, [hash, isLoaded]);
+
+  // State -> route. A new history entry for each screen or filter; typing more of
+  // a search or leaving the editor only replaces the current one, so Back skips them.
+  const stateHash = formatRoute({
+    view: activeView,
+    noteId: selectedNoteId,
+    editor: isEditorOpen ? editorMode : null,
+    query: searchQuery,
+    filters,
+    notebookId: selectedNotebookId,
+  });
+  useEffect(() => {
+    const key = `${isLoaded}|${hash}`;
+    if (routeKeyRef.current !== key) {
+      // The route was just applied; the state catches up on the next render
+      routeKeyRef.current = key;
+      return;
+    }
+    if (!isLoaded || stateHash === appliedHashRef.current) return;
+    const from = appliedHashRef.current;
+    appliedHashRef.current = stateHash;
+    navigate(stateHash, { replace: isSameScreen(from, stateHash) || /\/(edit|new)$/.test(routePath(from)) });
+  }, [hash, isLoaded, stateHash, navigate]);
+
+  // A link (or selection) pointing at a note that is not there
+  const selectedNote = useMemo(() => notes.find((n) => n.id === selectedNoteId) || null, [notes, selectedNoteId]);
+  const missingNoteId = isLoaded && selectedNoteId && !selectedNote ? selectedNoteId : null;
+
+  // Wiki links (`[[Note title]]`) between notes, see utils/links
+  const linkTargetMap = useMemo(() => linkTargets(notes), [notes]);
+  const resolveWikiLink = useCallback(
+    (title) => {
+      const target = linkTargetMap.get(linkKey(title));
+      return target ? formatRoute({ view: 'notes', noteId: target.id }) : null;
+    },
+    [linkTargetMap]
+  );
+  const selectedBacklinks = useMemo(
+    () => (selectedNote ? backlinks(notes, selectedNote, linkTargetMap) : []),
+    [notes, selectedNote, linkTargetMap]
+  );
+  const brokenLinkList = useMemo(() => brokenLinks(notes), [notes]);
+  const selectedStorage = useMemo(
+    () => (selectedNote ? noteStorage(selectedNote, attachmentStore.byId) : null),
+    [selectedNote, attachmentStore.byId]
+  );
+  const [isBrokenLinksOpen, setIsBrokenLinksOpen] = useState(false);
+  // Titles the editor suggests after `[[`
+  const linkTitles = useMemo(
+    () => notes.filter((n) => n.id !== (isEditorOpen && editorMode === 'edit' ? selectedNoteId : null)).map((n) => n.title),
+    [notes, isEditorOpen, editorMode, selectedNoteId]
   );
+  // The reading pane sits beside the list; on small screens it replaces it while in use
+  const showReadingPane = isLoaded && activeView === 'notes';
+  const isPaneInUse = showReadingPane && (isEditorOpen || !!selectedNoteId);
 
   // PUBLIC_INTERFACE
   const toggleTheme = () => {
@@ -52,16 +413,84 @@ function App() {
     });
   };
 
+  // Remember the editor's content layout (write/split/preview) across sessions
+  const setEditorContentView = (view) => {
+    setSettings((prev) => ({ ...(prev || {}), editorContentView: view }));
+  };
+
+  const setAutosaveNotes = (on) => {
+    setSettings((prev) => ({ ...(prev || {}), autosaveNotes: on }));
+  };
+
+  const completedTasksLast = !!settings?.completedTasksLast;
+  const setCompletedTasksLast = (on) => {
+    setSettings((prev) => ({ ...(prev || {}), completedTasksLast: on }));
+  };
+
   // PUBLIC_INTERFACE
-  // Open editor in create mode
-  const handleCreateNote = () => {
+  // Sort, grouping and layout of the notes list (see utils/listView)
+  const setListView = (next) => {
+    setSettings((prev) => ({ ...(prev || {}), listView: next }));
+  };
+
+  // PUBLIC_INTERFACE
+  // Move a note in the manual order; the saved order only keeps notes that still exist
+  const reorderNote = (id, targetId, after) => {
+    const current = sortNotesBy(sortNotes([...notes]), { sort: 'manual' }, noteOrder).map((n) => n.id);
+    const next = moveInOrder(current, id, targetId, after);
+    if (next !== current) setSettings((prev) => ({ ...(prev || {}), noteOrder: next }));
+  };
+
+  // Sidebar and notes list widths; a drag in progress is shown before it is saved
+  const [draggedWidths, setDraggedWidths] = useState(null);
+  const paneWidths = {
+    sidebar: PANE_WIDTHS.sidebar.initial,
+    list: PANE_WIDTHS.list.initial,
+    ...(settings?.paneWidths || {}),
+    ...(draggedWidths || {}),
+  };
+  const savePaneWidth = (pane, width) => {
+    setDraggedWidths(null);
+    setSettings((prev) => ({ ...(prev || {}), paneWidths: { ...(prev?.paneWidths || {}), [pane]: width } }));
+  };
+  const paneResizer = (pane, label) => (
+    <PaneResizer
+      label={label}
+      value={paneWidths[pane]}
+      min={PANE_WIDTHS[pane].min}
+      max={PANE_WIDTHS[pane].max}
+      onChange={(width) => setDraggedWidths((prev) => ({ ...prev, [pane]: width }))}
+      onCommit={(width) => savePaneWidth(pane, width)}
+    />
+  );
+
+  // Open the editor for a new note, blank or filled from a template
+  const startNewNote = (template) => {
+    const seed = template ? applyTemplate(template) : null;
+    setNewNoteSeed(seed);
+    setEditorCaret(seed?.caret ?? null);
     setEditorMode('create');
     setIsEditorOpen(true);
   };
 
+  // PUBLIC_INTERFACE
+  // Open editor in create mode
+  const handleCreateNote = () => startNewNote(null);
+
+  // PUBLIC_INTERFACE
+  // Open the editor for a new note made from a template
+  const createFromTemplate = (templateId) => {
+    const template = templates.find((t) => t.id === templateId);
+    if (!template) return;
+    setIsTemplatesOpen(false);
+    startNewNote(template);
+  };
+
   // PUBLIC_INTERFACE
   // Open editor in edit mode for a given note
   const handleEditNote = (noteId) => {
+    setEditorCaret(null);
+    setEditorBase(notes.find((n) => n.id === noteId) || null);
     setSelectedNoteId(noteId);
     setEditorMode('edit');
     setIsEditorOpen(true);
@@ -73,13 +502,143 @@ function App() {
     setIsEditorOpen(false);
   };
 
+  // Autosaved edits go straight into the note; the whole editing session becomes
+  // one undoable change (and one revision) when the editor closes
+  const autosaveRef = useRef(null); // { id, before, original, latest }
+
   // PUBLIC_INTERFACE
-  // Create new note
+  // Save the editor's changes without closing it. Returns false (leaving the
+  // changes to Save and its conflict prompt) when the note changed elsewhere.
+  const autosaveNote = (payload) => {
+    // Editing moved on to another note: its session is complete (and may have updated links in others)
+    const list = (autosaveRef.current && autosaveRef.current.id !== payload.id && finishAutosave()) || notes;
+    const session = autosaveRef.current?.id === payload.id ? autosaveRef.current : null;
+    const current = list.find((n) => n.id === payload.id);
+    const base = session ? session.latest : editorBase;
+    if (!current || !base || (current !== base && !sameNoteContent(current, base))) return false;
+    const updated = {
+      ...current,
+      title: payload.title,
+      content: payload.content || '',
+      tags: Array.isArray(payload.tags) ? payload.tags : [],
+      notebookId: payload.notebookId || current.notebookId,
+      ...schedulePatch(payload),
+      updatedAt: Date.now(),
+    };
+    if (sameNoteContent(current, updated) && current.notebookId === updated.notebookId && sameSchedule(current, updated)) {
+      return true;
+    }
+    autosaveRef.current = session
+      ? { ...session, latest: updated }
+      : { id: payload.id, before: captureNoteStates(list, trash, [payload.id]), original: current, latest: updated };
+    setNotes(applyNoteStates(list, trash, [{ id: payload.id, note: updated, trashed: null }]).notes);
+    return true;
+  };
+
+  // Links follow a note renamed while autosaving only once the session ends,
+  // so they never point at the half-typed titles in between.
+  // Returns the notes with the links updated, if any were.
+  const finishAutosave = () => {
+    const session = autosaveRef.current;
+    autosaveRef.current = null;
+    if (!session) return null;
+    const { id, original } = session;
+    const linked = renameLinkStates(notes, session.latest, original.title);
+    const latest = linked.find((st) => st.id === id)?.note || session.latest;
+    const others = linked.filter((st) => st.id !== id);
+    const before = [...session.before, ...captureNoteStates(notes, trash, others.map((st) => st.id))];
+    const after = [{ id, note: latest, trashed: null }, ...others];
+    history.record({ label: 'edit note', message: 'Note updated', ids: after.map((st) => st.id), before, after });
+    setRevisions((prev) => recordRevision(prev, original, latest));
+    setToast({
+      id: Date.now(),
+      message: others.length
+        ? `Changes saved; links updated in ${others.length} note${others.length === 1 ? '' : 's'}`
+        : 'Changes saved',
+      actionLabel: 'Undo',
+      onAction: () => undoRef.current(),
+    });
+    if (!linked.length) return null;
+    const next = applyNoteStates(notes, trash, linked).notes;
+    setNotes(next);
+    return next;
+  };
+  const finishAutosaveRef = useRef(finishAutosave);
+  finishAutosaveRef.current = finishAutosave;
+
+  // However the editor closes (Save, Cancel, Back), an autosave session ends with it
+  useEffect(() => {
+    if (!isEditorOpen) finishAutosaveRef.current();
+  }, [isEditorOpen]);
+
+  // Apply note states (see utils/history), and optionally a new notebook list,
+  // and record them as one undoable operation
+  const commitNoteStates = (entry, nextStates, nextNotebooks) => {
+    const ids = nextStates.map((st) => st.id);
+    const before = captureNoteStates(notes, trash, ids);
+    const next = applyNoteStates(notes, trash, nextStates);
+    setNotes(next.notes);
+    setTrash(next.trash);
+    const recorded = { ...entry, ids, before, after: nextStates };
+    if (nextNotebooks) {
+      recorded.notebooks = { before: notebooks, after: nextNotebooks };
+      setNotebooks(nextNotebooks);
+    }
+    history.record(recorded);
+    setToast({ id: Date.now(), message: entry.message, actionLabel: 'Undo', onAction: () => undoRef.current() });
+  };
+
+  // PUBLIC_INTERFACE
+  // Undo the last note operation
+  const undo = () => {
+    const entry = history.undo();
+    if (!entry) return;
+    const next = applyNoteStates(notes, trash, entry.before);
+    setNotes(next.notes);
+    setTrash(next.trash);
+    if (entry.notebooks) setNotebooks(entry.notebooks.before);
+    setToast({ id: Date.now(), message: `Undone: ${entry.label}`, actionLabel: 'Redo', onAction: () => redoRef.current() });
+  };
+
+  // PUBLIC_INTERFACE
+  // Redo the last undone note operation
+  const redo = () => {
+    const entry = history.redo();
+    if (!entry) return;
+    const next = applyNoteStates(notes, trash, entry.after);
+    setNotes(next.notes);
+    setTrash(next.trash);
+    if (entry.notebooks) setNotebooks(entry.notebooks.after);
+    setToast({ id: Date.now(), message: `Redone: ${entry.label}`, actionLabel: 'Undo', onAction: () => undoRef.current() });
+  };
+
+  // Keyboard and toast handlers always see the latest state through these refs
+  const undoRef = useRef(undo);
+  const redoRef = useRef(redo);
+  undoRef.current = undo;
+  redoRef.current = redo;
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (text fields keep native undo)
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditableTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoRef.current();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoRef.current();
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  // Create new note; returns it
   const addNote = (payload) => {
-    const id =
-      typeof crypto !== 'undefined' && crypto?.randomUUID
-        ? crypto.randomUUID()
-        : String(Date.now());
+    const id = createId();
     const now = Date.now();
     const newNote = {
       ...DEFAULT_NOTE,
@@ -87,57 +646,638 @@ function App() {
       title: payload.title,
       content: payload.content || '',
       tags: Array.isArray(payload.tags) ? payload.tags : [],
+      notebookId: payload.notebookId || selectedNotebookId || INBOX_NOTEBOOK_ID,
+      ...schedulePatch(payload),
       createdAt: now,
       updatedAt: now,
       pinned: false,
     };
-    setNotes((prev) => [newNote, ...prev]);
+    commitNoteStates(
+      { label: 'create note', message: 'Note created' },
+      [{ id, note: newNote, trashed: null }]
+    );
+    setRevisions((prev) => recordRevision(prev, null, newNote));
     setSelectedNoteId(id);
+    return newNote;
+  };
+
+  // PUBLIC_INTERFACE
+  // Open today's note, or make it from the daily template and start writing in it.
+  // The note made is remembered for the day, so renaming it does not make another.
+  const openDailyNote = () => {
+    const template = dailyTemplate || DEFAULT_TEMPLATES.find((t) => t.id === DEFAULT_DAILY_TEMPLATE_ID);
+    const existing = findDailyNote(notes, template, Date.now(), settings?.dailyNote);
+    if (existing) {
+      openNote(existing.id);
+      return;
+    }
+    const fields = applyTemplate(template);
+    const note = addNote({ ...fields, title: fields.title || 'Untitled' });
+    setSettings((prev) => ({ ...(prev || {}), dailyNote: dailyNoteRecord(note.id) }));
+    setActiveView('notes');
+    setEditorBase(note);
+    setEditorCaret(fields.caret);
+    setEditorMode('edit');
+    setIsEditorOpen(true);
   };
 
   // PUBLIC_INTERFACE
-  // Update existing note
-  const updateNote = (payload) => {
+  // Save a template from the templates dialog (optionally as the daily one); returns it
+  const saveTemplate = (fields, daily) => {
+    const template = createTemplate(fields);
+    setSettings((prev) => {
+      const list = prev?.templates || DEFAULT_TEMPLATES;
+      const exists = list.some((t) => t.id === template.id);
+      const currentDaily = prev?.dailyTemplateId === undefined ? DEFAULT_DAILY_TEMPLATE_ID : prev.dailyTemplateId;
+      return {
+        ...(prev || {}),
+        templates: exists ? list.map((t) => (t.id === template.id ? template : t)) : [...list, template],
+        dailyTemplateId: daily ? template.id : currentDaily === template.id ? null : currentDaily,
+      };
+    });
+    setToast({ id: Date.now(), message: `Template "${template.name}" saved` });
+    return template;
+  };
+
+  const deleteTemplate = (id) => {
+    setSettings((prev) => {
+      const currentDaily = prev?.dailyTemplateId === undefined ? DEFAULT_DAILY_TEMPLATE_ID : prev.dailyTemplateId;
+      return {
+        ...(prev || {}),
+        templates: (prev?.templates || DEFAULT_TEMPLATES).filter((t) => t.id !== id),
+        dailyTemplateId: currentDaily === id ? null : currentDaily,
+      };
+    });
+  };
+
+  // PUBLIC_INTERFACE
+  // Update existing note; `entry` overrides the undo label and toast message
+  const updateNote = (payload, entry) => {
     const targetId = payload.id || selectedNoteId;
-    if (!targetId) return;
-    const now = Date.now();
-    setNotes((prev) =>
-      prev.map((n) =>
-        n.id === targetId
+    const current = notes.find((n) => n.id === targetId);
+    if (!current) return;
+    const tags = Array.isArray(payload.tags) ? payload.tags : [];
+    const notebookId = payload.notebookId || current.notebookId;
+    const sameText = current.title === payload.title && current.content === (payload.content || '');
+    const onlyMoved = sameText && sameNoteContent(current, { ...current, tags }) && notebookId !== current.notebookId;
+    const updated = {
+      ...current,
+      title: payload.title,
+      content: payload.content || '',
+      tags,
+      notebookId,
+      ...schedulePatch(payload),
+      updatedAt: Date.now(),
+    };
+    const onlyScheduled = sameNoteContent(current, updated) && notebookId === current.notebookId && !sameSchedule(current, updated);
+    // Links to the note follow it to its new title
+    const linked = renameLinkStates(notes, updated, current.title);
+    const saved = linked.find((st) => st.id === targetId)?.note || updated;
+    const others = linked.filter((st) => st.id !== targetId);
+    commitNoteStates(
+      entry ||
+        (onlyMoved
+          ? { label: 'move note', message: 'Note moved' }
+          : onlyScheduled
+          ? { label: 'edit due date', message: 'Due date and reminder updated' }
+          : sameText
+          ? { label: 'edit tags', message: 'Tags updated' }
+          : others.length
           ? {
-              ...n,
-              title: payload.title,
-              content: payload.content || '',
-              tags: Array.isArray(payload.tags) ? payload.tags : [],
-              updatedAt: now,
+              label: 'rename note',
+              message: `Note renamed; links updated in ${others.length} note${others.length === 1 ? '' : 's'}`,
             }
-          : n
-      )
+          : { label: 'edit note', message: 'Note updated' }),
+      [{ id: targetId, note: saved, trashed: null }, ...others]
+    );
+    setRevisions((prev) => recordRevision(prev, current, saved));
+  };
+
+  // PUBLIC_INTERFACE
+  // Save from the editor, unless the note was changed or deleted in another tab since it was opened
+  const saveEditedNote = (payload) => {
+    const id = payload.id || selectedNoteId;
+    const base = autosaveRef.current?.id === id ? autosaveRef.current.latest : editorBase;
+    const current = notes.find((n) => n.id === id);
+    const changedElsewhere = !current || (base && current !== base && !sameNoteContent(current, base));
+    if (!changedElsewhere) {
+      updateNote(payload);
+      return;
+    }
+    const mine = {
+      ...(current || base),
+      title: payload.title,
+      content: payload.content || '',
+      tags: Array.isArray(payload.tags) ? payload.tags : [],
+      notebookId: payload.notebookId || (current || base).notebookId,
+      ...schedulePatch(payload),
+    };
+    if (current && sameNoteContent(current, mine) && current.notebookId === mine.notebookId && sameSchedule(current, mine)) return;
+    setEditorConflict({ id, mine, theirs: current || null });
+  };
+
+  // PUBLIC_INTERFACE
+  // Settle a conflict between this tab's version of a note and another tab's or the server's (undoable)
+  const resolveConflict = (choice) => {
+    if (!activeConflict) return;
+    const fromEditor = !!editorConflict;
+    const fromServer = activeConflict.source === 'server';
+    const { id, mine, theirs } = activeConflict;
+    if (fromEditor) setEditorConflict(null);
+    else if (fromServer) remoteSync.resolveConflict(id);
+    else repository.resolveConflict(id);
+
+    // Every choice writes a fresh version so all tabs converge on it
+    // (the server's own version is taken as is: it is already everywhere else)
+    const now = Date.now();
+    if (choice === 'theirs') {
+      if (fromServer) {
+        commitNoteStates(
+          { label: 'resolve conflict', message: 'Kept the version from the other device' },
+          [theirs ? { id, note: theirs, trashed: null } : { id, note: null, trashed: { ...mine, deletedAt: now } }]
+        );
+      } else if (!fromEditor) {
+        commitNoteStates(
+          { label: 'resolve conflict', message: 'Kept the version from the other tab' },
+          [{ id, note: { ...theirs, updatedAt: now }, trashed: null }]
+        );
+      }
+      return;
+    }
+    const kept = { ...mine, updatedAt: now };
+    if (choice === 'mine') {
+      commitNoteStates({ label: 'resolve conflict', message: 'Kept your version' }, [
+        { id, note: kept, trashed: null },
+      ]);
+      setRevisions((prev) => recordRevision(prev, theirs, kept));
+      return;
+    }
+    const copyId = createId();
+    const copy = { ...kept, id: copyId, title: `${mine.title || 'Untitled'} (conflict copy)`, createdAt: now, pinned: false };
+    commitNoteStates({ label: 'resolve conflict', message: 'Kept both versions' }, [
+      { id, note: { ...theirs, updatedAt: now }, trashed: null },
+      { id: copyId, note: copy, trashed: null },
+    ]);
+    setRevisions((prev) => recordRevision(prev, null, copy));
+  };
+
+  // PUBLIC_INTERFACE
+  // Make a saved revision the current version of the note (undoable)
+  const restoreRevision = (revision) => {
+    if (!historyNoteId) return;
+    updateNote(
+      { id: historyNoteId, title: revision.title, content: revision.content, tags: revision.tags },
+      { label: 'restore version', message: 'Earlier version restored' }
     );
+    setHistoryNoteId(null);
   };
 
   // PUBLIC_INTERFACE
-  // Delete note with confirmation handled by NotesList already; this is idempotent
+  // Move a note to the Trash (undoable, so no confirmation needed)
   const deleteNote = (id) => {
-    setNotes((prev) => prev.filter((n) => n.id !== id));
+    const current = notes.find((n) => n.id === id);
+    if (!current) return;
+    commitNoteStates(
+      { label: 'delete note', message: 'Note moved to Trash' },
+      [{ id, note: null, trashed: { ...current, deletedAt: Date.now() } }]
+    );
     setSelectedNoteId((prevId) => (prevId === id ? null : prevId));
   };
 
   // PUBLIC_INTERFACE
   // Toggle pin on a note
   const togglePin = (id, next) => {
+    const current = notes.find((n) => n.id === id);
+    if (!current) return;
+    commitNoteStates(
+      next ? { label: 'pin note', message: 'Note pinned' } : { label: 'unpin note', message: 'Note unpinned' },
+      [{ id, note: { ...current, pinned: !!next, updatedAt: Date.now() }, trashed: null }]
+    );
+  };
+
+  // Change a note's task items in place (see utils/tasks), as one undoable edit.
+  // Returns the task's index afterwards, so the reading pane can keep it focused.
+  const editTasks = (id, edit, entry) => {
+    const current = notes.find((n) => n.id === id);
+    if (!current) return undefined;
+    const content = current.content || '';
+    const result = edit(content);
+    if (result.content === content) return result.index;
+    const updated = { ...current, content: result.content, updatedAt: Date.now() };
+    commitNoteStates(entry, [{ id, note: updated, trashed: null }]);
+    setRevisions((prev) => recordRevision(prev, current, updated));
+    return result.index;
+  };
+
+  // PUBLIC_INTERFACE
+  // Tick or untick a task without opening the editor
+  const toggleNoteTask = (id, index) => {
+    const task = parseTasks(notes.find((n) => n.id === id)?.content)[index];
+    if (!task) return undefined;
+    return editTasks(
+      id,
+      (content) => toggleTask(content, index, { completedLast: completedTasksLast }),
+      task.checked ? { label: 'reopen task', message: 'Task reopened' } : { label: 'complete task', message: 'Task done' }
+    );
+  };
+
+  // PUBLIC_INTERFACE
+  // Reorder tasks: drag one onto another, or move it up or down by one
+  const moveNoteTask = (id, from, to) =>
+    editTasks(id, (content) => moveTask(content, from, to), { label: 'move task', message: 'Task moved' });
+  const shiftNoteTask = (id, index, offset) =>
+    editTasks(id, (content) => shiftTask(content, index, offset), { label: 'move task', message: 'Task moved' });
+
+  // PUBLIC_INTERFACE
+  // Move the done tasks of every list in a note below the open ones
+  const sortNoteTasks = (id) =>
+    editTasks(id, (content) => ({ content: completedToBottom(content), index: -1 }), {
+      label: 'move done tasks',
+      message: 'Done tasks moved to the bottom',
+    });
+
+  // PUBLIC_INTERFACE
+  // Move a note from the Trash back into the notes list
+  const restoreNote = (id) => {
+    const entry = trash.find((t) => t.id === id);
+    if (!entry) return;
+    const note = { ...entry };
+    delete note.deletedAt;
+    commitNoteStates(
+      { label: 'restore note', message: 'Note restored' },
+      [{ id, note, trashed: null }]
+    );
+  };
+
+  // PUBLIC_INTERFACE
+  // Permanently delete Trash entries; this cannot be undone, so history mentioning them is dropped
+  const purgeNotes = (ids) => {
+    const gone = new Set(ids);
+    setTrash((prev) => prev.filter((t) => !gone.has(t.id)));
+    setRevisions((prev) => removeRevisions(prev, gone));
+    gone.forEach(removeDraft);
+    history.forget((entry) => entry.ids.some((id) => gone.has(id)));
+    setToast(null);
+  };
+
+  // PUBLIC_INTERFACE
+  // Move a note into another notebook (from the editor or by dropping it on the notebook)
+  const moveNoteToNotebook = (noteId, notebookId) => {
+    const current = notes.find((n) => n.id === noteId);
+    if (!current || current.notebookId === notebookId) return;
+    commitNoteStates({ label: 'move note', message: 'Note moved' }, [
+      { id: noteId, note: { ...current, notebookId, updatedAt: Date.now() }, trashed: null },
+    ]);
+  };
+
+  // PUBLIC_INTERFACE
+  // Create a notebook, or rename/move one ({ name, parentId } from NotebookDialog)
+  const saveNotebook = ({ name, parentId }) => {
     const now = Date.now();
-    setNotes((prev) =>
-      prev.map((n) => (n.id === id ? { ...n, pinned: !!next, updatedAt: now } : n))
+    const editing = notebookDialog?.id && notebooks.find((b) => b.id === notebookDialog.id);
+    setNotebookDialog(null);
+    if (!editing) {
+      const notebook = { id: createId(), name, parentId, createdAt: now, updatedAt: now };
+      commitNoteStates({ label: 'create notebook', message: `Notebook "${name}" created` }, [], [
+        ...notebooks,
+        notebook,
+      ]);
+      return;
+    }
+    const nextParent = canMoveNotebook(notebooks, editing.id, parentId) ? parentId : editing.parentId;
+    if (editing.name === name && editing.parentId === nextParent) return;
+    commitNoteStates(
+      editing.name === name
+        ? { label: 'move notebook', message: `Notebook "${name}" moved` }
+        : { label: 'rename notebook', message: `Notebook renamed to "${name}"` },
+      [],
+      notebooks.map((b) => (b.id === editing.id ? { ...b, name, parentId: nextParent, updatedAt: now } : b))
+    );
+  };
+
+  // PUBLIC_INTERFACE
+  // Move a notebook under another one (null: top level), e.g. by drag and drop
+  const moveNotebook = (id, parentId) => {
+    const notebook = notebooks.find((b) => b.id === id);
+    if (!notebook || notebook.parentId === parentId || !canMoveNotebook(notebooks, id, parentId)) return;
+    commitNoteStates(
+      { label: 'move notebook', message: `Notebook "${notebook.name}" moved` },
+      [],
+      notebooks.map((b) => (b.id === id ? { ...b, parentId, updatedAt: Date.now() } : b))
+    );
+  };
+
+  // PUBLIC_INTERFACE
+  // Delete a notebook and the notebooks inside it; their notes move up a level (undoable)
+  const deleteNotebook = (id) => {
+    const plan = planNotebookDeletion(notebooks, notes, id);
+    if (!plan) return;
+    const now = Date.now();
+    const notebook = notebooks.find((b) => b.id === id);
+    commitNoteStates(
+      { label: 'delete notebook', message: `Notebook "${notebook.name}" deleted` },
+      plan.movedNotes.map((n) => ({ id: n.id, note: { ...n, notebookId: plan.targetId, updatedAt: now }, trashed: null })),
+      notebooks.filter((b) => !plan.removedIds.has(b.id))
+    );
+    if (plan.removedIds.has(selectedNotebookId)) setSelectedNotebookId(null);
+  };
+
+  const selectNotebook = (id) => {
+    setSelectedNotebookId(id);
+    setActiveView('notes');
+  };
+
+  // Note states that apply tag changes to notes and Trash entries alike
+  const tagChangeStates = (changeNotes) => {
+    const now = Date.now();
+    return [
+      ...changeNotes(notes).map((note) => ({ id: note.id, note: { ...note, updatedAt: now }, trashed: null })),
+      ...changeNotes(trash).map((trashed) => ({ id: trashed.id, note: null, trashed })),
+    ];
+  };
+
+  // PUBLIC_INTERFACE
+  // Rename a tag (and the tags nested in it) on every note; onto an existing tag this merges them
+  const renameTag = (from, to, entry) => {
+    const states = tagChangeStates((list) => renameTagInNotes(list, from, to));
+    if (states.length === 0) return;
+    commitNoteStates(entry || { label: 'rename tag', message: `Renamed #${from} to #${to}` }, states);
+    setSettings((prev) => ({
+      ...(prev || {}),
+      tagColors: renameTagColors(prev?.tagColors, from, to),
+      smartFolders: retagSmartFolders(prev?.smartFolders, (tags) => renameTagInFilter(tags, from, to)),
+    }));
+    setFilters((prev) => ({ ...prev, tags: renameTagInFilter(prev.tags, from, to) }));
+  };
+
+  // PUBLIC_INTERFACE
+  const mergeTags = (from, into) => {
+    renameTag(from, into, { label: 'merge tags', message: `Merged #${from} into #${into}` });
+  };
+
+  // PUBLIC_INTERFACE
+  // Remove a tag (and the tags nested in it) from every note
+  const deleteTag = (tag) => {
+    const states = tagChangeStates((list) => removeTagFromNotes(list, tag));
+    if (states.length === 0) return;
+    commitNoteStates({ label: 'delete tag', message: `Removed #${tag} from ${states.length} note${states.length === 1 ? '' : 's'}` }, states);
+    setSettings((prev) => ({
+      ...(prev || {}),
+      smartFolders: retagSmartFolders(prev?.smartFolders, (tags) => removeTagFromFilter(tags, tag)),
+    }));
+    setFilters((prev) => ({ ...prev, tags: removeTagFromFilter(prev.tags, tag) }));
+  };
+
+  const setTagColor = (tag, color) => {
+    setSettings((prev) => {
+      const tagColors = { ...(prev?.tagColors || {}) };
+      if (color) tagColors[tag] = color;
+      else delete tagColors[tag];
+      return { ...(prev || {}), tagColors };
+    });
+  };
+
+  const toggleSelecting = (next) => {
+    setIsSelecting(next);
+    if (!next) setCheckedIds(new Set());
+  };
+
+  // Batch actions on the checked notes, each one undoable operation
+  const commitBatch = (entry, states) => {
+    if (states.length === 0) return;
+    const count = `${states.length} note${states.length === 1 ? '' : 's'}`;
+    commitNoteStates({ label: entry.label, message: `${count} ${entry.message}` }, states);
+  };
+
+  // PUBLIC_INTERFACE
+  const batchPin = (pinned) => {
+    commitBatch(
+      pinned ? { label: 'pin notes', message: 'pinned' } : { label: 'unpin notes', message: 'unpinned' },
+      pinStates(notes, checkedIds, pinned)
     );
   };
 
   // PUBLIC_INTERFACE
-  const selectTag = (tag) => setSelectedTag(tag);
+  const batchAddTags = (tags) => {
+    commitBatch({ label: 'tag notes', message: `tagged ${tags.map((t) => `#${t}`).join(' ')}` }, addTagsStates(notes, checkedIds, tags));
+  };
+
+  // PUBLIC_INTERFACE
+  const batchRemoveTags = (tags) => {
+    commitBatch(
+      { label: 'untag notes', message: `no longer tagged ${tags.map((t) => `#${t}`).join(' ')}` },
+      removeTagsStates(notes, checkedIds, tags)
+    );
+  };
+
+  // PUBLIC_INTERFACE
+  const batchMove = (notebookId) => {
+    const notebook = notebooks.find((b) => b.id === notebookId);
+    commitBatch({ label: 'move notes', message: `moved to ${notebook?.name || 'notebook'}` }, moveStates(notes, checkedIds, notebookId));
+  };
+
+  // PUBLIC_INTERFACE
+  // Copies replace the originals in the selection, so they can be edited in bulk straight away
+  const batchDuplicate = () => {
+    const states = duplicateStates(notes, checkedIds);
+    commitBatch({ label: 'duplicate notes', message: 'duplicated' }, states);
+    if (states.length) setCheckedIds(new Set(states.map((st) => st.id)));
+  };
+
+  // PUBLIC_INTERFACE
+  // Move the checked notes to the Trash (BatchActionBar confirms once for all of them)
+  const batchDelete = () => {
+    const states = trashStates(notes, checkedIds);
+    commitBatch({ label: 'delete notes', message: 'moved to Trash' }, states);
+    setSelectedNoteId((prevId) => (checkedIds.has(prevId) ? null : prevId));
+    toggleSelecting(false);
+  };
+
+  // PUBLIC_INTERFACE
+  // Show only upcoming or overdue notes (null shows all again)
+  const showDue = (due) => {
+    setFilters((prev) => ({ ...prev, due }));
+    setActiveView('notes');
+  };
+
+  // PUBLIC_INTERFACE
+  // Show only notes with tasks left to do, or all again
+  const showOpenTasks = (openTasks) => {
+    setFilters((prev) => ({ ...prev, openTasks }));
+    setActiveView('notes');
+  };
+
+  // PUBLIC_INTERFACE
+  // Show what a smart folder saved: its query, filters and notebook
+  const applySmartFolder = (folder) => {
+    setSearchQuery(folder.query || '');
+    setFilters({ ...EMPTY_FILTERS, ...folder.filters });
+    setSelectedNotebookId(folder.notebookId || null);
+    setActiveView('notes');
+  };
+
+  // PUBLIC_INTERFACE
+  // Save the current search as a smart folder, replacing one with the same name
+  const saveSmartFolder = (name) => {
+    const folder = createSmartFolder(name, currentSearch);
+    setSettings((prev) => {
+      const list = prev?.smartFolders || [];
+      const index = list.findIndex((f) => f.name.toLowerCase() === folder.name.toLowerCase());
+      const next = index === -1 ? [...list, folder] : list.map((f, i) => (i === index ? { ...folder, id: f.id } : f));
+      return { ...(prev || {}), smartFolders: next };
+    });
+    setIsSmartFolderOpen(false);
+    setToast({ id: Date.now(), message: `Smart folder "${folder.name}" saved` });
+  };
+
+  const deleteSmartFolder = (id) => {
+    const folder = smartFolders.find((f) => f.id === id);
+    if (!folder || !window.confirm(`Delete the smart folder "${folder.name}"? Its notes are not affected.`)) return;
+    setSettings((prev) => ({ ...(prev || {}), smartFolders: (prev?.smartFolders || []).filter((f) => f.id !== id) }));
+  };
+
+  const setSyncSettings = (next) => {
+    setSettings((prev) => ({ ...(prev || {}), sync: next }));
+  };
+
+  const setTrashRetention = (days) => {
+    setSettings((prev) => ({ ...(prev || {}), trashRetentionDays: days }));
+  };
+
+  // PUBLIC_INTERFACE
+  // Merge or replace notes from an imported file, storing the files they came with, as one
+  // undoable step (replaced notes go to the Trash); returns merge stats for the dialog
+  const importNotes = (incoming, options, files = []) => {
+    const { states, stats } = importStates(notes, incoming, options);
+    if (states.length) {
+      const count = `${incoming.length} note${incoming.length === 1 ? '' : 's'}`;
+      const message = stats.trashed ? `${count} imported, ${stats.trashed} moved to Trash` : `${count} imported`;
+      commitNoteStates({ label: 'import notes', message }, states);
+    }
+    const records = files.map((file) => ({
+      id: file.id,
+      name: file.name,
+      type: file.type,
+      size: file.data.length,
+      createdAt: file.createdAt,
+      blob: new window.Blob([file.data], { type: file.type }),
+    }));
+    attachmentStore.saveAttachments(records).catch((err) => setToast({ id: Date.now(), message: err.message }));
+    return stats;
+  };
+
+  // PUBLIC_INTERFACE
+  const setTagFilter = (tags) => {
+    setFilters((prev) => ({ ...prev, tags }));
+    setActiveView('notes');
+  };
 
   // PUBLIC_INTERFACE
   const setSearch = (q) => setSearchQuery(q);
 
+  // Keyboard: rebindable shortcuts (see utils/shortcuts), the command palette, and a list of both
+  const shortcuts = useMemo(() => resolveShortcuts(settings?.shortcuts), [settings?.shortcuts]);
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const [isShortcutsOpen, setIsShortcutsOpen] = useState(false);
+  const searchInputRef = useRef(null);
+
+  const setShortcut = (id, combo) => {
+    setSettings((prev) => ({ ...(prev || {}), shortcuts: { ...(prev?.shortcuts || {}), [id]: combo } }));
+  };
+
+  const resetShortcuts = () => {
+    setSettings((prev) => {
+      const next = { ...(prev || {}) };
+      delete next.shortcuts;
+      return next;
+    });
+  };
+
+  const focusSearch = () => {
+    searchInputRef.current?.focus();
+    searchInputRef.current?.select();
+  };
+
+  const openNote = (id) => {
+    setActiveView('notes');
+    setSelectedNoteId(id);
+  };
+
+  // Move the selection through the notes as listed (from either end when nothing is selected)
+  const selectAdjacentNote = (step) => {
+    const list = listedNotes;
+    if (activeView !== 'notes' || isEditorOpen || list.length === 0) return false;
+    const index = list.findIndex((n) => n.id === selectedNoteId);
+    const next = index === -1 ? (step > 0 ? 0 : list.length - 1) : Math.min(list.length - 1, Math.max(0, index + step));
+    setSelectedNoteId(list[next].id);
+    return true;
+  };
+
+  useShortcuts(shortcuts, {
+    palette: () => setIsPaletteOpen(true),
+    newNote: handleCreateNote,
+    dailyNote: openDailyNote,
+    search: focusSearch,
+    nextNote: () => selectAdjacentNote(1),
+    previousNote: () => selectAdjacentNote(-1),
+    pinNote: () => (selectedNote ? togglePin(selectedNote.id, !selectedNote.pinned) : false),
+    help: () => setIsShortcutsOpen(true),
+  });
+
+  // Everything the palette offers: actions (some on the selected note), tags, smart folders and notes
+  const paletteCommands = !isPaletteOpen
+    ? []
+    : [
+        { id: 'new-note', group: 'Action', label: 'New note', shortcut: shortcuts.newNote, run: handleCreateNote },
+        { id: 'daily-note', group: 'Action', label: "Open today's note", shortcut: shortcuts.dailyNote, run: openDailyNote },
+        { id: 'search', group: 'Action', label: 'Search notes', shortcut: shortcuts.search, run: focusSearch },
+        ...(selectedNote
+          ? [
+              { id: 'edit-note', label: `Edit "${selectedNote.title}"`, run: () => handleEditNote(selectedNote.id) },
+              {
+                id: 'pin-note',
+                label: `${selectedNote.pinned ? 'Unpin' : 'Pin'} "${selectedNote.title}"`,
+                shortcut: shortcuts.pinNote,
+                run: () => togglePin(selectedNote.id, !selectedNote.pinned),
+              },
+              { id: 'note-history', label: `Show history of "${selectedNote.title}"`, run: () => setHistoryNoteId(selectedNote.id) },
+              { id: 'delete-note', label: `Delete "${selectedNote.title}"`, run: () => deleteNote(selectedNote.id) },
+              ...(parseTasks(selectedNote.content).some((t) => t.checked)
+                ? [{ id: 'sort-tasks', label: `Move done tasks to the bottom of "${selectedNote.title}"`, run: () => sortNoteTasks(selectedNote.id) }]
+                : []),
+            ].map((c) => ({ group: 'Action', ...c }))
+          : []),
+        ...[
+          { id: 'toggle-theme', label: `Switch to ${(settings?.theme || 'light') === 'light' ? 'dark' : 'light'} theme`, run: toggleTheme },
+          { id: 'export', label: 'Export or import notes', run: () => setIsTransferOpen(true) },
+          { id: 'trash', label: activeView === 'trash' ? 'Back to notes' : 'Open Trash', run: () => setActiveView(activeView === 'trash' ? 'notes' : 'trash') },
+          { id: 'new-notebook', label: 'New notebook', run: () => setNotebookDialog({ parentId: null }) },
+          { id: 'manage-tags', label: 'Manage tags', run: () => setIsTagManagerOpen(true) },
+          { id: 'manage-templates', label: 'Manage templates', run: () => setIsTemplatesOpen(true) },
+          { id: 'show-upcoming', label: 'Show upcoming notes', run: () => showDue('upcoming') },
+          { id: 'show-overdue', label: 'Show overdue notes', run: () => showDue('overdue') },
+          { id: 'show-open-tasks', label: 'Show notes with open tasks', run: () => showOpenTasks(true) },
+          { id: 'broken-links', label: 'Find broken links', run: () => setIsBrokenLinksOpen(true) },
+          ...(history.canUndo ? [{ id: 'undo', label: 'Undo', run: undo }] : []),
+          ...(history.canRedo ? [{ id: 'redo', label: 'Redo', run: redo }] : []),
+          { id: 'shortcuts', label: 'Keyboard shortcuts', shortcut: shortcuts.help, run: () => setIsShortcutsOpen(true) },
+        ].map((c) => ({ group: 'Action', ...c })),
+        ...tagTree(notes).map(({ tag }) => ({
+          id: `tag:${tag}`,
+          group: 'Tag',
+          label: `Go to #${tag}`,
+          run: () => setTagFilter({ ...EMPTY_FILTERS.tags, include: [tag] }),
+        })),
+        ...smartFolders.map((f) => ({ id: `folder:${f.id}`, group: 'Smart folder', label: f.name, run: () => applySmartFolder(f) })),
+        ...templates.map((t) => ({
+          id: `template:${t.id}`,
+          group: 'Template',
+          label: `New note from "${t.name}"`,
+          run: () => createFromTemplate(t.id),
+        })),
+        ...notes.map((n) => ({ id: `note:${n.id}`, group: 'Note', label: n.title || 'Untitled', run: () => openNote(n.id) })),
+      ];
+
   return (
     <div className="App app-root">
       <header role="banner" className="app-header">
@@ -149,50 +1289,323 @@ function App() {
           // Support both prop names: onAddNote (requested) and onCreateNote (legacy)
           onAddNote={handleCreateNote}
           onCreateNote={handleCreateNote}
+          templates={templates}
+          onCreateFromTemplate={createFromTemplate}
+          onOpenDailyNote={openDailyNote}
+          onManageTemplates={() => setIsTemplatesOpen(true)}
+          onOpenImportExport={() => setIsTransferOpen(true)}
+          sync={remoteSync}
+          onOpenSync={() => setIsSyncOpen(true)}
+          searchInputRef={searchInputRef}
+          onOpenPalette={() => setIsPaletteOpen(true)}
+          paletteShortcut={shortcuts.palette}
         />
       </header>
 
-      <div className="app-layout" role="main">
+      {appUpdate.updateAvailable && (
+        <div className="app-banner app-banner-update" role="status">
+          A new version of Ocean Notes is available.
+          <button type="button" className="btn-primary" onClick={appUpdate.applyUpdate}>
+            Reload
+          </button>
+        </div>
+      )}
+
+      {isLoaded && repository.readOnly && (
+        <div className="app-banner" role="alert">
+          These notes were saved by a newer version of Ocean Notes. Changes made here will not be saved.
+        </div>
+      )}
+
+      {attachmentStore.error && (
+        <div className="app-banner app-banner-error" role="alert">
+          {attachmentStore.error}
+        </div>
+      )}
+
+      {repository.error && (
+        <div className="app-banner app-banner-error" role="alert">
+          {repository.error}
+          {isLoaded && (
+            <button type="button" className="btn-primary btn-ghost" onClick={repository.retry}>
+              Retry
+            </button>
+          )}
+        </div>
+      )}
+
+      <div
+        className={`app-layout ${showReadingPane ? '' : 'app-layout-no-pane'} ${isPaneInUse ? 'app-layout-pane-in-use' : ''}`}
+        role="main"
+        style={{ '--sidebar-width': `${paneWidths.sidebar}px`, '--list-width': `${paneWidths.list}px` }}
+      >
         <aside className="app-sidebar" aria-label="Sidebar with filters and tags">
           <Sidebar
             notes={notes}
-            selectedTag={selectedTag}
-            onSelectTag={selectTag}
-            onClearTag={() => selectTag(null)}
+            tagFilter={filters.tags}
+            onChangeTagFilter={setTagFilter}
+            onClearTag={() => setTagFilter(EMPTY_FILTERS.tags)}
+            showPinned={filters.pinnedOnly}
+            onTogglePinned={(pinnedOnly) => {
+              setFilters((prev) => ({ ...prev, pinnedOnly }));
+              setActiveView('notes');
+            }}
+            dueFilter={filters.due}
+            onChangeDueFilter={showDue}
+            now={clock}
+            showOpenTasks={!!filters.openTasks}
+            onToggleOpenTasks={showOpenTasks}
+            brokenLinkCount={brokenLinkList.length}
+            onShowBrokenLinks={() => setIsBrokenLinksOpen(true)}
+            smartFolders={smartFolders}
+            activeSmartFolderId={activeSmartFolder?.id || null}
+            onApplySmartFolder={applySmartFolder}
+            onSaveSearch={canSaveSearch ? () => setIsSmartFolderOpen(true) : undefined}
+            onDeleteSmartFolder={deleteSmartFolder}
+            trashCount={trash.length}
+            isTrashActive={activeView === 'trash'}
+            onOpenTrash={() => setActiveView((v) => (v === 'trash' ? 'notes' : 'trash'))}
+            notebooks={notebooks}
+            selectedNotebookId={selectedNotebookId}
+            onSelectNotebook={selectNotebook}
+            onCreateNotebook={(parentId) => setNotebookDialog({ parentId })}
+            onEditNotebook={(id) => setNotebookDialog({ id })}
+            onDeleteNotebook={deleteNotebook}
+            onMoveNotebook={moveNotebook}
+            onMoveNote={moveNoteToNotebook}
+            tagColors={settings?.tagColors}
+            onManageTags={() => setIsTagManagerOpen(true)}
           />
+          {isLoaded && (
+            <StorageUsage
+              notes={notes}
+              trash={trash}
+              attachments={attachments}
+              unused={unusedAttachmentList}
+              onRemoveUnused={
+                repository.readOnly ? undefined : () => removeAttachments(unusedAttachmentList.map((a) => a.id))
+              }
+            />
+          )}
         </aside>
+        {paneResizer('sidebar', 'Resize sidebar')}
 
         <section className="app-content" aria-label="Notes content">
-          <NotesList
-            notes={notes}
-            selectedNoteId={selectedNoteId}
-            onSelectNote={setSelectedNoteId}
-            searchQuery={searchQuery}
-            selectedTag={selectedTag}
-            onEditNote={handleEditNote}
-            onDeleteNote={deleteNote}
-            onTogglePin={togglePin}
-          />
+          {!isLoaded ? (
+            <div className="card muted" role="note">
+              {repository.status === 'loading' ? 'Loading notes…' : 'Notes are unavailable.'}
+            </div>
+          ) : activeView === 'trash' ? (
+            <TrashView
+              trash={trash}
+              retentionDays={trashRetentionDays}
+              onChangeRetention={setTrashRetention}
+              onRestore={restoreNote}
+              onPurge={(id) => purgeNotes([id])}
+              onEmpty={() => purgeNotes(trash.map((t) => t.id))}
+            />
+          ) : (
+            <>
+              {isSelecting && (
+                <BatchActionBar
+                  notes={checkedNotes}
+                  notebooks={notebooks}
+                  onPin={batchPin}
+                  onAddTags={batchAddTags}
+                  onRemoveTags={batchRemoveTags}
+                  onMove={batchMove}
+                  onExport={() => setIsTransferOpen(true)}
+                  onDuplicate={batchDuplicate}
+                  onDelete={batchDelete}
+                  onClear={() => toggleSelecting(false)}
+                />
+              )}
+              <NotesList
+                notes={listedNotes}
+                highlightTerms={searchResults.terms}
+                selectedNoteId={selectedNoteId}
+                onSelectNote={setSelectedNoteId}
+                onEditNote={handleEditNote}
+                onDeleteNote={deleteNote}
+                onTogglePin={togglePin}
+                onShowHistory={setHistoryNoteId}
+                now={clock}
+                tagColors={settings?.tagColors}
+                isSelecting={isSelecting}
+                checkedIds={checkedIds}
+                onChangeChecked={setCheckedIds}
+                onToggleSelecting={toggleSelecting}
+                listView={listView}
+                onChangeListView={setListView}
+                notebooks={notebooks}
+                onReorder={reorderNote}
+                onToggleTask={toggleNoteTask}
+                resolveAttachment={attachmentStore.resolveAttachment}
+              />
+            </>
+          )}
 
-          {isEditorOpen && (
-            <NoteEditor
-              isOpen={isEditorOpen}
-              mode={editorMode}
-              // Ensure initialNote is correctly populated in edit mode
-              initialNote={editorMode === 'edit' ? selectedNote || DEFAULT_NOTE : DEFAULT_NOTE}
-              onCancel={handleCloseEditor}
-              onSave={(payload) => {
-                if (editorMode === 'create') {
-                  addNote(payload);
-                } else {
-                  updateNote(payload);
-                }
-                setIsEditorOpen(false);
-              }}
+          {historyNote && (
+            <RevisionHistoryDialog
+              key={historyNote.id}
+              isOpen
+              note={historyNote}
+              revisions={historyRevisions}
+              onRestore={restoreRevision}
+              onClose={() => setHistoryNoteId(null)}
             />
           )}
+
+          <ImportExportDialog
+            isOpen={isTransferOpen}
+            onClose={() => setIsTransferOpen(false)}
+            notes={notes}
+            filteredNotes={listedNotes}
+            selectedNotes={checkedNotes}
+            attachments={attachments}
+            onImport={importNotes}
+          />
+
+          <TagManagerDialog
+            isOpen={isTagManagerOpen}
+            onClose={() => setIsTagManagerOpen(false)}
+            notes={notes}
+            tagColors={settings?.tagColors}
+            onRename={renameTag}
+            onMerge={mergeTags}
+            onDelete={deleteTag}
+            onChangeColor={setTagColor}
+          />
+
+          <CommandPalette isOpen={isPaletteOpen} onClose={() => setIsPaletteOpen(false)} commands={paletteCommands} />
+
+          <ShortcutsDialog
+            isOpen={isShortcutsOpen}
+            onClose={() => setIsShortcutsOpen(false)}
+            shortcuts={shortcuts}
+            onChange={setShortcut}
+            onReset={resetShortcuts}
+          />
+
+          <BrokenLinksDialog
+            isOpen={isBrokenLinksOpen}
+            broken={brokenLinkList}
+            onOpenNote={(id) => {
+              setActiveView('notes');
+              setSelectedNoteId(id);
+            }}
+            onCreateNote={(title) => addNote({ title, content: '', tags: [] })}
+            onClose={() => setIsBrokenLinksOpen(false)}
+          />
+
+          <SmartFolderDialog
+            isOpen={isSmartFolderOpen}
+            search={currentSearch}
+            notebookName={notebooks.find((b) => b.id === selectedNotebookId)?.name}
+            existingNames={smartFolders.map((f) => f.name)}
+            onSave={saveSmartFolder}
+            onClose={() => setIsSmartFolderOpen(false)}
+          />
+
+          <TemplatesDialog
+            isOpen={isTemplatesOpen}
+            templates={templates}
+            dailyTemplateId={dailyTemplate?.id || null}
+            onSave={saveTemplate}
+            onDelete={deleteTemplate}
+            onUse={createFromTemplate}
+            onClose={() => setIsTemplatesOpen(false)}
+          />
+
+          <NotebookDialog
+            isOpen={!!notebookDialog}
+            notebook={(notebookDialog?.id && notebooks.find((b) => b.id === notebookDialog.id)) || null}
+            parentId={notebookDialog?.parentId ?? null}
+            notebooks={notebooks}
+            onSave={saveNotebook}
+            onClose={() => setNotebookDialog(null)}
+          />
+
+          <SyncDialog
+            isOpen={isSyncOpen}
+            onClose={() => setIsSyncOpen(false)}
+            settings={syncSettings}
+            onChangeSettings={setSyncSettings}
+            sync={remoteSync}
+            onSyncNow={remoteSync.syncNow}
+          />
         </section>
+
+        {showReadingPane && paneResizer('list', 'Resize notes list')}
+        {showReadingPane && (
+          <section className="app-reading-pane" aria-label="Selected note">
+            {isEditorOpen ? (
+              <NoteEditor
+                isOpen={isEditorOpen}
+                variant="pane"
+                mode={editorMode}
+                // Ensure initialNote is correctly populated in edit mode
+                initialNote={editorMode === 'edit' ? editorBase || DEFAULT_NOTE : newNoteDefaults}
+                notebooks={notebooks}
+                onCancel={handleCloseEditor}
+                contentView={settings?.editorContentView || 'edit'}
+                onContentViewChange={setEditorContentView}
+                autosave={!!settings?.autosaveNotes}
+                onAutosaveChange={setAutosaveNotes}
+                onAutosave={autosaveNote}
+                notificationPermission={notificationPermission}
+                linkTitles={linkTitles}
+                initialCaret={editorCaret}
+                onAttachFiles={repository.readOnly ? undefined : attachmentStore.addFiles}
+                resolveAttachment={attachmentStore.resolveAttachment}
+                onSave={(payload) => {
+                  // Ask while the user is saving, rather than when the reminder goes off
+                  if (payload.reminder) requestNotificationPermission();
+                  if (editorMode === 'create') {
+                    addNote(payload);
+                  } else if (!(autosaveRef.current?.id === payload.id && autosaveNote(payload))) {
+                    saveEditedNote(payload);
+                  }
+                  setIsEditorOpen(false);
+                }}
+              />
+            ) : missingNoteId ? (
+              <NoteNotFound
+                inTrash={trash.some((t) => t.id === missingNoteId)}
+                onShowAll={() => setSelectedNoteId(null)}
+                onOpenTrash={() => setActiveView('trash')}
+              />
+            ) : (
+              <NotePane
+                note={selectedNote}
+                now={clock}
+                notebookName={notebooks.find((b) => b.id === selectedNote?.notebookId)?.name}
+                tagColors={settings?.tagColors}
+                onEdit={handleEditNote}
+                onTogglePin={togglePin}
+                onShowHistory={setHistoryNoteId}
+                onDelete={deleteNote}
+                onBack={() => setSelectedNoteId(null)}
+                onToggleTask={toggleNoteTask}
+                onMoveTask={moveNoteTask}
+                onShiftTask={shiftNoteTask}
+                onCompletedTasksToBottom={sortNoteTasks}
+                completedTasksLast={completedTasksLast}
+                onChangeCompletedTasksLast={setCompletedTasksLast}
+                resolveWikiLink={resolveWikiLink}
+                resolveAttachment={attachmentStore.resolveAttachment}
+                storage={selectedStorage}
+                backlinks={selectedBacklinks}
+                onOpenNote={setSelectedNoteId}
+              />
+            )}
+          </section>
+        )}
       </div>
+
+      <ConflictDialog conflict={activeConflict} onResolve={resolveConflict} />
+
+      <Toast toast={toast} onDismiss={dismissToast} />
     </div>
   );
 }
@@ -1,7 +1,8 @@
 import React from 'react';
-import { render, screen, within } from '@testing-library/react';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import App from './App';
+import { NotesList } from './components/NotesList';
 
 // Helper to render the app with a clean localStorage between tests
 function renderApp() {
@@ -112,3 +113,63 @@ describe('Notes App smoke and interaction tests', () => {
     expect(within(list).queryByText('To Delete')).not.toBeInTheDocument();
   });
 });
+
+describe('NotesList with 10k notes', () => {
+  const makeNotes = (count) =>
+    Array.from({ length: count }, (_, i) => ({
+      id: `n${i}`,
+      title: `Note ${i}`,
+      content: `Body of note ${i}`,
+      tags: ['bulk'],
+      createdAt: 0,
+      updatedAt: count - i,
+    }));
+
+  // Generous budgets: these guard against rendering every card, not machine speed
+  test('mounts only the cards in view, quickly', () => {
+    const notes = makeNotes(10000);
+    let started = Date.now();
+    const { rerender } = render(<NotesList notes={notes} />);
+    expect(Date.now() - started).toBeLessThan(3000);
+
+    const list = screen.getByRole('list', { name: /filtered notes/i });
+    const items = within(list).getAllByRole('listitem');
+    expect(items.length).toBeLessThan(50);
+    expect(items[0]).toHaveAttribute('aria-posinset', '1');
+    expect(items[0]).toHaveAttribute('aria-setsize', '10000');
+
+    started = Date.now();
+    rerender(<NotesList notes={notes.map((n, i) => (i === 3 ? { ...n, pinned: true } : n))} />);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('arrow keys reach cards that were not mounted', () => {
+    render(<NotesList notes={makeNotes(10000)} />);
+    const first = screen.getAllByRole('listitem')[0];
+    first.focus();
+    act(() => {
+      fireEvent.keyDown(first, { key: 'End' });
+    });
+    expect(document.activeElement).toHaveTextContent('Note 9999');
+    act(() => {
+      fireEvent.keyDown(document.activeElement, { key: 'ArrowUp' });
+    });
+    expect(document.activeElement).toHaveAttribute('aria-posinset', '9999');
+  });
+
+  test('keeps the top card in place when notes are added above it', () => {
+    const notes = makeNotes(10000);
+    const { rerender } = render(<NotesList notes={notes} />);
+    const list = screen.getByRole('list', { name: /filtered notes/i });
+    act(() => {
+      list.scrollTop = 70000;
+      fireEvent.scroll(list);
+    });
+    expect(screen.getByText('Note 500')).toBeInTheDocument();
+
+    const before = list.scrollTop;
+    rerender(<NotesList notes={[...makeNotes(3).map((n) => ({ ...n, id: `new${n.id}` })), ...notes]} />);
+    expect(list.scrollTop).toBeGreaterThan(before);
+    expect(screen.getByText('Note 500')).toBeInTheDocument();
+  });
+});
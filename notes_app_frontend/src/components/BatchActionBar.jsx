@@ -0,0 +1,132 @@
+import React, { useMemo, useState } from 'react';
+import { flattenNotebooks } from '../utils/notebooks';
+import { normalizeTags } from '../utils/tags';
+
+/**
+ * PUBLIC_INTERFACE
+ * BatchActionBar
+ * Actions for the notes checked in NotesList. Each action is one undoable operation;
+ * deleting asks once for the whole selection.
+ *
+ * Props:
+ * - notes: Array<Note> the checked notes
+ * - notebooks?: Array (see utils/notebooks); moving is offered when there are any
+ * - onPin: (pinned: boolean) => void
+ * - onAddTags: (tags: string[]) => void
+ * - onRemoveTags: (tags: string[]) => void
+ * - onMove: (notebookId: string) => void
+ * - onExport: () => void
+ * - onDuplicate: () => void
+ * - onDelete: () => void (moves the notes to the Trash)
+ * - onClear: () => void
+ */
+export function BatchActionBar({
+  notes = [],
+  notebooks = [],
+  onPin,
+  onAddTags,
+  onRemoveTags,
+  onMove,
+  onExport,
+  onDuplicate,
+  onDelete,
+  onClear,
+}) {
+  const [tagInput, setTagInput] = useState('');
+  const notebookRows = useMemo(() => flattenNotebooks(notebooks), [notebooks]);
+  const tagsOnNotes = useMemo(() => {
+    const all = new Set();
+    notes.forEach((n) => (n.tags || []).forEach((t) => all.add(t)));
+    return [...all].sort();
+  }, [notes]);
+
+  const count = notes.length;
+  const noun = `note${count === 1 ? '' : 's'}`;
+  const disabled = count === 0;
+
+  const addTags = (e) => {
+    e.preventDefault();
+    const tags = normalizeTags(tagInput.split(/[,\s]+/));
+    if (!tags.length) return;
+    onAddTags?.(tags);
+    setTagInput('');
+  };
+
+  const confirmDelete = () => {
+    if (window.confirm(`Move ${count} ${noun} to the Trash?`)) onDelete?.();
+  };
+
+  return (
+    <div className="batch-bar card" role="toolbar" aria-label="Actions for selected notes">
+      <strong className="batch-count" aria-live="polite">
+        {count} selected
+      </strong>
+      <button type="button" className="btn-primary btn-ghost" disabled={disabled} onClick={() => onPin?.(true)}>
+        Pin
+      </button>
+      <button type="button" className="btn-primary btn-ghost" disabled={disabled} onClick={() => onPin?.(false)}>
+        Unpin
+      </button>
+
+      <form className="batch-field" onSubmit={addTags}>
+        <input
+          className="input"
+          value={tagInput}
+          onChange={(e) => setTagInput(e.target.value)}
+          placeholder="Add tags"
+          aria-label={`Tags to add to the selected ${noun}`}
+          disabled={disabled}
+        />
+        <button type="submit" className="btn-primary btn-ghost" disabled={disabled || !tagInput.trim()}>
+          Add
+        </button>
+      </form>
+
+      {tagsOnNotes.length > 0 && (
+        <select
+          className="input batch-select"
+          aria-label={`Remove a tag from the selected ${noun}`}
+          value=""
+          onChange={(e) => e.target.value && onRemoveTags?.([e.target.value])}
+        >
+          <option value="">Remove tag…</option>
+          {tagsOnNotes.map((t) => (
+            <option key={t} value={t}>
+              #{t}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {notebookRows.length > 0 && (
+        <select
+          className="input batch-select"
+          aria-label={`Move the selected ${noun} to a notebook`}
+          value=""
+          disabled={disabled}
+          onChange={(e) => e.target.value && onMove?.(e.target.value)}
+        >
+          <option value="">Move to…</option>
+          {notebookRows.map(({ notebook, depth }) => (
+            <option key={notebook.id} value={notebook.id}>
+              {`${'\u00a0\u00a0'.repeat(depth)}${notebook.name}`}
+            </option>
+          ))}
+        </select>
+      )}
+
+      <button type="button" className="btn-primary btn-ghost" disabled={disabled} onClick={onExport}>
+        Export
+      </button>
+      <button type="button" className="btn-primary btn-ghost" disabled={disabled} onClick={onDuplicate}>
+        Duplicate
+      </button>
+      <button type="button" className="btn-primary btn-danger" disabled={disabled} onClick={confirmDelete}>
+        Delete
+      </button>
+      <button type="button" className="btn-primary btn-ghost batch-clear" onClick={onClear} aria-label="Clear selection">
+        ✕
+      </button>
+    </div>
+  );
+}
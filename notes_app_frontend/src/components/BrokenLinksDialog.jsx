@@ -0,0 +1,68 @@
+import React from 'react';
+import { Modal } from './Modal';
+
+/**
+ * PUBLIC_INTERFACE
+ * BrokenLinksDialog
+ * Lists the wiki links that point at titles no note has, by the note they are in.
+ * Each note can be opened to fix its links, and each missing note created.
+ *
+ * Props:
+ * - isOpen: boolean
+ * - broken: Array<{note: Note, titles: string[]}> (see utils/links brokenLinks)
+ * - onOpenNote: (id: string) => void
+ * - onCreateNote?: (title: string) => void
+ * - onClose: () => void
+ */
+export function BrokenLinksDialog({ isOpen = false, broken = [], onOpenNote, onCreateNote, onClose }) {
+  const count = broken.reduce((sum, entry) => sum + entry.titles.length, 0);
+  return (
+    <Modal
+      id="broken-links"
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Broken links"
+      description={
+        count
+          ? `${count} link${count === 1 ? ' points' : 's point'} to a note that does not exist.`
+          : 'Every [[link]] points to a note.'
+      }
+    >
+      {broken.length > 0 && (
+        <ul className="broken-links">
+          {broken.map(({ note, titles }) => (
+            <li key={note.id}>
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => {
+                  onOpenNote(note.id);
+                  onClose?.();
+                }}
+              >
+                {note.title?.trim() || 'Untitled'}
+              </button>
+              <ul>
+                {titles.map((title) => (
+                  <li key={title}>
+                    <span className="wiki-link wiki-link-broken">[[{title}]]</span>
+                    {onCreateNote && (
+                      <button
+                        type="button"
+                        className="btn-primary btn-ghost"
+                        aria-label={`Create note ${title}`}
+                        onClick={() => onCreateNote(title)}
+                      >
+                        Create note
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Modal>
+  );
+}
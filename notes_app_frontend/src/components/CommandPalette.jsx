@@ -0,0 +1,112 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Modal } from './Modal';
+import { fuzzyFilter } from '../utils/fuzzy';
+import { formatCombo } from '../utils/shortcuts';
+
+// Rows shown at most; typing narrows the rest down
+const MAX_RESULTS = 50;
+
+/** Text with the matched characters wrapped in <mark>. */
+function Matched({ text, indices }) {
+  if (!indices.length) return text;
+  const hit = new Set(indices);
+  return Array.from(text).map((ch, i) =>
+    hit.has(i) ? <mark key={i} className="search-hit">{ch}</mark> : ch
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * CommandPalette
+ * Fuzzy finder over commands: actions, tags to jump to and notes to open.
+ * Arrow keys move through the results, Enter runs one, Esc closes.
+ *
+ * Props:
+ * - isOpen: boolean
+ * - onClose: () => void (called before a command runs)
+ * - commands: Array<{ id: string, label: string, group: string, shortcut?: string, run: () => void }>
+ *   in the order shown for an empty query
+ */
+export function CommandPalette({ isOpen = false, onClose, commands = [] }) {
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery('');
+    setActive(0);
+  }, [isOpen]);
+
+  const results = useMemo(
+    () => fuzzyFilter(commands, query, (c) => c.label).slice(0, MAX_RESULTS),
+    [commands, query]
+  );
+  const current = Math.min(active, Math.max(results.length - 1, 0));
+
+  useEffect(() => {
+    listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView?.({ block: 'nearest' });
+  }, [current, results]);
+
+  const run = (command) => {
+    onClose?.();
+    command.run();
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!results.length) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive((current + step + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[current]) run(results[current].item);
+    }
+  };
+
+  const optionId = (i) => `command-palette-option-${i}`;
+
+  return (
+    <Modal id="command-palette" isOpen={isOpen} onClose={onClose} title="Command palette">
+      <input
+        className="input"
+        type="text"
+        role="combobox"
+        aria-expanded="true"
+        aria-controls="command-palette-results"
+        aria-activedescendant={results.length ? optionId(current) : undefined}
+        aria-autocomplete="list"
+        aria-label="Type a command, tag or note"
+        placeholder="Type a command, tag or note…"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+        }}
+        onKeyDown={onKeyDown}
+      />
+      <ul ref={listRef} id="command-palette-results" className="command-results" role="listbox" aria-label="Results">
+        {results.length === 0 && <li className="muted small command-empty">Nothing matches.</li>}
+        {results.map(({ item, indices }, i) => (
+          // Options are picked with the pointer, or from the search field (aria-activedescendant)
+          <li
+            key={item.id}
+            id={optionId(i)}
+            role="option"
+            aria-selected={i === current ? 'true' : 'false'}
+            className={`command-option ${i === current ? 'command-option-active' : ''}`}
+            onMouseMove={() => i !== current && setActive(i)}
+            onClick={() => run(item)}
+          >
+            <span className="command-group muted small">{item.group}</span>
+            <span className="command-label">
+              <Matched text={item.label} indices={indices} />
+            </span>
+            {item.shortcut && <kbd className="kbd">{formatCombo(item.shortcut)}</kbd>}
+          </li>
+        ))}
+      </ul>
+    </Modal>
+  );
+}
@@ -0,0 +1,59 @@
+import React from 'react';
+import { Modal } from './Modal';
+import { DiffView } from './DiffView';
+
+/**
+ * PUBLIC_INTERFACE
+ * ConflictDialog
+ * Asks which version to keep when a note was changed (or deleted) in another tab,
+ * or on another device through sync, while it was being edited here.
+ * The dialog cannot be dismissed without a choice.
+ *
+ * Props:
+ * - conflict: { id, mine: Note, theirs: Note|null, source?: 'tab'|'server' } | null
+ *   (theirs is null when deleted elsewhere)
+ * - onResolve: (choice: 'mine'|'theirs'|'both') => void
+ */
+export function ConflictDialog({ conflict = null, onResolve }) {
+  if (!conflict) return null;
+  const { mine, theirs } = conflict;
+  const name = mine.title?.trim() || theirs?.title?.trim() || '(Untitled)';
+  const where = conflict.source === 'server' ? 'on another device' : 'in another tab';
+
+  return (
+    <Modal
+      id="note-conflict"
+      isOpen
+      wide={!!theirs}
+      title={`“${name}” was changed ${where}`}
+      description={
+        theirs
+          ? 'Both versions changed since they were last in sync. Lines marked − are only in the other version, lines marked + only in yours.'
+          : `The note was deleted ${where} while you were editing it.`
+      }
+    >
+      {theirs && theirs.title !== mine.title && (
+        <div className="small" style={{ marginBottom: 6 }}>
+          Title: <del>{theirs.title || '(Untitled)'}</del> → <strong>{mine.title || '(Untitled)'}</strong>
+        </div>
+      )}
+      {theirs && (
+        <DiffView oldText={theirs.content} newText={mine.content} label="Differences between the versions" />
+      )}
+
+      <div className="modal-actions">
+        {theirs && (
+          <button type="button" className="btn-primary btn-ghost" onClick={() => onResolve?.('both')}>
+            Keep both
+          </button>
+        )}
+        <button type="button" className="btn-primary btn-ghost" onClick={() => onResolve?.('theirs')}>
+          {theirs ? 'Use the other version' : 'Discard my changes'}
+        </button>
+        <button type="button" className="btn-primary" onClick={() => onResolve?.('mine')}>
+          Keep my version
+        </button>
+      </div>
+    </Modal>
+  );
+}
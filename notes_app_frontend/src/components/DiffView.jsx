@@ -0,0 +1,75 @@
+import React, { useMemo } from 'react';
+import { diffLines } from '../utils/diff';
+
+// Unchanged lines shown around each change; longer unchanged runs are collapsed
+const DIFF_CONTEXT = 3;
+
+/** Collapse long runs of unchanged lines into a single marker row. */
+function withCollapsedContext(rows) {
+  const changed = rows.map((r) => r.type !== 'equal');
+  const near = (i) => {
+    for (let d = -DIFF_CONTEXT; d <= DIFF_CONTEXT; d += 1) {
+      if (changed[i + d]) return true;
+    }
+    return false;
+  };
+  const out = [];
+  let skipped = 0;
+  rows.forEach((row, i) => {
+    if (row.type === 'equal' && !near(i)) {
+      skipped += 1;
+      return;
+    }
+    if (skipped) out.push({ type: 'skip', count: skipped, key: `skip-${i}` });
+    skipped = 0;
+    out.push({ ...row, key: `${i}` });
+  });
+  if (skipped) out.push({ type: 'skip', count: skipped, key: 'skip-end' });
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * DiffView
+ * Line-by-line diff of two texts with added/removed counts.
+ *
+ * Props:
+ * - oldText: string
+ * - newText: string
+ * - label?: string accessible name of the diff table
+ */
+export function DiffView({ oldText = '', newText = '', label = 'Content changes' }) {
+  const rows = useMemo(() => withCollapsedContext(diffLines(oldText, newText)), [oldText, newText]);
+  const added = rows.filter((r) => r.type === 'add').length;
+  const removed = rows.filter((r) => r.type === 'remove').length;
+
+  return (
+    <>
+      <div className="muted small" style={{ textAlign: 'right', marginBottom: 4 }}>
+        <span className="diff-count-add">+{added}</span> <span className="diff-count-remove">−{removed}</span>
+      </div>
+      <div className="diff-view" role="table" aria-label={label}>
+        {rows.length === 0 && <div className="muted small">No content in these versions.</div>}
+        {rows.length > 0 && added === 0 && removed === 0 && (
+          <div className="muted small" style={{ padding: '4px 8px' }}>Content is identical.</div>
+        )}
+        {rows.map((row) =>
+          row.type === 'skip' ? (
+            <div key={row.key} className="diff-row diff-skip" role="row">
+              <span role="cell">⋯ {row.count} unchanged line{row.count === 1 ? '' : 's'}</span>
+            </div>
+          ) : (
+            <div key={row.key} className={`diff-row diff-${row.type}`} role="row">
+              <span className="diff-gutter" role="cell">{row.oldLine ?? ''}</span>
+              <span className="diff-gutter" role="cell">{row.newLine ?? ''}</span>
+              <span className="diff-sign" role="cell" aria-label={row.type === 'equal' ? undefined : row.type === 'add' ? 'added' : 'removed'}>
+                {row.type === 'add' ? '+' : row.type === 'remove' ? '−' : ' '}
+              </span>
+              <span className="diff-text" role="cell">{row.text || ' '}</span>
+            </div>
+          )
+        )}
+      </div>
+    </>
+  );
+}
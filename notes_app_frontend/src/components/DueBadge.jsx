@@ -0,0 +1,43 @@
+import React from 'react';
+import { formatWhen } from '../utils/dates';
+import { REPEAT_OPTIONS, reminderTime } from '../utils/reminders';
+
+/**
+ * PUBLIC_INTERFACE
+ * DueBadge
+ * A note's due date (highlighted once it has passed) and its next reminder.
+ * Renders nothing for a note without either.
+ *
+ * Props:
+ * - note: Note
+ * - now?: number time the overdue state is judged at
+ */
+export function DueBadge({ note, now = Date.now() }) {
+  const dueAt = Number(note?.dueAt) || 0;
+  const remindAt = reminderTime(note?.reminder);
+  if (!dueAt && !remindAt) return null;
+
+  const overdue = dueAt && dueAt <= now;
+  const repeat = note.reminder?.repeat && note.reminder.repeat !== 'none' ? REPEAT_OPTIONS[note.reminder.repeat] : '';
+  const remindLabel = `Reminder ${formatWhen(remindAt, now)}${repeat ? `, ${repeat.toLowerCase()}` : ''}`;
+
+  return (
+    <span className="due-badges">
+      {dueAt > 0 && (
+        <span
+          className={`due-badge ${overdue ? 'due-badge-overdue' : ''}`}
+          title={new Date(dueAt).toLocaleString()}
+          aria-label={`${overdue ? 'Overdue, was due' : 'Due'} ${formatWhen(dueAt, now)}`}
+        >
+          📅 {formatWhen(dueAt, now)}
+        </span>
+      )}
+      {remindAt && (
+        <span className="due-badge" title={remindLabel} aria-label={remindLabel}>
+          🔔 {formatWhen(remindAt, now)}
+          {repeat && ' ↻'}
+        </span>
+      )}
+    </span>
+  );
+}
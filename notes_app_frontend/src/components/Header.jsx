@@ -1,4 +1,95 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { SYNC_STATUS_LABELS } from './SyncDialog';
+import { formatCombo } from '../utils/shortcuts';
+
+const SYNC_ICONS = { off: '☁', idle: '☁', syncing: '⟳', synced: '☁', offline: '⚠', error: '⚠' };
+
+// Query operators understood by utils/search
+const SEARCH_HELP =
+  'Operators: tag:name, pinned:true, "exact phrase", -word to exclude, updated:>2026-01-01, created:<2025-06';
+
+/** Menu beside Add Note: new notes from templates, today's note and the templates dialog. */
+function TemplateMenu({ templates, onCreateFromTemplate, onOpenDailyNote, onManageTemplates }) {
+  const [open, setOpen] = useState(false);
+  const wrapRef = useRef(null);
+  const toggleRef = useRef(null);
+
+  const items = () => Array.from(wrapRef.current?.querySelectorAll('[role="menuitem"]') || []);
+
+  // Focus the first item on opening; a click elsewhere closes the menu
+  useEffect(() => {
+    if (!open) return undefined;
+    wrapRef.current?.querySelector('[role="menuitem"]')?.focus();
+    const onPointerDown = (e) => {
+      if (!wrapRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', onPointerDown);
+    return () => document.removeEventListener('mousedown', onPointerDown);
+  }, [open]);
+
+  const choose = (run) => {
+    setOpen(false);
+    run();
+  };
+
+  const onMenuKeyDown = (e) => {
+    const list = items();
+    const index = list.indexOf(document.activeElement);
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      setOpen(false);
+      toggleRef.current?.focus();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      list[(index + step + list.length) % list.length]?.focus();
+    } else if (e.key === 'Home' || e.key === 'End') {
+      e.preventDefault();
+      list[e.key === 'Home' ? 0 : list.length - 1]?.focus();
+    } else if (e.key === 'Tab') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div ref={wrapRef} className="template-menu">
+      <button
+        ref={toggleRef}
+        type="button"
+        className="btn-primary template-menu-toggle"
+        aria-label="New note from a template"
+        aria-haspopup="menu"
+        aria-expanded={open ? 'true' : 'false'}
+        title="New note from a template"
+        onClick={() => setOpen((o) => !o)}
+      >
+        ▾
+      </button>
+      {open && (
+        <div className="template-menu-list" role="menu" aria-label="New note from a template" onKeyDown={onMenuKeyDown}>
+          {templates.length === 0 && <div className="muted small template-menu-empty">No templates yet</div>}
+          {templates.map((t) => (
+            <button key={t.id} type="button" role="menuitem" tabIndex={-1} onClick={() => choose(() => onCreateFromTemplate(t.id))}>
+              {t.name}
+            </button>
+          ))}
+          {(onOpenDailyNote || onManageTemplates) && <div role="separator" className="template-menu-separator" />}
+          {onOpenDailyNote && (
+            <button type="button" role="menuitem" tabIndex={-1} onClick={() => choose(onOpenDailyNote)}>
+              Today's note
+            </button>
+          )}
+          {onManageTemplates && (
+            <button type="button" role="menuitem" tabIndex={-1} onClick={() => choose(onManageTemplates)}>
+              Manage templates…
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
 
 /**
  * Header component with app title, search input, create button, and theme toggle.
@@ -10,7 +101,16 @@ import React from 'react';
  * - onSearchChange: (value: string) => void
  * - onCreateNote: () => void
  * - onAddNote: () => void
- * - onAddNote: () => void
+ * - templates?: Array<{id, name}> note templates (see utils/templates)
+ * - onCreateFromTemplate?: (id: string) => void (shows the template menu beside Add Note)
+ * - onOpenDailyNote?: () => void
+ * - onManageTemplates?: () => void
+ * - onOpenImportExport?: () => void
+ * - sync?: { status, pending, conflicts } (see useRemoteSync)
+ * - onOpenSync?: () => void
+ * - searchInputRef?: React ref attached to the search field (for the focus-search shortcut)
+ * - onOpenPalette?: () => void
+ * - paletteShortcut?: string combo that opens the palette (see utils/shortcuts)
  */
 export function Header({
   theme = 'light',
@@ -19,10 +119,28 @@ export function Header({
   onSearchChange,
   onCreateNote,
   onAddNote,
+  templates = [],
+  onCreateFromTemplate,
+  onOpenDailyNote,
+  onManageTemplates,
+  onOpenImportExport,
+  sync,
+  onOpenSync,
+  searchInputRef,
+  onOpenPalette,
+  paletteShortcut,
 }) {
   // Derived aria labels for better a11y
   const nextTheme = theme === 'light' ? 'dark' : 'light';
 
+  const syncLabel = sync ? SYNC_STATUS_LABELS[sync.status] || sync.status : '';
+  const syncDetail = sync
+    ? [
+        sync.pending > 0 && `${sync.pending} pending`,
+        sync.conflicts?.length > 0 && `${sync.conflicts.length} conflict${sync.conflicts.length === 1 ? '' : 's'}`,
+      ].filter(Boolean)
+    : [];
+
   return (
     <div
       className="card"
@@ -85,12 +203,15 @@ export function Header({
             🔍
           </span>
           <input
+            ref={searchInputRef}
             className="input"
             type="search"
-            placeholder="Search notes..."
+            placeholder='Search notes… (tag:work, "phrase", -word)'
             value={searchQuery}
             onChange={(e) => onSearchChange?.(e.target.value)}
             aria-label="Search notes"
+            aria-describedby="search-syntax-help"
+            title={SEARCH_HELP}
             style={{
               paddingLeft: 34,
               transition: 'box-shadow 0.2s ease, border-color 0.2s ease',
@@ -105,26 +226,80 @@ export function Header({
               e.currentTarget.style.borderColor = 'var(--border)';
             }}
           />
+          <span id="search-syntax-help" className="sr-only">
+            {SEARCH_HELP}
+          </span>
         </div>
       </div>
 
       {/* Primary Actions */}
       <div style={{ display: 'flex', gap: 8 }}>
-        <button
-          className="btn-primary"
-          onClick={onAddNote || onCreateNote}
-          aria-label="Create new note"
-          title="Add Note"
-          style={{
-            display: 'inline-flex',
-            alignItems: 'center',
-            gap: 8,
-            borderRadius: 12,
-          }}
-        >
-          <span>➕</span>
-          <span style={{ fontWeight: 700 }}>Add Note</span>
-        </button>
+        <div style={{ display: 'flex' }}>
+          <button
+            className="btn-primary"
+            onClick={onAddNote || onCreateNote}
+            aria-label="Create new note"
+            title="Add Note"
+            style={{
+              display: 'inline-flex',
+              alignItems: 'center',
+              gap: 8,
+              // Joined to the template menu button when there is one
+              borderRadius: onCreateFromTemplate ? '12px 0 0 12px' : 12,
+            }}
+          >
+            <span>➕</span>
+            <span style={{ fontWeight: 700 }}>Add Note</span>
+          </button>
+          {onCreateFromTemplate && (
+            <TemplateMenu
+              templates={templates}
+              onCreateFromTemplate={onCreateFromTemplate}
+              onOpenDailyNote={onOpenDailyNote}
+              onManageTemplates={onManageTemplates}
+            />
+          )}
+        </div>
+
+        {onOpenSync && sync && (
+          <button
+            className={`btn-primary btn-ghost sync-status sync-status-${sync.status}`}
+            onClick={onOpenSync}
+            aria-label={`Sync: ${[syncLabel, ...syncDetail].join(', ')}`}
+            title="Sync settings"
+            style={{ borderRadius: 12, height: 40, display: 'inline-flex', alignItems: 'center', gap: 6 }}
+          >
+            <span aria-hidden="true">{SYNC_ICONS[sync.status] || '☁'}</span>
+            <span className="sync-status-text">
+              {syncLabel}
+              {syncDetail.length > 0 && ` · ${syncDetail.join(', ')}`}
+            </span>
+          </button>
+        )}
+
+        {onOpenPalette && (
+          <button
+            className="btn-primary btn-ghost"
+            onClick={onOpenPalette}
+            aria-label="Open command palette"
+            title={paletteShortcut ? `Commands (${formatCombo(paletteShortcut)})` : 'Commands'}
+            style={{ borderRadius: 12, height: 40 }}
+          >
+            ⌘
+          </button>
+        )}
+
+        {onOpenImportExport && (
+          <button
+            className="btn-primary btn-ghost"
+            onClick={onOpenImportExport}
+            aria-label="Import or export notes"
+            title="Import / Export"
+            style={{ borderRadius: 12, height: 40 }}
+          >
+            ⇅
+          </button>
+        )}
 
         <button
           className="btn-primary"
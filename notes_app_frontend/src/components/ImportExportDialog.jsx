@@ -0,0 +1,245 @@
+import React, { useEffect, useState } from 'react';
+import { Modal } from './Modal';
+import { EXPORT_FORMATS, downloadFile, exportNotes, parseImportFile, readAttachmentFiles } from '../utils/transfer';
+
+/** Read a File into bytes (FileReader keeps this working where Blob#arrayBuffer is missing). */
+function readFileBytes(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(new Error('Could not read the selected file.'));
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ImportExportDialog
+ * Export all, the currently filtered or the selected notes (JSON, Markdown zip, HTML) and import
+ * notes from a file, merging with or replacing the existing notebook. Files attached to the
+ * notes go along in both directions.
+ *
+ * Props:
+ * - isOpen: boolean
+ * - onClose: () => void
+ * - notes: Array<Note> (all notes)
+ * - filteredNotes: Array<Note> (notes visible in NotesList)
+ * - selectedNotes?: Array<Note> (notes checked in NotesList; offered and preselected when any)
+ * - attachments?: Array stored attachments (see hooks/useAttachments), exported with the notes using them
+ * - onImport: (notes: Array<Note>, options: {mode, collision}, attachments: Array) => {added, updated, duplicated, skipped, trashed}
+ *   attachments are the files read from the import (see utils/transfer parseImportFile)
+ */
+export function ImportExportDialog({
+  isOpen = false,
+  onClose,
+  notes = [],
+  filteredNotes = [],
+  selectedNotes = [],
+  attachments = [],
+  onImport,
+}) {
+  const [scope, setScope] = useState('all');
+  const [parsed, setParsed] = useState(null); // { fileName, notes, errors, attachments }
+  const [isExporting, setIsExporting] = useState(false);
+  const [mode, setMode] = useState('merge');
+  const [collision, setCollision] = useState('newer');
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  const hasSelection = selectedNotes.length > 0;
+
+  // Start fresh each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setScope(hasSelection ? 'selected' : 'all');
+    setParsed(null);
+    setError('');
+    setStatus('');
+  }, [isOpen, hasSelection]);
+
+  const exportSet = scope === 'selected' ? selectedNotes : scope === 'filtered' ? filteredNotes : notes;
+
+  const handleExport = async (format) => {
+    setError('');
+    setIsExporting(true);
+    try {
+      const files = await readAttachmentFiles(exportSet, attachments);
+      const file = exportNotes(exportSet, format, files);
+      downloadFile(file.filename, file.data, file.mime);
+      const withFiles = files.length ? ` with ${files.length} attached file${files.length === 1 ? '' : 's'}` : '';
+      setStatus(
+        `Exported ${exportSet.length} note${exportSet.length === 1 ? '' : 's'}${withFiles} as ${EXPORT_FORMATS[format].label}.`
+      );
+    } catch (err) {
+      setError(err?.message || 'Export failed.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    setParsed(null);
+    setError('');
+    setStatus('');
+    if (!file) return;
+    try {
+      const bytes = await readFileBytes(file);
+      const result = await parseImportFile(file.name, bytes);
+      setParsed({ fileName: file.name, ...result });
+    } catch (err) {
+      setError(err?.message || 'Could not import this file.');
+    }
+  };
+
+  const handleImport = () => {
+    if (!parsed || parsed.notes.length === 0) return;
+    if (
+      mode === 'replace' &&
+      !window.confirm(
+        `Replace all ${notes.length} existing notes with ${parsed.notes.length} imported notes? Replaced notes move to the Trash.`
+      )
+    ) {
+      return;
+    }
+    const stats = onImport?.(parsed.notes, { mode, collision }, parsed.attachments || []);
+    setParsed(null);
+    if (stats) {
+      const parts = [`${stats.added} added`];
+      if (stats.updated) parts.push(`${stats.updated} updated`);
+      if (stats.duplicated) parts.push(`${stats.duplicated} imported as copies`);
+      if (stats.skipped) parts.push(`${stats.skipped} skipped`);
+      if (stats.trashed) parts.push(`${stats.trashed} moved to Trash`);
+      const fileCount = parsed.attachments?.length || 0;
+      if (fileCount) parts.push(`${fileCount} attached file${fileCount === 1 ? '' : 's'}`);
+      setStatus(`Import complete: ${parts.join(', ')}.`);
+    }
+  };
+
+  return (
+    <Modal
+      id="import-export"
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Import & export"
+      description="Back up your notes to a file or bring notes in from one."
+    >
+      <section aria-labelledby="export-heading" className="form-field">
+        <h4 id="export-heading" className="sidebar-section-title">Export</h4>
+        <div role="radiogroup" aria-label="Notes to export" style={{ display: 'flex', gap: 16, marginBottom: 8 }}>
+          <label className="small">
+            <input type="radio" name="export-scope" checked={scope === 'all'} onChange={() => setScope('all')} />{' '}
+            All notes ({notes.length})
+          </label>
+          <label className="small">
+            <input
+              type="radio"
+              name="export-scope"
+              checked={scope === 'filtered'}
+              onChange={() => setScope('filtered')}
+            />{' '}
+            Current view ({filteredNotes.length})
+          </label>
+          {hasSelection && (
+            <label className="small">
+              <input
+                type="radio"
+                name="export-scope"
+                checked={scope === 'selected'}
+                onChange={() => setScope('selected')}
+              />{' '}
+              Selected notes ({selectedNotes.length})
+            </label>
+          )}
+        </div>
+        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+          {Object.entries(EXPORT_FORMATS).map(([format, spec]) => (
+            <button
+              key={format}
+              type="button"
+              className="btn-primary btn-ghost"
+              onClick={() => handleExport(format)}
+              disabled={exportSet.length === 0 || isExporting}
+            >
+              {spec.label}
+            </button>
+          ))}
+        </div>
+      </section>
+
+      <section aria-labelledby="import-heading" className="form-field">
+        <h4 id="import-heading" className="sidebar-section-title">Import</h4>
+        <input
+          type="file"
+          accept=".json,.md,.markdown,.txt,.zip"
+          onChange={handleFile}
+          aria-label="Choose a file to import"
+          className="small"
+        />
+
+        {parsed && (
+          <div style={{ marginTop: 10 }}>
+            <div className="small">
+              <strong>{parsed.notes.length}</strong> valid note{parsed.notes.length === 1 ? '' : 's'} in {parsed.fileName}
+              {parsed.attachments?.length > 0 &&
+                ` with ${parsed.attachments.length} attached file${parsed.attachments.length === 1 ? '' : 's'}`}
+              {parsed.errors.length > 0 && `, ${parsed.errors.length} rejected`}
+            </div>
+            {parsed.errors.length > 0 && (
+              <ul className="muted small" aria-label="Rejected entries" style={{ margin: '6px 0', paddingLeft: 18 }}>
+                {parsed.errors.slice(0, 5).map((e) => (
+                  <li key={e.source}>
+                    {e.source}: {e.reason}
+                  </li>
+                ))}
+                {parsed.errors.length > 5 && <li>…and {parsed.errors.length - 5} more</li>}
+              </ul>
+            )}
+
+            <div role="radiogroup" aria-label="Import mode" style={{ display: 'flex', gap: 16, margin: '8px 0' }}>
+              <label className="small">
+                <input type="radio" name="import-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} />{' '}
+                Merge with existing notes
+              </label>
+              <label className="small">
+                <input type="radio" name="import-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} />{' '}
+                Replace all notes
+              </label>
+            </div>
+
+            {mode === 'merge' && (
+              <label className="small" style={{ display: 'block', marginBottom: 8 }}>
+                When a note with the same id exists:{' '}
+                <select className="input" style={{ width: 'auto' }} value={collision} onChange={(e) => setCollision(e.target.value)}>
+                  <option value="newer">Keep the newer version</option>
+                  <option value="duplicate">Import as a copy</option>
+                  <option value="skip">Keep the existing note</option>
+                </select>
+              </label>
+            )}
+
+            <button
+              type="button"
+              className="btn-primary"
+              onClick={handleImport}
+              disabled={parsed.notes.length === 0}
+            >
+              Import {parsed.notes.length} note{parsed.notes.length === 1 ? '' : 's'}
+            </button>
+          </div>
+        )}
+      </section>
+
+      {error && (
+        <div className="error-text" role="alert">
+          {error}
+        </div>
+      )}
+      {status && (
+        <div className="muted small" role="status">
+          {status}
+        </div>
+      )}
+    </Modal>
+  );
+}
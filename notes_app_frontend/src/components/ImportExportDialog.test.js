@@ -0,0 +1,34 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { ImportExportDialog } from './ImportExportDialog';
+import { exportNotesJson } from '../utils/transfer';
+
+const existing = [{ id: 'old', title: 'Old', content: '', tags: [], createdAt: 1, updatedAt: 1 }];
+const backup = exportNotesJson([{ id: 'n1', title: 'Imported', content: 'x', tags: [], createdAt: 2, updatedAt: 2 }]);
+
+async function chooseReplace(onImport) {
+  render(<ImportExportDialog isOpen notes={existing} filteredNotes={existing} onImport={onImport} onClose={() => {}} />);
+  const file = new window.File([backup], 'backup.json', { type: 'application/json' });
+  fireEvent.change(screen.getByLabelText('Choose a file to import'), { target: { files: [file] } });
+  const importButton = await screen.findByRole('button', { name: 'Import 1 note' });
+  fireEvent.click(screen.getByLabelText('Replace all notes'));
+  fireEvent.click(importButton);
+}
+
+describe('ImportExportDialog', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('replaces the notes only after the user confirms', async () => {
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValue(false);
+    const onImport = jest.fn(() => ({ added: 1, updated: 0, duplicated: 0, skipped: 0 }));
+    await chooseReplace(onImport);
+    expect(confirm).toHaveBeenCalledWith(expect.stringMatching(/^Replace all 1 existing notes with 1 imported notes\?/));
+    expect(onImport).not.toHaveBeenCalled();
+
+    confirm.mockReturnValue(true);
+    fireEvent.click(screen.getByRole('button', { name: 'Import 1 note' }));
+    expect(onImport).toHaveBeenCalledTimes(1);
+    expect(onImport.mock.calls[0][0].map((n) => n.id)).toEqual(['n1']);
+    expect(onImport.mock.calls[0][1]).toEqual({ mode: 'replace', collision: 'newer' });
+  });
+});
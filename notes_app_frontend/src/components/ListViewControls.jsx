@@ -0,0 +1,73 @@
+import React from 'react';
+import { GROUP_OPTIONS, SORT_OPTIONS, VIEW_OPTIONS } from '../utils/listView';
+
+/**
+ * PUBLIC_INTERFACE
+ * ListViewControls
+ * Sort, group and layout pickers above the notes list.
+ *
+ * Props:
+ * - listView: { sort, direction, group, view } (see utils/listView)
+ * - onChange: (next: object) => void the whole layout with one value changed
+ * - isSearching?: boolean search results are ranked by relevance, so sorting is off
+ */
+export function ListViewControls({ listView, onChange, isSearching = false }) {
+  const { sort, direction, group, view } = listView;
+  const change = (patch) => onChange?.({ ...listView, ...patch });
+
+  return (
+    <div className="list-view-controls" role="group" aria-label="List layout">
+      <select
+        className="input list-view-select"
+        aria-label="Sort notes by"
+        value={sort}
+        disabled={isSearching}
+        title={isSearching ? 'Search results are sorted by relevance' : undefined}
+        onChange={(e) => change({ sort: e.target.value, direction: SORT_OPTIONS[e.target.value].direction })}
+      >
+        {Object.entries(SORT_OPTIONS).map(([id, option]) => (
+          <option key={id} value={id}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      {sort !== 'manual' && (
+        <button
+          type="button"
+          className="btn-primary btn-ghost"
+          disabled={isSearching}
+          onClick={() => change({ direction: direction === 'asc' ? 'desc' : 'asc' })}
+          aria-label={direction === 'asc' ? 'Sorted ascending, sort descending' : 'Sorted descending, sort ascending'}
+          title={direction === 'asc' ? 'Ascending' : 'Descending'}
+        >
+          {direction === 'asc' ? '↑' : '↓'}
+        </button>
+      )}
+      <select
+        className="input list-view-select"
+        aria-label="Group notes by"
+        value={group}
+        onChange={(e) => change({ group: e.target.value })}
+      >
+        {Object.entries(GROUP_OPTIONS).map(([id, label]) => (
+          <option key={id} value={id}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <div className="segmented" role="group" aria-label="Note layout">
+        {Object.entries(VIEW_OPTIONS).map(([id, label]) => (
+          <button
+            key={id}
+            type="button"
+            className={`segmented-btn ${view === id ? 'segmented-btn-active' : ''}`}
+            aria-pressed={view === id ? 'true' : 'false'}
+            onClick={() => change({ view: id })}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
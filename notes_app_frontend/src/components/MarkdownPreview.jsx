@@ -0,0 +1,119 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { renderMarkdown } from '../utils/markdown';
+
+const taskIndexOf = (target, selector) => {
+  const el = target?.closest?.(selector);
+  return el ? Number(el.getAttribute('data-task')) : null;
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * MarkdownPreview
+ * Renders note content as sanitized Markdown.
+ * With `onToggleTask`, task checkboxes can be ticked; with `onMoveTask`/`onShiftTask`
+ * tasks can also be dragged, or moved with Alt+Arrow Up/Down on their checkbox.
+ * The handlers return the task's index after the change, so it keeps the focus.
+ * Wiki links (`[[Note title]]`) link to notes through `resolveWikiLink`, and attached
+ * files (`attachment:<id>` URLs) show through `resolveAttachment`.
+ *
+ * Props:
+ * - source: string
+ * - className?: string
+ * - emptyText?: string (shown when source is blank)
+ * - label?: string (accessible name for the region)
+ * - onToggleTask?: (index: number) => number|void
+ * - onMoveTask?: (from: number, to: number) => number|void
+ * - onShiftTask?: (index: number, offset: number) => number|void
+ * - resolveWikiLink?: (title: string) => string|null href of the note with a title (see utils/markdown)
+ * - resolveAttachment?: (id: string) => {url, name, type}|null (see hooks/useAttachments)
+ */
+export function MarkdownPreview({
+  source = '',
+  className = '',
+  emptyText = 'Nothing to preview yet.',
+  label = 'Markdown preview',
+  onToggleTask,
+  onMoveTask,
+  onShiftTask,
+  resolveWikiLink = null,
+  resolveAttachment = null,
+}) {
+  const interactiveTasks = !!onToggleTask;
+  // renderMarkdown escapes all input and emits a fixed tag set, so innerHTML is safe here
+  const html = useMemo(
+    () => renderMarkdown(source, { interactiveTasks, resolveWikiLink, resolveAttachment }),
+    [source, interactiveTasks, resolveWikiLink, resolveAttachment]
+  );
+  const ref = useRef(null);
+  // Checkbox to focus once the changed content has rendered
+  const focusTaskRef = useRef(null);
+  const draggingRef = useRef(null);
+
+  useEffect(() => {
+    const index = focusTaskRef.current;
+    focusTaskRef.current = null;
+    if (index == null || index < 0) return;
+    ref.current?.querySelector(`input[data-task="${index}"]`)?.focus();
+  }, [html]);
+
+  if (!String(source).trim()) {
+    return (
+      <div className={`markdown-body muted ${className}`} role="region" aria-label={label}>
+        {emptyText}
+      </div>
+    );
+  }
+
+  const taskHandlers = interactiveTasks
+    ? {
+        // The checkbox shows the new state once the note has changed, not before
+        onClick: (e) => {
+          const index = taskIndexOf(e.target, 'input[data-task]');
+          if (index == null) return;
+          e.preventDefault();
+          focusTaskRef.current = onToggleTask(index) ?? index;
+        },
+        onKeyDown: (e) => {
+          const index = taskIndexOf(e.target, 'input[data-task]');
+          if (index == null || !onShiftTask || !e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+          e.preventDefault();
+          focusTaskRef.current = onShiftTask(index, e.key === 'ArrowUp' ? -1 : 1) ?? index;
+        },
+        onDragStart: (e) => {
+          const index = taskIndexOf(e.target, 'li[data-task]');
+          if (index == null || !onMoveTask) return;
+          draggingRef.current = index;
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', e.target.textContent || '');
+        },
+        onDragOver: (e) => {
+          if (draggingRef.current == null || taskIndexOf(e.target, 'li[data-task]') == null) return;
+          e.preventDefault();
+          e.dataTransfer.dropEffect = 'move';
+        },
+        onDrop: (e) => {
+          const from = draggingRef.current;
+          const to = taskIndexOf(e.target, 'li[data-task]');
+          draggingRef.current = null;
+          if (from == null || to == null) return;
+          e.preventDefault();
+          e.stopPropagation();
+          if (from !== to) focusTaskRef.current = onMoveTask(from, to) ?? null;
+        },
+        onDragEnd: () => {
+          draggingRef.current = null;
+        },
+      }
+    : {};
+
+  return (
+    <div
+      ref={ref}
+      className={`markdown-body ${interactiveTasks ? 'markdown-tasks' : ''} ${className}`}
+      role="region"
+      aria-label={label}
+      dangerouslySetInnerHTML={{ __html: html }}
+      {...taskHandlers}
+    />
+  );
+}
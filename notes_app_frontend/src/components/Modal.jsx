@@ -0,0 +1,126 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * Modal
+ * Accessible dialog shell shared by secondary dialogs (import/export, history, ...).
+ * - ESC or overlay click closes, Tab focus is trapped inside, focus is restored on close
+ *
+ * Props:
+ * - isOpen: boolean
+ * - title: string
+ * - description?: string
+ * - onClose?: () => void (without it the dialog has no close button and ESC does nothing,
+ *   for dialogs that require a decision)
+ * - wide?: boolean
+ * - id: string (prefix for the title/description element ids)
+ * - children: ReactNode
+ */
+export function Modal({ isOpen = false, title, description, onClose, wide = false, id = 'modal', children }) {
+  const overlayRef = useRef(null);
+  const dialogRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  // Focus the first focusable element on open and restore focus on close
+  useEffect(() => {
+    if (!isOpen) return;
+    const prevActive = document.activeElement;
+    const t = window.setTimeout(() => {
+      const focusable = getFocusable(dialogRef.current);
+      (focusable[1] || focusable[0])?.focus();
+    }, 0);
+    return () => {
+      window.clearTimeout(t);
+      if (prevActive && typeof prevActive.focus === 'function') {
+        try { prevActive.focus(); } catch { /* no-op */ }
+      }
+    };
+  }, [isOpen]);
+
+  // ESC closes, Tab cycles within the dialog
+  useEffect(() => {
+    if (!isOpen) return;
+    const onKey = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onCloseRef.current?.();
+      }
+      if (e.key === 'Tab') {
+        const focusable = getFocusable(dialogRef.current);
+        if (focusable.length === 0) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        }
+      }
+    };
+    document.addEventListener('keydown', onKey, true);
+    return () => document.removeEventListener('keydown', onKey, true);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      ref={overlayRef}
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby={`${id}-title`}
+      aria-describedby={description ? `${id}-desc` : undefined}
+      onClick={(e) => {
+        if (e.target === overlayRef.current) onClose?.();
+      }}
+    >
+      <div
+        ref={dialogRef}
+        className={`modal-content card ${wide ? 'modal-content-wide' : ''}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <h3 id={`${id}-title`} className="modal-title">{title}</h3>
+          {onClose && (
+            <button
+              type="button"
+              className="btn-primary btn-ghost"
+              aria-label="Close dialog"
+              onClick={onClose}
+              style={{ marginLeft: 'auto' }}
+            >
+              ✖
+            </button>
+          )}
+        </div>
+        {description && (
+          <p id={`${id}-desc`} className="muted small" style={{ marginTop: 0 }}>
+            {description}
+          </p>
+        )}
+        {children}
+      </div>
+    </div>
+  );
+}
+
+/** Get all focusable elements within a container (for focus trapping). */
+export function getFocusable(container) {
+  if (!container) return [];
+  const selectors = [
+    'a[href]',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'button:not([disabled])',
+    '[contenteditable]',
+    '[tabindex]:not([tabindex="-1"])',
+  ];
+  return Array.from(container.querySelectorAll(selectors.join(','))).filter(
+    (el) => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length)
+  );
+}
@@ -1,19 +1,90 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { MarkdownPreview } from './MarkdownPreview';
+import { flattenNotebooks, resolveNotebookId } from '../utils/notebooks';
+import { normalizeTag, normalizeTags } from '../utils/tags';
+import { draftKey, loadDraft, removeDraft, sameDraftFields, saveDraft } from '../utils/drafts';
+import { formatWhen, parseWhen } from '../utils/dates';
+import { REPEAT_OPTIONS, sameSchedule } from '../utils/reminders';
+import { completeLink, linkAtCaret } from '../utils/links';
+import { fuzzyFilter } from '../utils/fuzzy';
+import { attachmentMarkdown } from '../utils/attachments';
+import { AUTOSAVE_DELAY_MS, INBOX_NOTEBOOK_ID } from '../constants';
+
+// Layouts for the content field: editor only, editor + live preview, preview only
+const CONTENT_VIEWS = [
+  { id: 'edit', label: 'Write' },
+  { id: 'split', label: 'Split' },
+  { id: 'preview', label: 'Preview' },
+];
+
+// Note titles offered while typing a [[wiki link]]
+const MAX_LINK_SUGGESTIONS = 6;
+
+// Markdown for attached files inserted at a position, on lines of their own
+function insertAttachments(text, at, records) {
+  const before = text.slice(0, at);
+  const after = text.slice(at);
+  const block = records.map(attachmentMarkdown).join('\n');
+  const lead = before && !before.endsWith('\n') ? '\n' : '';
+  const trail = after && !after.startsWith('\n') ? '\n' : '';
+  const inserted = `${lead}${block}${trail}`;
+  return { text: `${before}${inserted}${after}`, caret: before.length + lead.length + block.length };
+}
+
+const hasFiles = (dataTransfer) => Array.from(dataTransfer?.types || []).includes('Files');
+
+// Due date and reminder as the editor holds them: a snooze is not part of the note's schedule
+function scheduleOf(note) {
+  const at = Number(note?.reminder?.at) || null;
+  return {
+    dueAt: Number(note?.dueAt) || null,
+    reminder: at ? { at, repeat: note.reminder.repeat || 'none' } : null,
+  };
+}
+
+// The date a typed due date or reminder time was read as
+const describeWhen = (ts) =>
+  new Date(ts).toLocaleString(undefined, { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
 
 /**
  * PUBLIC_INTERFACE
  * NoteEditor
- * Accessible modal dialog for creating or editing a note.
- * - Fields: title (required), content (textarea), tags (tokenized via comma/Enter)
- * - Behavior: Save/Cancel actions, ESC or outside click closes, focus trap
+ * Accessible modal dialog for creating or editing a note, or the same form inside the
+ * reading pane (variant 'pane'), which can switch to a distraction-free full-screen mode.
+ * - Fields: title (required), content (Markdown textarea with live preview), tags (tokenized via comma/Enter),
+ *   notebook (when notebooks are given), due date and reminder (typed in plain words, see utils/dates)
+ * - Behavior: Save/Cancel actions, ESC or outside click closes, focus trap (in the pane:
+ *   ESC from inside the form closes, or first leaves full screen)
+ * - Drafts: unsaved changes are stored as a draft while typing (see utils/drafts) and
+ *   restored when the editor reopens; closing with changes asks before discarding them,
+ *   and leaving the page warns
+ * - Autosave (optional): changes to an existing note are saved into it while typing;
+ *   a new note is kept as a draft until it is first saved
+ * - Attachments (optional): files pasted or dropped into the content, or picked with
+ *   Attach file, are stored and linked from the content at the caret
  * - Validation: Title required; inline error uses Ocean error color
  *
  * Props:
  * - isOpen: boolean
  * - mode: 'create' | 'edit'
- * - initialNote: { id?, title, content, tags[], createdAt?, updatedAt? }
- * - onSave: (notePayload) => void
+ * - initialNote: { id?, title, content, tags[], notebookId?, dueAt?, reminder?, createdAt?, updatedAt? }
+ *   (in create mode, the fields a new note starts with)
+ * - onSave: (notePayload) => void; the payload has dueAt and reminder only when they were changed
  * - onCancel: () => void
+ * - contentView?: 'edit' | 'split' | 'preview' (initial content layout)
+ * - onContentViewChange?: (view) => void
+ * - notebooks?: Array (see utils/notebooks)
+ * - autosave?: boolean
+ * - onAutosaveChange?: (on: boolean) => void (shows the Autosave switch)
+ * - onAutosave?: (notePayload) => void (edit mode with autosave on)
+ * - variant?: 'modal' | 'pane'
+ * - notificationPermission?: string (see hooks/useReminders) explains how reminders show up
+ * - linkTitles?: string[] titles of the other notes, suggested after typing `[[` in the content
+ *   (Arrow keys pick one, Enter or Tab inserts it, Escape closes the suggestions)
+ * - onAttachFiles?: (files: File[]) => Promise<Array<{id, name, type}>> stores files (see hooks/useAttachments)
+ * - resolveAttachment?: (id: string) => {url, name, type}|null shows attached files in the preview
+ * - initialCaret?: number|null where typing starts in the content when it opens (e.g. a
+ *   template's {{cursor}}, see utils/templates); otherwise the title is focused
  */
 export function NoteEditor({
   isOpen = false,
@@ -21,31 +92,167 @@ export function NoteEditor({
   initialNote = { title: '', content: '', tags: [] },
   onSave,
   onCancel,
+  contentView = 'edit',
+  onContentViewChange,
+  notebooks = [],
+  autosave = false,
+  onAutosaveChange,
+  onAutosave,
+  variant = 'modal',
+  notificationPermission,
+  linkTitles = [],
+  onAttachFiles,
+  resolveAttachment = null,
+  initialCaret = null,
 }) {
   const [title, setTitle] = useState('');
   const [content, setContent] = useState('');
   const [tags, setTags] = useState([]);
   const [tagInput, setTagInput] = useState('');
+  const [notebookId, setNotebookId] = useState(INBOX_NOTEBOOK_ID);
+  const [dueAt, setDueAt] = useState(null);
+  const [reminder, setReminder] = useState(null);
+  // What is typed in the due date and reminder fields, and whether it could be read
+  const [whenText, setWhenText] = useState({ due: '', reminder: '' });
+  const [whenInvalid, setWhenInvalid] = useState({ due: false, reminder: false });
   const [error, setError] = useState('');
+  const [view, setView] = useState(contentView);
+  // Field values as last saved: the editor is dirty when it differs from them
+  const [saved, setSaved] = useState(null);
+  const [restoredDraft, setRestoredDraft] = useState(null);
+  const [autosavedAt, setAutosavedAt] = useState(0);
+  const [fullscreen, setFullscreen] = useState(false);
+  // Caret in the content field, the highlighted link suggestion, and a link whose suggestions were dismissed
+  const [caret, setCaret] = useState(null);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
+  const [dismissedLink, setDismissedLink] = useState(null);
+  // Files being stored, and why the last ones could not be
+  const [attaching, setAttaching] = useState(false);
+  const [attachError, setAttachError] = useState('');
 
   const overlayRef = useRef(null);
   const dialogRef = useRef(null);
   const firstFocusableRef = useRef(null);
   const lastFocusableRef = useRef(null);
   const prevActiveElement = useRef(null);
+  const contentRef = useRef(null);
+  const pendingCaretRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const initialCaretRef = useRef(initialCaret);
+  initialCaretRef.current = initialCaret;
+  // Caret to put in the content on opening, once it shows the content it was opened with
+  const focusCaretRef = useRef(null); // { at, content }
+  // Content as of the last render, for inserting files once they are stored
+  const contentValueRef = useRef('');
+  contentValueRef.current = content;
 
   const isEdit = mode === 'edit';
+  const inPane = variant === 'pane';
+  // Focus stays inside the modal, and inside the pane while it fills the screen
+  const trapsFocus = !inPane || fullscreen;
+  const key = draftKey(mode, initialNote?.id);
+  const canAutosave = autosave && isEdit && !!onAutosave;
+  const fields = useMemo(
+    () => ({ title, content, tags, notebookId, dueAt, reminder }),
+    [title, content, tags, notebookId, dueAt, reminder]
+  );
+  const isDirty = !!saved && (!sameDraftFields(fields, saved) || tagInput.trim() !== '');
+  const baseUpdatedAt = isEdit ? initialNote?.updatedAt || 0 : 0;
+
+  // Unsaved changes as of the last render, stored as a draft if the editor goes away
+  // (Back button, switching notes) without Save or Cancel
+  const pendingRef = useRef(null);
+  pendingRef.current = isDirty ? { key, fields: { ...fields, baseUpdatedAt } } : null;
+  const autosaveRef = useRef(null);
+  autosaveRef.current = (values) => onAutosave?.(buildPayload(values));
 
-  // Initialize or reset fields based on mode and initialNote when opened
+  // Initialize or reset fields based on mode and initialNote when opened, restoring a stored draft
   useEffect(() => {
     if (!isOpen) return;
+    const pending = pendingRef.current;
+    if (pending && pending.key !== key) saveDraft(pending.key, pending.fields);
     const base = initialNote || {};
-    setTitle(isEdit ? (base.title || '') : '');
-    setContent(isEdit ? (base.content || '') : '');
-    setTags(Array.isArray(base.tags) ? base.tags : []);
+    const initial = {
+      title: base.title || '',
+      content: base.content || '',
+      tags: normalizeTags(base.tags),
+      notebookId: base.notebookId || INBOX_NOTEBOOK_ID,
+      ...scheduleOf(isEdit ? base : null),
+    };
+    const stored = loadDraft(key);
+    // An older draft without a schedule keeps the note's
+    const draft = stored && { dueAt: initial.dueAt, reminder: initial.reminder, ...stored };
+    const useDraft = draft && !sameDraftFields({ ...draft, tags: normalizeTags(draft.tags) }, initial);
+    if (draft && !useDraft) removeDraft(key);
+    const start = useDraft
+      ? { ...draft, tags: normalizeTags(draft.tags), notebookId: draft.notebookId || initial.notebookId, ...scheduleOf(draft) }
+      : initial;
+    setTitle(start.title);
+    setContent(start.content);
+    setTags(start.tags);
+    setNotebookId(start.notebookId);
+    setDueAt(start.dueAt);
+    setReminder(start.reminder);
+    setWhenText({ due: formatWhen(start.dueAt), reminder: formatWhen(start.reminder?.at) });
+    setWhenInvalid({ due: false, reminder: false });
+    setSaved(initial);
+    setRestoredDraft(useDraft ? { ...draft, noteChanged: isEdit && (base.updatedAt || 0) > draft.baseUpdatedAt } : null);
+    setAutosavedAt(0);
     setTagInput('');
     setError('');
-  }, [isOpen, isEdit, initialNote]);
+    setAttachError('');
+    // A restored draft keeps the caret wherever the user left it
+    const at = initialCaretRef.current;
+    focusCaretRef.current = useDraft || at == null ? null : { at: Math.min(at, start.content.length), content: start.content };
+  }, [isOpen, isEdit, initialNote, key]);
+
+  // Start typing at the initial caret
+  useEffect(() => {
+    const start = focusCaretRef.current;
+    const el = contentRef.current;
+    if (!start || !el || start.content !== content) return;
+    focusCaretRef.current = null;
+    el.focus();
+    el.setSelectionRange(start.at, start.at);
+  }, [content]);
+
+  // Keep a draft of unsaved changes (or autosave them) once typing pauses
+  useEffect(() => {
+    if (!isOpen || !saved) return;
+    const t = window.setTimeout(() => {
+      if (sameDraftFields(fields, saved)) {
+        removeDraft(key);
+      } else if (canAutosave && fields.title.trim()) {
+        autosaveRef.current(fields);
+        setSaved(fields);
+        setAutosavedAt(Date.now());
+        removeDraft(key);
+      } else {
+        saveDraft(key, { ...fields, baseUpdatedAt });
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => window.clearTimeout(t);
+  }, [isOpen, fields, saved, key, canAutosave, baseUpdatedAt]);
+
+  // Store the latest changes if the editor closes without Save or Cancel
+  useEffect(
+    () => () => {
+      if (pendingRef.current) saveDraft(pendingRef.current.key, pendingRef.current.fields);
+    },
+    []
+  );
+
+  // Warn before leaving the page with unsaved changes (they are kept as a draft either way)
+  useEffect(() => {
+    if (!isOpen || !isDirty) return;
+    const onBeforeUnload = (e) => {
+      if (pendingRef.current) saveDraft(pendingRef.current.key, pendingRef.current.fields);
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', onBeforeUnload);
+    return () => window.removeEventListener('beforeunload', onBeforeUnload);
+  }, [isOpen, isDirty]);
 
   // Save previously focused element and focus first field when opened
   useEffect(() => {
@@ -53,7 +260,20 @@ export function NoteEditor({
     prevActiveElement.current = document.activeElement;
     // Defer focus to next tick to ensure elements are mounted
     const t = setTimeout(() => {
-      firstFocusableRef.current?.focus();
+      const start = focusCaretRef.current;
+      const el = contentRef.current;
+      if (start && el) {
+        el.focus();
+        // Otherwise the content has yet to render, and the effect above puts the caret
+        if (el.value === start.content) {
+          focusCaretRef.current = null;
+          el.setSelectionRange(start.at, start.at);
+        }
+      } else if (!el || document.activeElement !== el) {
+        // Unless the caret was put in the content already
+        focusCaretRef.current = null;
+        firstFocusableRef.current?.focus();
+      }
     }, 0);
     return () => {
       clearTimeout(t);
@@ -64,16 +284,112 @@ export function NoteEditor({
     };
   }, [isOpen]);
 
+  // Suggestions for the wiki link being typed
+  const typedLink = caret == null ? null : linkAtCaret(content, caret);
+  const linkQuery = typedLink ? typedLink.query : null;
+  const linkSuggestions = useMemo(() => {
+    if (linkQuery == null) return [];
+    const titles = [...new Set(linkTitles.map((t) => String(t || '').trim()).filter(Boolean))];
+    return fuzzyFilter(titles, linkQuery, (t) => t)
+      .slice(0, MAX_LINK_SUGGESTIONS)
+      .map((r) => r.item);
+  }, [linkQuery, linkTitles]);
+  const showLinkSuggestions = !!typedLink && linkSuggestions.length > 0 && dismissedLink !== typedLink.start;
+  const linkMenuOpenRef = useRef(false);
+  linkMenuOpenRef.current = showLinkSuggestions;
+
+  // Put the caret after an inserted link once the new content has rendered
+  useEffect(() => {
+    const at = pendingCaretRef.current;
+    if (at == null || !contentRef.current) return;
+    pendingCaretRef.current = null;
+    contentRef.current.setSelectionRange(at, at);
+    setCaret(at);
+  }, [content]);
+
+  const insertLink = (title) => {
+    const next = completeLink(content, typedLink.start, caret, title);
+    pendingCaretRef.current = next.caret;
+    setContent(next.text);
+  };
+
+  const handleContentKeyDown = (e) => {
+    if (!showLinkSuggestions) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveSuggestion((i) => (i + step + linkSuggestions.length) % linkSuggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertLink(linkSuggestions[Math.min(activeSuggestion, linkSuggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setDismissedLink(typedLink.start);
+    }
+  };
+
+  // Store files and link them at the caret (or the end of the content)
+  const attachFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!onAttachFiles || files.length === 0) return;
+    const el = contentRef.current;
+    const at = el ? el.selectionEnd : contentValueRef.current.length;
+    setAttaching(true);
+    setAttachError('');
+    onAttachFiles(files).then(
+      (records) => {
+        setAttaching(false);
+        if (!records?.length) return;
+        const current = contentValueRef.current;
+        const next = insertAttachments(current, Math.min(at, current.length), records);
+        pendingCaretRef.current = next.caret;
+        setContent(next.text);
+      },
+      (err) => {
+        setAttaching(false);
+        setAttachError(err?.message || 'The files could not be attached.');
+      }
+    );
+  };
+
+  const attachHandlers = onAttachFiles
+    ? {
+        onPaste: (e) => {
+          const files = e.clipboardData?.files;
+          if (!files || files.length === 0) return;
+          e.preventDefault();
+          attachFiles(files);
+        },
+        onDragOver: (e) => {
+          if (!hasFiles(e.dataTransfer)) return;
+          e.preventDefault();
+          e.dataTransfer.dropEffect = 'copy';
+        },
+        onDrop: (e) => {
+          const files = e.dataTransfer?.files;
+          if (!files || files.length === 0) return;
+          e.preventDefault();
+          attachFiles(files);
+        },
+      }
+    : {};
+
   // Close on ESC key
+  const requestCloseRef = useRef(null);
+  requestCloseRef.current = requestClose;
   useEffect(() => {
     if (!isOpen) return;
     const onKey = (e) => {
+      if (!trapsFocus && !dialogRef.current?.contains(e.target)) return;
+      // Escape first closes the link suggestions (see handleContentKeyDown)
+      if (e.key === 'Escape' && linkMenuOpenRef.current) return;
       if (e.key === 'Escape') {
         e.stopPropagation();
-        onCancel?.();
+        if (fullscreen) setFullscreen(false);
+        else requestCloseRef.current();
       }
       // Focus trap with Tab
-      if (e.key === 'Tab') {
+      if (e.key === 'Tab' && trapsFocus) {
         const focusable = getFocusable(dialogRef.current);
         if (focusable.length === 0) return;
         const first = focusable[0];
@@ -93,7 +409,11 @@ export function NoteEditor({
     };
     document.addEventListener('keydown', onKey, true);
     return () => document.removeEventListener('keydown', onKey, true);
-  }, [isOpen, onCancel]);
+  }, [isOpen, trapsFocus, fullscreen]);
+
+  const notebookRows = useMemo(() => flattenNotebooks(notebooks), [notebooks]);
+  // Notes in a notebook this device does not know are shown in the Inbox, and keep their notebook unless changed
+  const shownNotebookId = resolveNotebookId({ notebookId }, new Map(notebooks.map((b) => [b.id, b])));
 
   const dialogTitle = useMemo(
     () => (isEdit ? 'Edit Note' : 'Create Note'),
@@ -101,14 +421,6 @@ export function NoteEditor({
   );
 
   // Helpers
-  function normalizeTag(t) {
-    return String(t || '')
-      .trim()
-      .replace(/\s+/g, '-')
-      .replace(/,+/g, '')
-      .toLowerCase();
-  }
-
   function addTagFromInput() {
     const raw = tagInput;
     const split = raw.split(',').map(normalizeTag).filter(Boolean);
@@ -136,6 +448,38 @@ export function NoteEditor({
     }
   }
 
+  // Read a typed due date or reminder time; text that cannot be read keeps the last good value
+  function changeWhen(field, text) {
+    setWhenText((prev) => ({ ...prev, [field]: text }));
+    const ts = text.trim() ? parseWhen(text) : null;
+    const invalid = !!text.trim() && ts == null;
+    setWhenInvalid((prev) => ({ ...prev, [field]: invalid }));
+    if (invalid) return;
+    if (field === 'due') setDueAt(ts);
+    else setReminder((prev) => (ts ? { at: ts, repeat: prev?.repeat || 'none' } : null));
+  }
+
+  // Show what was read in the standard form once the field is left
+  function settleWhen(field) {
+    if (whenInvalid[field]) return;
+    setWhenText((prev) => ({ ...prev, [field]: formatWhen(field === 'due' ? dueAt : reminder?.at) }));
+  }
+
+  function buildPayload(values) {
+    // An unchanged schedule is left out, so a reminder that went off meanwhile is not brought back
+    const schedule = sameSchedule(values, saved || {}) ? {} : { dueAt: values.dueAt, reminder: values.reminder };
+    return {
+      ...(isEdit && initialNote?.id ? { id: initialNote.id } : {}),
+      title: values.title.trim(),
+      content: values.content || '',
+      tags: values.tags,
+      ...(notebooks.length ? { notebookId: values.notebookId } : {}),
+      ...schedule,
+      ...(isEdit && initialNote?.createdAt ? { createdAt: initialNote.createdAt } : {}),
+      ...(isEdit ? { updatedAt: Date.now() } : { createdAt: Date.now(), updatedAt: Date.now() }),
+    };
+  }
+
   function handleSave() {
     const t = (title || '').trim();
     if (t.length === 0) {
@@ -143,150 +487,413 @@ export function NoteEditor({
       firstFocusableRef.current?.focus();
       return;
     }
-    const payload = {
-      ...(isEdit && initialNote?.id ? { id: initialNote.id } : {}),
-      title: t,
-      content: content || '',
-      tags: tags,
-      ...(isEdit && initialNote?.createdAt ? { createdAt: initialNote.createdAt } : {}),
-      ...(isEdit ? { updatedAt: Date.now() } : { createdAt: Date.now(), updatedAt: Date.now() }),
-    };
-    onSave?.(payload);
+    if (whenInvalid.due || whenInvalid.reminder) {
+      dialogRef.current?.querySelector(whenInvalid.due ? '#note-due' : '#note-reminder')?.focus();
+      return;
+    }
+    pendingRef.current = null;
+    removeDraft(key);
+    onSave?.(buildPayload(fields));
+  }
+
+  // Close from Cancel, ✖, ESC or an outside click: autosave what is pending,
+  // or confirm before throwing changes away
+  function requestClose() {
+    if (canAutosave && isDirty && title.trim()) {
+      onAutosave(buildPayload(fields));
+    } else if (isDirty && !window.confirm('Discard your unsaved changes to this note?')) {
+      return;
+    }
+    pendingRef.current = null;
+    removeDraft(key);
+    onCancel?.();
+  }
+
+  function discardDraft() {
+    setTitle(saved.title);
+    setContent(saved.content);
+    setTags(saved.tags);
+    setNotebookId(saved.notebookId);
+    setDueAt(saved.dueAt);
+    setReminder(saved.reminder);
+    setWhenText({ due: formatWhen(saved.dueAt), reminder: formatWhen(saved.reminder?.at) });
+    setWhenInvalid({ due: false, reminder: false });
+    setRestoredDraft(null);
+    removeDraft(key);
+  }
+
+  function changeView(next) {
+    setView(next);
+    onContentViewChange?.(next);
   }
 
   // Overlay click closes
   function onOverlayClick(e) {
     if (e.target === overlayRef.current) {
-      onCancel?.();
+      requestClose();
     }
   }
 
   if (!isOpen) return null;
 
-  return (
+  const labelling = { 'aria-labelledby': 'note-editor-title', 'aria-describedby': 'note-editor-desc' };
+  const form = (
     <div
-      ref={overlayRef}
-      className="modal-overlay"
-      role="dialog"
-      aria-modal="true"
-      aria-labelledby="note-editor-title"
-      aria-describedby="note-editor-desc"
-      onClick={onOverlayClick}
+      ref={dialogRef}
+      className={
+        inPane
+          ? `note-editor-pane card ${fullscreen ? 'note-editor-fullscreen' : ''}`
+          : `modal-content card ${view === 'split' ? 'modal-content-wide' : ''}`
+      }
+      {...(inPane
+        ? { role: fullscreen ? 'dialog' : 'region', 'aria-modal': fullscreen ? 'true' : undefined, ...labelling }
+        : { onClick: (e) => e.stopPropagation() })}
     >
-      <div ref={dialogRef} className="modal-content card" onClick={(e) => e.stopPropagation()}>
-        <div className="modal-header">
-          <h3 id="note-editor-title" className="modal-title">{dialogTitle}</h3>
+      <div className="modal-header">
+        <h3 id="note-editor-title" className="modal-title">{dialogTitle}</h3>
+        {inPane && (
           <button
-            ref={lastFocusableRef}
             type="button"
             className="btn-primary btn-ghost"
-            aria-label="Close editor"
-            onClick={onCancel}
+            aria-pressed={fullscreen ? 'true' : 'false'}
+            title={fullscreen ? 'Leave full screen (Esc)' : 'Write in full screen'}
+            onClick={() => setFullscreen((f) => !f)}
+            style={{ marginLeft: 'auto' }}
           >
-            ✖
+            {fullscreen ? 'Exit full screen' : 'Full screen'}
+          </button>
+        )}
+        <button
+          ref={lastFocusableRef}
+          type="button"
+          className="btn-primary btn-ghost"
+          aria-label="Close editor"
+          onClick={requestClose}
+        >
+          ✖
+        </button>
+      </div>
+
+      <p id="note-editor-desc" className="muted small note-editor-extra" style={{ marginTop: 0 }}>
+        {isEdit ? 'Update your note details.' : 'Fill in details for your new note.'}
+      </p>
+
+      {restoredDraft && (
+        <div className="draft-notice small" role="status">
+          <span>
+            Restored unsaved changes from {new Date(restoredDraft.savedAt).toLocaleString()}.
+            {restoredDraft.noteChanged && ' The note has changed since; saving replaces those changes.'}
+          </span>
+          <button type="button" className="btn-primary btn-ghost" onClick={discardDraft}>
+            Discard draft
           </button>
         </div>
+      )}
 
-        <p id="note-editor-desc" className="muted small" style={{ marginTop: 0 }}>
-          {isEdit ? 'Update your note details.' : 'Fill in details for your new note.'}
-        </p>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          handleSave();
+        }}
+      >
+        {/* Title */}
+        <div className="form-field">
+          <label htmlFor="note-title" className="form-label">
+            Title <span className="required-asterisk" aria-hidden="true">*</span>
+          </label>
+          <input
+            id="note-title"
+            ref={firstFocusableRef}
+            type="text"
+            className={`input ${error ? 'input-error' : ''}`}
+            value={title}
+            onChange={(e) => {
+              setTitle(e.target.value);
+              if (error) setError('');
+            }}
+            aria-invalid={error ? 'true' : 'false'}
+            aria-describedby={error ? 'title-error' : undefined}
+            placeholder="Enter a title"
+          />
+          {error && (
+            <div id="title-error" className="error-text" role="alert">
+              {error}
+            </div>
+          )}
+        </div>
 
-        <form
-          onSubmit={(e) => {
-            e.preventDefault();
-            handleSave();
-          }}
-        >
-          {/* Title */}
-          <div className="form-field">
-            <label htmlFor="note-title" className="form-label">
-              Title <span className="required-asterisk" aria-hidden="true">*</span>
-            </label>
-            <input
-              id="note-title"
-              ref={firstFocusableRef}
-              type="text"
-              className={`input ${error ? 'input-error' : ''}`}
-              value={title}
-              onChange={(e) => {
-                setTitle(e.target.value);
-                if (error) setError('');
-              }}
-              aria-invalid={error ? 'true' : 'false'}
-              aria-describedby={error ? 'title-error' : undefined}
-              placeholder="Enter a title"
-            />
-            {error && (
-              <div id="title-error" className="error-text" role="alert">
-                {error}
+        {/* Notebook */}
+        {notebookRows.length > 0 && (
+          <div className="form-field note-editor-extra">
+            <label htmlFor="note-notebook" className="form-label">Notebook</label>
+            <select
+              id="note-notebook"
+              className="input"
+              value={shownNotebookId}
+              onChange={(e) => setNotebookId(e.target.value)}
+            >
+              {notebookRows.map(({ notebook, depth }) => (
+                <option key={notebook.id} value={notebook.id}>
+                  {`${'\u00a0\u00a0'.repeat(depth)}${notebook.name}`}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Content */}
+        <div className="form-field">
+          <div className="content-field-header">
+            {/* The preview alone has no field to label */}
+            {view !== 'preview' ? (
+              <label htmlFor="note-content" className="form-label">Content</label>
+            ) : (
+              <span className="form-label">Content</span>
+            )}
+            {onAttachFiles && (
+              <>
+                <button
+                  type="button"
+                  className="btn-primary btn-ghost attach-button"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={attaching}
+                >
+                  Attach file
+                </button>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  hidden
+                  onChange={(e) => {
+                    attachFiles(e.target.files);
+                    e.target.value = '';
+                  }}
+                />
+              </>
+            )}
+            <div className="segmented" role="group" aria-label="Editor layout">
+              {CONTENT_VIEWS.map((v) => (
+                <button
+                  key={v.id}
+                  type="button"
+                  className={`segmented-btn ${view === v.id ? 'segmented-btn-active' : ''}`}
+                  aria-pressed={view === v.id ? 'true' : 'false'}
+                  onClick={() => changeView(v.id)}
+                >
+                  {v.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className={`content-panes content-panes-${view}`}>
+            {view !== 'preview' && (
+              <div className="content-input">
+                <textarea
+                  id="note-content"
+                  ref={contentRef}
+                  className="input textarea"
+                  rows={view === 'split' ? 14 : 8}
+                  value={content}
+                  onChange={(e) => {
+                    setContent(e.target.value);
+                    setCaret(e.target.selectionStart);
+                    setActiveSuggestion(0);
+                  }}
+                  onSelect={(e) => setCaret(e.target.selectionStart)}
+                  onBlur={() => setCaret(null)}
+                  onKeyDown={handleContentKeyDown}
+                  {...attachHandlers}
+                  aria-autocomplete="list"
+                  aria-controls={showLinkSuggestions ? 'note-link-suggestions' : undefined}
+                  aria-activedescendant={showLinkSuggestions ? `note-link-suggestion-${activeSuggestion}` : undefined}
+                  placeholder={`Write your note here... Markdown is supported. Type [[ to link to another note.${
+                    onAttachFiles ? ' Paste or drop files to attach them.' : ''
+                  }`}
+                />
+                {showLinkSuggestions && (
+                  <ul id="note-link-suggestions" className="link-suggestions" role="listbox" aria-label="Link to note">
+                    {linkSuggestions.map((title, i) => (
+                      <li
+                        key={title}
+                        id={`note-link-suggestion-${i}`}
+                        role="option"
+                        aria-selected={i === activeSuggestion ? 'true' : 'false'}
+                        className={i === activeSuggestion ? 'link-suggestion-active' : ''}
+                        // Keep the focus (and caret) in the textarea
+                        onMouseDown={(e) => {
+                          e.preventDefault();
+                          insertLink(title);
+                        }}
+                      >
+                        {title}
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
             )}
+            {view !== 'edit' && (
+              <MarkdownPreview source={content} className="content-preview" resolveAttachment={resolveAttachment} />
+            )}
           </div>
+          {attaching && (
+            <div className="muted small" role="status">
+              Attaching…
+            </div>
+          )}
+          {attachError && (
+            <div className="error-text" role="alert">
+              {attachError}
+            </div>
+          )}
+        </div>
 
-          {/* Content */}
+        {/* Tags */}
+        <div className="form-field note-editor-extra">
+          <label htmlFor="note-tags" className="form-label">Tags</label>
+          <div className="tags-input-wrapper" onClick={() => firstTaggable()?.focus()}>
+            <div className="tags-chips">
+              {tags.map((t) => (
+                <span key={t} className="chip chip-small" aria-label={`Tag ${t}`} title={`Tag: ${t}`}>
+                  <span className="chip-hash">#</span>
+                  {t}
+                  <button
+                    type="button"
+                    className="chip-remove btn-ghost"
+                    aria-label={`Remove tag ${t}`}
+                    onClick={() => removeTag(t)}
+                  >
+                    ✖
+                  </button>
+                </span>
+              ))}
+              <input
+                id="note-tags"
+                type="text"
+                className="tags-input"
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+                onKeyDown={handleTagKeyDown}
+                onBlur={addTagFromInput}
+                placeholder="Add tags (comma or Enter)"
+                aria-label="Add tags"
+              />
+            </div>
+          </div>
+          <div className="muted small" aria-hidden="true">
+            Press Enter or comma to add a tag, and use / to nest tags (work/clients). Backspace removes last tag when empty.
+          </div>
+        </div>
+
+        {/* Due date and reminder */}
+        <div className="schedule-fields note-editor-extra">
           <div className="form-field">
-            <label htmlFor="note-content" className="form-label">Content</label>
-            <textarea
-              id="note-content"
-              className="input textarea"
-              rows={8}
-              value={content}
-              onChange={(e) => setContent(e.target.value)}
-              placeholder="Write your note here..."
-            />
+            <label htmlFor="note-due" className="form-label">Due</label>
+            <div className="schedule-row">
+              <input
+                id="note-due"
+                type="text"
+                className={`input ${whenInvalid.due ? 'input-error' : ''}`}
+                value={whenText.due}
+                onChange={(e) => changeWhen('due', e.target.value)}
+                onBlur={() => settleWhen('due')}
+                placeholder="e.g. friday 5pm"
+                aria-invalid={whenInvalid.due ? 'true' : 'false'}
+                aria-describedby="note-due-hint"
+              />
+              {dueAt && (
+                <button type="button" className="btn-primary btn-ghost" aria-label="Clear due date" onClick={() => changeWhen('due', '')}>
+                  ✖
+                </button>
+              )}
+            </div>
+            <div id="note-due-hint" className={whenInvalid.due ? 'error-text' : 'muted small'}>
+              {whenInvalid.due ? 'Try "tomorrow 9am", "next monday" or "nov 2 14:00".' : dueAt ? describeWhen(dueAt) : 'No due date'}
+            </div>
           </div>
 
-          {/* Tags */}
           <div className="form-field">
-            <label htmlFor="note-tags" className="form-label">Tags</label>
-            <div className="tags-input-wrapper" onClick={() => firstTaggable()?.focus()}>
-              <div className="tags-chips">
-                {tags.map((t) => (
-                  <span key={t} className="chip chip-small" aria-label={`Tag ${t}`} title={`Tag: ${t}`}>
-                    <span className="chip-hash">#</span>
-                    {t}
-                    <button
-                      type="button"
-                      className="chip-remove btn-ghost"
-                      aria-label={`Remove tag ${t}`}
-                      onClick={() => removeTag(t)}
-                    >
-                      ✖
-                    </button>
-                  </span>
+            <label htmlFor="note-reminder" className="form-label">Remind me</label>
+            <div className="schedule-row">
+              <input
+                id="note-reminder"
+                type="text"
+                className={`input ${whenInvalid.reminder ? 'input-error' : ''}`}
+                value={whenText.reminder}
+                onChange={(e) => changeWhen('reminder', e.target.value)}
+                onBlur={() => settleWhen('reminder')}
+                placeholder="e.g. in 2 hours"
+                aria-invalid={whenInvalid.reminder ? 'true' : 'false'}
+                aria-describedby="note-reminder-hint"
+              />
+              <select
+                className="input schedule-repeat"
+                aria-label="Repeat reminder"
+                value={reminder?.repeat || 'none'}
+                disabled={!reminder}
+                onChange={(e) => setReminder((prev) => prev && { ...prev, repeat: e.target.value })}
+              >
+                {Object.entries(REPEAT_OPTIONS).map(([id, label]) => (
+                  <option key={id} value={id}>
+                    {label}
+                  </option>
                 ))}
-                <input
-                  id="note-tags"
-                  type="text"
-                  className="tags-input"
-                  value={tagInput}
-                  onChange={(e) => setTagInput(e.target.value)}
-                  onKeyDown={handleTagKeyDown}
-                  onBlur={addTagFromInput}
-                  placeholder="Add tags (comma or Enter)"
-                  aria-label="Add tags"
-                />
-              </div>
+              </select>
             </div>
-            <div className="muted small" aria-hidden="true">
-              Press Enter or comma to add a tag. Backspace removes last tag when empty.
+            <div id="note-reminder-hint" className={whenInvalid.reminder ? 'error-text' : 'muted small'}>
+              {whenInvalid.reminder
+                ? 'Try "tonight", "in 30 minutes" or "2026-11-02 08:00".'
+                : reminder
+                ? `${describeWhen(reminder.at)}${notificationPermission === 'denied' ? ' (notifications are blocked, so it shows in the app)' : ''}`
+                : 'No reminder'}
             </div>
           </div>
+        </div>
 
-          {/* Actions */}
-          <div className="modal-actions">
-            <button type="button" className="btn-primary btn-ghost" onClick={onCancel} aria-label="Cancel">
-              Cancel
-            </button>
-            <button type="submit" className="btn-primary" aria-label="Save note">
-              Save
-            </button>
-          </div>
-        </form>
-      </div>
+        {/* Actions */}
+        <div className="modal-actions">
+          {onAutosaveChange && (
+            <label className="autosave-toggle small">
+              <input type="checkbox" checked={autosave} onChange={(e) => onAutosaveChange(e.target.checked)} />
+              Autosave
+            </label>
+          )}
+          <span className="muted small editor-save-status" role="status">
+            {saveStatus()}
+          </span>
+          <button type="button" className="btn-primary btn-ghost" onClick={requestClose} aria-label="Cancel">
+            Cancel
+          </button>
+          <button type="submit" className="btn-primary" aria-label="Save note">
+            Save
+          </button>
+        </div>
+      </form>
     </div>
   );
 
+  if (inPane) return form;
+
+  return (
+    <div
+      ref={overlayRef}
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      {...labelling}
+      onClick={onOverlayClick}
+    >
+      {form}
+    </div>
+  );
+
+  function saveStatus() {
+    if (canAutosave) return isDirty ? 'Saving…' : autosavedAt ? 'All changes saved' : '';
+    if (autosave && !isEdit) return 'New notes are saved when you press Save';
+    return isDirty ? 'Unsaved changes are kept as a draft' : '';
+  }
+
   function firstTaggable() {
     return dialogRef.current?.querySelector('.tags-input');
   }
@@ -0,0 +1,60 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { NoteEditor } from './NoteEditor';
+import { saveDraft } from '../utils/drafts';
+import { formatWhen } from '../utils/dates';
+
+const DUE = Date.now() + 3 * 24 * 60 * 60 * 1000;
+const REMINDER = { at: DUE - 60 * 60 * 1000, repeat: 'weekly' };
+const NOTE = { id: 'n1', title: 'Plan', content: 'old', tags: [], notebookId: 'inbox', dueAt: DUE, reminder: REMINDER, updatedAt: 10 };
+const TEXT = { title: 'Plan', content: 'changed', tags: [], notebookId: 'inbox', baseUpdatedAt: 10 };
+
+beforeEach(() => window.localStorage.clear());
+
+describe('NoteEditor drafts', () => {
+  test.each([
+    ['a draft with the schedule', { ...TEXT, dueAt: DUE, reminder: REMINDER }],
+    ['a draft stored without one', TEXT],
+  ])("restoring %s keeps the note's due date and reminder", (_, draft) => {
+    saveDraft('n1', draft);
+    const onSave = jest.fn();
+    render(<NoteEditor isOpen mode="edit" variant="pane" initialNote={NOTE} onSave={onSave} onCancel={() => {}} />);
+
+    expect(screen.getByText(/Restored unsaved changes/)).toBeInTheDocument();
+    expect(screen.getByLabelText('Content')).toHaveValue('changed');
+    expect(screen.getByLabelText('Due')).toHaveValue(formatWhen(DUE));
+    expect(screen.getByLabelText('Remind me')).toHaveValue(formatWhen(REMINDER.at));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save note' }));
+    const payload = onSave.mock.calls[0][0];
+    expect(payload.content).toBe('changed');
+    // An unchanged schedule is left out of the payload, so the note keeps it
+    expect(payload).not.toHaveProperty('dueAt');
+    expect(payload).not.toHaveProperty('reminder');
+  });
+
+  test('restores a change to the schedule alone', () => {
+    saveDraft('n1', { ...TEXT, content: 'old', dueAt: null, reminder: REMINDER });
+    const onSave = jest.fn();
+    render(<NoteEditor isOpen mode="edit" variant="pane" initialNote={NOTE} onSave={onSave} onCancel={() => {}} />);
+
+    expect(screen.getByLabelText('Due')).toHaveValue('');
+    fireEvent.click(screen.getByRole('button', { name: 'Save note' }));
+    expect(onSave.mock.calls[0][0]).toMatchObject({ dueAt: null, reminder: REMINDER });
+  });
+});
+
+describe('NoteEditor content views', () => {
+  test('labels the content field only while it is shown', () => {
+    const { container } = render(<NoteEditor isOpen mode="edit" variant="pane" initialNote={NOTE} onSave={() => {}} onCancel={() => {}} />);
+    expect(screen.getByLabelText('Content')).toHaveValue('old');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+    expect(screen.queryByRole('textbox', { name: 'Content' })).not.toBeInTheDocument();
+    expect(container.querySelector('label[for="note-content"]')).toBeNull();
+    expect(screen.getByRole('region', { name: 'Markdown preview' })).toHaveTextContent('old');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Write' }));
+    expect(screen.getByLabelText('Content')).toHaveValue('old');
+  });
+});
@@ -0,0 +1,34 @@
+import React from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * NoteNotFound
+ * Shown in the reading pane when a link points to a note that does not exist.
+ *
+ * Props:
+ * - inTrash: boolean (the note was deleted and is still in the Trash)
+ * - onShowAll: () => void
+ * - onOpenTrash?: () => void
+ */
+export function NoteNotFound({ inTrash = false, onShowAll, onOpenTrash }) {
+  return (
+    <div className="card" role="region" aria-label="Note not found">
+      <h2 style={{ margin: '0 0 6px', fontSize: 16 }}>Note not found</h2>
+      <p className="muted" style={{ marginTop: 0 }}>
+        {inTrash
+          ? 'This note was deleted. It is still in the Trash, where it can be restored.'
+          : 'This link points to a note that does not exist. It may have been deleted for good, or it lives on another device.'}
+      </p>
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button type="button" className="btn-primary" onClick={onShowAll}>
+          Show all notes
+        </button>
+        {inTrash && onOpenTrash && (
+          <button type="button" className="btn-primary btn-ghost" onClick={onOpenTrash}>
+            Open Trash
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+import React, { useMemo } from 'react';
+import { MarkdownPreview } from './MarkdownPreview';
+import { DueBadge } from './DueBadge';
+import { TaskProgress } from './TaskProgress';
+import { tagColor } from '../utils/tags';
+import { completedToBottom, taskProgress } from '../utils/tasks';
+import { formatBytes } from '../utils/attachments';
+
+/**
+ * PUBLIC_INTERFACE
+ * NotePane
+ * Reading pane: the selected note rendered in full, with its actions.
+ * Double-clicking the text starts editing it in place. Task items can be ticked,
+ * dragged into a new order or moved with Alt+Arrow Up/Down, without opening the editor.
+ * Below the text, "Linked from" lists the notes with wiki links to this one.
+ *
+ * Props:
+ * - note: Note|null (null shows a hint to pick a note)
+ * - notebookName?: string
+ * - now?: number time due dates are judged at (see DueBadge)
+ * - tagColors?: Object<string, string> tag -> color id (see utils/tags)
+ * - onEdit: (id: string) => void
+ * - onTogglePin?: (id: string, next: boolean) => void
+ * - onShowHistory?: (id: string) => void
+ * - onDelete?: (id: string) => void
+ * - onToggleTask?: (id: string, index: number) => number|void (see MarkdownPreview)
+ * - onMoveTask?: (id: string, from: number, to: number) => number|void
+ * - onShiftTask?: (id: string, index: number, offset: number) => number|void
+ * - onCompletedTasksToBottom?: (id: string) => void
+ * - completedTasksLast?: boolean ticked tasks move below the open ones
+ * - onChangeCompletedTasksLast?: (next: boolean) => void
+ * - resolveWikiLink?: (title: string) => string|null (see MarkdownPreview)
+ * - resolveAttachment?: (id: string) => {url, name, type}|null (see MarkdownPreview)
+ * - storage?: {textBytes, attachmentBytes, attachmentCount} space the note takes (see utils/attachments noteStorage)
+ * - backlinks?: Array<Note> notes linking here (see utils/links)
+ * - onOpenNote?: (id: string) => void
+ * - onBack?: () => void (back to the list when the panes are stacked on small screens)
+ */
+export function NotePane({
+  note,
+  notebookName,
+  now,
+  tagColors,
+  onEdit,
+  onTogglePin,
+  onShowHistory,
+  onDelete,
+  onBack,
+  onToggleTask,
+  onMoveTask,
+  onShiftTask,
+  onCompletedTasksToBottom,
+  completedTasksLast = false,
+  onChangeCompletedTasksLast,
+  resolveWikiLink,
+  resolveAttachment,
+  storage,
+  backlinks = [],
+  onOpenNote,
+}) {
+  const content = note?.content || '';
+  const progress = useMemo(() => taskProgress(content), [content]);
+  const completedSorted = useMemo(() => !progress.done || completedToBottom(content) === content, [content, progress]);
+
+  if (!note) {
+    return (
+      <div className="note-pane note-pane-empty card muted" role="note">
+        Select a note to read it here.
+      </div>
+    );
+  }
+
+  const tags = Array.isArray(note.tags) ? note.tags : [];
+
+  return (
+    <article className="note-pane card" aria-labelledby="note-pane-title">
+      <div className="note-pane-toolbar">
+        {onBack && (
+          <button type="button" className="btn-primary btn-ghost note-pane-back" onClick={onBack}>
+            ← Notes
+          </button>
+        )}
+        <div className="note-pane-actions" role="group" aria-label="Note actions">
+          <button type="button" className="btn-primary" onClick={() => onEdit?.(note.id)}>
+            Edit
+          </button>
+          {onTogglePin && (
+            <button
+              type="button"
+              className="btn-primary btn-ghost"
+              aria-pressed={note.pinned ? 'true' : 'false'}
+              onClick={() => onTogglePin(note.id, !note.pinned)}
+            >
+              {note.pinned ? 'Unpin' : 'Pin'}
+            </button>
+          )}
+          {onShowHistory && (
+            <button type="button" className="btn-primary btn-ghost" onClick={() => onShowHistory(note.id)}>
+              History
+            </button>
+          )}
+          {onDelete && (
+            <button type="button" className="btn-primary btn-ghost" onClick={() => onDelete(note.id)}>
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+
+      <h2 id="note-pane-title" className="note-pane-title">
+        {note.title || 'Untitled'}
+      </h2>
+      <div className="muted small note-pane-meta">
+        {notebookName && <span>{notebookName}</span>}
+        <span>Updated {new Date(note.updatedAt || note.createdAt || 0).toLocaleString()}</span>
+        <DueBadge note={note} now={now} />
+        {storage && (
+          <span title="Space this note takes in this browser">
+            {formatBytes(storage.textBytes)}
+            {storage.attachmentCount > 0 &&
+              ` · ${storage.attachmentCount} file${storage.attachmentCount === 1 ? '' : 's'} (${formatBytes(storage.attachmentBytes)})`}
+          </span>
+        )}
+      </div>
+      {tags.length > 0 && (
+        <div className="note-pane-tags">
+          {tags.map((t) => {
+            const color = tagColor(tagColors, t);
+            return (
+              <span
+                key={t}
+                className={`chip chip-small ${color ? 'chip-colored' : ''}`}
+                style={color ? { '--tag-color': color } : undefined}
+              >
+                <span className="chip-hash">#</span>
+                {t}
+              </span>
+            );
+          })}
+        </div>
+      )}
+
+      {progress.total > 0 && (
+        <div className="note-pane-tasks">
+          <TaskProgress done={progress.done} total={progress.total} />
+          {onCompletedTasksToBottom && (
+            <button
+              type="button"
+              className="btn-primary btn-ghost"
+              disabled={completedSorted}
+              onClick={() => onCompletedTasksToBottom(note.id)}
+            >
+              Move done to bottom
+            </button>
+          )}
+          {onChangeCompletedTasksLast && (
+            <label className="muted small">
+              <input
+                type="checkbox"
+                checked={completedTasksLast}
+                onChange={(e) => onChangeCompletedTasksLast(e.target.checked)}
+              />{' '}
+              Keep done tasks at the bottom
+            </label>
+          )}
+        </div>
+      )}
+
+      {/* Double-clicking a task ticks it (or selects its text) instead of opening the editor */}
+      <div onDoubleClick={(e) => !e.target.closest?.('li[data-task]') && onEdit?.(note.id)}>
+        <MarkdownPreview
+          source={note.content}
+          className="note-pane-body"
+          emptyText="This note is empty."
+          label="Note content"
+          onToggleTask={onToggleTask && ((index) => onToggleTask(note.id, index))}
+          onMoveTask={onMoveTask && ((from, to) => onMoveTask(note.id, from, to))}
+          onShiftTask={onShiftTask && ((index, offset) => onShiftTask(note.id, index, offset))}
+          resolveWikiLink={resolveWikiLink}
+          resolveAttachment={resolveAttachment}
+        />
+      </div>
+
+      {onOpenNote && (
+        <section className="note-pane-backlinks" aria-labelledby="note-pane-backlinks-title">
+          <h3 id="note-pane-backlinks-title" className="sidebar-section-title">
+            Linked from
+          </h3>
+          {backlinks.length === 0 ? (
+            <p className="muted small">No other notes link here. Link to this note with [[{note.title || 'its title'}]].</p>
+          ) : (
+            <ul>
+              {backlinks.map((n) => (
+                <li key={n.id}>
+                  <button type="button" className="link-button" onClick={() => onOpenNote(n.id)}>
+                    {n.title?.trim() || 'Untitled'}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+    </article>
+  );
+}
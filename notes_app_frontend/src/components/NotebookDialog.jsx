@@ -0,0 +1,108 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Modal } from './Modal';
+import { MAX_NOTEBOOK_NAME, canMoveNotebook, flattenNotebooks, normalizeNotebookName } from '../utils/notebooks';
+import { INBOX_NOTEBOOK_ID } from '../constants';
+
+/**
+ * PUBLIC_INTERFACE
+ * NotebookDialog
+ * Creates a notebook, or renames and moves an existing one.
+ *
+ * Props:
+ * - isOpen: boolean
+ * - notebook?: object (edit mode; omitted to create)
+ * - parentId?: string|null (initial parent when creating)
+ * - notebooks: Array
+ * - onSave: ({ name: string, parentId: string|null }) => void
+ * - onClose: () => void
+ */
+export function NotebookDialog({ isOpen = false, notebook = null, parentId = null, notebooks = [], onSave, onClose }) {
+  const [name, setName] = useState('');
+  const [parent, setParent] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setName(notebook?.name || '');
+    setParent((notebook ? notebook.parentId : parentId) || '');
+    setError('');
+  }, [isOpen, notebook, parentId]);
+
+  // Parents the notebook may move under (not itself or anything inside it)
+  const options = useMemo(
+    () => flattenNotebooks(notebooks).filter(({ notebook: b }) => !notebook || canMoveNotebook(notebooks, notebook.id, b.id)),
+    [notebooks, notebook]
+  );
+
+  const isInbox = notebook?.id === INBOX_NOTEBOOK_ID;
+
+  const submit = (e) => {
+    e.preventDefault();
+    const trimmed = normalizeNotebookName(name);
+    if (!trimmed) {
+      setError('Give the notebook a name.');
+      return;
+    }
+    onSave?.({ name: trimmed, parentId: parent || null });
+  };
+
+  return (
+    <Modal
+      id="notebook-dialog"
+      isOpen={isOpen}
+      onClose={onClose}
+      title={notebook ? 'Edit notebook' : 'New notebook'}
+      description={notebook ? 'Rename the notebook or move it into another one.' : 'Notebooks can be nested inside each other.'}
+    >
+      <form onSubmit={submit}>
+        <div className="form-field">
+          <label className="form-label" htmlFor="notebook-name">
+            Name
+          </label>
+          <input
+            id="notebook-name"
+            className={`input ${error ? 'input-error' : ''}`}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={MAX_NOTEBOOK_NAME}
+            aria-invalid={error ? 'true' : 'false'}
+            aria-describedby={error ? 'notebook-name-error' : undefined}
+          />
+          {error && (
+            <div id="notebook-name-error" className="error-text" role="alert">
+              {error}
+            </div>
+          )}
+        </div>
+        <div className="form-field">
+          <label className="form-label" htmlFor="notebook-parent">
+            Inside
+          </label>
+          <select
+            id="notebook-parent"
+            className="input"
+            value={parent}
+            onChange={(e) => setParent(e.target.value)}
+            disabled={isInbox}
+          >
+            <option value="">(top level)</option>
+            {options.map(({ notebook: b, depth }) => (
+              <option key={b.id} value={b.id}>
+                {`${'\u00a0\u00a0'.repeat(depth)}${b.name}`}
+              </option>
+            ))}
+          </select>
+          {isInbox && <div className="muted small">The Inbox always stays at the top level.</div>}
+        </div>
+        <div className="modal-actions">
+          <button type="button" className="btn-primary btn-ghost" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" className="btn-primary">
+            {notebook ? 'Save' : 'Create'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
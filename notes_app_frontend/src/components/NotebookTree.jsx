@@ -0,0 +1,207 @@
+import React, { useRef, useState } from 'react';
+import { DRAG_TYPES } from '../utils/dom';
+import { INBOX_NOTEBOOK_ID } from '../constants';
+
+const hasType = (e, type) => Array.from(e.dataTransfer?.types || []).includes(type);
+
+/**
+ * PUBLIC_INTERFACE
+ * NotebookTree
+ * Nested notebooks with note counts. Notebooks can be dragged onto another
+ * notebook (or the section title, for the top level), and notes dragged from
+ * the list onto a notebook to move them there.
+ *
+ * Props:
+ * - rows: Array<{notebook, depth, hasChildren}> (see utils/notebooks flattenNotebooks)
+ * - counts: Map<string, {own, total}>
+ * - totalCount: number
+ * - selectedId: string|null (null: all notebooks)
+ * - onSelect: (id: string|null) => void
+ * - onCreate: (parentId: string|null) => void
+ * - onEdit: (id: string) => void
+ * - onDelete: (id: string) => void
+ * - canMove: (id: string, parentId: string|null) => boolean
+ * - onMove: (id: string, parentId: string|null) => void
+ * - onMoveNote: (noteId: string, notebookId: string) => void
+ */
+export function NotebookTree({
+  rows = [],
+  counts,
+  totalCount = 0,
+  selectedId = null,
+  onSelect,
+  onCreate,
+  onEdit,
+  onDelete,
+  canMove,
+  onMove,
+  onMoveNote,
+}) {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [dropTarget, setDropTarget] = useState(undefined); // notebook id, null for top level
+  // dataTransfer contents are unreadable during dragover, so remember what is dragged
+  const draggedRef = useRef(null);
+
+  const toggle = (id) =>
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const accepts = (e, targetId) => {
+    if (hasType(e, DRAG_TYPES.note)) return targetId !== null;
+    if (hasType(e, DRAG_TYPES.notebook) && draggedRef.current) return !!canMove?.(draggedRef.current, targetId);
+    return false;
+  };
+
+  const dropProps = (targetId) => ({
+    onDragOver: (e) => {
+      if (!accepts(e, targetId)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      if (dropTarget !== targetId) setDropTarget(targetId);
+    },
+    onDragLeave: () => setDropTarget(undefined),
+    onDrop: (e) => {
+      setDropTarget(undefined);
+      if (!accepts(e, targetId)) return;
+      e.preventDefault();
+      const noteId = e.dataTransfer.getData(DRAG_TYPES.note);
+      if (noteId) onMoveNote?.(noteId, targetId);
+      else if (draggedRef.current) onMove?.(draggedRef.current, targetId);
+      draggedRef.current = null;
+    },
+  });
+
+  // Skip rows inside collapsed notebooks
+  const visible = [];
+  let hiddenBelow = Infinity;
+  for (const row of rows) {
+    if (row.depth > hiddenBelow) continue;
+    hiddenBelow = collapsed.has(row.notebook.id) ? row.depth : Infinity;
+    visible.push(row);
+  }
+
+  return (
+    <div>
+      <div
+        className={`sidebar-section-title sidebar-section-header ${dropTarget === null ? 'notebook-drop-target' : ''}`}
+        {...dropProps(null)}
+      >
+        <span>Notebooks</span>
+        <button
+          type="button"
+          className="sidebar-icon-button"
+          aria-label="New notebook"
+          title="New notebook"
+          onClick={() => onCreate?.(null)}
+        >
+          ＋
+        </button>
+      </div>
+
+      <ul className="notebook-tree" aria-label="Notebooks">
+        <li className="notebook-row">
+          <span className="notebook-toggle-spacer" />
+          <button
+            type="button"
+            className={`notebook-name ${selectedId === null ? 'notebook-name-active' : ''}`}
+            aria-pressed={selectedId === null ? 'true' : 'false'}
+            onClick={() => onSelect?.(null)}
+          >
+            <span className="notebook-label">All notebooks</span>
+            <span className="chip-count" aria-label={`${totalCount} notes`}>
+              {totalCount}
+            </span>
+          </button>
+        </li>
+
+        {visible.map(({ notebook, depth, hasChildren }) => {
+          const { id, name } = notebook;
+          const isInbox = id === INBOX_NOTEBOOK_ID;
+          const isCollapsed = collapsed.has(id);
+          const active = selectedId === id;
+          const count = counts?.get(id)?.total ?? 0;
+          return (
+            <li
+              key={id}
+              className={`notebook-row ${dropTarget === id ? 'notebook-drop-target' : ''}`}
+              style={{ paddingLeft: depth * 14 }}
+              draggable={!isInbox}
+              onDragStart={(e) => {
+                draggedRef.current = id;
+                e.dataTransfer.setData(DRAG_TYPES.notebook, id);
+                e.dataTransfer.effectAllowed = 'move';
+              }}
+              onDragEnd={() => {
+                draggedRef.current = null;
+                setDropTarget(undefined);
+              }}
+              {...dropProps(id)}
+            >
+              {hasChildren ? (
+                <button
+                  type="button"
+                  className="notebook-toggle"
+                  aria-expanded={isCollapsed ? 'false' : 'true'}
+                  aria-label={`${isCollapsed ? 'Expand' : 'Collapse'} ${name}`}
+                  onClick={() => toggle(id)}
+                >
+                  {isCollapsed ? '▸' : '▾'}
+                </button>
+              ) : (
+                <span className="notebook-toggle-spacer" />
+              )}
+              <button
+                type="button"
+                className={`notebook-name ${active ? 'notebook-name-active' : ''}`}
+                aria-pressed={active ? 'true' : 'false'}
+                onClick={() => onSelect?.(id)}
+                title={`Show notes in ${name}`}
+              >
+                <span aria-hidden="true">{isInbox ? '📥' : '📁'}</span>
+                <span className="notebook-label">{name}</span>
+                <span className="chip-count" aria-label={`${count} notes in ${name}`}>
+                  {count}
+                </span>
+              </button>
+              <span className="notebook-actions">
+                <button
+                  type="button"
+                  className="sidebar-icon-button"
+                  aria-label={`New notebook inside ${name}`}
+                  title="New notebook inside"
+                  onClick={() => onCreate?.(id)}
+                >
+                  ＋
+                </button>
+                <button
+                  type="button"
+                  className="sidebar-icon-button"
+                  aria-label={`Rename or move ${name}`}
+                  title="Rename or move"
+                  onClick={() => onEdit?.(id)}
+                >
+                  ✎
+                </button>
+                {!isInbox && (
+                  <button
+                    type="button"
+                    className="sidebar-icon-button"
+                    aria-label={`Delete notebook ${name}`}
+                    title="Delete notebook (its notes move up)"
+                    onClick={() => onDelete?.(id)}
+                  >
+                    🗑
+                  </button>
+                )}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
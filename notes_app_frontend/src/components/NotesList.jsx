@@ -1,80 +1,226 @@
-import React, { useMemo } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { stripMarkdown } from '../utils/markdown';
+import { highlightSegments, makeSnippet } from '../utils/search';
+import { DRAG_TYPES } from '../utils/dom';
+import { tagColor } from '../utils/tags';
+import { rangeBetween } from '../utils/batch';
+import { DEFAULT_LIST_VIEW, groupNotes, layoutRows } from '../utils/listView';
+import { useVirtualList } from '../hooks/useVirtualList';
+import { ListViewControls } from './ListViewControls';
+import { DueBadge } from './DueBadge';
+import { TaskProgress } from './TaskProgress';
+import { parseTasks, taskProgress } from '../utils/tasks';
+import { imageRefs } from '../utils/attachments';
+
+const NO_IDS = new Set();
+// Height of a row before it has been measured, by layout, and the space between rows
+const ROW_ESTIMATES = { list: 130, grid: 180, compact: 46 };
+const CARD_GAP = 10;
+// Narrowest card in the grid layout
+const GRID_CARD_MIN = 220;
+// Open tasks listed on a card
+const CARD_TASKS = 3;
+// Attached images shown as thumbnails on a card
+const CARD_THUMBS = 3;
+
+/** The first row showing a note (a note under several tags is listed once per tag). */
+function rowOfNote(layout, id) {
+  return layout.rows.findIndex((r) => r.cards?.some((c) => c.note.id === id));
+}
+
+/** Text with the search terms wrapped in <mark>. */
+function Highlighted({ text, terms }) {
+  if (!terms.length) return text;
+  return highlightSegments(text, terms).map((seg, i) =>
+    seg.match ? <mark key={i} className="search-hit">{seg.text}</mark> : seg.text
+  );
+}
+
+/** A note's first open tasks, tickable without opening the note. */
+function CardTasks({ note, onToggleTask }) {
+  const tasks = parseTasks(note.content);
+  if (!tasks.length) return null;
+  const done = tasks.filter((t) => t.checked).length;
+  const open = tasks.map((task, index) => ({ ...task, index })).filter((t) => !t.checked);
+  const shown = onToggleTask ? open.slice(0, CARD_TASKS) : [];
+  return (
+    <div className="card-tasks">
+      <TaskProgress done={done} total={tasks.length} />
+      {shown.length > 0 && (
+        // Keys stay with the checkboxes, not the card's shortcuts
+        <ul className="card-task-list" onClick={(e) => e.stopPropagation()} onKeyDown={(e) => e.stopPropagation()}>
+          {shown.map((task) => (
+            <li key={`${task.index}:${task.text}`}>
+              <label>
+                <input type="checkbox" checked={false} onChange={() => onToggleTask(note.id, task.index)} />{' '}
+                {stripMarkdown(task.text) || 'Untitled task'}
+              </label>
+            </li>
+          ))}
+          {open.length > shown.length && <li className="muted">+{open.length - shown.length} more</li>}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/** Thumbnails of a note's first attached images, in a row of fixed height. */
+function CardThumbs({ note, resolveAttachment }) {
+  const images = imageRefs(note.content)
+    .map((id) => resolveAttachment(id))
+    .filter(Boolean)
+    .slice(0, CARD_THUMBS);
+  if (!images.length) return null;
+  return (
+    <div className="card-thumbs" aria-hidden="true">
+      {images.map((image) => (
+        <img key={image.url} src={image.url} alt="" loading="lazy" />
+      ))}
+    </div>
+  );
+}
 
 /**
  * NotesList component to display filtered notes and allow selection/edit.
  *
  * Props:
- * - notes: Array<Note>
+ * - notes: Array<Note> already filtered and ordered (see utils/search)
+ * - highlightTerms?: string[] search terms to highlight in titles and previews
  * - selectedNoteId: string|null
  * - onSelectNote: (id: string) => void
  * - onEditNote: (id: string) => void
- * - onDeleteNote?: (id: string) => void
+ * - onDeleteNote?: (id: string) => void (moves the note to the Trash)
  * - onTogglePin?: (id: string, next: boolean) => void
- * - searchQuery: string
- * - selectedTag: string|null
+ * - onShowHistory?: (id: string) => void (opens the note's revision history)
+ * - tagColors?: Object<string, string> tag -> color id (see utils/tags)
+ * - isSelecting?: boolean cards have checkboxes for batch actions
+ * - checkedIds?: Set<string> notes checked for batch actions
+ * - onChangeChecked?: (ids: Set<string>) => void
+ * - onToggleSelecting?: (next: boolean) => void
+ * - listView?: { sort, direction, group, view } (see utils/listView)
+ * - onChangeListView?: (next: object) => void shows the sort/group/layout pickers
+ * - notebooks?: Array (see utils/notebooks) for grouping by notebook
+ * - now?: number time due dates are judged at (see DueBadge)
+ * - onReorder?: (id: string, targetId: string, after: boolean) => void moves a note in
+ *   the manual order (by dragging, or Alt+Arrow Up/Down)
+ * - onToggleTask?: (id: string, index: number) => void ticks a task (see utils/tasks)
+ * - resolveAttachment?: (id: string) => {url, name, type}|null shows attached images as thumbnails
  *
  * Rendering rules:
- * - Filter by searchQuery (title, content, tags) and selectedTag
- * - Sort pinned desc, then updatedAt desc
- * - Each card shows title, content preview, tags, updated time, actions
- * - Keyboard accessibility: Enter selects/open edit; action buttons have aria-labels
+ * - Notes are shown in the given order, under group headings when grouping
+ * - Layouts: list, grid (as many columns as fit) or compact (one line per note)
+ * - Each card shows title, plain-text content preview (Markdown stripped, centred on the
+ *   first search match), tags, updated time, due date and reminder, task progress and
+ *   the first open tasks (tickable), thumbnails of attached images, actions
+ * - Only the cards in and near view are mounted, so long lists stay fast; each card
+ *   carries its position (aria-posinset/aria-setsize) and the scroll position holds
+ *   while notes change
+ * - Keyboard accessibility: Enter selects/open edit; arrow keys, Home and End move
+ *   between cards; action buttons have aria-labels
+ * - Cards can be dragged onto a notebook in the Sidebar
+ * - The selected card is scrolled into view (e.g. when opened from a link)
+ * - Selecting: a click checks or unchecks a card, Shift+click checks the range from the
+ *   last clicked card, Ctrl/Cmd+A checks every listed note and Escape clears. Ctrl/Cmd+click
+ *   or Shift+click outside select mode starts it.
  */
 export function NotesList({
   notes = [],
+  highlightTerms = [],
   selectedNoteId = null,
   onSelectNote,
   onEditNote,
   onDeleteNote,
   onTogglePin,
-  searchQuery = '',
-  selectedTag = null,
+  onShowHistory,
+  tagColors,
+  isSelecting = false,
+  checkedIds = NO_IDS,
+  onChangeChecked,
+  onToggleSelecting,
+  listView = DEFAULT_LIST_VIEW,
+  onChangeListView,
+  notebooks,
+  onReorder,
+  onToggleTask,
+  resolveAttachment,
+  now,
 }) {
-  // Compute filtered + sorted notes
-  const filteredNotes = useMemo(() => {
-    const q = (searchQuery || '').toLowerCase().trim();
-    const filtered = notes.filter((n) => {
-      const matchesQ =
-        !q ||
-        (n.title || '').toLowerCase().includes(q) ||
-        (n.content || '').toLowerCase().includes(q) ||
-        (Array.isArray(n.tags) ? n.tags.some((t) => String(t).toLowerCase().includes(q)) : false);
-      const matchesTag =
-        selectedTag == null ||
-        (Array.isArray(n.tags) && n.tags.includes(selectedTag));
-      return matchesQ && matchesTag;
-    });
-
-    // Sort: pinned first desc, then by updatedAt desc
-    return filtered.sort((a, b) => {
-      const pinDiff = (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0);
-      if (pinDiff !== 0) return pinDiff;
-      const aTime = Number(a.updatedAt || 0);
-      const bTime = Number(b.updatedAt || 0);
-      return bTime - aTime;
-    });
-  }, [notes, searchQuery, selectedTag]);
-
-  const formatUpdated = (ts) => {
+  const anchorRef = useRef(null);
+  const canSelect = !!onChangeChecked;
+  const { view } = listView;
+  const canReorder = !!onReorder && listView.sort === 'manual' && highlightTerms.length === 0;
+  const [columns, setColumns] = useState(1);
+  // Card a dragged note would be dropped next to: { id, after }
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const groups = useMemo(() => groupNotes(notes, listView, { notebooks }), [notes, listView, notebooks]);
+  const layout = useMemo(
+    () => layoutRows(notes, groups, view === 'grid' ? columns : 1),
+    [notes, groups, view, columns]
+  );
+  const rowKeys = useMemo(() => layout.rows.map((r) => r.key), [layout]);
+  const virtual = useVirtualList({ keys: rowKeys, estimateSize: ROW_ESTIMATES[view] || ROW_ESTIMATES.list, gap: CARD_GAP, overscan: 5 });
+  const { scrollRef, scrollToIndex } = virtual;
+  // Card to focus once it is mounted (after moving with the arrow keys)
+  const focusIndexRef = useRef(null);
+  const layoutRef = useRef(layout);
+  layoutRef.current = layout;
+
+  // The grid gets as many columns as fit the list's width
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el || view !== 'grid') return undefined;
+    const fit = () => setColumns(Math.max(1, Math.floor((el.clientWidth + CARD_GAP) / (GRID_CARD_MIN + CARD_GAP))));
+    fit();
+    window.addEventListener('resize', fit);
+    const observer = window.ResizeObserver ? new window.ResizeObserver(fit) : null;
+    observer?.observe(el);
+    return () => {
+      window.removeEventListener('resize', fit);
+      observer?.disconnect();
+    };
+  }, [view, scrollRef]);
+
+  useEffect(() => {
+    if (!selectedNoteId) return;
+    scrollToIndex(rowOfNote(layoutRef.current, selectedNoteId));
+  }, [selectedNoteId, scrollToIndex]);
+
+  useEffect(() => {
+    const index = focusIndexRef.current;
+    if (index == null) return;
+    const card = scrollRef.current?.querySelector(`[data-index="${index}"]`);
+    if (!card) return;
+    focusIndexRef.current = null;
+    card.focus();
+  });
+
+  const focusCard = (position) => {
+    const target = Math.max(0, Math.min(layout.cardCount - 1, position));
+    focusIndexRef.current = target;
+    scrollToIndex(layout.rowOfPosition[target]);
+    scrollRef.current?.querySelector(`[data-index="${target}"]`)?.focus();
+  };
+
+  const formatUpdated = (ts, prefix = 'Updated') => {
     if (!ts) return 'Never';
     try {
       const d = new Date(ts);
       // e.g., "Updated 2025-01-31 14:05"
-      return `Updated ${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(
+      return `${prefix} ${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(
         d.getDate()
       ).padStart(2, '0')} ${String(d.getHours()).padStart(2, '0')}:${String(
         d.getMinutes()
       ).padStart(2, '0')}`;
     } catch {
-      return 'Updated recently';
+      return `${prefix} recently`;
     }
   };
 
-  const handleDelete = (e, id, title) => {
+  // Deleting moves the note to the Trash and can be undone, so no confirmation
+  const handleDelete = (e, id) => {
     e.stopPropagation();
-    const name = title || 'this note';
-    if (window.confirm(`Delete ${name}? This action cannot be undone.`)) {
-      onDeleteNote?.(id);
-    }
+    onDeleteNote?.(id);
   };
 
   const handleTogglePin = (e, note) => {
@@ -83,137 +229,348 @@ export function NotesList({
     onTogglePin?.(note.id, next);
   };
 
+  // Shift extends from the last clicked card; otherwise the card is toggled
+  const checkNote = (id, extend) => {
+    const next = new Set(checkedIds);
+    if (extend && anchorRef.current) {
+      rangeBetween(
+        layout.rows.flatMap((r) => (r.cards || []).map((c) => c.note.id)),
+        anchorRef.current,
+        id
+      ).forEach((x) => next.add(x));
+    } else if (next.has(id)) next.delete(id);
+    else next.add(id);
+    anchorRef.current = id;
+    if (!isSelecting) onToggleSelecting?.(true);
+    onChangeChecked(next);
+  };
+
+  const handleCardClick = (e, id) => {
+    if (canSelect && (isSelecting || e.shiftKey || e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      checkNote(id, e.shiftKey);
+      return;
+    }
+    onSelectNote?.(id);
+  };
+
+  const handleListKeyDown = (e) => {
+    if (!canSelect) return;
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+      e.preventDefault();
+      if (!isSelecting) onToggleSelecting?.(true);
+      onChangeChecked(new Set(notes.map((n) => n.id)));
+    } else if (e.key === 'Escape' && isSelecting) {
+      e.stopPropagation();
+      anchorRef.current = null;
+      onToggleSelecting?.(false);
+    }
+  };
+
+  // Arrow keys move through the cards (by rows in the grid); with the manual sort,
+  // Alt+Arrow Up/Down moves the note itself
+  const handleCardKeyDown = (e, n, position) => {
+    if (e.key === 'Enter') onSelectNote?.(n.id);
+    if (e.key.toLowerCase() === 'e') onEditNote?.(n.id);
+    if (e.target !== e.currentTarget) return;
+    if (e.key === ' ' && isSelecting) {
+      e.preventDefault();
+      checkNote(n.id, e.shiftKey);
+      return;
+    }
+    if (e.altKey && canReorder && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      e.preventDefault();
+      const index = notes.indexOf(n);
+      const neighbour = notes[index + (e.key === 'ArrowUp' ? -1 : 1)];
+      if (neighbour) onReorder(n.id, neighbour.id, e.key === 'ArrowDown');
+      return;
+    }
+    const step = view === 'grid' ? columns : 1;
+    const move = {
+      ArrowDown: position + step,
+      ArrowUp: position - step,
+      ...(view === 'grid' ? { ArrowRight: position + 1, ArrowLeft: position - 1 } : {}),
+      Home: 0,
+      End: layout.cardCount - 1,
+    }[e.key];
+    if (move != null) {
+      e.preventDefault();
+      focusCard(move);
+    }
+  };
+
+  const dropProps = (n) =>
+    canReorder
+      ? {
+          onDragOver: (e) => {
+            if (!e.dataTransfer.types.includes(DRAG_TYPES.note)) return;
+            e.preventDefault();
+            const rect = e.currentTarget.getBoundingClientRect();
+            const after = view === 'grid' ? e.clientX > rect.left + rect.width / 2 : e.clientY > rect.top + rect.height / 2;
+            if (dropTarget?.id !== n.id || dropTarget.after !== after) setDropTarget({ id: n.id, after });
+          },
+          onDragLeave: () => setDropTarget(null),
+          onDrop: (e) => {
+            const id = e.dataTransfer.getData(DRAG_TYPES.note);
+            const after = dropTarget?.id === n.id ? dropTarget.after : false;
+            setDropTarget(null);
+            if (!id || id === n.id) return;
+            e.preventDefault();
+            onReorder(id, n.id, after);
+          },
+        }
+      : {};
+
+  const visibleChecked = isSelecting ? notes.filter((n) => checkedIds.has(n.id)).length : 0;
+  const allChecked = notes.length > 0 && visibleChecked === notes.length;
+
+  const renderCard = (n, position, rowKey) => {
+    const isSelected = selectedNoteId === n.id;
+    const isCompact = view === 'compact';
+    const preview = isCompact ? '' : makeSnippet(stripMarkdown(n.content), highlightTerms, view === 'grid' ? 110 : 140);
+    const pinLabel = n.pinned ? 'Unpin note' : 'Pin note';
+    const isChecked = isSelecting && checkedIds.has(n.id);
+    const drop = dropTarget?.id === n.id ? (dropTarget.after ? 'after' : 'before') : null;
+    const dropEdge = { before: view === 'grid' ? '-3px 0' : '0 -3px', after: view === 'grid' ? '3px 0' : '0 3px' }[drop];
+    const columnsFor = isSelecting ? 'auto 1fr auto' : '1fr auto';
+
+    return (
+      <article
+        key={rowKey || n.id}
+        role="listitem"
+        aria-selected={isSelected ? 'true' : 'false'}
+        aria-posinset={position + 1}
+        aria-setsize={layout.cardCount}
+        {...(rowKey ? { 'data-virtual-key': rowKey } : {})}
+        data-index={position}
+        className={`note-card note-card-${view} ${isSelected ? 'note-card-active' : ''} ${isChecked ? 'note-card-checked' : ''}`}
+        tabIndex={0}
+        draggable
+        onDragStart={(e) => {
+          e.dataTransfer.setData(DRAG_TYPES.note, n.id);
+          e.dataTransfer.effectAllowed = 'move';
+        }}
+        onDragEnd={() => setDropTarget(null)}
+        {...dropProps(n)}
+        onClick={(e) => handleCardClick(e, n.id)}
+        onKeyDown={(e) => handleCardKeyDown(e, n, position)}
+        style={{
+          display: 'grid',
+          gridTemplateColumns: view === 'grid' ? (isSelecting ? 'auto 1fr' : '1fr') : columnsFor,
+          gap: isCompact ? 6 : 8,
+          padding: isCompact ? '6px 10px' : 12,
+          borderRadius: isCompact ? 8 : 12,
+          border: `1px solid ${isChecked ? 'var(--color-primary)' : 'var(--border)'}`,
+          background: isChecked ? 'var(--ring)' : 'var(--surface)',
+          boxShadow: dropEdge ? `${dropEdge} 0 var(--color-primary)` : 'var(--shadow)',
+          outline: 'none',
+        }}
+      >
+        {isSelecting && (
+          <input
+            type="checkbox"
+            className="note-check"
+            aria-label={`Select ${n.title?.trim() || 'untitled note'}`}
+            checked={isChecked}
+            onClick={(e) => {
+              e.stopPropagation();
+              e.preventDefault();
+              checkNote(n.id, e.shiftKey);
+            }}
+            onChange={() => {}}
+          />
+        )}
+
+        {/* Left content: title, preview, tags, meta */}
+        <div style={isCompact ? { display: 'flex', alignItems: 'center', gap: 8, minWidth: 0 } : { minWidth: 0 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, minWidth: 0 }}>
+            {n.pinned && <span aria-label="Pinned" title="Pinned">📌</span>}
+            <h3
+              style={{ margin: 0, fontSize: isCompact ? 14 : 15, lineHeight: 1.3 }}
+              className="note-title"
+            >
+              {n.title?.trim() ? <Highlighted text={n.title.trim()} terms={highlightTerms} /> : '(Untitled)'}
+            </h3>
+          </div>
+
+          {preview && (
+            <p className="note-preview muted" style={{ margin: '6px 0 8px', fontSize: 13 }}>
+              <Highlighted text={preview} terms={highlightTerms} />
+            </p>
+          )}
+
+          {!isCompact && resolveAttachment && <CardThumbs note={n} resolveAttachment={resolveAttachment} />}
+
+          {!isCompact && <CardTasks note={n} onToggleTask={onToggleTask} />}
+
+          {/* Tags */}
+          {!isCompact && (
+            <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+              {(Array.isArray(n.tags) ? n.tags : []).map((t) => {
+                const color = tagColor(tagColors, t);
+                return (
+                  <span
+                    key={String(t)}
+                    className={`chip chip-small ${color ? 'chip-colored' : ''}`}
+                    style={color ? { '--tag-color': color } : undefined}
+                    aria-label={`Tag ${t}`}
+                    title={`Tag: ${t}`}
+                  >
+                    <span className="chip-hash">#</span>
+                    {String(t)}
+                  </span>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Meta */}
+          <div className="muted small note-meta" style={isCompact ? { marginLeft: 'auto', whiteSpace: 'nowrap' } : { marginTop: 6 }}>
+            {listView.sort === 'created' ? formatUpdated(n.createdAt, 'Created') : formatUpdated(n.updatedAt)}
+            <DueBadge note={n} now={now} />
+            {isCompact && <TaskProgress {...taskProgress(n.content)} />}
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div
+          className="note-actions"
+          aria-label="Note actions"
+          style={{
+            display: 'flex',
+            alignItems: 'flex-start',
+            gap: 6,
+            marginLeft: view === 'grid' ? 0 : 8,
+          }}
+          onClick={(e) => e.stopPropagation()}
+        >
+          <button
+            type="button"
+            className="btn-primary btn-ghost"
+            onClick={(e) => handleTogglePin(e, n)}
+            aria-label={pinLabel}
+            title={pinLabel}
+          >
+            {n.pinned ? '📌' : '📍'}
+          </button>
+
+          <button
+            type="button"
+            className="btn-primary btn-ghost"
+            onClick={(e) => {
+              e.stopPropagation();
+              onEditNote?.(n.id);
+            }}
+            aria-label="Edit note"
+            title="Edit"
+          >
+            ✏️
+          </button>
+
+          {onShowHistory && (
+            <button
+              type="button"
+              className="btn-primary btn-ghost"
+              onClick={(e) => {
+                e.stopPropagation();
+                onShowHistory(n.id);
+              }}
+              aria-label="Show note history"
+              title="History"
+            >
+              🕘
+            </button>
+          )}
+
+          <button
+            type="button"
+            className="btn-primary btn-danger"
+            onClick={(e) => handleDelete(e, n.id)}
+            aria-label="Delete note"
+            title="Move to Trash"
+          >
+            🗑️
+          </button>
+        </div>
+      </article>
+    );
+  };
+
   return (
-    <div className="card" role="region" aria-label="Notes list">
-      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 8 }}>
+    <div className="card" role="region" aria-label="Notes list" onKeyDown={handleListKeyDown}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+        {isSelecting && (
+          <input
+            type="checkbox"
+            aria-label="Select all listed notes"
+            checked={allChecked}
+            ref={(el) => {
+              if (el) el.indeterminate = visibleChecked > 0 && !allChecked;
+            }}
+            onChange={() => onChangeChecked(allChecked ? new Set() : new Set(notes.map((n) => n.id)))}
+          />
+        )}
         <h2 style={{ margin: 0, fontSize: 16 }}>Notes</h2>
         <span className="muted small" style={{ marginLeft: 'auto' }}>
-          {filteredNotes.length} item{filteredNotes.length === 1 ? '' : 's'}
+          {notes.length} item{notes.length === 1 ? '' : 's'}
         </span>
+        {canSelect && (
+          <button
+            type="button"
+            className="btn-primary btn-ghost"
+            aria-pressed={isSelecting}
+            onClick={() => {
+              anchorRef.current = null;
+              onToggleSelecting?.(!isSelecting);
+            }}
+          >
+            {isSelecting ? 'Done' : 'Select'}
+          </button>
+        )}
       </div>
 
-      <div role="list" aria-label="Filtered notes" style={{ display: 'grid', gap: 10 }}>
-        {filteredNotes.length === 0 && (
+      {onChangeListView && (
+        <ListViewControls listView={listView} onChange={onChangeListView} isSearching={highlightTerms.length > 0} />
+      )}
+
+      <div
+        ref={scrollRef}
+        onScroll={virtual.onScroll}
+        role="list"
+        aria-label="Filtered notes"
+        className={`notes-scroll notes-${view} ${isSelecting ? 'notes-selecting' : ''}`}
+        style={{
+          display: 'grid',
+          gap: CARD_GAP,
+          paddingTop: virtual.paddingTop,
+          paddingBottom: virtual.paddingBottom,
+        }}
+      >
+        {notes.length === 0 && (
           <div className="muted" role="note">
             No notes match your filters.
           </div>
         )}
 
-        {filteredNotes.map((n) => {
-          const isSelected = selectedNoteId === n.id;
-          const preview = (n.content || '').trim().replace(/\s+/g, ' ').slice(0, 140);
-          const pinLabel = n.pinned ? 'Unpin note' : 'Pin note';
-
+        {layout.rows.slice(virtual.start, virtual.end).map((row) => {
+          if (row.group) {
+            return (
+              <div key={row.key} data-virtual-key={row.key} role="presentation" className="notes-group-heading">
+                <h3>{row.group.label}</h3>
+                <span className="muted small">{row.group.count}</span>
+              </div>
+            );
+          }
+          if (view !== 'grid') return renderCard(row.cards[0].note, row.cards[0].position, row.key);
           return (
-            <article
-              key={n.id}
-              role="listitem"
-              aria-selected={isSelected ? 'true' : 'false'}
-              className={`note-card ${isSelected ? 'note-card-active' : ''}`}
-              tabIndex={0}
-              onClick={() => onSelectNote?.(n.id)}
-              onKeyDown={(e) => {
-                if (e.key === 'Enter') onSelectNote?.(n.id);
-                if (e.key.toLowerCase() === 'e') onEditNote?.(n.id);
-              }}
-              style={{
-                display: 'grid',
-                gridTemplateColumns: '1fr auto',
-                gap: 8,
-                padding: 12,
-                borderRadius: 12,
-                border: '1px solid var(--border)',
-                background: 'var(--surface)',
-                boxShadow: 'var(--shadow)',
-                outline: 'none',
-              }}
+            <div
+              key={row.key}
+              data-virtual-key={row.key}
+              role="presentation"
+              style={{ display: 'grid', gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`, gap: CARD_GAP }}
             >
-              {/* Left content: title, preview, tags, meta */}
-              <div>
-                <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
-                  {n.pinned && <span aria-label="Pinned" title="Pinned">📌</span>}
-                  <h3
-                    style={{ margin: 0, fontSize: 15, lineHeight: 1.3 }}
-                    className="note-title"
-                  >
-                    {n.title?.trim() || '(Untitled)'}
-                  </h3>
-                </div>
-
-                {preview && (
-                  <p className="note-preview muted" style={{ margin: '6px 0 8px', fontSize: 13 }}>
-                    {preview}
-                    {n.content && n.content.length > preview.length ? '…' : ''}
-                  </p>
-                )}
-
-                {/* Tags */}
-                <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
-                  {(Array.isArray(n.tags) ? n.tags : []).map((t) => (
-                    <span
-                      key={String(t)}
-                      className="chip chip-small"
-                      aria-label={`Tag ${t}`}
-                      title={`Tag: ${t}`}
-                    >
-                      <span className="chip-hash">#</span>
-                      {String(t)}
-                    </span>
-                  ))}
-                </div>
-
-                {/* Meta */}
-                <div className="muted small" style={{ marginTop: 6 }}>
-                  {formatUpdated(n.updatedAt)}
-                </div>
-              </div>
-
-              {/* Actions */}
-              <div
-                className="note-actions"
-                aria-label="Note actions"
-                style={{
-                  display: 'flex',
-                  alignItems: 'flex-start',
-                  gap: 6,
-                  marginLeft: 8,
-                }}
-                onClick={(e) => e.stopPropagation()}
-              >
-                <button
-                  type="button"
-                  className="btn-primary btn-ghost"
-                  onClick={(e) => handleTogglePin(e, n)}
-                  aria-label={pinLabel}
-                  title={pinLabel}
-                >
-                  {n.pinned ? '📌' : '📍'}
-                </button>
-
-                <button
-                  type="button"
-                  className="btn-primary btn-ghost"
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    onEditNote?.(n.id);
-                  }}
-                  aria-label="Edit note"
-                  title="Edit"
-                >
-                  ✏️
-                </button>
-
-                <button
-                  type="button"
-                  className="btn-primary btn-danger"
-                  onClick={(e) => handleDelete(e, n.id, n.title)}
-                  aria-label="Delete note"
-                  title="Delete"
-                >
-                  🗑️
-                </button>
-              </div>
-            </article>
+              {row.cards.map(({ note, position }) => renderCard(note, position))}
+            </div>
           );
         })}
       </div>
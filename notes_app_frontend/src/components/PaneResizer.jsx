@@ -0,0 +1,73 @@
+import React, { useRef } from 'react';
+
+const KEY_STEP = 16;
+
+/**
+ * PUBLIC_INTERFACE
+ * PaneResizer
+ * Vertical splitter between two panes. Drag it, or focus it and use the arrow keys
+ * (Home/End for the narrowest and widest), to change the width of the pane on its left.
+ *
+ * Props:
+ * - label: string (accessible name, e.g. "Resize notes list")
+ * - value: number current width in px
+ * - min: number
+ * - max: number
+ * - onChange: (width: number) => void while dragging
+ * - onCommit: (width: number) => void when a drag ends or a key is pressed
+ */
+export function PaneResizer({ label, value, min, max, onChange, onCommit }) {
+  const dragRef = useRef(null);
+  const clamp = (w) => Math.round(Math.min(max, Math.max(min, w)));
+
+  const onPointerDown = (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    dragRef.current = { x: e.clientX, width: value, last: value };
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+  };
+
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    drag.last = clamp(drag.width + e.clientX - drag.x);
+    onChange?.(drag.last);
+  };
+
+  const onPointerUp = () => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    dragRef.current = null;
+    onCommit?.(drag.last);
+  };
+
+  const onKeyDown = (e) => {
+    const next = {
+      ArrowLeft: value - KEY_STEP,
+      ArrowRight: value + KEY_STEP,
+      Home: min,
+      End: max,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    onCommit?.(clamp(next));
+  };
+
+  return (
+    <div
+      className="pane-resizer"
+      role="separator"
+      aria-orientation="vertical"
+      aria-label={label}
+      aria-valuenow={value}
+      aria-valuemin={min}
+      aria-valuemax={max}
+      tabIndex={0}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+      onPointerCancel={onPointerUp}
+      onKeyDown={onKeyDown}
+    />
+  );
+}
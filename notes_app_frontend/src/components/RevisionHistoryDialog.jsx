@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { Modal } from './Modal';
+import { DiffView } from './DiffView';
+
+function formatTime(ts) {
+  if (!ts) return 'Unknown time';
+  return new Date(ts).toLocaleString();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * RevisionHistoryDialog
+ * Lists a note's saved revisions, shows a line-level diff between any two of them
+ * and restores a chosen revision as the current version.
+ *
+ * Props:
+ * - isOpen: boolean
+ * - note: Note|null
+ * - revisions: Array<{ id, at, title, content, tags, isCurrent? }> (oldest first, last is current)
+ * - onRestore: (revision) => void
+ * - onClose: () => void
+ */
+export function RevisionHistoryDialog({ isOpen = false, note = null, revisions = [], onRestore, onClose }) {
+  // Default: compare the current version against the one before it.
+  // The parent keys this dialog by note id, so the defaults apply per note.
+  const [toId, setToId] = useState(() => revisions[revisions.length - 1]?.id ?? null);
+  const [fromId, setFromId] = useState(
+    () => (revisions[revisions.length - 2] || revisions[revisions.length - 1])?.id ?? null
+  );
+
+  const from = revisions.find((r) => r.id === fromId) || null;
+  const to = revisions.find((r) => r.id === toId) || null;
+
+  const selectRevision = (index) => {
+    setToId(revisions[index].id);
+    setFromId((revisions[index - 1] || revisions[index]).id);
+  };
+
+  const newestFirst = revisions.map((rev, index) => ({ rev, index })).reverse();
+
+  return (
+    <Modal
+      id="revision-history"
+      isOpen={isOpen && !!note}
+      onClose={onClose}
+      wide
+      title={`History: ${note?.title?.trim() || '(Untitled)'}`}
+      description={`${revisions.length} saved version${revisions.length === 1 ? '' : 's'}. Pick a version to compare and restore.`}
+    >
+      <div className="history-layout">
+        <ol className="history-list" aria-label="Revisions">
+          {newestFirst.map(({ rev, index }) => (
+            <li key={rev.id}>
+              <button
+                type="button"
+                className={`history-item ${rev.id === toId ? 'history-item-active' : ''}`}
+                aria-pressed={rev.id === toId ? 'true' : 'false'}
+                onClick={() => selectRevision(index)}
+              >
+                <span>{formatTime(rev.at)}</span>
+                {rev.isCurrent && <span className="chip chip-small">Current</span>}
+              </button>
+            </li>
+          ))}
+        </ol>
+
+        <div className="history-diff">
+          <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', alignItems: 'center', marginBottom: 8 }}>
+            {[
+              ['From', fromId, setFromId],
+              ['To', toId, setToId],
+            ].map(([label, value, setter]) => (
+              <label key={label} className="small">
+                {label}{' '}
+                <select
+                  className="input"
+                  style={{ width: 'auto', padding: '4px 8px' }}
+                  value={value || ''}
+                  onChange={(e) => setter(e.target.value)}
+                >
+                  {newestFirst.map(({ rev }) => (
+                    <option key={rev.id} value={rev.id}>
+                      {formatTime(rev.at)}
+                      {rev.isCurrent ? ' (current)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {from && to && from.title !== to.title && (
+            <div className="small" style={{ marginBottom: 6 }}>
+              Title: <del>{from.title || '(Untitled)'}</del> → <strong>{to.title || '(Untitled)'}</strong>
+            </div>
+          )}
+          {from && to && from.tags.join(',') !== to.tags.join(',') && (
+            <div className="small" style={{ marginBottom: 6 }}>
+              Tags: <del>{from.tags.map((t) => `#${t}`).join(' ') || 'none'}</del> →{' '}
+              <strong>{to.tags.map((t) => `#${t}`).join(' ') || 'none'}</strong>
+            </div>
+          )}
+
+          {from && to && <DiffView oldText={from.content} newText={to.content} />}
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              className="btn-primary"
+              disabled={!to || to.isCurrent}
+              onClick={() => to && onRestore?.(to)}
+            >
+              Restore this version
+            </button>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+}
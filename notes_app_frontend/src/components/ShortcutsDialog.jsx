@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react';
+import { Modal } from './Modal';
+import {
+  FIXED_SHORTCUTS,
+  SHORTCUTS,
+  eventToCombo,
+  formatCombo,
+  shortcutConflict,
+} from '../utils/shortcuts';
+
+/**
+ * PUBLIC_INTERFACE
+ * ShortcutsDialog
+ * Lists every keyboard shortcut and lets the rebindable ones be changed:
+ * press "Change", then the new keys (Esc cancels).
+ *
+ * Props:
+ * - isOpen: boolean
+ * - onClose: () => void
+ * - shortcuts: Object<string, string> id -> combo (see utils/shortcuts resolveShortcuts)
+ * - onChange: (id: string, combo: string) => void
+ * - onReset: () => void (back to the default keys)
+ */
+export function ShortcutsDialog({ isOpen = false, onClose, shortcuts, onChange, onReset }) {
+  const [recording, setRecording] = useState(null); // id of the shortcut waiting for keys
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setRecording(null);
+    setError('');
+  }, [isOpen]);
+
+  const record = (id, e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      setRecording(null);
+      setError('');
+      return;
+    }
+    const combo = eventToCombo(e);
+    if (!combo) return; // still holding modifiers
+    const taken = shortcutConflict(shortcuts, id, combo);
+    if (taken) {
+      setError(`${formatCombo(combo)} is already used for "${taken}".`);
+      return;
+    }
+    onChange?.(id, combo);
+    setRecording(null);
+    setError('');
+  };
+
+  return (
+    <Modal
+      id="shortcuts"
+      isOpen={isOpen}
+      onClose={recording ? undefined : onClose}
+      title="Keyboard shortcuts"
+      description="Single-key shortcuts work when you are not typing in a field."
+    >
+      <table className="shortcuts-table">
+        <tbody>
+          {SHORTCUTS.map(({ id, label }) => (
+            <tr key={id}>
+              <td>{label}</td>
+              <td>
+                <kbd className="kbd">{formatCombo(shortcuts[id])}</kbd>
+              </td>
+              <td>
+                <button
+                  type="button"
+                  className="btn-primary btn-ghost"
+                  aria-label={recording === id ? `Press the new keys for ${label}` : `Change shortcut for ${label}`}
+                  onClick={() => {
+                    setRecording(recording === id ? null : id);
+                    setError('');
+                  }}
+                  onKeyDown={recording === id ? (e) => record(id, e) : undefined}
+                  onBlur={() => recording === id && setRecording(null)}
+                >
+                  {recording === id ? 'Press keys…' : 'Change'}
+                </button>
+              </td>
+            </tr>
+          ))}
+          {FIXED_SHORTCUTS.map(({ combo, label }) => (
+            <tr key={combo}>
+              <td>{label}</td>
+              <td>
+                <kbd className="kbd">{formatCombo(combo)}</kbd>
+              </td>
+              <td />
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {error && (
+        <div className="error-text" role="alert">
+          {error}
+        </div>
+      )}
+      <div className="modal-actions">
+        <button type="button" className="btn-primary btn-ghost" onClick={onReset}>
+          Reset to defaults
+        </button>
+        <button type="button" className="btn-primary" onClick={onClose}>
+          Done
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -1,43 +1,117 @@
 import React, { useMemo } from 'react';
+import { NotebookTree } from './NotebookTree';
+import { canMoveNotebook, flattenNotebooks, notebookCounts } from '../utils/notebooks';
+import { tagColor, tagTree } from '../utils/tags';
+import { EMPTY_TAG_FILTER, toggleTagFilter } from '../utils/filters';
+import { dueStatus } from '../utils/reminders';
+import { taskProgress } from '../utils/tasks';
+
+// Alt/Option-, Ctrl- or Cmd-click on a tag excludes it instead of including it
+const isExcludeClick = (e) => e.altKey || e.ctrlKey || e.metaKey;
 
 /**
- * Sidebar component listing tags and filter controls with accessible chip buttons.
+ * Sidebar component listing notebooks, tags and filter controls with accessible chip buttons.
  *
  * Props:
  * - notes: Array<Note>
- * - selectedTag: string|null
- * - onSelectTag: (tag: string) => void
+ * - tagFilter: { include: string[], exclude: string[], mode: 'all'|'any' } (see utils/filters;
+ *   a parent tag includes its nested tags)
+ * - onChangeTagFilter: (next) => void
  * - onClearTag: () => void
  * - showPinned?: boolean
  * - onTogglePinned?: (next: boolean) => void
+ * - dueFilter?: 'upcoming'|'overdue'|null
+ * - onChangeDueFilter?: (next: 'upcoming'|'overdue'|null) => void (shows the Upcoming and Overdue filters)
+ * - now?: number time due dates are judged at
+ * - showOpenTasks?: boolean
+ * - onToggleOpenTasks?: (next: boolean) => void (shows the Open tasks filter)
+ * - brokenLinkCount?: number notes with links to missing notes
+ * - onShowBrokenLinks?: () => void (shows the Broken links button while the count is above 0)
+ * - trashCount?: number
+ * - isTrashActive?: boolean
+ * - onOpenTrash?: () => void
+ * - notebooks?: Array (omit to hide the notebook tree)
+ * - selectedNotebookId?: string|null
+ * - onSelectNotebook?: (id: string|null) => void
+ * - onCreateNotebook?: (parentId: string|null) => void
+ * - onEditNotebook?: (id: string) => void
+ * - onDeleteNotebook?: (id: string) => void
+ * - onMoveNotebook?: (id: string, parentId: string|null) => void
+ * - onMoveNote?: (noteId: string, notebookId: string) => void
+ * - tagColors?: Object<string, string> tag -> color id (see utils/tags)
+ * - onManageTags?: () => void
+ * - smartFolders?: Array<{id, name}> saved searches (omit to hide the section)
+ * - activeSmartFolderId?: string|null
+ * - onApplySmartFolder?: (folder) => void
+ * - onSaveSearch?: () => void (undefined while there is nothing to save)
+ * - onDeleteSmartFolder?: (id: string) => void
  */
 export function Sidebar({
   notes = [],
-  selectedTag = null,
-  onSelectTag,
+  tagFilter = EMPTY_TAG_FILTER,
+  onChangeTagFilter,
   onClearTag,
   showPinned,
   onTogglePinned,
+  dueFilter = null,
+  onChangeDueFilter,
+  now = Date.now(),
+  showOpenTasks = false,
+  onToggleOpenTasks,
+  brokenLinkCount = 0,
+  onShowBrokenLinks,
+  trashCount = 0,
+  isTrashActive = false,
+  onOpenTrash,
+  notebooks,
+  selectedNotebookId = null,
+  onSelectNotebook,
+  onCreateNotebook,
+  onEditNotebook,
+  onDeleteNotebook,
+  onMoveNotebook,
+  onMoveNote,
+  tagColors,
+  onManageTags,
+  smartFolders,
+  activeSmartFolderId = null,
+  onApplySmartFolder,
+  onSaveSearch,
+  onDeleteSmartFolder,
 }) {
-  // Compute tag counts from notes
-  const { tagCounts, totalCount, pinnedCount } = useMemo(() => {
-    const counts = new Map();
-    let pinned = 0;
-    for (const n of notes) {
-      if (n?.pinned) pinned += 1;
-      if (Array.isArray(n?.tags)) {
-        for (const t of n.tags) {
-          const key = String(t);
-          counts.set(key, (counts.get(key) || 0) + 1);
-        }
-      }
-    }
-    // Sort tags alphabetically for stable order
-    const sorted = Array.from(counts.entries()).sort((a, b) =>
-      a[0].localeCompare(b[0])
-    );
-    return { tagCounts: sorted, totalCount: notes.length, pinnedCount: pinned };
-  }, [notes]);
+  // Tag counts (nested tags count towards their parents), in tree order
+  const { tagRows, totalCount, pinnedCount } = useMemo(
+    () => ({
+      tagRows: tagTree(notes),
+      totalCount: notes.length,
+      pinnedCount: notes.filter((n) => n?.pinned).length,
+    }),
+    [notes]
+  );
+
+  const dueCounts = useMemo(() => {
+    const counts = { upcoming: 0, overdue: 0 };
+    notes.forEach((n) => {
+      const status = dueStatus(n, now);
+      if (status) counts[status] += 1;
+    });
+    return counts;
+  }, [notes, now]);
+
+  const openTaskCount = useMemo(
+    () =>
+      notes.filter((n) => {
+        const { done, total } = taskProgress(n.content);
+        return done < total;
+      }).length,
+    [notes]
+  );
+
+  const notebookRows = useMemo(() => (notebooks ? flattenNotebooks(notebooks) : []), [notebooks]);
+  const counts = useMemo(() => (notebooks ? notebookCounts(notes, notebooks) : null), [notes, notebooks]);
+
+  const noTagFilter = tagFilter.include.length === 0 && tagFilter.exclude.length === 0;
+  const toggleTag = (tag, exclude) => onChangeTagFilter?.(toggleTagFilter(tagFilter, tag, exclude));
 
   const isPinnedEnabled = typeof showPinned === 'boolean' && typeof onTogglePinned === 'function';
 
@@ -63,18 +137,185 @@ export function Sidebar({
               </span>
             </button>
           )}
+
+          {/* Due dates and reminders */}
+          {onChangeDueFilter && (
+            <>
+              <button
+                type="button"
+                className={`chip ${dueFilter === 'upcoming' ? 'chip-active' : ''}`}
+                aria-pressed={dueFilter === 'upcoming' ? 'true' : 'false'}
+                onClick={() => onChangeDueFilter(dueFilter === 'upcoming' ? null : 'upcoming')}
+                title="Show notes with a due date or reminder ahead"
+              >
+                <span style={{ marginRight: 6 }}>📅</span>
+                Upcoming
+                <span className="chip-count" aria-label={`${dueCounts.upcoming} upcoming`}>
+                  {dueCounts.upcoming}
+                </span>
+              </button>
+              <button
+                type="button"
+                className={`chip ${dueFilter === 'overdue' ? 'chip-active chip-danger' : ''}`}
+                aria-pressed={dueFilter === 'overdue' ? 'true' : 'false'}
+                onClick={() => onChangeDueFilter(dueFilter === 'overdue' ? null : 'overdue')}
+                title="Show notes past their due date"
+              >
+                <span style={{ marginRight: 6 }}>⏰</span>
+                Overdue
+                <span className="chip-count" aria-label={`${dueCounts.overdue} overdue`}>
+                  {dueCounts.overdue}
+                </span>
+              </button>
+            </>
+          )}
+
+          {/* Notes with tasks left to do */}
+          {onToggleOpenTasks && (
+            <button
+              type="button"
+              className={`chip ${showOpenTasks ? 'chip-active' : ''}`}
+              aria-pressed={showOpenTasks ? 'true' : 'false'}
+              onClick={() => onToggleOpenTasks(!showOpenTasks)}
+              title="Show notes with tasks left to do"
+            >
+              <span style={{ marginRight: 6 }}>☑️</span>
+              Open tasks
+              <span className="chip-count" aria-label={`${openTaskCount} with open tasks`}>
+                {openTaskCount}
+              </span>
+            </button>
+          )}
+
+          {/* Links to notes that do not exist */}
+          {onShowBrokenLinks && brokenLinkCount > 0 && (
+            <button
+              type="button"
+              className="chip"
+              onClick={onShowBrokenLinks}
+              title="List links to notes that do not exist"
+            >
+              <span style={{ marginRight: 6 }}>🔗</span>
+              Broken links
+              <span className="chip-count" aria-label={`${brokenLinkCount} with broken links`}>
+                {brokenLinkCount}
+              </span>
+            </button>
+          )}
+
+          {/* Trash view */}
+          {onOpenTrash && (
+            <button
+              type="button"
+              className={`chip ${isTrashActive ? 'chip-active' : ''}`}
+              aria-pressed={isTrashActive ? 'true' : 'false'}
+              onClick={onOpenTrash}
+              title="Show deleted notes"
+            >
+              <span style={{ marginRight: 6 }}>🗑️</span>
+              Trash
+              <span className="chip-count" aria-label={`${trashCount} in trash`}>
+                {trashCount}
+              </span>
+            </button>
+          )}
         </div>
       </div>
 
+      {/* Saved searches */}
+      {smartFolders && (
+        <div style={{ marginBottom: 12 }}>
+          <div className="sidebar-section-title sidebar-section-header">
+            <span>Smart folders</span>
+            <button
+              type="button"
+              className="sidebar-icon-button"
+              aria-label="Save current search"
+              title={onSaveSearch ? 'Save the current search and filters' : 'Search or filter first to save a smart folder'}
+              onClick={onSaveSearch}
+              disabled={!onSaveSearch}
+            >
+              ＋
+            </button>
+          </div>
+          {smartFolders.length === 0 ? (
+            <div className="muted small">Save a search to keep it here.</div>
+          ) : (
+            <ul className="notebook-tree" aria-label="Smart folders">
+              {smartFolders.map((folder) => {
+                const active = folder.id === activeSmartFolderId && !isTrashActive;
+                return (
+                  <li key={folder.id} className="notebook-row">
+                    <button
+                      type="button"
+                      className={`notebook-name ${active ? 'notebook-name-active' : ''}`}
+                      aria-pressed={active ? 'true' : 'false'}
+                      onClick={() => onApplySmartFolder?.(folder)}
+                      title={folder.query ? `Search: ${folder.query}` : 'Apply saved filters'}
+                    >
+                      <span aria-hidden="true">🔎</span>
+                      <span className="notebook-label">{folder.name}</span>
+                    </button>
+                    <span className="notebook-actions">
+                      <button
+                        type="button"
+                        className="sidebar-icon-button"
+                        aria-label={`Delete smart folder ${folder.name}`}
+                        title="Delete smart folder"
+                        onClick={() => onDeleteSmartFolder?.(folder.id)}
+                      >
+                        🗑
+                      </button>
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Notebooks section */}
+      {notebooks && (
+        <div style={{ marginBottom: 12 }}>
+          <NotebookTree
+            rows={notebookRows}
+            counts={counts}
+            totalCount={totalCount}
+            selectedId={selectedNotebookId}
+            onSelect={onSelectNotebook}
+            onCreate={onCreateNotebook}
+            onEdit={onEditNotebook}
+            onDelete={onDeleteNotebook}
+            canMove={(id, parentId) => canMoveNotebook(notebooks, id, parentId)}
+            onMove={onMoveNotebook}
+            onMoveNote={onMoveNote}
+          />
+        </div>
+      )}
+
       {/* Tags section */}
       <div>
-        <div className="sidebar-section-title">Tags</div>
+        <div className="sidebar-section-title sidebar-section-header">
+          <span>Tags</span>
+          {onManageTags && (
+            <button
+              type="button"
+              className="sidebar-icon-button"
+              aria-label="Manage tags"
+              title="Rename, merge, delete and color tags"
+              onClick={onManageTags}
+            >
+              ⚙
+            </button>
+          )}
+        </div>
         <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
           {/* All chip */}
           <button
             type="button"
-            className={`chip ${selectedTag === null ? 'chip-active' : ''}`}
-            aria-pressed={selectedTag === null ? 'true' : 'false'}
+            className={`chip ${noTagFilter && !isTrashActive ? 'chip-active' : ''}`}
+            aria-pressed={noTagFilter && !isTrashActive ? 'true' : 'false'}
             onClick={onClearTag}
             title="Show all notes"
           >
@@ -85,22 +326,42 @@ export function Sidebar({
           </button>
 
           {/* Empty state */}
-          {tagCounts.length === 0 && (
+          {tagRows.length === 0 && (
             <span className="muted small">No tags yet</span>
           )}
 
           {/* Tag chips */}
-          {tagCounts.map(([tag, count]) => {
-            const active = selectedTag === tag;
+          {tagRows.map(({ tag, total: count }) => {
+            const active = tagFilter.include.includes(tag) && !isTrashActive;
+            const excluded = tagFilter.exclude.includes(tag) && !isTrashActive;
+            const color = tagColor(tagColors, tag);
             return (
               <button
                 key={tag}
                 type="button"
-                className={`chip ${active ? 'chip-active' : ''}`}
+                className={`chip ${active ? 'chip-active' : ''} ${excluded ? 'chip-excluded' : ''} ${color ? 'chip-colored' : ''}`}
+                style={color ? { '--tag-color': color } : undefined}
                 aria-pressed={active ? 'true' : 'false'}
-                onClick={() => onSelectTag?.(tag)}
-                title={`Filter by #${tag}`}
+                onClick={(e) => toggleTag(tag, isExcludeClick(e))}
+                onKeyDown={(e) => {
+                  // "-" excludes from the keyboard
+                  if (e.key === '-') {
+                    e.preventDefault();
+                    toggleTag(tag, true);
+                  }
+                }}
+                title={
+                  excluded
+                    ? `Hiding #${tag}; click to stop hiding`
+                    : `Filter by #${tag} (Alt-click or press - to hide notes with it)`
+                }
               >
+                {excluded && (
+                  <>
+                    <span aria-hidden="true">−</span>
+                    <span className="sr-only">Excluded:</span>
+                  </>
+                )}
                 <span className="chip-hash">#</span>
                 {tag}
                 <span className="chip-count" aria-label={`${count} notes with tag ${tag}`}>
@@ -110,6 +371,26 @@ export function Sidebar({
             );
           })}
         </div>
+
+        {/* How several included tags combine */}
+        {tagFilter.include.length > 1 && (
+          <div className="segmented tag-mode" role="group" aria-label="Notes must have">
+            {[
+              { id: 'all', label: 'All tags' },
+              { id: 'any', label: 'Any tag' },
+            ].map((m) => (
+              <button
+                key={m.id}
+                type="button"
+                className={`segmented-btn ${tagFilter.mode === m.id ? 'segmented-btn-active' : ''}`}
+                aria-pressed={tagFilter.mode === m.id ? 'true' : 'false'}
+                onClick={() => onChangeTagFilter?.({ ...tagFilter, mode: m.id })}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
     </nav>
   );
@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from 'react';
+import { Modal } from './Modal';
+
+/**
+ * PUBLIC_INTERFACE
+ * SmartFolderDialog
+ * Names the current search and filters to save them as a smart folder.
+ * Saving under the name of an existing smart folder replaces it.
+ *
+ * Props:
+ * - isOpen: boolean
+ * - search: { query: string, filters, notebookId } (see utils/filters)
+ * - notebookName?: string name of search.notebookId
+ * - existingNames: string[]
+ * - onSave: (name: string) => void
+ * - onClose: () => void
+ */
+export function SmartFolderDialog({ isOpen = false, search, notebookName, existingNames = [], onSave, onClose }) {
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setName(search?.query || '');
+    setError('');
+  }, [isOpen, search?.query]);
+
+  if (!search) return null;
+  const { query, filters, notebookId } = search;
+  const { include, exclude, mode } = filters.tags;
+  const trimmed = name.trim();
+  const replaces = existingNames.some((n) => n.toLowerCase() === trimmed.toLowerCase());
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!trimmed) {
+      setError('Give the smart folder a name.');
+      return;
+    }
+    onSave?.(trimmed);
+  };
+
+  return (
+    <Modal
+      id="smart-folder"
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Save smart folder"
+      description="Keep this search in the sidebar. Its notes update as notes change."
+    >
+      <ul className="small smart-folder-summary">
+        {query && (
+          <li>
+            Search: <code>{query}</code>
+          </li>
+        )}
+        {include.length > 0 && (
+          <li>
+            {include.length > 1 ? (mode === 'any' ? 'Any of ' : 'All of ') : 'Tag '}
+            {include.map((t) => `#${t}`).join(', ')}
+          </li>
+        )}
+        {exclude.length > 0 && <li>Without {exclude.map((t) => `#${t}`).join(', ')}</li>}
+        {filters.pinnedOnly && <li>Pinned notes only</li>}
+        {filters.due && <li>{filters.due === 'overdue' ? 'Overdue notes only' : 'Upcoming notes only'}</li>}
+        {filters.openTasks && <li>Notes with open tasks only</li>}
+        {notebookId && <li>In notebook {notebookName || notebookId}</li>}
+      </ul>
+      <form onSubmit={submit}>
+        <div className="form-field">
+          <label className="form-label" htmlFor="smart-folder-name">
+            Name
+          </label>
+          <input
+            id="smart-folder-name"
+            className={`input ${error ? 'input-error' : ''}`}
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              setError('');
+            }}
+            maxLength={80}
+            aria-invalid={error ? 'true' : 'false'}
+            aria-describedby={error ? 'smart-folder-error' : undefined}
+          />
+          {error && (
+            <div id="smart-folder-error" className="error-text" role="alert">
+              {error}
+            </div>
+          )}
+          {replaces && <div className="muted small">Replaces the smart folder with this name.</div>}
+        </div>
+        <div className="modal-actions">
+          <button type="button" className="btn-primary btn-ghost" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" className="btn-primary">
+            Save
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
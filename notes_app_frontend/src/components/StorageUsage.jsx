@@ -0,0 +1,70 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { formatBytes, storageTotals } from '../utils/attachments';
+
+/**
+ * PUBLIC_INTERFACE
+ * StorageUsage
+ * Space the notes (with the Trash) and attached files take in this browser, and what
+ * the browser allows this site when it says so. Files nothing refers to any more
+ * (e.g. attached in an editor that was closed without saving) can be removed.
+ *
+ * Props:
+ * - notes: Array<Note>
+ * - trash: Array<Note>
+ * - attachments: Array<{id, size}> (see hooks/useAttachments)
+ * - unused?: Array<{id, size}> attachments nothing refers to (see utils/attachments unusedAttachments)
+ * - onRemoveUnused?: () => void
+ */
+export function StorageUsage({ notes = [], trash = [], attachments = [], unused = [], onRemoveUnused }) {
+  const totals = useMemo(() => storageTotals(notes, trash, attachments), [notes, trash, attachments]);
+  const [estimate, setEstimate] = useState(null);
+
+  // What the browser reports for the whole site; checked again as the data changes
+  useEffect(() => {
+    const storage = window.navigator?.storage;
+    if (!storage || typeof storage.estimate !== 'function') return undefined;
+    let active = true;
+    storage.estimate().then(
+      (result) => active && setEstimate(result),
+      () => active && setEstimate(null)
+    );
+    return () => {
+      active = false;
+    };
+  }, [totals]);
+
+  const unusedBytes = unused.reduce((sum, a) => sum + (a.size || 0), 0);
+
+  return (
+    <section className="storage-usage" aria-labelledby="storage-usage-title">
+      <div id="storage-usage-title" className="sidebar-section-title">
+        Storage
+      </div>
+      <dl className="storage-usage-list small">
+        <dt>Notes</dt>
+        <dd>{formatBytes(totals.textBytes)}</dd>
+        <dt>Files</dt>
+        <dd>
+          {totals.attachmentCount} ({formatBytes(totals.attachmentBytes)})
+        </dd>
+        <dt>Total</dt>
+        <dd>{formatBytes(totals.textBytes + totals.attachmentBytes)}</dd>
+      </dl>
+      {estimate?.quota > 0 && (
+        <p className="muted small" style={{ margin: '4px 0 0' }}>
+          This site uses {formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} the browser allows.
+        </p>
+      )}
+      {unused.length > 0 && onRemoveUnused && (
+        <button
+          type="button"
+          className="btn-primary btn-ghost storage-usage-clean"
+          title="Remove files no note, note in the Trash or revision links to"
+          onClick={onRemoveUnused}
+        >
+          Remove {unused.length} unused file{unused.length === 1 ? '' : 's'} ({formatBytes(unusedBytes)})
+        </button>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from 'react';
+import { Modal } from './Modal';
+
+// PUBLIC_INTERFACE
+/** Short human label for each useRemoteSync status. */
+export const SYNC_STATUS_LABELS = {
+  off: 'Sync off',
+  idle: 'Connecting…',
+  syncing: 'Syncing…',
+  synced: 'Synced',
+  offline: 'Offline',
+  error: 'Sync error',
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * SyncDialog
+ * Turns syncing with a server on or off, sets its address and shows how the
+ * last sync went.
+ *
+ * Props:
+ * - isOpen: boolean
+ * - onClose: () => void
+ * - settings: { enabled: boolean, url: string }
+ * - onChangeSettings: (settings) => void
+ * - sync: { status, error, pending, lastSyncedAt, conflicts } (see useRemoteSync)
+ * - onSyncNow: () => void
+ */
+export function SyncDialog({ isOpen = false, onClose, settings, onChangeSettings, sync, onSyncNow }) {
+  const [url, setUrl] = useState(settings.url);
+  const [error, setError] = useState('');
+
+  // Start from the saved address each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setUrl(settings.url);
+    setError('');
+  }, [isOpen, settings.url]);
+
+  const save = (enabled) => {
+    const trimmed = url.trim();
+    if (enabled && !/^https?:\/\/[^\s/]+/i.test(trimmed)) {
+      setError('Enter the server address, e.g. http://localhost:4000');
+      return;
+    }
+    setError('');
+    onChangeSettings?.({ enabled, url: trimmed || settings.url });
+  };
+
+  const { status, pending, lastSyncedAt, conflicts = [] } = sync;
+
+  return (
+    <Modal
+      id="sync-settings"
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Sync"
+      description="Keep notes in step across devices through a sync server. Notes stay on this device too and keep working offline."
+    >
+      <form
+        className="form-field"
+        onSubmit={(e) => {
+          e.preventDefault();
+          save(true);
+        }}
+      >
+        <label className="small" htmlFor="sync-url">
+          Server address
+        </label>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <input
+            id="sync-url"
+            className="input"
+            type="url"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="http://localhost:4000"
+            aria-invalid={error ? 'true' : 'false'}
+          />
+          <button type="submit" className="btn-primary">
+            {settings.enabled ? 'Save' : 'Turn on'}
+          </button>
+        </div>
+        {error && (
+          <div className="error-text" role="alert">
+            {error}
+          </div>
+        )}
+      </form>
+
+      <div className="small" aria-live="polite" style={{ display: 'grid', gap: 4, margin: '12px 0' }}>
+        <div>
+          Status: <strong>{SYNC_STATUS_LABELS[status] || status}</strong>
+          {sync.error && status !== 'off' && <span className="muted"> — {sync.error}</span>}
+        </div>
+        {status !== 'off' && (
+          <>
+            <div className="muted">
+              {pending === 0 ? 'No changes waiting to upload.' : `${pending} change${pending === 1 ? '' : 's'} waiting to upload.`}
+            </div>
+            <div className="muted">Last synced: {lastSyncedAt ? new Date(lastSyncedAt).toLocaleString() : 'not yet'}</div>
+            {conflicts.length > 0 && (
+              <div>
+                {conflicts.length} note{conflicts.length === 1 ? '' : 's'} changed on another device need{conflicts.length === 1 ? 's' : ''} a decision.
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="modal-actions">
+        {settings.enabled && (
+          <button type="button" className="btn-primary btn-ghost" onClick={() => save(false)}>
+            Turn off
+          </button>
+        )}
+        <button
+          type="button"
+          className="btn-primary"
+          onClick={onSyncNow}
+          disabled={!settings.enabled || status === 'syncing'}
+        >
+          Sync now
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,201 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Modal } from './Modal';
+import { TAG_COLORS, normalizeTag, tagColor, tagTree } from '../utils/tags';
+
+/**
+ * PUBLIC_INTERFACE
+ * TagManagerDialog
+ * Rename, merge, delete and color tags across all notes. Renaming or deleting
+ * a tag also applies to the tags nested in it (`work` → `work/clients`).
+ *
+ * Props:
+ * - isOpen: boolean
+ * - onClose: () => void
+ * - notes: Array<Note>
+ * - tagColors: Object<string, string> tag -> color id (see utils/tags TAG_COLORS)
+ * - onRename: (from: string, to: string) => void (onto an existing tag merges them)
+ * - onMerge: (from: string, into: string) => void
+ * - onDelete: (tag: string) => void
+ * - onChangeColor: (tag: string, colorId: string|null) => void
+ */
+export function TagManagerDialog({
+  isOpen = false,
+  onClose,
+  notes = [],
+  tagColors = {},
+  onRename,
+  onMerge,
+  onDelete,
+  onChangeColor,
+}) {
+  const rows = useMemo(() => tagTree(notes), [notes]);
+  const [editing, setEditing] = useState(null); // tag being renamed
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState('');
+  const [mergeFrom, setMergeFrom] = useState('');
+  const [mergeInto, setMergeInto] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setEditing(null);
+    setMergeFrom('');
+    setMergeInto('');
+  }, [isOpen]);
+
+  const startRename = (tag) => {
+    setEditing(tag);
+    setDraft(tag);
+    setError('');
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    const to = normalizeTag(draft);
+    if (!to) {
+      setError('Enter a tag name.');
+      return;
+    }
+    if (to !== editing) onRename?.(editing, to);
+    setEditing(null);
+  };
+
+  const existing = new Set(rows.map((r) => r.tag));
+  const renameTarget = editing ? normalizeTag(draft) : '';
+  const mergeBlocked = !mergeFrom || !mergeInto || mergeFrom === mergeInto;
+
+  return (
+    <Modal
+      id="tag-manager"
+      isOpen={isOpen}
+      onClose={onClose}
+      wide
+      title="Manage tags"
+      description="Changes apply to every note and can be undone. Use / in a name to nest tags, e.g. work/clients."
+    >
+      {rows.length === 0 ? (
+        <p className="muted">No tags yet. Add tags to notes in the editor.</p>
+      ) : (
+        <ul className="tag-manager-list" aria-label="Tags">
+          {rows.map(({ tag, name, depth, own, total }) => {
+            const color = tagColor(tagColors, tag);
+            return (
+              <li key={tag} className="tag-manager-row" style={{ paddingLeft: depth * 16 }}>
+                {editing === tag ? (
+                  <form className="tag-manager-rename" onSubmit={submitRename}>
+                    <input
+                      className={`input ${error ? 'input-error' : ''}`}
+                      value={draft}
+                      onChange={(e) => {
+                        setDraft(e.target.value);
+                        setError('');
+                      }}
+                      aria-label={`New name for ${tag}`}
+                      aria-invalid={error ? 'true' : 'false'}
+                      autoFocus
+                    />
+                    <button type="submit" className="btn-primary">
+                      {renameTarget && renameTarget !== tag && existing.has(renameTarget) ? 'Merge' : 'Rename'}
+                    </button>
+                    <button type="button" className="btn-primary btn-ghost" onClick={() => setEditing(null)}>
+                      Cancel
+                    </button>
+                    {error && (
+                      <span className="error-text" role="alert">
+                        {error}
+                      </span>
+                    )}
+                  </form>
+                ) : (
+                  <>
+                    <span className="tag-manager-name" title={tag}>
+                      <span className="chip-hash" style={color ? { color } : undefined}>
+                        #
+                      </span>
+                      {depth > 0 ? name : tag}
+                    </span>
+                    <span className="muted small" aria-label={`${total} notes`}>
+                      {own === total ? total : `${own} (${total} with nested)`}
+                    </span>
+                    <select
+                      className="input tag-manager-color"
+                      value={tagColors[tag] || ''}
+                      onChange={(e) => onChangeColor?.(tag, e.target.value || null)}
+                      aria-label={`Color for ${tag}`}
+                    >
+                      <option value="">No color</option>
+                      {TAG_COLORS.map((c) => (
+                        <option key={c.id} value={c.id}>
+                          {c.label}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      className="btn-primary btn-ghost"
+                      aria-label={`Rename tag ${tag}`}
+                      onClick={() => startRename(tag)}
+                    >
+                      Rename
+                    </button>
+                    <button
+                      type="button"
+                      className="btn-primary btn-ghost"
+                      aria-label={`Delete tag ${tag}`}
+                      title="Remove this tag (and tags nested in it) from every note"
+                      onClick={() => onDelete?.(tag)}
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {rows.length > 1 && (
+        <form
+          className="tag-manager-merge"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (mergeBlocked) return;
+            onMerge?.(mergeFrom, mergeInto);
+            setMergeFrom('');
+            setMergeInto('');
+          }}
+        >
+          <span className="form-label">Merge</span>
+          <select className="input" value={mergeFrom} onChange={(e) => setMergeFrom(e.target.value)} aria-label="Tag to merge">
+            <option value="">Choose a tag…</option>
+            {rows.map(({ tag }) => (
+              <option key={tag} value={tag}>
+                #{tag}
+              </option>
+            ))}
+          </select>
+          <span>into</span>
+          <select className="input" value={mergeInto} onChange={(e) => setMergeInto(e.target.value)} aria-label="Tag to merge into">
+            <option value="">Choose a tag…</option>
+            {rows
+              .filter(({ tag }) => tag !== mergeFrom)
+              .map(({ tag }) => (
+                <option key={tag} value={tag}>
+                  #{tag}
+                </option>
+              ))}
+          </select>
+          <button type="submit" className="btn-primary" disabled={mergeBlocked}>
+            Merge
+          </button>
+        </form>
+      )}
+
+      <div className="modal-actions">
+        <button type="button" className="btn-primary" onClick={onClose}>
+          Done
+        </button>
+      </div>
+    </Modal>
+  );
+}
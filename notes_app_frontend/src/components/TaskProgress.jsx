@@ -0,0 +1,32 @@
+import React from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * TaskProgress
+ * How many of a note's tasks are done, as a bar and "3/7 done".
+ * Renders nothing for a note without tasks.
+ *
+ * Props:
+ * - done: number
+ * - total: number
+ */
+export function TaskProgress({ done = 0, total = 0 }) {
+  if (!total) return null;
+  const percent = Math.round((done / total) * 100);
+  return (
+    <span
+      className={`task-progress ${done === total ? 'task-progress-complete' : ''}`}
+      role="progressbar"
+      aria-valuemin={0}
+      aria-valuemax={total}
+      aria-valuenow={done}
+      aria-label="Tasks done"
+      aria-valuetext={`${done} of ${total} tasks done`}
+    >
+      <span className="task-progress-bar" aria-hidden="true">
+        <span style={{ width: `${percent}%` }} />
+      </span>
+      {done}/{total} done
+    </span>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Modal } from './Modal';
+import { TEMPLATE_PLACEHOLDERS, dailyTitleProblem } from '../utils/templates';
+
+const EMPTY_FORM = { id: null, name: '', title: '', content: '', tags: '', daily: false };
+
+const formFor = (template, dailyTemplateId) =>
+  template
+    ? {
+        id: template.id,
+        name: template.name,
+        title: template.title || '',
+        content: template.content || '',
+        tags: (template.tags || []).join(', '),
+        daily: template.id === dailyTemplateId,
+      }
+    : EMPTY_FORM;
+
+/**
+ * PUBLIC_INTERFACE
+ * TemplatesDialog
+ * Lists the note templates and edits them: name, title pattern, body and tags, with
+ * placeholders (see utils/templates). One template makes the daily note.
+ *
+ * Props:
+ * - isOpen: boolean
+ * - templates: Array<{id, name, title, content, tags}>
+ * - dailyTemplateId?: string|null
+ * - onSave: (fields: {id|null, name, title, content, tags: string[]}, daily: boolean) => object the saved template
+ * - onDelete: (id: string) => void
+ * - onUse?: (id: string) => void starts a note from a template
+ * - onClose: () => void
+ */
+export function TemplatesDialog({ isOpen = false, templates = [], dailyTemplateId = null, onSave, onDelete, onUse, onClose }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+  const [titleError, setTitleError] = useState('');
+  const firstFormRef = useRef(EMPTY_FORM);
+  firstFormRef.current = formFor(templates[0], dailyTemplateId);
+
+  // Start with the first template each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(firstFormRef.current);
+    setError('');
+    setTitleError('');
+  }, [isOpen]);
+
+  const edit = (template) => {
+    setForm(formFor(template, dailyTemplateId));
+    setError('');
+    setTitleError('');
+  };
+  const change = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm((prev) => ({ ...prev, [field]: value }));
+    if (field === 'name') setError('');
+    if (field === 'title' || field === 'daily') setTitleError('');
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    const name = form.name.trim();
+    if (!name) {
+      setError('Give the template a name.');
+      return;
+    }
+    if (templates.some((t) => t.id !== form.id && t.name.toLowerCase() === name.toLowerCase())) {
+      setError('Another template has this name.');
+      return;
+    }
+    // Today's note is found again by its title, so that must name the day
+    const problem = form.daily && dailyTitleProblem(form.title);
+    if (problem) {
+      setTitleError(problem);
+      return;
+    }
+    const tags = form.tags.split(',').map((t) => t.trim()).filter(Boolean);
+    const saved = onSave?.({ id: form.id, name, title: form.title, content: form.content, tags }, form.daily);
+    if (saved) setForm(formFor(saved, form.daily ? saved.id : dailyTemplateId));
+  };
+
+  const remove = () => {
+    if (!form.id || !window.confirm(`Delete the template "${form.name}"? Notes made from it are not affected.`)) return;
+    onDelete?.(form.id);
+    edit(templates.find((t) => t.id !== form.id));
+  };
+
+  return (
+    <Modal
+      id="templates"
+      isOpen={isOpen}
+      onClose={onClose}
+      wide
+      title="Note templates"
+      description="Start notes from a saved title, body and tags."
+    >
+      <div className="templates-layout">
+        <div>
+          <ul className="templates-list" aria-label="Templates">
+            {templates.map((t) => (
+              <li key={t.id}>
+                <button
+                  type="button"
+                  className={`link-button ${form.id === t.id ? 'templates-list-active' : ''}`}
+                  aria-current={form.id === t.id ? 'true' : undefined}
+                  onClick={() => edit(t)}
+                >
+                  {t.name}
+                </button>
+                {t.id === dailyTemplateId && <span className="muted small"> · daily note</span>}
+              </li>
+            ))}
+            {templates.length === 0 && <li className="muted small">No templates yet.</li>}
+          </ul>
+          <button type="button" className="btn-primary btn-ghost" onClick={() => edit(null)}>
+            New template
+          </button>
+        </div>
+
+        <form onSubmit={submit} aria-label={form.id ? `Edit template ${form.name}` : 'New template'}>
+          <div className="form-field">
+            <label className="form-label" htmlFor="template-name">
+              Name
+            </label>
+            <input
+              id="template-name"
+              className={`input ${error ? 'input-error' : ''}`}
+              value={form.name}
+              onChange={change('name')}
+              maxLength={80}
+              aria-invalid={error ? 'true' : 'false'}
+              aria-describedby={error ? 'template-error' : undefined}
+            />
+            {error && (
+              <div id="template-error" className="error-text" role="alert">
+                {error}
+              </div>
+            )}
+          </div>
+          <div className="form-field">
+            <label className="form-label" htmlFor="template-title">
+              Note title
+            </label>
+            <input
+              id="template-title"
+              className={`input ${titleError ? 'input-error' : ''}`}
+              value={form.title}
+              onChange={change('title')}
+              placeholder="e.g. Meeting {{date}}"
+              aria-invalid={titleError ? 'true' : 'false'}
+              aria-describedby={titleError ? 'template-title-error' : undefined}
+            />
+            {titleError && (
+              <div id="template-title-error" className="error-text" role="alert">
+                {titleError}
+              </div>
+            )}
+          </div>
+          <div className="form-field">
+            <label className="form-label" htmlFor="template-content">
+              Body
+            </label>
+            <textarea id="template-content" className="input textarea" rows={8} value={form.content} onChange={change('content')} />
+          </div>
+          <div className="form-field">
+            <label className="form-label" htmlFor="template-tags">
+              Tags
+            </label>
+            <input
+              id="template-tags"
+              className="input"
+              value={form.tags}
+              onChange={change('tags')}
+              placeholder="Comma separated, e.g. meeting, work/clients"
+            />
+          </div>
+          <label className="small">
+            <input type="checkbox" checked={form.daily} onChange={change('daily')} /> Use for today's note (give it a
+            title with {'{{date}}'}, so each day gets its own)
+          </label>
+          <ul className="muted small templates-placeholders" aria-label="Placeholders">
+            {TEMPLATE_PLACEHOLDERS.map((p) => (
+              <li key={p.token}>
+                <code>{p.token}</code> {p.label}
+              </li>
+            ))}
+          </ul>
+          <div className="modal-actions">
+            {form.id && (
+              <button type="button" className="btn-primary btn-ghost" onClick={remove}>
+                Delete
+              </button>
+            )}
+            {form.id && onUse && (
+              <button type="button" className="btn-primary btn-ghost" onClick={() => onUse(form.id)}>
+                New note from template
+              </button>
+            )}
+            <button type="submit" className="btn-primary">
+              Save template
+            </button>
+          </div>
+        </form>
+      </div>
+    </Modal>
+  );
+}
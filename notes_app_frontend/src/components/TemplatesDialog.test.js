@@ -0,0 +1,23 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { TemplatesDialog } from './TemplatesDialog';
+
+const DAILY = { id: 'daily', name: 'Daily note', title: '{{date}}', content: '', tags: [] };
+
+describe('TemplatesDialog', () => {
+  test("refuses a title for today's note that changes during the day", () => {
+    const onSave = jest.fn((fields) => ({ ...fields }));
+    render(<TemplatesDialog isOpen templates={[DAILY]} dailyTemplateId="daily" onSave={onSave} onDelete={() => {}} onClose={() => {}} />);
+
+    fireEvent.change(screen.getByLabelText('Note title'), { target: { value: 'Journal {{time}}' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save template' }));
+    expect(screen.getByRole('alert')).toHaveTextContent('{{time}}');
+    expect(screen.getByLabelText('Note title')).toHaveAttribute('aria-invalid', 'true');
+    expect(onSave).not.toHaveBeenCalled();
+
+    // Other templates may use it
+    fireEvent.click(screen.getByRole('checkbox'));
+    fireEvent.click(screen.getByRole('button', { name: 'Save template' }));
+    expect(onSave).toHaveBeenCalledWith(expect.objectContaining({ title: 'Journal {{time}}' }), false);
+  });
+});
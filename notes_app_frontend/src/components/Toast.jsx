@@ -0,0 +1,43 @@
+import React, { useEffect } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * Toast
+ * Transient status message with an optional action button (e.g. "Undo").
+ *
+ * Props:
+ * - toast: { id: number, message: string, actionLabel?: string, onAction?: () => void, duration?: number } | null
+ *   (a toast's own duration overrides the default)
+ * - onDismiss: () => void
+ * - duration?: number (ms before auto-dismiss)
+ */
+export function Toast({ toast = null, onDismiss, duration = 6000 }) {
+  // Restart the timer for every new toast
+  useEffect(() => {
+    if (!toast) return;
+    const t = window.setTimeout(() => onDismiss?.(), toast.duration || duration);
+    return () => window.clearTimeout(t);
+  }, [toast, duration, onDismiss]);
+
+  if (!toast) return null;
+
+  return (
+    <div className="toast" role="status" aria-live="polite">
+      <span>{toast.message}</span>
+      {toast.actionLabel && (
+        <button
+          type="button"
+          className="btn-primary btn-ghost toast-action"
+          onClick={() => {
+            toast.onAction?.();
+          }}
+        >
+          {toast.actionLabel}
+        </button>
+      )}
+      <button type="button" className="chip-remove toast-close" aria-label="Dismiss notification" onClick={onDismiss}>
+        ✖
+      </button>
+    </div>
+  );
+}
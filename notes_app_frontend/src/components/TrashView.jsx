@@ -0,0 +1,133 @@
+import React, { useMemo } from 'react';
+import { stripMarkdown } from '../utils/markdown';
+import { DAY_MS } from '../utils/notes';
+
+const RETENTION_OPTIONS = [7, 30, 90, 0];
+
+/**
+ * PUBLIC_INTERFACE
+ * TrashView
+ * Lists deleted notes with restore and permanent-delete actions.
+ *
+ * Props:
+ * - trash: Array<Note & { deletedAt: number }>
+ * - retentionDays: number (0 = keep forever)
+ * - onChangeRetention: (days: number) => void
+ * - onRestore: (id: string) => void
+ * - onPurge: (id: string) => void
+ * - onEmpty: () => void
+ */
+export function TrashView({ trash = [], retentionDays = 30, onChangeRetention, onRestore, onPurge, onEmpty }) {
+  // Most recently deleted first
+  const items = useMemo(
+    () => trash.slice().sort((a, b) => Number(b.deletedAt || 0) - Number(a.deletedAt || 0)),
+    [trash]
+  );
+
+  const purgeLabel = (deletedAt) => {
+    if (!retentionDays) return 'Kept until emptied';
+    const days = Math.ceil((Number(deletedAt || 0) + retentionDays * DAY_MS - Date.now()) / DAY_MS);
+    return days <= 1 ? 'Purged within a day' : `Purged in ${days} days`;
+  };
+
+  const handlePurge = (note) => {
+    const name = note.title || 'this note';
+    if (window.confirm(`Permanently delete ${name}? This action cannot be undone.`)) {
+      onPurge?.(note.id);
+    }
+  };
+
+  const handleEmpty = () => {
+    if (window.confirm(`Permanently delete all ${trash.length} notes in the Trash? This action cannot be undone.`)) {
+      onEmpty?.();
+    }
+  };
+
+  return (
+    <div className="card" role="region" aria-label="Trash">
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8, flexWrap: 'wrap' }}>
+        <h2 style={{ margin: 0, fontSize: 16 }}>Trash</h2>
+        <label className="muted small" style={{ marginLeft: 'auto' }}>
+          Auto-delete after{' '}
+          <select
+            className="input"
+            style={{ width: 'auto', padding: '4px 8px' }}
+            value={retentionDays}
+            onChange={(e) => onChangeRetention?.(Number(e.target.value))}
+          >
+            {RETENTION_OPTIONS.map((d) => (
+              <option key={d} value={d}>
+                {d ? `${d} days` : 'never'}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          className="btn-primary btn-danger"
+          onClick={handleEmpty}
+          disabled={trash.length === 0}
+        >
+          Empty Trash
+        </button>
+      </div>
+
+      <div role="list" aria-label="Deleted notes" style={{ display: 'grid', gap: 10 }}>
+        {items.length === 0 && (
+          <div className="muted" role="note">
+            Trash is empty.
+          </div>
+        )}
+
+        {items.map((n) => (
+          <article
+            key={n.id}
+            role="listitem"
+            className="note-card"
+            style={{
+              display: 'grid',
+              gridTemplateColumns: '1fr auto',
+              gap: 8,
+              padding: 12,
+              borderRadius: 12,
+              border: '1px solid var(--border)',
+              background: 'var(--surface)',
+            }}
+          >
+            <div>
+              <h3 style={{ margin: 0, fontSize: 15, lineHeight: 1.3 }} className="note-title">
+                {n.title?.trim() || '(Untitled)'}
+              </h3>
+              <p className="note-preview muted" style={{ margin: '6px 0', fontSize: 13 }}>
+                {stripMarkdown(n.content).slice(0, 140)}
+              </p>
+              <div className="muted small">
+                Deleted {new Date(n.deletedAt || 0).toLocaleString()} · {purgeLabel(n.deletedAt)}
+              </div>
+            </div>
+            <div className="note-actions" style={{ display: 'flex', alignItems: 'flex-start', gap: 6 }}>
+              <button
+                type="button"
+                className="btn-primary btn-ghost"
+                onClick={() => onRestore?.(n.id)}
+                aria-label={`Restore ${n.title || 'note'}`}
+                title="Restore"
+              >
+                ↩️
+              </button>
+              <button
+                type="button"
+                className="btn-primary btn-danger"
+                onClick={() => handlePurge(n)}
+                aria-label={`Delete ${n.title || 'note'} forever`}
+                title="Delete forever"
+              >
+                🗑️
+              </button>
+            </div>
+          </article>
+        ))}
+      </div>
+    </div>
+  );
+}
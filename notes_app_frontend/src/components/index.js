@@ -2,3 +2,28 @@ export { Header } from './Header';
 export { Sidebar } from './Sidebar';
 export { NotesList } from './NotesList';
 export { NoteEditor } from './NoteEditor';
+export { MarkdownPreview } from './MarkdownPreview';
+export { Modal } from './Modal';
+export { ImportExportDialog } from './ImportExportDialog';
+export { Toast } from './Toast';
+export { TrashView } from './TrashView';
+export { RevisionHistoryDialog } from './RevisionHistoryDialog';
+export { DiffView } from './DiffView';
+export { ConflictDialog } from './ConflictDialog';
+export { SyncDialog } from './SyncDialog';
+export { NotebookTree } from './NotebookTree';
+export { NotebookDialog } from './NotebookDialog';
+export { TagManagerDialog } from './TagManagerDialog';
+export { SmartFolderDialog } from './SmartFolderDialog';
+export { NoteNotFound } from './NoteNotFound';
+export { NotePane } from './NotePane';
+export { PaneResizer } from './PaneResizer';
+export { CommandPalette } from './CommandPalette';
+export { ShortcutsDialog } from './ShortcutsDialog';
+export { BatchActionBar } from './BatchActionBar';
+export { ListViewControls } from './ListViewControls';
+export { DueBadge } from './DueBadge';
+export { TaskProgress } from './TaskProgress';
+export { BrokenLinksDialog } from './BrokenLinksDialog';
+export { StorageUsage } from './StorageUsage';
+export { TemplatesDialog } from './TemplatesDialog';
@@ -1,4 +1,8 @@
  // PUBLIC_INTERFACE
+/** Id of the default notebook: it always exists, cannot be deleted, and takes in notes without one. */
+export const INBOX_NOTEBOOK_ID = 'inbox';
+
+// PUBLIC_INTERFACE
 /** Default note shape used across the application. */
 export const DEFAULT_NOTE = {
   id: '',
@@ -8,6 +12,10 @@ export const DEFAULT_NOTE = {
   createdAt: 0,
   updatedAt: 0,
   pinned: false,
+  notebookId: INBOX_NOTEBOOK_ID,
+  // Timestamp the note is due, and `{ at, repeat }` of its reminder (see utils/reminders)
+  dueAt: null,
+  reminder: null,
 };
 
 // PUBLIC_INTERFACE
@@ -15,4 +23,57 @@ export const DEFAULT_NOTE = {
 export const KEYS = {
   notes: 'notes_app.notes',
   settings: 'notes_app.settings',
+  // Prefix for pre-migration snapshots, suffixed with the source schema version
+  notesBackup: 'notes_app.notes.backup',
+  trash: 'notes_app.trash',
+  trashBackup: 'notes_app.trash.backup',
+  // Saved versions of each note, keyed by note id
+  revisions: 'notes_app.revisions',
+  // Unsaved editor changes, keyed by note id (see utils/drafts)
+  drafts: 'notes_app.drafts',
+  // IndexedDB database name, and key prefix of the per-record localStorage adapter.
+  // Notes, Trash and revisions live here; the blobs above are only read once to migrate.
+  db: 'notes_app.db',
 };
+
+// PUBLIC_INTERFACE
+/** Sync server suggested when sync is first turned on (the bundled mock server, see mock-server/). */
+export const DEFAULT_SYNC_URL = 'http://localhost:4000';
+
+// PUBLIC_INTERFACE
+/** How often to check the sync server for changes made on other devices. */
+export const SYNC_INTERVAL_MS = 30 * 1000;
+
+// PUBLIC_INTERFACE
+/** Pause in typing after which the editor stores a draft (or autosaves the note). */
+export const AUTOSAVE_DELAY_MS = 800;
+
+// PUBLIC_INTERFACE
+/** How long "Snooze" puts off a reminder that went off. */
+export const REMINDER_SNOOZE_MS = 10 * 60 * 1000;
+
+// PUBLIC_INTERFACE
+/** Largest file that can be attached to a note. */
+export const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+// PUBLIC_INTERFACE
+/** Resizable pane widths in px: the default and the allowed range (saved in settings.paneWidths). */
+export const PANE_WIDTHS = {
+  sidebar: { initial: 280, min: 200, max: 420 },
+  list: { initial: 360, min: 260, max: 640 },
+};
+
+// PUBLIC_INTERFACE
+/** Days a deleted note stays in the Trash before it is purged (0 keeps it forever). */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// PUBLIC_INTERFACE
+/**
+ * Current schema version of the persisted notes envelope.
+ * Bump this together with a new entry in the migrations list in utils/storage.js.
+ */
+export const SCHEMA_VERSION = 3;
+
+// PUBLIC_INTERFACE
+/** Keys used by earlier builds, checked in order when KEYS.notes is empty. */
+export const LEGACY_NOTE_KEYS = ['notes', 'notes_app_notes'];
@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { ATTACHMENT_STORE, describeStorageError } from '../storage';
+import { createId } from '../utils/storage';
+import { formatBytes, isImageType } from '../utils/attachments';
+import { MAX_ATTACHMENT_BYTES } from '../constants';
+
+/**
+ * PUBLIC_INTERFACE
+ * useAttachments
+ * Files attached to notes (see utils/attachments.js), kept as blobs in the
+ * repository's attachments store. Attachments never change once stored: they are
+ * added and removed, and other tabs are told so (through the repository's channel)
+ * and reload them. Object URLs for showing a file are made when it is first
+ * resolved and revoked once it is removed.
+ * @param {{adapter: object, channel?: object, ready: boolean, readOnly?: boolean}} options
+ * @returns {{
+ *   attachments: Array<{id: string, name: string, type: string, size: number, createdAt: number, blob: Blob}>,
+ *   byId: Map<string, object>, error: string|null,
+ *   addFiles: (files: FileList|Array<File>) => Promise<Array>, rejects with a readable Error,
+ *   saveAttachments: (records: Array) => Promise<void>, removeAttachments: (ids: string[]) => Promise<void>,
+ *   resolveAttachment: (id: string) => {url: string, name: string, type: string}|null
+ * }}
+ */
+export function useAttachments({ adapter, channel, ready, readOnly = false }) {
+  const [attachments, setAttachments] = useState([]);
+  const [error, setError] = useState(null);
+  const [tabId] = useState(createId);
+  // id -> { attachment, url }
+  const urlsRef = useRef(new Map());
+
+  const reload = useCallback(
+    () =>
+      adapter.getAll(ATTACHMENT_STORE).then(
+        (records) => {
+          // Keep the objects already loaded, and with them their URLs
+          setAttachments((prev) => {
+            const loaded = new Map(prev.map((a) => [a.id, a]));
+            return records.filter((r) => r && r.blob).map((r) => loaded.get(r.id) || r);
+          });
+          setError(null);
+        },
+        (err) => setError(`Attachments could not be loaded: ${describeStorageError(err)}`)
+      ),
+    [adapter]
+  );
+
+  useEffect(() => {
+    if (ready) reload();
+  }, [ready, reload]);
+
+  useEffect(() => {
+    if (!ready || !channel) return undefined;
+    return channel.subscribe((message) => {
+      if (message?.store === ATTACHMENT_STORE && message.source !== tabId) reload();
+    });
+  }, [ready, channel, tabId, reload]);
+
+  const byId = useMemo(() => new Map(attachments.map((a) => [a.id, a])), [attachments]);
+
+  useEffect(() => {
+    const urls = urlsRef.current;
+    for (const [id, entry] of urls) {
+      if (byId.get(id) === entry.attachment) continue;
+      window.URL.revokeObjectURL(entry.url);
+      urls.delete(id);
+    }
+  }, [byId]);
+
+  useEffect(() => {
+    const urls = urlsRef.current;
+    return () => {
+      urls.forEach((entry) => window.URL.revokeObjectURL(entry.url));
+      urls.clear();
+    };
+  }, []);
+
+  const resolveAttachment = useCallback(
+    (id) => {
+      const attachment = byId.get(id);
+      if (!attachment || typeof window.URL.createObjectURL !== 'function') return null;
+      let entry = urlsRef.current.get(id);
+      if (!entry || entry.attachment !== attachment) {
+        entry = { attachment, url: window.URL.createObjectURL(attachment.blob) };
+        urlsRef.current.set(id, entry);
+      }
+      return { url: entry.url, name: attachment.name, type: attachment.type };
+    },
+    [byId]
+  );
+
+  const saveAttachments = useCallback(
+    async (records) => {
+      if (readOnly) throw new Error('These notes are read-only, so files cannot be attached.');
+      if (records.length === 0) return;
+      try {
+        await adapter.put(ATTACHMENT_STORE, records);
+      } catch (err) {
+        throw new Error(`Files could not be saved: ${describeStorageError(err)}`);
+      }
+      const ids = new Set(records.map((r) => r.id));
+      setAttachments((prev) => [...prev.filter((a) => !ids.has(a.id)), ...records]);
+      channel?.post({ source: tabId, store: ATTACHMENT_STORE, put: [...ids], remove: [] });
+    },
+    [adapter, channel, readOnly, tabId]
+  );
+
+  const addFiles = useCallback(
+    async (files) => {
+      const list = Array.from(files || []);
+      const tooBig = list.find((file) => file.size > MAX_ATTACHMENT_BYTES);
+      if (tooBig) {
+        throw new Error(`${tooBig.name || 'This file'} is larger than ${formatBytes(MAX_ATTACHMENT_BYTES)}.`);
+      }
+      const now = Date.now();
+      const records = list.map((file) => ({
+        id: createId(),
+        name: file.name || (isImageType(file.type) ? 'Pasted image' : 'File'),
+        type: file.type || 'application/octet-stream',
+        size: file.size,
+        createdAt: now,
+        blob: file,
+      }));
+      await saveAttachments(records);
+      return records;
+    },
+    [saveAttachments]
+  );
+
+  const removeAttachments = useCallback(
+    async (ids) => {
+      if (readOnly || ids.length === 0) return;
+      try {
+        await adapter.remove(ATTACHMENT_STORE, ids);
+      } catch (err) {
+        setError(`Attachments could not be removed: ${describeStorageError(err)}`);
+        return;
+      }
+      const gone = new Set(ids);
+      setAttachments((prev) => prev.filter((a) => !gone.has(a.id)));
+      channel?.post({ source: tabId, store: ATTACHMENT_STORE, put: [], remove: ids });
+    },
+    [adapter, channel, readOnly, tabId]
+  );
+
+  return { attachments, byId, error, addFiles, saveAttachments, removeAttachments, resolveAttachment };
+}
@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const currentHash = () => (typeof window === 'undefined' ? '' : window.location.hash);
+
+/**
+ * PUBLIC_INTERFACE
+ * useHashLocation
+ * The location hash, kept current across Back/Forward and edited links, and a
+ * function to change it either as a new history entry or in place.
+ * @returns {[string, (hash: string, options?: {replace?: boolean}) => void]}
+ */
+export function useHashLocation() {
+  const [hash, setHash] = useState(currentHash);
+
+  useEffect(() => {
+    const onChange = () => setHash(currentHash());
+    // pushState entries fire popstate on Back/Forward; typed or clicked links fire hashchange
+    window.addEventListener('hashchange', onChange);
+    window.addEventListener('popstate', onChange);
+    return () => {
+      window.removeEventListener('hashchange', onChange);
+      window.removeEventListener('popstate', onChange);
+    };
+  }, []);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    if (next === currentHash()) return;
+    if (replace) window.history.replaceState(window.history.state, '', next);
+    else window.history.pushState(null, '', next);
+    setHash(currentHash());
+  }, []);
+
+  return [hash, navigate];
+}
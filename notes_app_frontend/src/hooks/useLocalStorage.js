@@ -7,12 +7,20 @@ import { safeParse, safeStringify } from '../utils/storage';
  * A generic hook to persist state in localStorage with safe JSON handling.
  * - Handles parse/stringify errors
  * - SSR/No-window guard
+ * - Optional serialize/deserialize to map between state and the stored shape
+ * - Picks up values written to the same key by other tabs
  * @param {string} key
  * @param {any|Function} initialValue
+ * @param {{serialize?: (value:any) => any, deserialize?: (stored:any) => any}} [options]
+ *   serialize may return undefined to skip a write
  * @returns {[any, Function]}
  */
-export function useLocalStorage(key, initialValue) {
+export function useLocalStorage(key, initialValue, options = {}) {
   const isFirstRun = useRef(true);
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+  const initialRef = useRef(initialValue);
+  initialRef.current = initialValue;
 
   const readValue = () => {
     if (typeof window === 'undefined') return valueFrom(initialValue);
@@ -20,7 +28,8 @@ export function useLocalStorage(key, initialValue) {
       const item = window.localStorage.getItem(key);
       if (item === null || item === undefined) return valueFrom(initialValue);
       const parsed = safeParse(item);
-      return typeof parsed === 'undefined' ? valueFrom(initialValue) : parsed;
+      if (typeof parsed === 'undefined') return valueFrom(initialValue);
+      return options.deserialize ? options.deserialize(parsed) : parsed;
     } catch {
       return valueFrom(initialValue);
     }
@@ -32,7 +41,8 @@ export function useLocalStorage(key, initialValue) {
     // Sync to localStorage whenever value changes (skip first render if same)
     if (typeof window === 'undefined') return;
     try {
-      const serialized = safeStringify(storedValue);
+      const { serialize } = optionsRef.current;
+      const serialized = safeStringify(serialize ? serialize(storedValue) : storedValue);
       if (typeof serialized !== 'string') return;
       window.localStorage.setItem(key, serialized);
     } catch {
@@ -40,6 +50,21 @@ export function useLocalStorage(key, initialValue) {
     }
   }, [key, storedValue]);
 
+  // Another tab wrote this key: adopt its value (writing it back is a no-op)
+  useEffect(() => {
+    if (typeof window === 'undefined') return undefined;
+    const onStorage = (e) => {
+      if (e.key !== key) return;
+      const parsed = e.newValue === null ? undefined : safeParse(e.newValue);
+      const { deserialize } = optionsRef.current;
+      const fallback = initialRef.current;
+      if (typeof parsed === 'undefined') setStoredValue(typeof fallback === 'function' ? fallback() : fallback);
+      else setStoredValue(deserialize ? deserialize(parsed) : parsed);
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, [key]);
+
   // Helper to support functional initial values
   function valueFrom(v) {
     return typeof v === 'function' ? v() : v;
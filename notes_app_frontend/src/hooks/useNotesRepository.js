@@ -0,0 +1,236 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  createDefaultAdapter,
+  createSyncChannel,
+  describeStorageError,
+  loadRepository,
+  mergeRemoteRecords,
+} from '../storage';
+import { createId } from '../utils/storage';
+import { upsertNotes } from '../utils/notes';
+
+const lastRevisionAt = (list) => (list && list.length ? Number(list[list.length - 1].at || 0) : -Infinity);
+
+// How each collection in state maps onto records in its store
+const COLLECTIONS = {
+  notes: {
+    entries: (notes) => new Map(notes.map((n) => [n.id, n])),
+    toRecord: (id, note) => note,
+  },
+  trash: {
+    entries: (trash) => new Map(trash.map((n) => [n.id, n])),
+    toRecord: (id, note) => note,
+  },
+  revisions: {
+    entries: (map) => new Map(Object.entries(map || {})),
+    toRecord: (id, revisions) => ({ id, revisions }),
+  },
+  notebooks: {
+    entries: (notebooks) => new Map(notebooks.map((b) => [b.id, b])),
+    toRecord: (id, notebook) => notebook,
+  },
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * useNotesRepository
+ * Notes, Trash, revision and notebook state backed by a storage adapter (see storage/repository.js).
+ * Setters work like useState setters; after each change only the records whose
+ * object identity changed are written or removed, in order.
+ * Failed writes are reported through `error` and can be retried; the in-memory
+ * state is kept, so nothing is lost while the tab stays open.
+ *
+ * Other tabs are told about every successful write (see storage/sync.js) and merge it
+ * per note. A note edited here since the version another tab replaced is not
+ * overwritten: it is listed in `conflicts` and left unsaved until resolveConflict(id).
+ * @param {{adapter?: object, channel?: object}} [options] default to the best available adapter
+ *   and a BroadcastChannel/storage-event channel
+ * @returns {{
+ *   adapter: object, channel: object, status: 'loading'|'ready'|'error', readOnly: boolean, error: string|null, retry: Function,
+ *   notes: Array, setNotes: Function, trash: Array, setTrash: Function,
+ *   revisions: Object<string, Array>, setRevisions: Function, notebooks: Array, setNotebooks: Function,
+ *   conflicts: Array<{id: string, mine: object, theirs: object}>, resolveConflict: (id: string) => void
+ * }}
+ */
+export function useNotesRepository({ adapter, channel } = {}) {
+  const [repo] = useState(() => adapter || createDefaultAdapter());
+  const [sync] = useState(() => channel || createSyncChannel());
+  const [tabId] = useState(createId);
+  const [status, setStatus] = useState('loading');
+  const [readOnly, setReadOnly] = useState(false);
+  const [error, setError] = useState(null);
+  const [notes, setNotes] = useState([]);
+  const [trash, setTrash] = useState([]);
+  const [revisions, setRevisions] = useState({});
+  const [notebooks, setNotebooks] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+
+  // Records as last written successfully (or last received from another tab), per store
+  const persistedRef = useRef({ notes: new Map(), trash: new Map(), revisions: new Map(), notebooks: new Map() });
+  const failedRef = useRef(new Set());
+  const queueRef = useRef(Promise.resolve());
+  const loadRef = useRef(null);
+  // Notes with an unresolved conflict are not written until the user picks a version
+  const conflictIdsRef = useRef(new Set());
+  const latestRef = useRef({ notes, trash, revisions, notebooks });
+  latestRef.current = { notes, trash, revisions, notebooks };
+
+  useEffect(() => {
+    let cancelled = false;
+    // Shared across StrictMode's double effect run so data is only loaded once
+    if (!loadRef.current) loadRef.current = loadRepository(repo);
+    loadRef.current.then(
+      (data) => {
+        if (cancelled) return;
+        for (const store of Object.keys(COLLECTIONS)) {
+          persistedRef.current[store] = COLLECTIONS[store].entries(data[store]);
+        }
+        setNotes(data.notes);
+        setTrash(data.trash);
+        setRevisions(data.revisions);
+        setNotebooks(data.notebooks);
+        setReadOnly(data.readOnly);
+        setStatus('ready');
+      },
+      (err) => {
+        if (cancelled) return;
+        setReadOnly(true);
+        setStatus('error');
+        setError(`Notes could not be loaded: ${describeStorageError(err)}`);
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [repo]);
+
+  // Queue the writes needed to bring a store in line with the given state
+  const persist = useCallback(
+    (store, value) => {
+      const { entries, toRecord } = COLLECTIONS[store];
+      const next = entries(value);
+      const persisted = persistedRef.current[store];
+      const held = store === 'notes' ? conflictIdsRef.current : new Set();
+      const changed = [];
+      const removed = [];
+      for (const [id, item] of next) {
+        if (persisted.get(id) !== item && !held.has(id)) changed.push([id, item]);
+      }
+      for (const id of persisted.keys()) {
+        if (!next.has(id) && !held.has(id)) removed.push(id);
+      }
+      if (changed.length === 0 && removed.length === 0 && !failedRef.current.has(store)) return;
+
+      queueRef.current = queueRef.current.then(async () => {
+        try {
+          // The version each write replaces lets other tabs tell fast-forwards from conflicts
+          const put = changed.map(([id, item]) => ({
+            record: toRecord(id, item),
+            base: persisted.get(id)?.updatedAt ?? null,
+          }));
+          if (put.length) await repo.put(store, put.map((p) => p.record));
+          if (removed.length) await repo.remove(store, removed);
+          changed.forEach(([id, item]) => persisted.set(id, item));
+          removed.forEach((id) => persisted.delete(id));
+          if (failedRef.current.delete(store) && failedRef.current.size === 0) setError(null);
+          if (put.length || removed.length) sync.post({ source: tabId, store, put, remove: removed });
+        } catch (err) {
+          failedRef.current.add(store);
+          setError(`Changes could not be saved: ${describeStorageError(err)}`);
+        }
+      });
+    },
+    [repo, sync, tabId]
+  );
+
+  const canWrite = status === 'ready' && !readOnly;
+  useEffect(() => {
+    if (canWrite) persist('notes', notes);
+  }, [canWrite, persist, notes]);
+  useEffect(() => {
+    if (canWrite) persist('trash', trash);
+  }, [canWrite, persist, trash]);
+  useEffect(() => {
+    if (canWrite) persist('revisions', revisions);
+  }, [canWrite, persist, revisions]);
+  useEffect(() => {
+    if (canWrite) persist('notebooks', notebooks);
+  }, [canWrite, persist, notebooks]);
+
+  // Merge writes made by other tabs
+  useEffect(() => {
+    if (status !== 'ready') return undefined;
+    return sync.subscribe((message) => {
+      if (!message || message.source === tabId || !COLLECTIONS[message.store]) return;
+      const { store } = message;
+      const put = Array.isArray(message.put) ? message.put : [];
+      const remove = Array.isArray(message.remove) ? message.remove : [];
+      const persisted = persistedRef.current[store];
+      remove.forEach((id) => persisted.delete(id));
+
+      if (store === 'revisions') {
+        // Whichever list holds the most recent revision wins
+        const current = latestRef.current.revisions || {};
+        const taken = put.filter(({ record }) => lastRevisionAt(record.revisions) >= lastRevisionAt(current[record.id]));
+        put.forEach(({ record }) => persisted.set(record.id, record.revisions));
+        setRevisions((prev) => {
+          const next = { ...prev };
+          taken.forEach(({ record }) => {
+            next[record.id] = record.revisions;
+          });
+          remove.forEach((id) => delete next[id]);
+          return next;
+        });
+        return;
+      }
+
+      const local = COLLECTIONS[store].entries(latestRef.current[store]);
+      const { accepted, conflicts: found } = mergeRemoteRecords(local, put, { resolveByTime: store !== 'notes' });
+      put.forEach(({ record }) => persisted.set(record.id, record));
+      const setter = { notes: setNotes, trash: setTrash, notebooks: setNotebooks }[store];
+      setter((prev) => upsertNotes(prev, accepted, remove));
+
+      if (store !== 'notes') return;
+      // A fast-forward or deletion from another tab settles any open conflict for that note
+      const settled = new Set([...accepted.map((r) => r.id), ...remove]);
+      found.forEach(({ theirs }) => conflictIdsRef.current.add(theirs.id));
+      settled.forEach((id) => conflictIdsRef.current.delete(id));
+      setConflicts((prev) => [
+        ...prev.filter((c) => !settled.has(c.id) && !found.some((f) => f.theirs.id === c.id)),
+        ...found.map(({ mine, theirs }) => ({ id: theirs.id, mine, theirs })),
+      ]);
+    });
+  }, [status, sync, tabId]);
+
+  // PUBLIC_INTERFACE
+  // Write again whatever failed to save
+  const retry = useCallback(() => {
+    for (const store of Object.keys(COLLECTIONS)) persist(store, latestRef.current[store]);
+  }, [persist]);
+
+  // PUBLIC_INTERFACE
+  // Release a conflicted note for saving; the caller then sets the chosen version
+  const resolveConflict = useCallback((id) => {
+    conflictIdsRef.current.delete(id);
+    setConflicts((prev) => prev.filter((c) => c.id !== id));
+  }, []);
+
+  return {
+    adapter: repo,
+    channel: sync,
+    status,
+    readOnly,
+    error,
+    retry,
+    notes,
+    setNotes,
+    trash,
+    setTrash,
+    revisions,
+    setRevisions,
+    notebooks,
+    setNotebooks,
+    conflicts,
+    resolveConflict,
+  };
+}
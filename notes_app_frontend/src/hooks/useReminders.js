@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createReminderScheduler } from '../utils/reminders';
+
+// How often the clock that due dates are judged by moves on
+const CLOCK_INTERVAL_MS = 60 * 1000;
+
+const notificationApi = () => (typeof window !== 'undefined' && window.Notification ? window.Notification : null);
+
+/**
+ * PUBLIC_INTERFACE
+ * useReminders
+ * Runs the reminder scheduler (see utils/reminders) over the notes while enabled, and
+ * keeps a clock for overdue badges and filters that moves on every minute.
+ * `notify` shows a system notification when the user allows them and returns false
+ * otherwise, so the caller can alert inside the app instead.
+ * @param {{notes: Array, enabled?: boolean, onDue: (notes: Array, now: number) => void}} options
+ *   onDue must complete or snooze the reminders it is given (see utils/reminders)
+ * @returns {{
+ *   now: number,
+ *   permission: 'default'|'granted'|'denied'|'unsupported',
+ *   requestPermission: () => void,
+ *   notify: (title: string, options?: {body?: string, tag?: string}, onClick?: () => void) => boolean
+ * }}
+ */
+export function useReminders({ notes, enabled = true, onDue }) {
+  const [now, setNow] = useState(() => Date.now());
+  const [permission, setPermission] = useState(() => notificationApi()?.permission || 'unsupported');
+  const notesRef = useRef(notes);
+  notesRef.current = notes;
+  const onDueRef = useRef(onDue);
+  onDueRef.current = onDue;
+  const schedulerRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const scheduler = createReminderScheduler({
+      getNotes: () => notesRef.current,
+      onDue: (due, t) => onDueRef.current?.(due, t),
+    });
+    schedulerRef.current = scheduler;
+    // Background tabs run timers late, and permission can change in the browser's settings
+    const onVisible = () => {
+      if (document.visibilityState === 'hidden') return;
+      setNow(Date.now());
+      setPermission(notificationApi()?.permission || 'unsupported');
+      scheduler.refresh();
+    };
+    const clock = window.setInterval(() => setNow(Date.now()), CLOCK_INTERVAL_MS);
+    document.addEventListener('visibilitychange', onVisible);
+    window.addEventListener('focus', onVisible);
+    return () => {
+      scheduler.stop();
+      schedulerRef.current = null;
+      window.clearInterval(clock);
+      document.removeEventListener('visibilitychange', onVisible);
+      window.removeEventListener('focus', onVisible);
+    };
+  }, [enabled]);
+
+  useEffect(() => {
+    schedulerRef.current?.refresh();
+  }, [notes, enabled]);
+
+  // Only asks while the user has not decided yet; call it from a click or key press
+  const requestPermission = useCallback(() => {
+    const api = notificationApi();
+    if (!api || api.permission !== 'default') return;
+    const done = (result) => setPermission(result || api.permission);
+    try {
+      // Older Safari only takes a callback
+      const pending = api.requestPermission(done);
+      if (pending && typeof pending.then === 'function') pending.then(done, () => {});
+    } catch {
+      /* no-op */
+    }
+  }, []);
+
+  const notify = useCallback((title, options = {}, onClick) => {
+    const api = notificationApi();
+    if (!api || api.permission !== 'granted') return false;
+    try {
+      const notification = new api(title, options);
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+        onClick?.();
+      };
+      return true;
+    } catch {
+      // Some mobile browsers only show notifications from a service worker
+      return false;
+    }
+  }, []);
+
+  return { now, permission, requestPermission, notify };
+}
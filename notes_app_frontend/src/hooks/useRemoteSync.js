@@ -0,0 +1,210 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { EMPTY_SYNC_STATE, createSyncApi, pendingChanges, runSync } from '../sync';
+import { upsertNotes } from '../utils/notes';
+import { recordRevision } from '../utils/revisions';
+import { SYNC_INTERVAL_MS } from '../constants';
+
+// Repository metadata key holding { url, cursor, known } (see sync/engine.js)
+const SYNC_META_KEY = 'sync';
+
+// Quiet period after a local edit before it is pushed
+const PUSH_DELAY_MS = 1500;
+
+/** Apply the bases chosen for resolved conflicts (null: the server deleted the note). */
+function withResolutions(state, resolutions) {
+  if (!resolutions.size) return state;
+  const known = { ...state.known };
+  resolutions.forEach((base, id) => {
+    if (base === null) delete known[id];
+    else known[id] = base;
+  });
+  return { ...state, known };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useRemoteSync
+ * Keeps notes in sync with a server implementing docs/sync-api.md.
+ * Local edits are pushed shortly after they happen, and the server is polled for
+ * changes from other devices; while offline, edits wait in the outbox (derived
+ * from updatedAt, so it survives reloads) and go out once the connection is back.
+ * Remote changes are applied through the given setters: edits become new
+ * revisions and deletions move the note to the Trash. A note changed on both
+ * sides is listed in `conflicts` and not pushed until resolveConflict(id);
+ * the caller then saves the chosen version, which is pushed over the server's.
+ * @param {{
+ *   enabled: boolean, url: string, ready: boolean, adapter: object,
+ *   notes: Array, setNotes: Function, setTrash: Function, setRevisions: Function,
+ *   fetch?: Function, interval?: number
+ * }} options adapter stores the sync position in its metadata
+ * @returns {{
+ *   status: 'off'|'idle'|'syncing'|'synced'|'offline'|'error', error: string|null,
+ *   pending: number, lastSyncedAt: number|null, syncNow: () => Promise<void>,
+ *   conflicts: Array<{id: string, mine: object, theirs: object|null}>, resolveConflict: (id: string) => void
+ * }}
+ */
+export function useRemoteSync({
+  enabled,
+  url,
+  ready,
+  adapter,
+  notes,
+  setNotes,
+  setTrash,
+  setRevisions,
+  fetch,
+  interval = SYNC_INTERVAL_MS,
+}) {
+  const active = !!(enabled && url && ready && adapter);
+  const [phase, setPhase] = useState('idle');
+  const [error, setError] = useState(null);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [syncState, setSyncState] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+
+  const api = useMemo(() => createSyncApi({ baseUrl: url, fetch }), [url, fetch]);
+  const notesRef = useRef(notes);
+  notesRef.current = notes;
+  const stateRef = useRef(null);
+  const heldRef = useRef(new Set());
+  // Bases chosen by resolveConflict while a round was running, re-applied to its result
+  const resolutionsRef = useRef(new Map());
+  const runningRef = useRef(null);
+
+  // Load where the last sync with this server left off; another server starts afresh
+  useEffect(() => {
+    if (!active) return undefined;
+    let cancelled = false;
+    const start = (saved) => {
+      if (cancelled) return;
+      const state = saved && saved.url === url ? { cursor: saved.cursor, known: saved.known || {} } : EMPTY_SYNC_STATE;
+      stateRef.current = state;
+      setSyncState(state);
+    };
+    adapter.getMeta(SYNC_META_KEY).then(start, () => start(null));
+    return () => {
+      cancelled = true;
+      stateRef.current = null;
+      heldRef.current = new Set();
+      resolutionsRef.current = new Map();
+      setSyncState(null);
+      setConflicts([]);
+      setPhase('idle');
+      setError(null);
+    };
+  }, [active, adapter, url]);
+
+  const applyRemote = useCallback(
+    ({ put, remove }) => {
+      if (!put.length && !remove.length) return;
+      const now = Date.now();
+      const before = new Map(notesRef.current.map((n) => [n.id, n]));
+      const gone = new Set(remove);
+      const restored = new Set(put.map((r) => r.id));
+      const trashed = remove.filter((id) => before.has(id)).map((id) => ({ ...before.get(id), deletedAt: now }));
+      setNotes((prev) => upsertNotes(prev, put, gone));
+      setTrash((prev) => [...trashed, ...prev.filter((t) => !restored.has(t.id) && !gone.has(t.id))]);
+      setRevisions((prev) => put.reduce((acc, r) => recordRevision(acc, before.get(r.id) || null, r, now), prev));
+    },
+    [setNotes, setTrash, setRevisions]
+  );
+
+  const settleResolutions = useCallback(() => {
+    if (!stateRef.current || !resolutionsRef.current.size) return;
+    stateRef.current = withResolutions(stateRef.current, resolutionsRef.current);
+    resolutionsRef.current = new Map();
+    setSyncState(stateRef.current);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  // Run a sync round now (joins the running one, if any)
+  const syncNow = useCallback(() => {
+    if (!stateRef.current) return Promise.resolve();
+    if (runningRef.current) return runningRef.current;
+    if (window.navigator.onLine === false) {
+      setPhase('offline');
+      return Promise.resolve();
+    }
+    const startedWith = stateRef.current;
+    setPhase('syncing');
+    const run = runSync({ api, state: startedWith, getNotes: () => notesRef.current, held: new Set(heldRef.current) })
+      .then(async (result) => {
+        if (!stateRef.current) return; // sync was turned off meanwhile
+        const found = result.conflicts.filter((c) => !resolutionsRef.current.has(c.id));
+        const state = withResolutions(result.state, resolutionsRef.current);
+        resolutionsRef.current = new Map();
+        stateRef.current = state;
+        applyRemote(result);
+        found.forEach((c) => heldRef.current.add(c.id));
+        setConflicts((prev) => [...prev.filter((c) => !found.some((f) => f.id === c.id)), ...found]);
+        setSyncState(state);
+        await adapter.setMeta(SYNC_META_KEY, { url, ...state });
+        setError(null);
+        setPhase('synced');
+        setLastSyncedAt(Date.now());
+      })
+      .catch((err) => {
+        setError(err?.message || String(err));
+        setPhase(err?.offline ? 'offline' : 'error');
+      })
+      .finally(() => {
+        runningRef.current = null;
+        // Resolutions made during a failed round still apply
+        settleResolutions();
+      });
+    runningRef.current = run;
+    return run;
+  }, [adapter, api, applyRemote, settleResolutions, url]);
+
+  // Sync once loaded, then poll; reconnecting triggers a round straight away
+  const loaded = !!syncState;
+  useEffect(() => {
+    if (!loaded) return undefined;
+    syncNow();
+    const timer = window.setInterval(syncNow, interval);
+    const goneOffline = () => setPhase('offline');
+    window.addEventListener('online', syncNow);
+    window.addEventListener('offline', goneOffline);
+    return () => {
+      window.clearInterval(timer);
+      window.removeEventListener('online', syncNow);
+      window.removeEventListener('offline', goneOffline);
+    };
+  }, [loaded, syncNow, interval]);
+
+  const pending = useMemo(
+    () => (syncState ? pendingChanges(notes, syncState.known, new Set(conflicts.map((c) => c.id))).length : 0),
+    [notes, syncState, conflicts]
+  );
+
+  // Push local edits once they settle (every edit restarts the wait)
+  useEffect(() => {
+    if (!loaded || pending === 0) return undefined;
+    const timer = window.setTimeout(syncNow, PUSH_DELAY_MS);
+    return () => window.clearTimeout(timer);
+  }, [loaded, pending, notes, syncNow]);
+
+  // PUBLIC_INTERFACE
+  // Release a conflicted note: the next push of it replaces the server's version
+  const resolveConflict = useCallback((id) => {
+    const conflict = conflicts.find((c) => c.id === id);
+    if (!conflict) return;
+    const base = conflict.theirs ? conflict.theirs.updatedAt : null;
+    heldRef.current.delete(id);
+    resolutionsRef.current.set(id, base);
+    if (stateRef.current && !runningRef.current) {
+      settleResolutions();
+    }
+    setConflicts((prev) => prev.filter((c) => c.id !== id));
+  }, [conflicts, settleResolutions]);
+
+  return {
+    status: active ? phase : 'off',
+    error,
+    pending,
+    lastSyncedAt,
+    syncNow,
+    conflicts,
+    resolveConflict,
+  };
+}
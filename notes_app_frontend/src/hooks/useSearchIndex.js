@@ -0,0 +1,24 @@
+import { useMemo, useRef } from 'react';
+import { createSearchIndex } from '../utils/search';
+
+/**
+ * PUBLIC_INTERFACE
+ * useSearchIndex
+ * Keeps a full-text index (see utils/search) in sync with the notes list.
+ * The index lives for the lifetime of the component and only re-indexes notes
+ * that changed, so typing in the search box never rebuilds it.
+ * @param {Array} notes
+ * @returns {{search: (query: string, options?: object) => {notes: Array, terms: string[]}}}
+ *   options as in utils/search (SearchOptions); a new object whenever the notes change,
+ *   so it can be used as a memo dependency
+ */
+export function useSearchIndex(notes) {
+  const indexRef = useRef(null);
+  if (!indexRef.current) indexRef.current = createSearchIndex();
+
+  return useMemo(() => {
+    const index = indexRef.current;
+    index.sync(notes);
+    return { search: (query, options) => index.search(query, options) };
+  }, [notes]);
+}
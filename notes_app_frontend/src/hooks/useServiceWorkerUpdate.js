@@ -0,0 +1,22 @@
+import { useCallback, useEffect, useState } from 'react';
+import { serviceWorker } from '../pwa/registerServiceWorker';
+
+/**
+ * PUBLIC_INTERFACE
+ * useServiceWorkerUpdate
+ * Whether a new version of the app has been downloaded and is waiting, and a
+ * function that switches to it (the page reloads).
+ * @param {object} [registrar] defaults to the app's service worker registrar
+ * @returns {{updateAvailable: boolean, applyUpdate: () => void}}
+ */
+export function useServiceWorkerUpdate(registrar = serviceWorker) {
+  const [updateAvailable, setUpdateAvailable] = useState(false);
+
+  useEffect(() => registrar.onUpdateAvailable(() => setUpdateAvailable(true)), [registrar]);
+
+  const applyUpdate = useCallback(() => {
+    registrar.applyUpdate();
+  }, [registrar]);
+
+  return { updateAvailable, applyUpdate };
+}
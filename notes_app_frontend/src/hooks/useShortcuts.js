@@ -0,0 +1,32 @@
+import { useEffect, useRef } from 'react';
+import { matchShortcut } from '../utils/shortcuts';
+import { isEditableTarget } from '../utils/dom';
+
+/**
+ * PUBLIC_INTERFACE
+ * useShortcuts
+ * Run app-wide keyboard shortcuts. Plain keys are left alone while typing in a field
+ * (Ctrl/⌘ combos still work there), and nothing runs while a modal dialog is open.
+ * A handler returning false lets the key through unhandled.
+ * @param {Object<string, string>} shortcuts id -> combo (see utils/shortcuts resolveShortcuts)
+ * @param {Object<string, (e: KeyboardEvent) => (void|boolean)>} handlers id -> handler
+ */
+export function useShortcuts(shortcuts, handlers) {
+  const latestRef = useRef({ shortcuts, handlers });
+  latestRef.current = { shortcuts, handlers };
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.defaultPrevented) return;
+      const { shortcuts: current, handlers: run } = latestRef.current;
+      const id = matchShortcut(current, e);
+      if (!id || !run[id]) return;
+      if (!current[id].startsWith('mod+') && isEditableTarget(e.target)) return;
+      if (document.querySelector('[aria-modal="true"]')) return;
+      if (run[id](e) === false) return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+}
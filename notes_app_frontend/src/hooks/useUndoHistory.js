@@ -0,0 +1,64 @@
+import { useCallback, useRef, useState } from 'react';
+
+/**
+ * PUBLIC_INTERFACE
+ * useUndoHistory
+ * In-memory undo/redo stacks of recorded operations.
+ * Entries are opaque to the hook; callers record `{ label, before, after, ... }`
+ * and apply `before` on undo and `after` on redo.
+ * @param {number} [limit=100] maximum number of undoable entries
+ * @returns {{canUndo:boolean, canRedo:boolean, record:Function, undo:Function, redo:Function, forget:Function}}
+ */
+export function useUndoHistory(limit = 100) {
+  const pastRef = useRef([]);
+  const futureRef = useRef([]);
+  // Bumped whenever the stacks change so consumers re-render with fresh canUndo/canRedo
+  const [, setVersion] = useState(0);
+  const bump = () => setVersion((v) => v + 1);
+
+  // Record a new operation; clears the redo stack
+  const record = useCallback(
+    (entry) => {
+      pastRef.current = [...pastRef.current, entry].slice(-limit);
+      futureRef.current = [];
+      bump();
+    },
+    [limit]
+  );
+
+  // Pop the latest operation for undoing; returns it or null
+  const undo = useCallback(() => {
+    const entry = pastRef.current[pastRef.current.length - 1];
+    if (!entry) return null;
+    pastRef.current = pastRef.current.slice(0, -1);
+    futureRef.current = [...futureRef.current, entry];
+    bump();
+    return entry;
+  }, []);
+
+  // Pop the latest undone operation for redoing; returns it or null
+  const redo = useCallback(() => {
+    const entry = futureRef.current[futureRef.current.length - 1];
+    if (!entry) return null;
+    futureRef.current = futureRef.current.slice(0, -1);
+    pastRef.current = [...pastRef.current, entry];
+    bump();
+    return entry;
+  }, []);
+
+  // Drop entries matching a predicate (e.g. ones touching permanently deleted notes)
+  const forget = useCallback((predicate) => {
+    pastRef.current = pastRef.current.filter((e) => !predicate(e));
+    futureRef.current = futureRef.current.filter((e) => !predicate(e));
+    bump();
+  }, []);
+
+  return {
+    canUndo: pastRef.current.length > 0,
+    canRedo: futureRef.current.length > 0,
+    record,
+    undo,
+    redo,
+    forget,
+  };
+}
@@ -0,0 +1,114 @@
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { computeOffsets, indexAtOffset, scrollTopToReveal, visibleRange } from '../utils/virtual';
+
+/**
+ * PUBLIC_INTERFACE
+ * useVirtualList
+ * Windowed rendering for a scrollable list (see utils/virtual). Attach scrollRef and
+ * onScroll to the scrolling element, render items start..end-1 with a
+ * `data-virtual-key` attribute so they get measured, and pad the list with
+ * paddingTop/paddingBottom. When items are added, removed or resized, the item at
+ * the top of the viewport stays where it was.
+ * @param {{keys: string[], estimateSize: number, gap?: number, overscan?: number}} options
+ *   keys in list order; pass the same array while the list is unchanged
+ * @returns {{scrollRef: object, onScroll: () => void, start: number, end: number,
+ *   paddingTop: number, paddingBottom: number, scrollToIndex: (index: number) => void}}
+ */
+export function useVirtualList({ keys, estimateSize, gap = 0, overscan = 4 }) {
+  const scrollRef = useRef(null);
+  const [sizes, setSizes] = useState(() => new Map()); // measured heights by key
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+  // The item at the top of the viewport and how far into it the view is scrolled
+  const anchorRef = useRef(null);
+
+  const offsets = useMemo(() => computeOffsets(keys, sizes, estimateSize, gap), [keys, sizes, estimateSize, gap]);
+  const latestRef = useRef({ keys, offsets });
+  latestRef.current = { keys, offsets };
+
+  // Before the element is laid out (or where layout is unavailable) assume a window-sized viewport
+  const viewportHeight = viewport.height || window.innerHeight || 800;
+  const { start, end } = visibleRange(offsets, viewport.scrollTop, viewportHeight, overscan);
+  const count = keys.length;
+  const paddingTop = offsets[start];
+  const paddingBottom = count ? offsets[count] - offsets[end] : 0;
+
+  const readViewport = useCallback(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const { scrollTop, clientHeight } = el;
+    setViewport((prev) =>
+      prev.scrollTop === scrollTop && prev.height === clientHeight ? prev : { scrollTop, height: clientHeight }
+    );
+    const { keys: current, offsets: at } = latestRef.current;
+    if (scrollTop <= 0 || current.length === 0) {
+      anchorRef.current = null;
+      return;
+    }
+    const index = indexAtOffset(at, scrollTop);
+    anchorRef.current = { key: current[index], delta: scrollTop - at[index] };
+  }, []);
+
+  useEffect(() => {
+    readViewport();
+    window.addEventListener('resize', readViewport);
+    return () => window.removeEventListener('resize', readViewport);
+  }, [readViewport]);
+
+  // Measure the mounted items; a changed height moves everything below it
+  const measure = useCallback(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const measured = [];
+    el.querySelectorAll('[data-virtual-key]').forEach((node) => {
+      if (node.offsetHeight > 0) measured.push([node.getAttribute('data-virtual-key'), node.offsetHeight]);
+    });
+    setSizes((prev) => {
+      if (measured.every(([key, height]) => prev.get(key) === height)) return prev;
+      const next = new Map(prev);
+      measured.forEach(([key, height]) => next.set(key, height));
+      return next;
+    });
+  }, []);
+
+  useLayoutEffect(() => measure(), [keys, start, end, measure]);
+
+  // Cards also change height without the list changing (e.g. when the pane is resized)
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el || !window.ResizeObserver) return undefined;
+    const observer = new window.ResizeObserver(measure);
+    el.querySelectorAll('[data-virtual-key]').forEach((node) => observer.observe(node));
+    return () => observer.disconnect();
+  }, [keys, start, end, measure]);
+
+  // Keep the anchored item in place when the items above it change
+  useLayoutEffect(() => {
+    const el = scrollRef.current;
+    const anchor = anchorRef.current;
+    if (!el || !anchor) return;
+    const index = keys.indexOf(anchor.key);
+    if (index === -1) return;
+    const target = offsets[index] + anchor.delta;
+    if (Math.abs(el.scrollTop - target) < 1) return;
+    el.scrollTop = target;
+    setViewport((prev) => ({ ...prev, scrollTop: target }));
+  }, [keys, offsets]);
+
+  const scrollToIndex = useCallback(
+    (index) => {
+      const el = scrollRef.current;
+      if (!el || index < 0 || index >= latestRef.current.keys.length) return;
+      const { offsets: at } = latestRef.current;
+      const height = el.clientHeight || window.innerHeight || 800;
+      const target = scrollTopToReveal(at, index, el.scrollTop, height, gap);
+      if (target === el.scrollTop) return;
+      el.scrollTop = target;
+      setViewport({ scrollTop: target, height: el.clientHeight });
+      const anchorIndex = indexAtOffset(at, target);
+      anchorRef.current = target > 0 ? { key: latestRef.current.keys[anchorIndex], delta: target - at[anchorIndex] } : null;
+    },
+    [gap]
+  );
+
+  return { scrollRef, onScroll: readViewport, start, end, paddingTop, paddingBottom, scrollToIndex };
+}
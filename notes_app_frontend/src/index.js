@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { serviceWorker } from './pwa/registerServiceWorker';
 
 // Ensure the root exists and render the app
 const container = document.getElementById('root');
@@ -11,3 +12,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Cache the app for offline use; App shows a banner when an update is waiting
+serviceWorker.register();
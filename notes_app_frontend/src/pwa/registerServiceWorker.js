@@ -0,0 +1,88 @@
+import { SKIP_WAITING } from './swHandlers';
+
+/**
+ * PUBLIC_INTERFACE
+ * createServiceWorkerRegistrar
+ * Registers the service worker (see src/service-worker.js) and tracks updates.
+ * A new build installs in the background and then waits; subscribers are told
+ * it is available, and applyUpdate() activates it and reloads the page once the
+ * new worker has taken control.
+ * @param {{
+ *   container?: ServiceWorkerContainer, url?: string, enabled?: boolean,
+ *   reload?: () => void, whenLoaded?: (fn: Function) => void
+ * }} [options] defaults suit the browser: production builds only, after the page load
+ * @returns {{register: () => Promise<ServiceWorkerRegistration|null>,
+ *   onUpdateAvailable: (listener: Function) => Function, applyUpdate: () => boolean}}
+ */
+export function createServiceWorkerRegistrar({
+  container = typeof window !== 'undefined' ? window.navigator.serviceWorker : undefined,
+  // process.env values are replaced at build time
+  url = `${process.env.PUBLIC_URL}/service-worker.js`,
+  enabled = process.env.NODE_ENV === 'production',
+  reload = () => window.location.reload(),
+  whenLoaded = (fn) => {
+    // Registering after load keeps precaching from competing with the first render
+    if (document.readyState === 'complete') fn();
+    else window.addEventListener('load', fn, { once: true });
+  },
+} = {}) {
+  const listeners = new Set();
+  let waiting = null;
+  let reloading = false;
+
+  const announce = (worker) => {
+    waiting = worker;
+    listeners.forEach((listener) => listener(worker));
+  };
+
+  const watch = (registration) => {
+    // An update installed during an earlier visit is already waiting
+    if (registration.waiting && container.controller) announce(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && container.controller) announce(worker);
+      });
+    });
+  };
+
+  return {
+    register() {
+      if (!enabled || !container) return Promise.resolve(null);
+      return new Promise((resolve) => {
+        whenLoaded(() => {
+          container
+            .register(url)
+            .then((registration) => {
+              watch(registration);
+              resolve(registration);
+            })
+            .catch(() => resolve(null)); // the app still works, just not offline
+        });
+      });
+    },
+
+    onUpdateAvailable(listener) {
+      listeners.add(listener);
+      if (waiting) listener(waiting);
+      return () => listeners.delete(listener);
+    },
+
+    applyUpdate() {
+      if (!waiting) return false;
+      container.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        reload();
+      });
+      waiting.postMessage({ type: SKIP_WAITING });
+      return true;
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+/** The app's registrar; src/index.js registers it and useServiceWorkerUpdate listens to it. */
+export const serviceWorker = createServiceWorkerRegistrar();
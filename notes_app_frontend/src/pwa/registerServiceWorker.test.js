@@ -0,0 +1,79 @@
+import { createServiceWorkerRegistrar } from './registerServiceWorker';
+import { SKIP_WAITING } from './swHandlers';
+
+function eventTarget(props = {}) {
+  const listeners = {};
+  return {
+    ...props,
+    addEventListener: (type, fn) => {
+      (listeners[type] = listeners[type] || []).push(fn);
+    },
+    emit: (type) => (listeners[type] || []).forEach((fn) => fn()),
+  };
+}
+
+function setup({ controller = {}, waiting = null } = {}) {
+  const registration = eventTarget({ waiting, installing: null });
+  const container = eventTarget({ controller, register: jest.fn(() => Promise.resolve(registration)) });
+  const reload = jest.fn();
+  const registrar = createServiceWorkerRegistrar({
+    container,
+    url: '/service-worker.js',
+    enabled: true,
+    reload,
+    whenLoaded: (fn) => fn(),
+  });
+  return { registrar, registration, container, reload };
+}
+
+test('does nothing outside production builds or without service worker support', async () => {
+  expect(await createServiceWorkerRegistrar({ enabled: false, container: {} }).register()).toBeNull();
+  expect(await createServiceWorkerRegistrar({ enabled: true, container: undefined }).register()).toBeNull();
+});
+
+test('announces an update once the new worker has installed', async () => {
+  const { registrar, registration } = setup();
+  const listener = jest.fn();
+  registrar.onUpdateAvailable(listener);
+  await registrar.register();
+
+  const worker = eventTarget({ state: 'installing', postMessage: jest.fn() });
+  registration.installing = worker;
+  registration.emit('updatefound');
+  worker.emit('statechange');
+  expect(listener).not.toHaveBeenCalled();
+  worker.state = 'installed';
+  worker.emit('statechange');
+  expect(listener).toHaveBeenCalledWith(worker);
+});
+
+test('the first install is not an update', async () => {
+  const { registrar, registration } = setup({ controller: null });
+  const listener = jest.fn();
+  registrar.onUpdateAvailable(listener);
+  await registrar.register();
+  const worker = eventTarget({ state: 'installed' });
+  registration.installing = worker;
+  registration.emit('updatefound');
+  worker.emit('statechange');
+  expect(listener).not.toHaveBeenCalled();
+});
+
+test('applyUpdate activates the waiting worker and reloads once it takes over', async () => {
+  const waiting = { postMessage: jest.fn() };
+  const { registrar, container, reload } = setup({ waiting });
+  expect(registrar.applyUpdate()).toBe(false);
+  await registrar.register();
+
+  // Late subscribers still hear about an update found earlier
+  const listener = jest.fn();
+  registrar.onUpdateAvailable(listener);
+  expect(listener).toHaveBeenCalledWith(waiting);
+
+  expect(registrar.applyUpdate()).toBe(true);
+  expect(waiting.postMessage).toHaveBeenCalledWith({ type: SKIP_WAITING });
+  expect(reload).not.toHaveBeenCalled();
+  container.emit('controllerchange');
+  container.emit('controllerchange');
+  expect(reload).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,126 @@
+// PUBLIC_INTERFACE
+/** Prefix of every cache the service worker owns. */
+export const CACHE_PREFIX = 'ocean-notes';
+
+// PUBLIC_INTERFACE
+/** Message a page posts to a waiting service worker to activate it right away. */
+export const SKIP_WAITING = 'SKIP_WAITING';
+
+const PRECACHE_PREFIX = `${CACHE_PREFIX}-precache-`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}-runtime`;
+
+// Requests under this path go to the sync server and are never cached
+const API_PATH = '/api/';
+
+// Files outside the build manifest (public/ icons, manifest.json, fonts) that may be
+// cached at runtime; anything else (API calls, generated responses) stays on the network
+const STATIC_FILE = /\.(?:css|js|json|webmanifest|ico|png|jpe?g|gif|svg|webp|woff2?|ttf|txt)$/i;
+
+/**
+ * PUBLIC_INTERFACE
+ * precacheName
+ * Cache name for a build: derived from its asset manifest, so every deploy
+ * precaches into a fresh cache and the previous one is dropped on activation.
+ * @param {Array<string|{url: string, revision?: string|null}>} manifest
+ * @returns {string}
+ */
+export function precacheName(manifest) {
+  const text = manifest.map((e) => (typeof e === 'string' ? e : `${e.url}@${e.revision || ''}`)).join('|');
+  let hash = 5381;
+  for (let i = 0; i < text.length; i += 1) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  return `${PRECACHE_PREFIX}${hash.toString(36)}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * attachServiceWorker
+ * Install the offline handlers on a service worker global scope:
+ * - install: precache the app shell and every built asset
+ * - activate: drop caches of older builds and the runtime cache, and take control of open pages
+ * - fetch: navigations get the cached app shell, built assets come from the precache, and
+ *   other static files are served stale-while-revalidate from a runtime cache
+ * - message SKIP_WAITING: activate a waiting update (see pwa/registerServiceWorker.js)
+ * A new build waits until the page asks for it, so the app can offer a reload.
+ * @param {ServiceWorkerGlobalScope} scope
+ * @param {Array<string|{url: string, revision?: string|null}>} manifest injected by the build
+ */
+export function attachServiceWorker(scope, manifest) {
+  const cacheName = precacheName(manifest);
+  const base = scope.registration.scope;
+  const { origin } = scope.location;
+  // Manifest URLs are root-relative ("/static/js/main.js") or relative to the scope
+  const resolve = (url) => (/^https?:/.test(url) ? url : url.startsWith('/') ? origin + url : base + url);
+  const shellUrl = resolve('index.html');
+  const precacheUrls = [...new Set([shellUrl, ...manifest.map((e) => resolve(typeof e === 'string' ? e : e.url))])];
+
+  const precache = async () => {
+    const cache = await scope.caches.open(cacheName);
+    await Promise.all(
+      precacheUrls.map(async (url) => {
+        // Bypass the HTTP cache so an update never precaches stale files
+        const response = await scope.fetch(url, { cache: 'reload' });
+        if (!response.ok) throw new Error(`Precaching ${url} failed with ${response.status}`);
+        await cache.put(url, response);
+      })
+    );
+  };
+
+  const cleanUp = async () => {
+    const names = await scope.caches.keys();
+    await Promise.all(
+      names
+        .filter((n) => (n.startsWith(PRECACHE_PREFIX) && n !== cacheName) || n === RUNTIME_CACHE)
+        .map((n) => scope.caches.delete(n))
+    );
+    await scope.clients.claim();
+  };
+
+  const appShell = async (request) => {
+    const cache = await scope.caches.open(cacheName);
+    return (await cache.match(shellUrl)) || scope.fetch(request);
+  };
+
+  const cacheFirst = async (request) => {
+    const cached = await (await scope.caches.open(cacheName)).match(request.url);
+    return cached || scope.fetch(request);
+  };
+
+  // Answer from the runtime cache right away and refresh it from the network behind the scenes
+  const staleWhileRevalidate = async (event) => {
+    const { request } = event;
+    const runtime = await scope.caches.open(RUNTIME_CACHE);
+    const refresh = scope.fetch(request).then(async (response) => {
+      if (response.ok) await runtime.put(request.url, response.clone());
+      return response;
+    });
+    const stored = await runtime.match(request.url);
+    if (!stored) return refresh;
+    // Offline the stored copy simply stays
+    event.waitUntil(refresh.catch(() => {}));
+    return stored;
+  };
+
+  scope.addEventListener('install', (event) => {
+    event.waitUntil(precache());
+  });
+
+  scope.addEventListener('activate', (event) => {
+    event.waitUntil(cleanUp());
+  });
+
+  scope.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    if (!request.url.startsWith(`${origin}/`)) return;
+    const pathname = request.url.slice(origin.length).split(/[?#]/)[0];
+    // The sync server may be mounted below the app's origin, e.g. /sync/api/
+    if (pathname.includes(API_PATH)) return;
+    if (request.mode === 'navigate') event.respondWith(appShell(request));
+    else if (precacheUrls.includes(request.url)) event.respondWith(cacheFirst(request));
+    else if (STATIC_FILE.test(pathname)) event.respondWith(staleWhileRevalidate(event));
+  });
+
+  scope.addEventListener('message', (event) => {
+    if (event.data && event.data.type === SKIP_WAITING) scope.skipWaiting();
+  });
+}
@@ -0,0 +1,178 @@
+import { attachServiceWorker, precacheName, SKIP_WAITING } from './swHandlers';
+
+const ORIGIN = 'https://notes.example';
+
+function fakeResponse(body, status = 200) {
+  return { body, status, ok: status >= 200 && status < 300, clone: () => fakeResponse(body, status) };
+}
+
+function fakeCaches() {
+  const stores = new Map();
+  return {
+    stores,
+    async open(name) {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const entries = stores.get(name);
+      return {
+        match: async (url) => entries.get(url),
+        put: async (url, response) => {
+          entries.set(url, response);
+        },
+      };
+    },
+    keys: async () => [...stores.keys()],
+    delete: async (name) => stores.delete(name),
+  };
+}
+
+/** A service worker scope whose network can be switched off. */
+function fakeScope(files) {
+  const listeners = {};
+  const scope = {
+    online: true,
+    registration: { scope: `${ORIGIN}/` },
+    location: { origin: ORIGIN, href: `${ORIGIN}/service-worker.js` },
+    caches: fakeCaches(),
+    clients: { claim: jest.fn(() => Promise.resolve()) },
+    skipWaiting: jest.fn(),
+    fetch: jest.fn(async (input) => {
+      if (!scope.online) throw new TypeError('Failed to fetch');
+      const url = typeof input === 'string' ? input : input.url;
+      const path = new window.URL(url).pathname;
+      return path in files ? fakeResponse(files[path]) : fakeResponse('missing', 404);
+    }),
+    addEventListener: (type, fn) => {
+      listeners[type] = fn;
+    },
+  };
+  // Dispatch an event and wait for whatever the handler handed to waitUntil/respondWith
+  // (background work a handler starts later is collected in scope.background)
+  scope.background = [];
+  scope.dispatch = async (type, init = {}) => {
+    let pending;
+    const event = {
+      ...init,
+      waitUntil: (p) => (pending === undefined ? (pending = p) : scope.background.push(p)),
+      respondWith: (p) => (pending = p),
+    };
+    listeners[type](event);
+    return pending;
+  };
+  scope.get = (url, mode = 'no-cors') => scope.dispatch('fetch', { request: { url, method: 'GET', mode } });
+  return scope;
+}
+
+const FILES = {
+  '/index.html': '<html>shell</html>',
+  '/static/js/main.abc.js': 'app code',
+  '/static/css/main.abc.css': 'styles',
+  '/manifest.json': '{}',
+};
+const MANIFEST = [
+  { url: '/index.html', revision: 'r1' },
+  { url: '/static/js/main.abc.js', revision: null },
+  { url: '/static/css/main.abc.css', revision: null },
+];
+
+async function installedScope() {
+  const scope = fakeScope(FILES);
+  attachServiceWorker(scope, MANIFEST);
+  await scope.dispatch('install');
+  await scope.dispatch('activate');
+  return scope;
+}
+
+test('install precaches the app shell and built assets', async () => {
+  const scope = await installedScope();
+  const cache = scope.caches.stores.get(precacheName(MANIFEST));
+  expect([...cache.keys()].sort()).toEqual(
+    [`${ORIGIN}/index.html`, `${ORIGIN}/static/css/main.abc.css`, `${ORIGIN}/static/js/main.abc.js`].sort()
+  );
+  expect(scope.fetch).toHaveBeenCalledWith(`${ORIGIN}/index.html`, { cache: 'reload' });
+  expect(scope.clients.claim).toHaveBeenCalled();
+});
+
+test('install fails when an asset cannot be fetched, keeping the previous worker', async () => {
+  const scope = fakeScope({ '/index.html': 'shell' });
+  attachServiceWorker(scope, MANIFEST);
+  await expect(scope.dispatch('install')).rejects.toThrow(/main\.abc\.js/);
+});
+
+test('offline: navigations to any route get the cached app shell', async () => {
+  const scope = await installedScope();
+  scope.online = false;
+  const response = await scope.get(`${ORIGIN}/`, 'navigate');
+  expect(response.body).toBe('<html>shell</html>');
+  expect((await scope.get(`${ORIGIN}/some/deep/link?x=1`, 'navigate')).body).toBe('<html>shell</html>');
+});
+
+test('offline: precached assets are served from the cache', async () => {
+  const scope = await installedScope();
+  scope.online = false;
+  scope.fetch.mockClear();
+  expect((await scope.get(`${ORIGIN}/static/js/main.abc.js`)).body).toBe('app code');
+  expect(scope.fetch).not.toHaveBeenCalled();
+});
+
+test('other static files are cached on first use and work offline afterwards', async () => {
+  const scope = await installedScope();
+  expect((await scope.get(`${ORIGIN}/manifest.json`)).body).toBe('{}');
+  scope.online = false;
+  expect((await scope.get(`${ORIGIN}/manifest.json`)).body).toBe('{}');
+  await Promise.all(scope.background);
+  expect((await scope.get(`${ORIGIN}/manifest.json`)).body).toBe('{}');
+  await expect(scope.get(`${ORIGIN}/never-fetched.png`)).rejects.toThrow('Failed to fetch');
+});
+
+test('static files are refreshed in the background, and a new build drops the runtime cache', async () => {
+  const files = { ...FILES };
+  const scope = fakeScope(files);
+  attachServiceWorker(scope, MANIFEST);
+  await scope.dispatch('install');
+  await scope.dispatch('activate');
+  expect((await scope.get(`${ORIGIN}/manifest.json`)).body).toBe('{}');
+
+  // The stored copy answers first; the one fetched meanwhile answers the next request
+  files['/manifest.json'] = '{"v":2}';
+  expect((await scope.get(`${ORIGIN}/manifest.json`)).body).toBe('{}');
+  await Promise.all(scope.background);
+  expect((await scope.get(`${ORIGIN}/manifest.json`)).body).toBe('{"v":2}');
+
+  files['/manifest.json'] = '{"v":3}';
+  attachServiceWorker(scope, [{ url: '/index.html', revision: 'r2' }]);
+  await scope.dispatch('install');
+  await scope.dispatch('activate');
+  expect(scope.caches.stores.has('ocean-notes-runtime')).toBe(false);
+  expect((await scope.get(`${ORIGIN}/manifest.json`)).body).toBe('{"v":3}');
+});
+
+test('leaves API calls, other dynamic requests, cross-origin and non-GET requests to the network', async () => {
+  const scope = await installedScope();
+  expect(await scope.get(`${ORIGIN}/api/notes`)).toBeUndefined();
+  expect(await scope.get(`${ORIGIN}/sync/api/notes?since=5`)).toBeUndefined();
+  expect(await scope.get(`${ORIGIN}/notes/export`)).toBeUndefined();
+  expect(await scope.get('https://fonts.googleapis.com/css2?family=Inter')).toBeUndefined();
+  const post = await scope.dispatch('fetch', { request: { url: `${ORIGIN}/x`, method: 'POST', mode: 'cors' } });
+  expect(post).toBeUndefined();
+});
+
+test('activating a new build drops the previous precache', async () => {
+  const scope = await installedScope();
+  const oldName = precacheName(MANIFEST);
+  const next = [{ url: '/index.html', revision: 'r2' }, { url: '/static/js/main.abc.js', revision: null }];
+  expect(precacheName(next)).not.toBe(oldName);
+
+  attachServiceWorker(scope, next);
+  await scope.dispatch('install');
+  await scope.dispatch('activate');
+  expect(scope.caches.stores.has(oldName)).toBe(false);
+  expect(scope.caches.stores.has(precacheName(next))).toBe(true);
+});
+
+test('a waiting worker activates when the page asks for it', async () => {
+  const scope = await installedScope();
+  await scope.dispatch('message', { data: { type: 'something else' } });
+  expect(scope.skipWaiting).not.toHaveBeenCalled();
+  await scope.dispatch('message', { data: { type: SKIP_WAITING } });
+  expect(scope.skipWaiting).toHaveBeenCalled();
+});
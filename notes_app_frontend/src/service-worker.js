@@ -0,0 +1,6 @@
+// Service worker entry. Only the production build compiles it: Workbox's
+// InjectManifest (configured by react-scripts) replaces self.__WB_MANIFEST
+// with the built assets and their revisions, so each deploy yields a new worker.
+import { attachServiceWorker } from './pwa/swHandlers';
+
+attachServiceWorker(self, self.__WB_MANIFEST || []);
@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom does not ship TextEncoder/TextDecoder; zip and import code rely on them
+import { TextDecoder, TextEncoder } from 'util';
+if (typeof window.TextEncoder === 'undefined') window.TextEncoder = TextEncoder;
+if (typeof window.TextDecoder === 'undefined') window.TextDecoder = TextDecoder;
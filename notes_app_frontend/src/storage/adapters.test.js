@@ -0,0 +1,53 @@
+import { createLocalStorageAdapter } from './localStorageAdapter';
+import { createMemoryAdapter } from './memoryAdapter';
+
+describe.each([
+  ['memory', () => createMemoryAdapter()],
+  ['localStorage', () => createLocalStorageAdapter({ prefix: 'test.db.' })],
+])('%s adapter', (name, create) => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('puts, reads and removes records per store', async () => {
+    const adapter = create();
+    await adapter.put('notes', [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }]);
+    await adapter.put('trash', [{ id: 'c', title: 'C' }]);
+    await adapter.put('notes', [{ id: 'a', title: 'A2' }]);
+    await adapter.remove('notes', ['b']);
+
+    expect(await adapter.getAll('notes')).toEqual([{ id: 'a', title: 'A2' }]);
+    expect(await adapter.getAll('trash')).toEqual([{ id: 'c', title: 'C' }]);
+    expect(await adapter.getAll('revisions')).toEqual([]);
+  });
+
+  test('keeps blobs in records', async () => {
+    const adapter = create();
+    const blob = new window.Blob(['hello'], { type: 'text/plain' });
+    await adapter.put('attachments', [{ id: 'f', name: 'hello.txt', blob }]);
+
+    const [record] = await adapter.getAll('attachments');
+    expect(record).toMatchObject({ id: 'f', name: 'hello.txt' });
+    expect(record.blob).toBeInstanceOf(window.Blob);
+    expect(record.blob.type).toBe('text/plain');
+    expect(await new window.Response(record.blob).text()).toBe('hello');
+  });
+
+  test('stores meta values', async () => {
+    const adapter = create();
+    expect(await adapter.getMeta('schemaVersion')).toBeUndefined();
+    await adapter.setMeta('schemaVersion', 3);
+    expect(await adapter.getMeta('schemaVersion')).toBe(3);
+  });
+});
+
+test('localStorage adapter writes one key per record and reports quota errors', async () => {
+  window.localStorage.clear();
+  const adapter = createLocalStorageAdapter({ prefix: 'test.db.' });
+  await adapter.put('notes', [{ id: 'a' }, { id: 'b' }]);
+  expect(Object.keys(window.localStorage).sort()).toEqual(['test.db.notes/a', 'test.db.notes/b']);
+
+  const full = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+  const storage = { setItem: jest.fn(() => { throw full; }) };
+  await expect(createLocalStorageAdapter({ storage }).put('notes', [{ id: 'x' }])).rejects.toBe(full);
+});
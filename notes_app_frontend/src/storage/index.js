@@ -0,0 +1,5 @@
+export { ATTACHMENT_STORE, STORES, createDefaultAdapter, describeStorageError, loadRepository } from './repository';
+export { createIndexedDbAdapter } from './indexedDbAdapter';
+export { createLocalStorageAdapter } from './localStorageAdapter';
+export { createMemoryAdapter } from './memoryAdapter';
+export { createSyncChannel, mergeRemoteRecords } from './sync';
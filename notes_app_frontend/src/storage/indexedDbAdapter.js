@@ -0,0 +1,89 @@
+import { KEYS } from '../constants';
+
+// Bump when object stores are added; upgrade() creates whatever is missing
+const DB_VERSION = 3;
+const META_STORE = 'meta';
+
+/** Resolve with a request's result, or reject with its error. */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createIndexedDbAdapter
+ * Storage adapter backed by IndexedDB: one object store per collection,
+ * records keyed by id, plus a `meta` store for bookkeeping values.
+ * @param {{name?: string, stores: string[], factory?: IDBFactory}} options
+ * @returns {object} adapter
+ */
+export function createIndexedDbAdapter({ name = KEYS.db, stores, factory = window.indexedDB }) {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = factory.open(name, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          for (const store of stores) {
+            if (!db.objectStoreNames.contains(store)) db.createObjectStore(store, { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('The notes database is open in an older tab. Close other tabs and reload.'));
+      });
+      // Allow a later call to try again after a failed open
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  };
+
+  // Run `fn` inside a transaction and resolve once it has committed
+  const transact = async (store, mode, fn) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(store, mode);
+      let result;
+      Promise.resolve(fn(tx.objectStore(store))).then((value) => {
+        result = value;
+      }, reject);
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+    });
+  };
+
+  return {
+    name: 'indexedDB',
+    getAll(store) {
+      return transact(store, 'readonly', (os) => promisify(os.getAll()));
+    },
+    put(store, records) {
+      return transact(store, 'readwrite', (os) => {
+        for (const record of records) os.put(record);
+      });
+    },
+    remove(store, ids) {
+      return transact(store, 'readwrite', (os) => {
+        for (const id of ids) os.delete(id);
+      });
+    },
+    async getMeta(key) {
+      const entry = await transact(META_STORE, 'readonly', (os) => promisify(os.get(key)));
+      return entry ? entry.value : undefined;
+    },
+    setMeta(key, value) {
+      return transact(META_STORE, 'readwrite', (os) => {
+        os.put({ key, value });
+      });
+    },
+  };
+}
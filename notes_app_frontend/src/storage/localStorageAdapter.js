@@ -0,0 +1,85 @@
+import { safeParse } from '../utils/storage';
+import { KEYS } from '../constants';
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function dataUrlToBlob(url) {
+  const m = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(url);
+  if (!m) return null;
+  const binary = m[2] ? window.atob(m[3]) : decodeURIComponent(m[3]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return new window.Blob([bytes], { type: m[1] });
+}
+
+// localStorage holds strings only: Blob fields are stored as `{ $blob: <data URL> }`
+async function encodeRecord(record) {
+  if (!Object.values(record).some((value) => value instanceof window.Blob)) return record;
+  const entries = await Promise.all(
+    Object.entries(record).map(async ([key, value]) => [
+      key,
+      value instanceof window.Blob ? { $blob: await blobToDataUrl(value) } : value,
+    ])
+  );
+  return Object.fromEntries(entries);
+}
+
+function decodeRecord(record) {
+  const out = { ...record };
+  for (const [key, value] of Object.entries(out)) {
+    if (value && typeof value === 'object' && typeof value.$blob === 'string') out[key] = dataUrlToBlob(value.$blob);
+  }
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createLocalStorageAdapter
+ * Storage adapter keeping one localStorage entry per record
+ * (`<prefix><store>/<id>`), so saving a note never rewrites the others.
+ * Blobs in records (attachments) are kept as data URLs.
+ * Write errors such as QuotaExceededError are passed on to the caller.
+ * @param {{prefix?: string, storage?: Storage}} [options]
+ * @returns {object} adapter
+ */
+export function createLocalStorageAdapter({ prefix = `${KEYS.db}.`, storage = window.localStorage } = {}) {
+  const recordKey = (store, id) => `${prefix}${store}/${id}`;
+  const metaKey = (key) => `${prefix}meta/${key}`;
+
+  return {
+    name: 'localStorage',
+    async getAll(store) {
+      const start = `${prefix}${store}/`;
+      const records = [];
+      for (let i = 0; i < storage.length; i += 1) {
+        const key = storage.key(i);
+        if (!key || !key.startsWith(start)) continue;
+        const record = safeParse(storage.getItem(key));
+        if (record && typeof record === 'object') records.push(decodeRecord(record));
+      }
+      return records;
+    },
+    async put(store, records) {
+      for (const record of records) {
+        storage.setItem(recordKey(store, record.id), JSON.stringify(await encodeRecord(record)));
+      }
+    },
+    async remove(store, ids) {
+      for (const id of ids) storage.removeItem(recordKey(store, id));
+    },
+    async getMeta(key) {
+      const raw = storage.getItem(metaKey(key));
+      return raw === null ? undefined : safeParse(raw);
+    },
+    async setMeta(key, value) {
+      storage.setItem(metaKey(key), JSON.stringify(value));
+    },
+  };
+}
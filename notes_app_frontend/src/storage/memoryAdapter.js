@@ -0,0 +1,40 @@
+/**
+ * PUBLIC_INTERFACE
+ * createMemoryAdapter
+ * Storage adapter that keeps records in memory only (tests, or when no
+ * persistent storage is available). Implements the adapter interface
+ * described in storage/repository.js.
+ * @param {Object<string, Array>} [initial] records per store to start with
+ * @returns {object} adapter
+ */
+export function createMemoryAdapter(initial = {}) {
+  const stores = new Map();
+  const meta = new Map();
+
+  const storeMap = (store) => {
+    if (!stores.has(store)) stores.set(store, new Map());
+    return stores.get(store);
+  };
+  for (const [store, records] of Object.entries(initial)) {
+    for (const record of records) storeMap(store).set(record.id, record);
+  }
+
+  return {
+    name: 'memory',
+    async getAll(store) {
+      return [...storeMap(store).values()];
+    },
+    async put(store, records) {
+      for (const record of records) storeMap(store).set(record.id, record);
+    },
+    async remove(store, ids) {
+      for (const id of ids) storeMap(store).delete(id);
+    },
+    async getMeta(key) {
+      return meta.get(key);
+    },
+    async setMeta(key, value) {
+      meta.set(key, value);
+    },
+  };
+}
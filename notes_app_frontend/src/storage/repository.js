@@ -0,0 +1,170 @@
+import { createIndexedDbAdapter } from './indexedDbAdapter';
+import { createLocalStorageAdapter } from './localStorageAdapter';
+import { createMemoryAdapter } from './memoryAdapter';
+import { deserializeNotes, getInitialNotes, migrateNotes, safeParse } from '../utils/storage';
+import { withInbox } from '../utils/notebooks';
+import { KEYS, SCHEMA_VERSION } from '../constants';
+
+/*
+ * Storage adapter interface. Every method returns a Promise and rejects when
+ * the underlying storage fails (quota exceeded, blocked database, ...).
+ *
+ *   name: string
+ *   getAll(store)          -> Promise<Array<{id}>>
+ *   put(store, records)    -> Promise<void>   writes only the given records
+ *   remove(store, ids)     -> Promise<void>
+ *   getMeta(key)           -> Promise<any>    undefined when unset
+ *   setMeta(key, value)    -> Promise<void>
+ *
+ * Stores hold notes, Trash entries, per-note revision lists
+ * (`{ id: noteId, revisions: [...] }`) and notebooks (see utils/notebooks.js).
+ * Attachments (`{ id, name, type, size, createdAt, blob }`) have a store of their own,
+ * read separately by hooks/useAttachments rather than with the rest.
+ */
+
+// PUBLIC_INTERFACE
+/** Record stores every adapter provides. */
+export const STORES = ['notes', 'trash', 'revisions', 'notebooks'];
+
+// PUBLIC_INTERFACE
+/** Store holding attached files as blobs (see utils/attachments.js). */
+export const ATTACHMENT_STORE = 'attachments';
+
+// Stores holding notes in the DEFAULT_NOTE shape, which go through schema migrations
+const NOTE_STORES = ['notes', 'trash'];
+
+function hasLocalStorage() {
+  try {
+    return typeof window !== 'undefined' && !!window.localStorage;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createDefaultAdapter
+ * Best available adapter: IndexedDB, then localStorage, then memory.
+ * @returns {object} adapter
+ */
+export function createDefaultAdapter() {
+  if (typeof window !== 'undefined' && window.indexedDB) {
+    return createIndexedDbAdapter({ stores: [...STORES, ATTACHMENT_STORE] });
+  }
+  if (hasLocalStorage()) return createLocalStorageAdapter();
+  return createMemoryAdapter();
+}
+
+/** Turn revision records into the `{ [noteId]: revisions }` map used by the app. */
+function revisionsFromRecords(records) {
+  const map = {};
+  for (const record of records) {
+    if (record && Array.isArray(record.revisions)) map[record.id] = record.revisions;
+  }
+  return map;
+}
+
+function revisionsToRecords(map) {
+  return Object.entries(map || {}).map(([id, revisions]) => ({ id, revisions }));
+}
+
+/** Read the notes, Trash and revisions kept in localStorage blobs by earlier builds. */
+function readLegacyBlobs() {
+  if (!hasLocalStorage()) return null;
+  const raw = (key) => {
+    try {
+      return window.localStorage.getItem(key);
+    } catch {
+      return null;
+    }
+  };
+  const notesRaw = raw(KEYS.notes);
+  const trashRaw = raw(KEYS.trash);
+  const notesParsed = notesRaw === null ? undefined : safeParse(notesRaw);
+  const newer = !!migrateNotes(notesParsed)?.newer;
+  return {
+    newer,
+    notes: notesRaw === null ? getInitialNotes() : deserializeNotes(notesParsed, KEYS.notesBackup),
+    trash: trashRaw === null ? [] : deserializeNotes(safeParse(trashRaw), KEYS.trashBackup),
+    revisions: safeParse(raw(KEYS.revisions)) || {},
+  };
+}
+
+function removeLegacyBlobs() {
+  try {
+    [KEYS.notes, KEYS.trash, KEYS.revisions].forEach((key) => window.localStorage.removeItem(key));
+  } catch {
+    // no-op: the blobs are ignored once the repository is initialised
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadRepository
+ * Read everything from an adapter, preparing it on first use:
+ * - an empty repository imports the localStorage blobs of earlier builds once
+ *   (KEYS.notes, KEYS.trash, KEYS.revisions), then removes them
+ * - records from an older schema are migrated and written back, keeping a
+ *   pre-migration copy in the `backup.v<version>` meta entry
+ * - records from a newer schema are returned read-only and never written
+ * - the Inbox notebook is created when missing
+ * @param {object} adapter
+ * @returns {Promise<{notes: Array, trash: Array, revisions: Object<string, Array>, notebooks: Array, readOnly: boolean}>}
+ */
+export async function loadRepository(adapter) {
+  const version = await adapter.getMeta('schemaVersion');
+
+  if (version === undefined) {
+    const legacy = readLegacyBlobs();
+    const notebooks = withInbox([]);
+    if (legacy?.newer) {
+      return { notes: legacy.notes, trash: legacy.trash, revisions: legacy.revisions, notebooks, readOnly: true };
+    }
+    const data = { ...(legacy || { notes: [], trash: [], revisions: {} }), notebooks };
+    await adapter.put('notes', data.notes);
+    await adapter.put('trash', data.trash);
+    await adapter.put('revisions', revisionsToRecords(data.revisions));
+    await adapter.put('notebooks', notebooks);
+    await adapter.setMeta('schemaVersion', SCHEMA_VERSION);
+    if (legacy) removeLegacyBlobs();
+    return { ...data, readOnly: false };
+  }
+
+  const [notes, trash, revisionRecords, storedNotebooks] = await Promise.all(STORES.map((store) => adapter.getAll(store)));
+  const notebooks = withInbox(storedNotebooks);
+  const data = { notes, trash, revisions: revisionsFromRecords(revisionRecords), notebooks };
+
+  const migrated = {};
+  for (const store of NOTE_STORES) {
+    migrated[store] = migrateNotes({ version, notes: data[store] });
+  }
+  if (version > SCHEMA_VERSION) {
+    return { ...data, notes: migrated.notes.notes, trash: migrated.trash.notes, readOnly: true };
+  }
+  if (version < SCHEMA_VERSION) {
+    const backupKey = `backup.v${version}`;
+    if ((await adapter.getMeta(backupKey)) === undefined) {
+      await adapter.setMeta(backupKey, { notes, trash });
+    }
+    for (const store of NOTE_STORES) await adapter.put(store, migrated[store].notes);
+    await adapter.setMeta('schemaVersion', SCHEMA_VERSION);
+  }
+  // withInbox put a new Inbox in front
+  if (notebooks !== storedNotebooks) await adapter.put('notebooks', notebooks.slice(0, 1));
+  return { ...data, notes: migrated.notes.notes, trash: migrated.trash.notes, readOnly: false };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * describeStorageError
+ * Human-readable reason for a failed storage operation.
+ * @param {any} error
+ * @returns {string}
+ */
+export function describeStorageError(error) {
+  const name = error?.name || '';
+  if (name === 'QuotaExceededError' || name === 'NS_ERROR_DOM_QUOTA_REACHED' || error?.code === 22) {
+    return 'the browser storage is full. Export or delete some notes to free up space.';
+  }
+  return error?.message || String(error || 'unknown error');
+}
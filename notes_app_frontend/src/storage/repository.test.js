@@ -0,0 +1,67 @@
+import { describeStorageError, loadRepository } from './repository';
+import { createMemoryAdapter } from './memoryAdapter';
+import { INBOX_NOTEBOOK_ID, KEYS, SCHEMA_VERSION } from '../constants';
+
+describe('loadRepository', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('imports the old localStorage blobs once and removes them', async () => {
+    window.localStorage.setItem(KEYS.notes, JSON.stringify({ version: SCHEMA_VERSION, notes: [{ id: 'a', title: 'A' }] }));
+    window.localStorage.setItem(KEYS.trash, JSON.stringify({ version: SCHEMA_VERSION, notes: [{ id: 't', deletedAt: 1 }] }));
+    window.localStorage.setItem(KEYS.revisions, JSON.stringify({ a: [{ id: 'r1', at: 1 }] }));
+    const adapter = createMemoryAdapter();
+
+    const data = await loadRepository(adapter);
+    expect(data.readOnly).toBe(false);
+    expect(data.notes.map((n) => n.title)).toEqual(['A']);
+    expect(data.revisions).toEqual({ a: [{ id: 'r1', at: 1 }] });
+    expect(await adapter.getAll('trash')).toEqual([expect.objectContaining({ id: 't', deletedAt: 1 })]);
+    expect(await adapter.getAll('revisions')).toEqual([{ id: 'a', revisions: [{ id: 'r1', at: 1 }] }]);
+    expect(await adapter.getMeta('schemaVersion')).toBe(SCHEMA_VERSION);
+    expect(window.localStorage.getItem(KEYS.notes)).toBeNull();
+
+    // A second load reads the repository, not the (now missing) blobs
+    window.localStorage.setItem(KEYS.notes, JSON.stringify([{ id: 'late' }]));
+    expect((await loadRepository(adapter)).notes.map((n) => n.id)).toEqual(['a']);
+  });
+
+  test('migrates records written by an older schema and keeps a backup', async () => {
+    const old = [{ id: 7, title: 'Old', tags: 'x' }];
+    const adapter = createMemoryAdapter({ notes: old });
+    await adapter.setMeta('schemaVersion', 0);
+
+    const data = await loadRepository(adapter);
+    expect(data.notes[0]).toMatchObject({ id: '7', tags: [], pinned: false, notebookId: INBOX_NOTEBOOK_ID });
+    expect(await adapter.getMeta('backup.v0')).toEqual({ notes: old, trash: [] });
+    expect(await adapter.getMeta('schemaVersion')).toBe(SCHEMA_VERSION);
+  });
+
+  test('moves notes from before notebooks into a new Inbox', async () => {
+    const adapter = createMemoryAdapter({ notes: [{ id: 'a', title: 'A', tags: [] }], trash: [{ id: 'b', deletedAt: 1 }] });
+    await adapter.setMeta('schemaVersion', 1);
+
+    const data = await loadRepository(adapter);
+    expect(data.notes[0].notebookId).toBe(INBOX_NOTEBOOK_ID);
+    expect(data.trash[0].notebookId).toBe(INBOX_NOTEBOOK_ID);
+    expect(data.notebooks).toEqual([expect.objectContaining({ id: INBOX_NOTEBOOK_ID, name: 'Inbox', parentId: null })]);
+    expect(await adapter.getAll('notebooks')).toEqual(data.notebooks);
+  });
+
+  test('opens data from a newer schema read-only', async () => {
+    const adapter = createMemoryAdapter({ notes: [{ id: 'n', title: 'Future', extra: true }] });
+    await adapter.setMeta('schemaVersion', SCHEMA_VERSION + 1);
+    const put = jest.spyOn(adapter, 'put');
+
+    const data = await loadRepository(adapter);
+    expect(data.readOnly).toBe(true);
+    expect(data.notes[0]).toMatchObject({ title: 'Future', extra: true });
+    expect(put).not.toHaveBeenCalled();
+  });
+});
+
+test('describeStorageError explains a full storage', () => {
+  expect(describeStorageError({ name: 'QuotaExceededError' })).toMatch(/storage is full/);
+  expect(describeStorageError(new Error('boom'))).toBe('boom');
+});
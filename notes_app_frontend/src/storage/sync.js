@@ -0,0 +1,80 @@
+import { safeParse } from '../utils/storage';
+import { sameNoteContent } from '../utils/notes';
+import { KEYS } from '../constants';
+
+/**
+ * PUBLIC_INTERFACE
+ * createSyncChannel
+ * Message channel between tabs of the app: a BroadcastChannel when the browser
+ * has one, otherwise `storage` events on a dedicated localStorage key.
+ * Messages are plain JSON values; a tab never receives its own messages.
+ * @param {string} [name]
+ * @returns {{post: (message: any) => void, subscribe: (handler: Function) => Function}}
+ */
+export function createSyncChannel(name = `${KEYS.db}.sync`) {
+  if (typeof window === 'undefined') {
+    return { post() {}, subscribe: () => () => {} };
+  }
+
+  if (typeof window.BroadcastChannel === 'function') {
+    const channel = new window.BroadcastChannel(name);
+    return {
+      post: (message) => channel.postMessage(message),
+      subscribe(handler) {
+        const listener = (e) => handler(e.data);
+        channel.addEventListener('message', listener);
+        return () => channel.removeEventListener('message', listener);
+      },
+    };
+  }
+
+  return {
+    post(message) {
+      try {
+        // The nonce makes repeated identical messages still change the value (and fire the event)
+        window.localStorage.setItem(name, JSON.stringify({ message, nonce: Math.random() }));
+      } catch {
+        // no-op: other tabs pick the change up on their next load
+      }
+    },
+    subscribe(handler) {
+      const listener = (e) => {
+        if (e.key !== name || !e.newValue) return;
+        const parsed = safeParse(e.newValue);
+        if (parsed && 'message' in parsed) handler(parsed.message);
+      };
+      window.addEventListener('storage', listener);
+      return () => window.removeEventListener('storage', listener);
+    },
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * mergeRemoteRecords
+ * Decide, per note, how records written by another tab combine with local state.
+ * Each incoming entry carries `base`: the updatedAt of the version the other tab
+ * replaced. A local note no newer than that base is simply replaced
+ * (fast-forward); a local note edited since then, with different content, is a
+ * conflict unless `resolveByTime` is set, in which case the newer updatedAt wins.
+ * @param {Map<string, object>} local current records by id
+ * @param {Array<{record: object, base: number|null}>} incoming
+ * @param {{resolveByTime?: boolean}} [options]
+ * @returns {{accepted: object[], conflicts: Array<{mine: object, theirs: object}>}}
+ */
+export function mergeRemoteRecords(local, incoming, { resolveByTime = false } = {}) {
+  const accepted = [];
+  const conflicts = [];
+  for (const { record, base } of incoming) {
+    const mine = local.get(record.id);
+    const mineTime = Number(mine?.updatedAt || 0);
+    if (!mine || mine === record || mineTime <= Number(base ?? -Infinity) || sameNoteContent(mine, record)) {
+      accepted.push(record);
+    } else if (resolveByTime) {
+      if (Number(record.updatedAt || 0) >= mineTime) accepted.push(record);
+    } else {
+      conflicts.push({ mine, theirs: record });
+    }
+  }
+  return { accepted, conflicts };
+}
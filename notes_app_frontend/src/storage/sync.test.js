@@ -0,0 +1,92 @@
+import { createSyncChannel, mergeRemoteRecords } from './sync';
+
+const note = (id, content, updatedAt) => ({ id, title: 'T', content, tags: [], updatedAt });
+
+describe('mergeRemoteRecords', () => {
+  test('fast-forwards notes not edited since the replaced version', () => {
+    const local = new Map([['a', note('a', 'v1', 10)]]);
+    const theirs = note('a', 'v2', 20);
+    expect(mergeRemoteRecords(local, [{ record: theirs, base: 10 }])).toEqual({ accepted: [theirs], conflicts: [] });
+  });
+
+  test('adds notes created elsewhere', () => {
+    const theirs = note('b', 'new', 5);
+    expect(mergeRemoteRecords(new Map(), [{ record: theirs, base: null }]).accepted).toEqual([theirs]);
+  });
+
+  test('reports concurrent edits as conflicts', () => {
+    const mine = note('a', 'mine', 15);
+    const theirs = note('a', 'theirs', 20);
+    const result = mergeRemoteRecords(new Map([['a', mine]]), [{ record: theirs, base: 10 }]);
+    expect(result).toEqual({ accepted: [], conflicts: [{ mine, theirs }] });
+  });
+
+  test('accepts concurrent edits that ended with the same content', () => {
+    const theirs = note('a', 'same', 20);
+    const result = mergeRemoteRecords(new Map([['a', note('a', 'same', 15)]]), [{ record: theirs, base: 10 }]);
+    expect(result.accepted).toEqual([theirs]);
+  });
+
+  test('can settle concurrent edits by updatedAt instead', () => {
+    const local = new Map([['a', note('a', 'mine', 15)]]);
+    const newer = note('a', 'theirs', 20);
+    const older = note('a', 'theirs', 12);
+    expect(mergeRemoteRecords(local, [{ record: newer, base: 10 }], { resolveByTime: true }).accepted).toEqual([newer]);
+    expect(mergeRemoteRecords(local, [{ record: older, base: 10 }], { resolveByTime: true })).toEqual({
+      accepted: [],
+      conflicts: [],
+    });
+  });
+});
+
+describe('createSyncChannel', () => {
+  const original = window.BroadcastChannel;
+  afterEach(() => {
+    window.BroadcastChannel = original;
+  });
+
+  test('falls back to storage events without BroadcastChannel', () => {
+    window.BroadcastChannel = undefined;
+    const channel = createSyncChannel('test.sync');
+    const handler = jest.fn();
+    const unsubscribe = channel.subscribe(handler);
+
+    channel.post({ hello: 1 });
+    const written = window.localStorage.getItem('test.sync');
+    window.dispatchEvent(new window.StorageEvent('storage', { key: 'test.sync', newValue: written }));
+    window.dispatchEvent(new window.StorageEvent('storage', { key: 'other', newValue: written }));
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ hello: 1 });
+
+    unsubscribe();
+    window.dispatchEvent(new window.StorageEvent('storage', { key: 'test.sync', newValue: written }));
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('uses a BroadcastChannel when available', () => {
+    const instances = [];
+    window.BroadcastChannel = class {
+      constructor(name) {
+        this.name = name;
+        this.posted = [];
+        instances.push(this);
+      }
+      postMessage(message) {
+        this.posted.push(message);
+      }
+      addEventListener(type, listener) {
+        this.listener = listener;
+      }
+      removeEventListener() {
+        this.listener = null;
+      }
+    };
+    const channel = createSyncChannel('test.sync');
+    const handler = jest.fn();
+    channel.subscribe(handler);
+    channel.post({ a: 1 });
+    instances[0].listener({ data: { b: 2 } });
+    expect(instances[0].posted).toEqual([{ a: 1 }]);
+    expect(handler).toHaveBeenCalledWith({ b: 2 });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * PUBLIC_INTERFACE
+ * createSyncApi
+ * Client for the notes sync REST API (see docs/sync-api.md).
+ * A 409 response is not an error: the call resolves to `{ conflict: serverNote }`.
+ * Network failures reject with an error whose `offline` flag is set.
+ * @param {{baseUrl: string, fetch?: Function}} options fetch defaults to window.fetch
+ * @returns {{
+ *   pull: (since: number) => Promise<{changes: object[], cursor: number}>,
+ *   push: (note: object, base: number|null) => Promise<{note?: object, conflict?: object}>,
+ *   remove: (id: string, base: number|null) => Promise<{conflict?: object}>
+ * }}
+ */
+export function createSyncApi({ baseUrl, fetch = (...args) => window.fetch(...args) }) {
+  const root = String(baseUrl || '').replace(/\/+$/, '');
+
+  const request = async (method, path, body) => {
+    let response;
+    try {
+      response = await fetch(`${root}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch {
+      const error = new Error('The sync server could not be reached.');
+      error.offline = true;
+      throw error;
+    }
+    const data = await response.json().catch(() => null);
+    if (response.status === 409) return { conflict: data?.note ?? null };
+    if (!response.ok) throw new Error(data?.error || `The sync server replied with status ${response.status}.`);
+    return data || {};
+  };
+
+  const notePath = (id) => `/api/notes/${encodeURIComponent(id)}`;
+
+  return {
+    pull: (since) => request('GET', `/api/notes?since=${encodeURIComponent(since || 0)}`),
+    push: (note, base) => request('PUT', notePath(note.id), { note, base: base ?? null }),
+    remove: (id, base) => request('DELETE', `${notePath(id)}?base=${base ?? ''}`),
+  };
+}
@@ -0,0 +1,117 @@
+import { sameNoteContent } from '../utils/notes';
+
+// PUBLIC_INTERFACE
+/** Sync state before the first sync with a server. */
+export const EMPTY_SYNC_STATE = { cursor: 0, known: {} };
+
+const sameVersion = (a, b) => !!a && !!b && sameNoteContent(a, b) && !!a.pinned === !!b.pinned;
+
+/**
+ * PUBLIC_INTERFACE
+ * pendingChanges
+ * The outbox: local changes the server has not seen yet. `known` holds the
+ * updatedAt of each note as last agreed with the server, so a note whose
+ * updatedAt differs was edited (or created) here, and a known note missing
+ * locally was deleted here. Several edits while offline collapse into one push.
+ * @param {Array} notes current notes
+ * @param {Object<string, number>} known
+ * @param {Set<string>} [held] ids left alone, e.g. while a conflict is open
+ * @returns {Array<{type: 'put', id: string, base: number|null, note: object}|{type: 'delete', id: string, base: number}>}
+ */
+export function pendingChanges(notes, known, held = new Set()) {
+  const ops = [];
+  const present = new Set();
+  for (const note of notes) {
+    present.add(note.id);
+    if (held.has(note.id)) continue;
+    const base = known[note.id] ?? null;
+    if (note.updatedAt !== base) ops.push({ type: 'put', id: note.id, base, note });
+  }
+  for (const id of Object.keys(known)) {
+    if (!present.has(id) && !held.has(id)) ops.push({ type: 'delete', id, base: known[id] });
+  }
+  return ops;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * runSync
+ * One sync round: push the outbox, then pull what changed on the server since
+ * the last round. Nothing is written locally; the caller applies the result.
+ * - A remote change to a note not edited here is taken as is (`put`/`remove`).
+ * - A remote change to a note also edited here is a conflict, unless both
+ *   versions are the same. Conflicted notes are not pushed until resolved.
+ * - A note deleted here but edited on another device comes back (`put`).
+ * Errors (offline, server failure) reject; state from before the round stays valid.
+ * @param {{
+ *   api: ReturnType<import('./api').createSyncApi>,
+ *   state: {cursor: number, known: Object<string, number>},
+ *   getNotes: () => Array, held?: Set<string>
+ * }} options getNotes returns the latest notes, which may change between requests
+ * @returns {Promise<{state: object, put: Array, remove: string[], conflicts: Array<{id, mine, theirs}>}>}
+ */
+export async function runSync({ api, state, getNotes, held = new Set() }) {
+  const known = { ...state.known };
+  const put = new Map();
+  const remove = new Set();
+  const conflicts = new Map();
+
+  let listed = null;
+  let byId = new Map();
+  const current = (id) => {
+    const notes = getNotes();
+    if (notes !== listed) {
+      listed = notes;
+      byId = new Map(notes.map((n) => [n.id, n]));
+    }
+    return byId.get(id) || null;
+  };
+  const take = (record) => {
+    known[record.id] = record.updatedAt;
+    put.set(record.id, record);
+    remove.delete(record.id);
+  };
+
+  for (const op of pendingChanges(getNotes(), known, held)) {
+    if (op.type === 'put') {
+      const note = current(op.id) || op.note;
+      const result = await api.push(note, op.base);
+      if (!result.conflict) known[op.id] = note.updatedAt;
+      else if (sameVersion(note, result.conflict)) take(result.conflict);
+      else conflicts.set(op.id, { id: op.id, mine: note, theirs: result.conflict });
+    } else {
+      const result = await api.remove(op.id, op.base);
+      if (result.conflict) take(result.conflict);
+      else delete known[op.id];
+    }
+  }
+
+  const { changes = [], cursor = state.cursor } = await api.pull(state.cursor);
+  for (const record of changes) {
+    const { id } = record;
+    const mine = current(id);
+    const edited = held.has(id) || conflicts.has(id) || (mine ? mine.updatedAt !== (known[id] ?? null) : false);
+    if (record.deleted) {
+      if (mine && edited) {
+        conflicts.set(id, { id, mine, theirs: null });
+      } else {
+        delete known[id];
+        put.delete(id);
+        if (mine) remove.add(id);
+      }
+    } else if (!edited || sameVersion(mine, record)) {
+      conflicts.delete(id);
+      if (mine && mine.updatedAt === record.updatedAt) known[id] = record.updatedAt;
+      else take(record);
+    } else {
+      conflicts.set(id, { id, mine, theirs: record });
+    }
+  }
+
+  return {
+    state: { cursor, known },
+    put: [...put.values()],
+    remove: [...remove],
+    conflicts: [...conflicts.values()],
+  };
+}
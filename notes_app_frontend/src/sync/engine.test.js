@@ -0,0 +1,278 @@
+import http from 'http';
+import { createNotesBackend, createServer } from '../../mock-server/server';
+import { createSyncApi } from './api';
+import { EMPTY_SYNC_STATE, pendingChanges, runSync } from './engine';
+import { upsertNotes } from '../utils/notes';
+
+/** fetch that calls the mock backend in-process, counting requests by method. */
+function backendFetch(backend, calls = []) {
+  const fetch = async (url, init = {}) => {
+    if (fetch.offline) throw new TypeError('Failed to fetch');
+    const { pathname, searchParams } = new window.URL(url);
+    calls.push(init.method);
+    const res = backend.handle(init.method, pathname, Object.fromEntries(searchParams), init.body ? JSON.parse(init.body) : null);
+    return { ok: res.status < 300, status: res.status, json: async () => JSON.parse(JSON.stringify(res.body)) };
+  };
+  return fetch;
+}
+
+/** A device: its notes, its sync state and a sync() that applies the round's result. */
+function device(fetch) {
+  const api = createSyncApi({ baseUrl: 'http://sync.test/', fetch });
+  const d = {
+    notes: [],
+    state: EMPTY_SYNC_STATE,
+    held: new Set(),
+    conflicts: [],
+    async sync() {
+      const result = await runSync({ api, state: d.state, getNotes: () => d.notes, held: d.held });
+      d.state = result.state;
+      d.notes = upsertNotes(d.notes, result.put, result.remove);
+      d.conflicts = result.conflicts;
+      result.conflicts.forEach((c) => d.held.add(c.id));
+      return result;
+    },
+    edit(id, fields, at) {
+      const current = d.notes.find((n) => n.id === id) || { id, title: '', content: '', tags: [], createdAt: at };
+      d.notes = upsertNotes(d.notes, [{ ...current, ...fields, updatedAt: at }]);
+    },
+    remove(id) {
+      d.notes = d.notes.filter((n) => n.id !== id);
+    },
+  };
+  return d;
+}
+
+function setup() {
+  const backend = createNotesBackend({ now: () => 999 });
+  const calls = [];
+  const fetch = backendFetch(backend, calls);
+  return { fetch, calls, a: device(fetch), b: device(fetch) };
+}
+
+test('pendingChanges lists new, edited and deleted notes, skipping held ones', () => {
+  const notes = [
+    { id: 'new', updatedAt: 5 },
+    { id: 'same', updatedAt: 1 },
+    { id: 'edited', updatedAt: 3 },
+    { id: 'held', updatedAt: 9 },
+  ];
+  const known = { same: 1, edited: 2, gone: 4, held: 1 };
+  expect(pendingChanges(notes, known, new Set(['held']))).toEqual([
+    { type: 'put', id: 'new', base: null, note: notes[0] },
+    { type: 'put', id: 'edited', base: 2, note: notes[2] },
+    { type: 'delete', id: 'gone', base: 4 },
+  ]);
+});
+
+test('a note created on one device reaches the other', async () => {
+  const { a, b } = setup();
+  a.edit('n1', { title: 'Groceries', content: 'milk' }, 100);
+  await a.sync();
+  expect(pendingChanges(a.notes, a.state.known)).toEqual([]);
+
+  await b.sync();
+  expect(b.notes).toEqual([expect.objectContaining({ id: 'n1', title: 'Groceries', updatedAt: 100 })]);
+
+  // Pulling your own change back is a no-op
+  const again = await a.sync();
+  expect(again.put).toEqual([]);
+});
+
+test('offline edits wait in the outbox and go out as one push per note', async () => {
+  const { fetch, calls, a, b } = setup();
+  a.edit('n1', { title: 'v1' }, 100);
+  await a.sync();
+
+  fetch.offline = true;
+  a.edit('n1', { title: 'v2' }, 200);
+  a.edit('n1', { title: 'v3' }, 300);
+  await expect(a.sync()).rejects.toMatchObject({ offline: true });
+  expect(pendingChanges(a.notes, a.state.known)).toHaveLength(1);
+
+  fetch.offline = false;
+  calls.length = 0;
+  await a.sync();
+  expect(calls.filter((m) => m === 'PUT')).toHaveLength(1);
+  await b.sync();
+  expect(b.notes[0].title).toBe('v3');
+});
+
+test('edits to the same note on two devices are a conflict until resolved', async () => {
+  const { a, b } = setup();
+  a.edit('n1', { content: 'base' }, 100);
+  await a.sync();
+  await b.sync();
+
+  a.edit('n1', { content: 'from A' }, 200);
+  b.edit('n1', { content: 'from B' }, 210);
+  await a.sync();
+  const result = await b.sync();
+  expect(result.conflicts).toEqual([
+    {
+      id: 'n1',
+      mine: expect.objectContaining({ content: 'from B' }),
+      theirs: expect.objectContaining({ content: 'from A' }),
+    },
+  ]);
+  expect(b.notes[0].content).toBe('from B'); // nothing overwritten locally
+
+  // Held notes are not pushed: A still sees its own version
+  await b.sync();
+  await a.sync();
+  expect(a.notes[0].content).toBe('from A');
+
+  // B keeps its version: it now replaces the server's
+  b.held.delete('n1');
+  b.state = { ...b.state, known: { ...b.state.known, n1: result.conflicts[0].theirs.updatedAt } };
+  b.edit('n1', { content: 'from B' }, 300);
+  await b.sync();
+  await a.sync();
+  expect(a.notes[0].content).toBe('from B');
+});
+
+test('the same edit made on both devices is not a conflict', async () => {
+  const { a, b } = setup();
+  a.edit('n1', { content: 'x' }, 100);
+  await a.sync();
+  await b.sync();
+  a.edit('n1', { content: 'same' }, 200);
+  b.edit('n1', { content: 'same' }, 250);
+  await a.sync();
+  const result = await b.sync();
+  expect(result.conflicts).toEqual([]);
+  expect(pendingChanges(b.notes, b.state.known)).toEqual([]);
+});
+
+test('deletions propagate, unless the note was edited elsewhere', async () => {
+  const { a, b } = setup();
+  a.edit('n1', { content: 'one' }, 100);
+  a.edit('n2', { content: 'two' }, 100);
+  await a.sync();
+  await b.sync();
+
+  // n1: deleted on A, untouched on B → removed on B
+  a.remove('n1');
+  // n2: deleted on A but edited on B first → comes back on A
+  b.edit('n2', { content: 'two, edited' }, 200);
+  await b.sync();
+  await a.sync();
+  a.remove('n2');
+  await a.sync();
+  expect(a.notes.find((n) => n.id === 'n2')).toBeUndefined();
+
+  const onB = await b.sync();
+  expect(onB.remove).toEqual(['n1', 'n2']);
+
+  // Deleted on A, then edited on B before B heard of it: B's push brings it back
+  a.edit('n3', { content: 'three' }, 100);
+  await a.sync();
+  await b.sync();
+  a.remove('n3');
+  await a.sync();
+  b.edit('n3', { content: 'three, edited' }, 300);
+  const clash = await b.sync();
+  expect(clash.conflicts).toEqual([]);
+  expect(b.notes.find((n) => n.id === 'n3').content).toBe('three, edited');
+});
+
+test('a note deleted locally but edited on another device is restored', async () => {
+  const { a, b } = setup();
+  a.edit('n1', { content: 'one' }, 100);
+  await a.sync();
+  await b.sync();
+  b.edit('n1', { content: 'edited on B' }, 200);
+  await b.sync();
+
+  a.remove('n1');
+  const result = await a.sync();
+  expect(result.put).toEqual([expect.objectContaining({ id: 'n1', content: 'edited on B' })]);
+  expect(a.notes[0].content).toBe('edited on B');
+});
+
+test('a note with an open conflict that is deleted on the server stays a conflict', async () => {
+  const { a, b } = setup();
+  a.edit('n1', { content: 'one' }, 100);
+  await a.sync();
+  await b.sync();
+  a.remove('n1');
+  await a.sync();
+
+  // B's edit is held back (as while a conflict is open), so it only pulls
+  b.held.add('n1');
+  b.edit('n1', { content: 'mine' }, 200);
+  const result = await b.sync();
+  expect(result.conflicts).toEqual([{ id: 'n1', mine: expect.objectContaining({ content: 'mine' }), theirs: null }]);
+});
+
+test('createSyncApi reports server errors and unreachable servers', async () => {
+  const failing = createSyncApi({
+    baseUrl: 'http://sync.test',
+    fetch: async () => ({ ok: false, status: 500, json: async () => ({ error: 'Disk full' }) }),
+  });
+  await expect(failing.pull(0)).rejects.toThrow('Disk full');
+  const unreachable = createSyncApi({ baseUrl: 'http://sync.test', fetch: () => Promise.reject(new TypeError('x')) });
+  await expect(unreachable.pull(0)).rejects.toMatchObject({ offline: true });
+});
+
+/** Minimal fetch over Node's http module, enough for the sync client. */
+function httpFetch(url, { method = 'GET', headers, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+      });
+      res.on('end', () => {
+        resolve({
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          json: async () => JSON.parse(text),
+        });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+test('end to end: two devices sync through the mock server over HTTP', async () => {
+  const server = createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const fetch = (url, init) => httpFetch(url, init);
+    const make = () => {
+      const api = createSyncApi({ baseUrl, fetch });
+      const d = device(fetch);
+      d.sync = async () => {
+        const result = await runSync({ api, state: d.state, getNotes: () => d.notes, held: d.held });
+        d.state = result.state;
+        d.notes = upsertNotes(d.notes, result.put, result.remove);
+        return result;
+      };
+      return d;
+    };
+    const a = make();
+    const b = make();
+
+    a.edit('n1', { title: 'Shared', content: 'hello' }, 100);
+    await a.sync();
+    await b.sync();
+    expect(b.notes).toEqual([expect.objectContaining({ id: 'n1', content: 'hello' })]);
+
+    b.edit('n1', { content: 'hello from B' }, 200);
+    await b.sync();
+    a.edit('n1', { content: 'hello from A' }, 150);
+    const result = await a.sync();
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.conflicts[0].theirs.content).toBe('hello from B');
+
+    const health = await httpFetch(`${baseUrl}/api/health`);
+    expect(await health.json()).toEqual({ ok: true, cursor: 2 });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,2 @@
+export { createSyncApi } from './api';
+export { EMPTY_SYNC_STATE, pendingChanges, runSync } from './engine';
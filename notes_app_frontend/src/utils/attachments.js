@@ -0,0 +1,220 @@
+/*
+ * Files attached to notes. The files are kept as blobs in their own store
+ * (see storage/repository.js), never inside the notes; note content refers to
+ * them with `attachment:` URLs: `![photo.png](attachment:<id>)` for images and
+ * `[report.pdf](attachment:<id>)` for other files. An attachment is kept while a
+ * note, a note in Trash or a saved revision refers to it.
+ */
+
+export const ATTACHMENT_SCHEME = 'attachment:';
+
+const REF_RE = /\]\(attachment:([\w-]+)/g;
+const IMAGE_REF_RE = /!\[[^\]\n]*\]\(attachment:([\w-]+)/g;
+
+function uniqueMatches(re, content) {
+  const text = String(content || '');
+  if (!text.includes(ATTACHMENT_SCHEME)) return [];
+  return [...new Set([...text.matchAll(re)].map((m) => m[1]))];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * attachmentRefs
+ * Ids of the attachments note content refers to, in order of first use.
+ * @param {string} content
+ * @returns {string[]}
+ */
+export function attachmentRefs(content) {
+  return uniqueMatches(REF_RE, content);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * imageRefs
+ * Ids of the attachments note content shows as images, in order.
+ * @param {string} content
+ * @returns {string[]}
+ */
+export function imageRefs(content) {
+  return uniqueMatches(IMAGE_REF_RE, content);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isImageType
+ * Whether a MIME type is an image the browser can show inline.
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isImageType(type) {
+  return /^image\//i.test(String(type || ''));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * attachmentMarkdown
+ * Markdown that shows an attachment: an image, or a link to download the file.
+ * @param {{id: string, name: string, type: string}} attachment
+ * @returns {string}
+ */
+export function attachmentMarkdown(attachment) {
+  const name = String(attachment.name || 'file').replace(/[[\]\n]/g, ' ').trim() || 'file';
+  const link = `[${name}](${ATTACHMENT_SCHEME}${attachment.id})`;
+  return isImageType(attachment.type) ? `!${link}` : link;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatBytes
+ * A byte count for people: "820 B", "14 KB", "3.2 MB".
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = Math.max(0, Number(bytes) || 0);
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  const digits = unit === 0 || value >= 10 ? 0 : 1;
+  return `${value.toFixed(digits)} ${units[unit]}`;
+}
+
+/** Approximate space a note takes as a stored record. */
+function recordSize(note) {
+  return JSON.stringify(note).length;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * noteStorage
+ * Space one note takes: its text and the attachments it refers to.
+ * @param {object} note
+ * @param {Map<string, {size: number}>} attachmentsById
+ * @returns {{textBytes: number, attachmentBytes: number, attachmentCount: number}}
+ */
+export function noteStorage(note, attachmentsById) {
+  const found = attachmentRefs(note?.content).map((id) => attachmentsById.get(id)).filter(Boolean);
+  return {
+    textBytes: note ? recordSize(note) : 0,
+    attachmentBytes: found.reduce((sum, a) => sum + (a.size || 0), 0),
+    attachmentCount: found.length,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * storageTotals
+ * Space taken by all notes (with the Trash) and all attachments.
+ * @param {Array} notes
+ * @param {Array} trash
+ * @param {Array<{size: number}>} attachments
+ * @returns {{textBytes: number, attachmentBytes: number, attachmentCount: number}}
+ */
+export function storageTotals(notes, trash, attachments) {
+  let textBytes = 0;
+  for (const note of notes) textBytes += recordSize(note);
+  for (const note of trash) textBytes += recordSize(note);
+  return {
+    textBytes,
+    attachmentBytes: attachments.reduce((sum, a) => sum + (a.size || 0), 0),
+    attachmentCount: attachments.length,
+  };
+}
+
+/** Ids referred to by any note, note in Trash or revision. */
+function referencedIds({ notes = [], trash = [], revisions = {} }) {
+  const ids = new Set();
+  const add = (content) => attachmentRefs(content).forEach((id) => ids.add(id));
+  notes.forEach((n) => add(n.content));
+  trash.forEach((n) => add(n.content));
+  Object.values(revisions || {}).forEach((list) => (list || []).forEach((rev) => add(rev.content)));
+  return ids;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * unusedAttachments
+ * Attachments nothing refers to (any more), such as files attached in an editor
+ * that was closed without saving.
+ * @param {Array<{id: string}>} attachments
+ * @param {{notes: Array, trash: Array, revisions: Object<string, Array>}} data
+ * @returns {Array}
+ */
+export function unusedAttachments(attachments, data) {
+  if (attachments.length === 0) return [];
+  const used = referencedIds(data);
+  return attachments.filter((a) => !used.has(a.id));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * releasedAttachments
+ * Attachments left behind by notes that are gone for good (purged from the Trash,
+ * or replaced by an import), which nothing else refers to.
+ * Edits that drop a reference release nothing, since undo may bring it back.
+ * @param {{notes: Array, trash: Array, revisions: Object<string, Array>}} before
+ * @param {{notes: Array, trash: Array, revisions: Object<string, Array>}} after
+ * @returns {string[]}
+ */
+export function releasedAttachments(before, after) {
+  const present = new Set([...after.notes, ...after.trash].map((n) => n.id));
+  const candidates = new Set();
+  for (const note of [...before.notes, ...before.trash]) {
+    if (!present.has(note.id)) attachmentRefs(note.content).forEach((id) => candidates.add(id));
+  }
+  for (const [id, list] of Object.entries(before.revisions || {})) {
+    if (after.revisions?.[id] === list) continue;
+    for (const rev of list || []) attachmentRefs(rev.content).forEach((ref) => candidates.add(ref));
+  }
+  if (candidates.size === 0) return [];
+  const used = referencedIds(after);
+  return [...candidates].filter((id) => !used.has(id));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * bytesToBase64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  // Chunked, as String.fromCharCode takes its bytes as arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return window.btoa(binary);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * base64ToBytes
+ * @param {string} base64
+ * @returns {Uint8Array}
+ * @throws {Error} when the text is not base64
+ */
+export function base64ToBytes(base64) {
+  const binary = window.atob(String(base64 || ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * readBlobBytes
+ * Read a Blob (or File) into bytes. FileReader keeps this working where Blob#arrayBuffer is missing.
+ * @param {Blob} blob
+ * @returns {Promise<Uint8Array>}
+ */
+export function readBlobBytes(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error || new Error('Could not read the file.'));
+    reader.readAsArrayBuffer(blob);
+  });
+}
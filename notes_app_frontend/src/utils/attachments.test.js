@@ -0,0 +1,67 @@
+import {
+  attachmentMarkdown,
+  attachmentRefs,
+  base64ToBytes,
+  bytesToBase64,
+  formatBytes,
+  imageRefs,
+  noteStorage,
+  releasedAttachments,
+  unusedAttachments,
+} from './attachments';
+
+describe('attachments', () => {
+  const content = 'Map: ![map.png](attachment:img-1)\n\nSee [report.pdf](attachment:doc-2) and ![again](attachment:img-1)';
+
+  test('finds the attachments content refers to', () => {
+    expect(attachmentRefs(content)).toEqual(['img-1', 'doc-2']);
+    expect(imageRefs(content)).toEqual(['img-1']);
+    expect(attachmentRefs('[a](https://example.com/attachment:x)')).toEqual([]);
+  });
+
+  test('writes Markdown for images and other files', () => {
+    expect(attachmentMarkdown({ id: 'a', name: 'cat.jpg', type: 'image/jpeg' })).toBe('![cat.jpg](attachment:a)');
+    expect(attachmentMarkdown({ id: 'b', name: 'notes [draft].txt', type: 'text/plain' })).toBe(
+      '[notes  draft .txt](attachment:b)'
+    );
+  });
+
+  test('measures storage per note', () => {
+    const byId = new Map([
+      ['img-1', { id: 'img-1', size: 2048 }],
+      ['doc-2', { id: 'doc-2', size: 100 }],
+    ]);
+    const usage = noteStorage({ id: 'n', content }, byId);
+    expect(usage).toMatchObject({ attachmentBytes: 2148, attachmentCount: 2 });
+    expect(usage.textBytes).toBeGreaterThan(content.length);
+    expect(formatBytes(820)).toBe('820 B');
+    expect(formatBytes(2148)).toBe('2.1 KB');
+    expect(formatBytes(15 * 1024 * 1024)).toBe('15 MB');
+  });
+
+  test('releases attachments only when the last note or revision using them is gone', () => {
+    const a = { id: 'a', content: '![x](attachment:x) ![y](attachment:y)' };
+    const b = { id: 'b', content: '![y](attachment:y)' };
+    const before = { notes: [b], trash: [a], revisions: { a: [{ content: '[z](attachment:z)' }] } };
+
+    // Purged from the Trash, with its revisions
+    expect(releasedAttachments(before, { notes: [b], trash: [], revisions: {} })).toEqual(['x', 'z']);
+    // An edit dropping a reference releases nothing
+    const edited = { ...b, content: 'no image' };
+    expect(releasedAttachments(before, { ...before, notes: [edited] })).toEqual([]);
+    // Still in a revision
+    expect(releasedAttachments(before, { notes: [b], trash: [], revisions: { b: [{ content: a.content }] } })).toEqual(['z']);
+  });
+
+  test('lists attachments nothing refers to', () => {
+    const files = [{ id: 'x' }, { id: 'y' }, { id: 'z' }];
+    const data = { notes: [{ content: '![x](attachment:x)' }], trash: [], revisions: { n: [{ content: '[y](attachment:y)' }] } };
+    expect(unusedAttachments(files, data)).toEqual([{ id: 'z' }]);
+  });
+
+  test('round-trips bytes through base64', () => {
+    const bytes = new Uint8Array([0, 1, 2, 250, 255]);
+    expect(bytesToBase64(bytes)).toBe('AAEC+v8=');
+    expect(base64ToBytes('AAEC+v8=')).toEqual(bytes);
+  });
+});
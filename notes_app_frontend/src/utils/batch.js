@@ -0,0 +1,142 @@
+import { createId } from './storage';
+import { normalizeTags } from './tags';
+
+/*
+ * Batch actions on the notes picked in the list. Each builder returns note states
+ * (see utils/history) for just the notes it changes, so the whole batch is applied
+ * and undone as one operation. Lookups go through a Set: thousands of picked notes
+ * cost one pass over the notes.
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * rangeBetween
+ * Ids from one note to another as the notes are listed, both included (for Shift-click).
+ * @param {string[]} orderedIds
+ * @param {string} fromId
+ * @param {string} toId
+ * @returns {string[]} just toId when fromId is not listed
+ */
+export function rangeBetween(orderedIds, fromId, toId) {
+  const from = orderedIds.indexOf(fromId);
+  const to = orderedIds.indexOf(toId);
+  if (to === -1) return [];
+  if (from === -1) return [toId];
+  return orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+}
+
+/** States for the picked notes that `change` alters (returning the same note skips it). */
+function changedStates(notes, ids, change) {
+  const picked = ids instanceof Set ? ids : new Set(ids);
+  const states = [];
+  for (const note of notes) {
+    if (!picked.has(note.id)) continue;
+    const next = change(note);
+    if (next !== note) states.push({ id: note.id, note: next, trashed: null });
+  }
+  return states;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * pinStates
+ * Pin or unpin the picked notes.
+ * @param {Array} notes
+ * @param {Iterable<string>} ids
+ * @param {boolean} pinned
+ * @param {number} [now]
+ * @returns {Array} note states
+ */
+export function pinStates(notes, ids, pinned, now = Date.now()) {
+  return changedStates(notes, ids, (n) => (!!n.pinned === pinned ? n : { ...n, pinned, updatedAt: now }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * addTagsStates
+ * Add tags to the picked notes.
+ * @param {Array} notes
+ * @param {Iterable<string>} ids
+ * @param {string[]} tags
+ * @param {number} [now]
+ * @returns {Array} note states
+ */
+export function addTagsStates(notes, ids, tags, now = Date.now()) {
+  const wanted = normalizeTags(tags);
+  return changedStates(notes, ids, (n) => {
+    const current = n.tags || [];
+    const missing = wanted.filter((t) => !current.includes(t));
+    return missing.length ? { ...n, tags: [...current, ...missing], updatedAt: now } : n;
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * removeTagsStates
+ * Remove tags from the picked notes.
+ * @param {Array} notes
+ * @param {Iterable<string>} ids
+ * @param {string[]} tags
+ * @param {number} [now]
+ * @returns {Array} note states
+ */
+export function removeTagsStates(notes, ids, tags, now = Date.now()) {
+  const unwanted = new Set(normalizeTags(tags));
+  return changedStates(notes, ids, (n) => {
+    const current = n.tags || [];
+    const kept = current.filter((t) => !unwanted.has(t));
+    return kept.length === current.length ? n : { ...n, tags: kept, updatedAt: now };
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * moveStates
+ * Move the picked notes into a notebook.
+ * @param {Array} notes
+ * @param {Iterable<string>} ids
+ * @param {string} notebookId
+ * @param {number} [now]
+ * @returns {Array} note states
+ */
+export function moveStates(notes, ids, notebookId, now = Date.now()) {
+  return changedStates(notes, ids, (n) => (n.notebookId === notebookId ? n : { ...n, notebookId, updatedAt: now }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * trashStates
+ * Move the picked notes to the Trash.
+ * @param {Array} notes
+ * @param {Iterable<string>} ids
+ * @param {number} [now]
+ * @returns {Array} note states
+ */
+export function trashStates(notes, ids, now = Date.now()) {
+  const picked = ids instanceof Set ? ids : new Set(ids);
+  return notes.filter((n) => picked.has(n.id)).map((n) => ({ id: n.id, note: null, trashed: { ...n, deletedAt: now } }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * duplicateStates
+ * New unpinned copies of the picked notes, titled "… (copy)", in list order.
+ * @param {Array} notes
+ * @param {Iterable<string>} ids
+ * @param {number} [now]
+ * @param {() => string} [makeId]
+ * @returns {Array} note states
+ */
+export function duplicateStates(notes, ids, now = Date.now(), makeId = createId) {
+  const picked = ids instanceof Set ? ids : new Set(ids);
+  return notes
+    .filter((n) => picked.has(n.id))
+    .map((n) => {
+      const id = makeId();
+      return {
+        id,
+        note: { ...n, id, title: `${n.title || 'Untitled'} (copy)`, pinned: false, createdAt: now, updatedAt: now },
+        trashed: null,
+      };
+    });
+}
@@ -0,0 +1,66 @@
+import {
+  addTagsStates,
+  duplicateStates,
+  moveStates,
+  pinStates,
+  rangeBetween,
+  removeTagsStates,
+  trashStates,
+} from './batch';
+import { applyNoteStates } from './history';
+
+const notes = [
+  { id: 'a', title: 'A', tags: ['work'], pinned: true, notebookId: 'inbox', updatedAt: 1 },
+  { id: 'b', title: 'B', tags: [], pinned: false, notebookId: 'inbox', updatedAt: 1 },
+  { id: 'c', title: 'C', tags: ['work', 'home'], pinned: false, notebookId: 'nb', updatedAt: 1 },
+];
+
+describe('batch', () => {
+  test('rangeBetween picks a span in list order', () => {
+    const ids = ['a', 'b', 'c', 'd'];
+    expect(rangeBetween(ids, 'c', 'a')).toEqual(['a', 'b', 'c']);
+    expect(rangeBetween(ids, 'b', 'd')).toEqual(['b', 'c', 'd']);
+    expect(rangeBetween(ids, 'x', 'b')).toEqual(['b']);
+    expect(rangeBetween(ids, 'a', 'x')).toEqual([]);
+  });
+
+  test('only notes that change get a state', () => {
+    const pinned = pinStates(notes, ['a', 'b'], true, 9);
+    expect(pinned).toEqual([{ id: 'b', note: { ...notes[1], pinned: true, updatedAt: 9 }, trashed: null }]);
+    expect(addTagsStates(notes, new Set(['a', 'b']), ['Work', 'new'], 9).map((s) => s.note.tags)).toEqual([
+      ['work', 'new'],
+      ['work', 'new'],
+    ]);
+    expect(removeTagsStates(notes, ['a', 'b', 'c'], ['work'], 9).map((s) => [s.id, s.note.tags])).toEqual([
+      ['a', []],
+      ['c', ['home']],
+    ]);
+    expect(moveStates(notes, ['a', 'c'], 'nb', 9).map((s) => s.id)).toEqual(['a']);
+  });
+
+  test('trash and duplicate', () => {
+    const trashed = trashStates(notes, ['c', 'a'], 9);
+    expect(trashed.map((s) => [s.id, s.note, s.trashed.deletedAt])).toEqual([
+      ['a', null, 9],
+      ['c', null, 9],
+    ]);
+    let n = 0;
+    const copies = duplicateStates(notes, ['a', 'b'], 9, () => `copy${++n}`);
+    expect(copies.map((s) => [s.id, s.note.title, s.note.pinned])).toEqual([
+      ['copy1', 'A (copy)', false],
+      ['copy2', 'B (copy)', false],
+    ]);
+    expect(applyNoteStates(notes, [], copies).notes.map((x) => x.id)).toEqual(['copy1', 'copy2', 'a', 'b', 'c']);
+  });
+
+  test('handles thousands of picked notes in one pass', () => {
+    const many = Array.from({ length: 20000 }, (_, i) => ({ id: `n${i}`, title: `N${i}`, tags: [], updatedAt: 0 }));
+    const ids = new Set(many.slice(0, 10000).map((x) => x.id));
+    const started = Date.now();
+    const states = addTagsStates(many, ids, ['bulk'], 1);
+    const next = applyNoteStates(many, [], states);
+    expect(states).toHaveLength(10000);
+    expect(next.notes[9999].tags).toEqual(['bulk']);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,179 @@
+import { DAY_MS } from './notes';
+
+/*
+ * Dates typed the way people say them, for due dates and reminders:
+ *
+ *   tomorrow 9am, today 17:30, tonight, friday, next monday at 10,
+ *   in 20 minutes, in 2 hours, in 3 days, next week, 2026-11-02 14:00,
+ *   nov 2, 2 november 2027 8pm, noon, this evening
+ *
+ * Everything is read in local time. A day without a time means 09:00; a time
+ * without a day means the next time the clock shows it.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+const SHORT_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SHORT_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Hour a day without a time starts at, and the hours of the named parts of a day
+const DEFAULT_HOUR = 9;
+const DAY_PARTS = { morning: 9, noon: 12, midday: 12, afternoon: 14, evening: 18, tonight: 20, midnight: 0 };
+const UNITS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: DAY_MS, week: 7 * DAY_MS };
+
+// "mon", "tues" and "thurs" as well as full names
+const weekdayIndex = (word) => WEEKDAYS.findIndex((d) => word.length >= 3 && d.startsWith(word));
+// "sep", "sept" and full names
+const monthIndex = (word) => MONTHS.findIndex((m) => word.length >= 3 && m.startsWith(word));
+
+function atTime(date, hour, minute = 0) {
+  const d = new Date(date);
+  d.setHours(hour, minute, 0, 0);
+  return d;
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+/** Take the time of day out of the text: `{ rest, hour, minute }`, or null when it is invalid. */
+function extractTime(text) {
+  let rest = text;
+  let time = null;
+  const take = (pattern, read) => {
+    if (time) return;
+    const m = rest.match(pattern);
+    if (!m) return;
+    time = read(m);
+    rest = `${rest.slice(0, m.index)} ${rest.slice(m.index + m[0].length)}`;
+  };
+  take(/\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)(?=\s|$)/, (m) => {
+    const hour = Number(m[1]);
+    if (hour < 1 || hour > 12) return { invalid: true };
+    return { hour: (hour % 12) + (m[3].startsWith('p') ? 12 : 0), minute: Number(m[2] || 0) };
+  });
+  take(/\b(?:at\s+)?(\d{1,2})[:.h](\d{2})\b/, (m) => ({ hour: Number(m[1]), minute: Number(m[2]) }));
+  take(/\bat\s+(\d{1,2})\b(?![:./-])/, (m) => ({ hour: Number(m[1]), minute: 0 }));
+  take(/\b(?:at\s+|this\s+|in\s+the\s+)?(morning|noon|midday|afternoon|evening|tonight|midnight)\b/, (m) => ({
+    hour: DAY_PARTS[m[1]],
+    minute: 0,
+  }));
+  if (!time) return { rest: text.trim() };
+  if (time.invalid || time.hour > 23 || time.minute > 59) return null;
+  return { rest: rest.replace(/\s+/g, ' ').trim(), ...time };
+}
+
+/** Read the day (midnight, local time), or null when the text is not a day. */
+function parseDay(text, now) {
+  const today = atTime(now, 0);
+  if (text === '' || text === 'today') return today;
+  if (text === 'tomorrow' || text === 'tmrw' || text === 'tmr') return addDays(today, 1);
+  // The coming Monday, and the first of the coming month
+  if (text === 'next week') return addDays(today, (8 - today.getDay()) % 7 || 7);
+  if (text === 'next month') return new Date(today.getFullYear(), today.getMonth() + 1, 1);
+
+  const weekday = text.match(/^(?:(next|this|on)\s+)?([a-z]+)$/);
+  if (weekday && weekdayIndex(weekday[2]) !== -1) {
+    let ahead = (weekdayIndex(weekday[2]) - today.getDay() + 7) % 7;
+    if (ahead === 0 && weekday[1] !== 'this') ahead = 7;
+    return addDays(today, ahead);
+  }
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) return calendarDay(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+
+  // "nov 2", "november 2nd 2027", "2 nov", "2nd of november", optionally after a weekday name
+  const words = text.replace(/\b(\d{1,2})(st|nd|rd|th)\b/g, '$1').replace(/\bof\b/g, ' ').split(/\s+/).filter(Boolean);
+  if (words.length > 1 && weekdayIndex(words[0]) !== -1) words.shift();
+  if (words.length === 2 || words.length === 3) {
+    let [a, b, year] = words;
+    if (/^\d+$/.test(a)) [a, b] = [b, a];
+    const month = monthIndex(a || '');
+    if (month !== -1 && /^\d{1,2}$/.test(b) && (year == null || /^\d{4}$/.test(year))) {
+      if (year != null) return calendarDay(Number(year), month, Number(b));
+      const thisYear = calendarDay(today.getFullYear(), month, Number(b));
+      // A date without a year that has passed means next year's
+      if (thisYear && thisYear < today) return calendarDay(today.getFullYear() + 1, month, Number(b));
+      return thisYear;
+    }
+  }
+  return null;
+}
+
+function calendarDay(year, month, day) {
+  const date = new Date(year, month, day);
+  // Reject dates that roll over, like February 30
+  if (date.getMonth() !== month || date.getDate() !== day) return null;
+  return date;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseWhen
+ * Read a date and time typed in plain words (see the examples above).
+ * @param {string} text
+ * @param {number} [now]
+ * @returns {number|null} a timestamp, or null when the text is empty or not understood
+ */
+export function parseWhen(text, now = Date.now()) {
+  const s = String(text || '')
+    .toLowerCase()
+    .replace(/,/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!s) return null;
+  if (s === 'now') return now;
+
+  const relative = s.match(/^in (\d+|an?|one) (min|minute|hr|hour|day|week|month)s?$/);
+  if (relative) {
+    const count = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+    const unit = { min: 'minute', hr: 'hour' }[relative[2]] || relative[2];
+    if (unit === 'month') {
+      const d = new Date(now);
+      d.setMonth(d.getMonth() + count);
+      return d.getTime();
+    }
+    return now + count * UNITS[unit];
+  }
+
+  const time = extractTime(s);
+  if (!time) return null;
+  const day = parseDay(time.rest, now);
+  if (!day) return null;
+  const hasTime = time.hour != null;
+  const result = atTime(day, hasTime ? time.hour : DEFAULT_HOUR, hasTime ? time.minute : 0);
+  // Only a time (or "tonight"): today if it is still ahead, else tomorrow
+  if (!time.rest && result.getTime() <= now) return addDays(result, 1).getTime();
+  return result.getTime();
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * PUBLIC_INTERFACE
+ * formatWhen
+ * A short label for a date and time, relative to today where that reads better:
+ * "Today 09:00", "Tomorrow 18:30", "Fri 09:00", "3 Nov 09:00", "3 Nov 2027 09:00",
+ * "12 Oct 2026 09:00" (in the past).
+ * The label reads back to the same time with parseWhen.
+ * @param {number} ts
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function formatWhen(ts, now = Date.now()) {
+  if (!ts) return '';
+  const date = new Date(ts);
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  const days = Math.round((atTime(date, 0) - atTime(now, 0)) / DAY_MS);
+  if (days === 0) return `Today ${time}`;
+  if (days === 1) return `Tomorrow ${time}`;
+  if (days > 1 && days < 7) return `${SHORT_WEEKDAYS[date.getDay()]} ${time}`;
+  // Past dates keep their year, which parseWhen would otherwise read as next year's
+  const year = days > 0 && date.getFullYear() === new Date(now).getFullYear() ? '' : ` ${date.getFullYear()}`;
+  return `${date.getDate()} ${SHORT_MONTHS[date.getMonth()]}${year} ${time}`;
+}
@@ -0,0 +1,75 @@
+import { formatWhen, parseWhen } from './dates';
+
+describe('dates', () => {
+  // Monday 19 October 2026, 10:30 local time
+  const now = new Date(2026, 9, 19, 10, 30).getTime();
+  const at = (...args) => new Date(...args).getTime();
+
+  test('reads days and times', () => {
+    expect(parseWhen('tomorrow 9am', now)).toBe(at(2026, 9, 20, 9, 0));
+    expect(parseWhen('Tomorrow at 9:30 PM', now)).toBe(at(2026, 9, 20, 21, 30));
+    expect(parseWhen('today 17:45', now)).toBe(at(2026, 9, 19, 17, 45));
+    expect(parseWhen('tomorrow', now)).toBe(at(2026, 9, 20, 9, 0));
+    expect(parseWhen('tomorrow evening', now)).toBe(at(2026, 9, 20, 18, 0));
+    expect(parseWhen('tonight', now)).toBe(at(2026, 9, 19, 20, 0));
+    expect(parseWhen('noon', now)).toBe(at(2026, 9, 19, 12, 0));
+  });
+
+  test('a time that has passed today means tomorrow', () => {
+    expect(parseWhen('9am', now)).toBe(at(2026, 9, 20, 9, 0));
+    expect(parseWhen('at 11', now)).toBe(at(2026, 9, 19, 11, 0));
+    // Naming the day keeps it, even in the past
+    expect(parseWhen('today 9am', now)).toBe(at(2026, 9, 19, 9, 0));
+  });
+
+  test('reads weekdays', () => {
+    expect(parseWhen('friday', now)).toBe(at(2026, 9, 23, 9, 0));
+    expect(parseWhen('wed 14:00', now)).toBe(at(2026, 9, 21, 14, 0));
+    // Today's weekday means next week, unless it says "this"
+    expect(parseWhen('monday', now)).toBe(at(2026, 9, 26, 9, 0));
+    expect(parseWhen('next monday at 10', now)).toBe(at(2026, 9, 26, 10, 0));
+    expect(parseWhen('this monday 6pm', now)).toBe(at(2026, 9, 19, 18, 0));
+    expect(parseWhen('next week', now)).toBe(at(2026, 9, 26, 9, 0));
+    expect(parseWhen('next month', now)).toBe(at(2026, 10, 1, 9, 0));
+  });
+
+  test('reads relative times', () => {
+    expect(parseWhen('in 20 minutes', now)).toBe(now + 20 * 60 * 1000);
+    expect(parseWhen('in an hour', now)).toBe(now + 60 * 60 * 1000);
+    expect(parseWhen('in 3 days', now)).toBe(now + 3 * 24 * 60 * 60 * 1000);
+    expect(parseWhen('in 2 months', now)).toBe(at(2026, 11, 19, 10, 30));
+  });
+
+  test('reads calendar dates', () => {
+    expect(parseWhen('2026-11-02 14:00', now)).toBe(at(2026, 10, 2, 14, 0));
+    expect(parseWhen('nov 2', now)).toBe(at(2026, 10, 2, 9, 0));
+    expect(parseWhen('2nd of November 2027 8pm', now)).toBe(at(2027, 10, 2, 20, 0));
+    // A date without a year that has passed is next year's
+    expect(parseWhen('march 3', now)).toBe(at(2027, 2, 3, 9, 0));
+  });
+
+  test('rejects text it does not understand', () => {
+    expect(parseWhen('', now)).toBeNull();
+    expect(parseWhen('someday', now)).toBeNull();
+    expect(parseWhen('tomorrow 25:00', now)).toBeNull();
+    expect(parseWhen('13pm', now)).toBeNull();
+    expect(parseWhen('feb 30', now)).toBeNull();
+    expect(parseWhen('2026-02-30', now)).toBeNull();
+  });
+
+  test('formats relative to today, and the labels read back', () => {
+    const cases = [
+      [at(2026, 9, 19, 9, 0), 'Today 09:00'],
+      [at(2026, 9, 20, 18, 30), 'Tomorrow 18:30'],
+      [at(2026, 9, 23, 9, 0), 'Fri 09:00'],
+      [at(2026, 10, 3, 9, 5), '3 Nov 09:05'],
+      [at(2027, 0, 4, 9, 0), '4 Jan 2027 09:00'],
+      [at(2026, 9, 12, 9, 0), '12 Oct 2026 09:00'],
+    ];
+    for (const [ts, label] of cases) {
+      expect(formatWhen(ts, now)).toBe(label);
+      expect(parseWhen(label, now)).toBe(ts);
+    }
+    expect(formatWhen(null, now)).toBe('');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * PUBLIC_INTERFACE
+ * diffLines
+ * Line-level diff of two texts (Myers' O(ND) algorithm).
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: 'equal'|'add'|'remove', text: string, oldLine: number|null, newLine: number|null}>}
+ *   line numbers are 1-based
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common prefix/suffix are cheap to strip and keep the core diff small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const ops = [
+    ...a.slice(0, start).map(() => 'equal'),
+    ...myers(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(() => 'equal'),
+  ];
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  for (const type of ops) {
+    if (type === 'equal') {
+      result.push({ type, text: a[i], oldLine: i + 1, newLine: j + 1 });
+      i += 1;
+      j += 1;
+    } else if (type === 'remove') {
+      result.push({ type, text: a[i], oldLine: i + 1, newLine: null });
+      i += 1;
+    } else {
+      result.push({ type, text: b[j], oldLine: null, newLine: j + 1 });
+      j += 1;
+    }
+  }
+  return result;
+}
+
+function splitLines(text) {
+  const str = String(text ?? '').replace(/\r\n?/g, '\n');
+  return str === '' ? [] : str.split('\n');
+}
+
+// Past this many edits the texts have little in common; they diff as one remove/add block,
+// which also bounds the trace (about D² entries)
+const MAX_EDITS = 2000;
+
+/** Shortest edit script between two line arrays as a list of op types. */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0) return b.map(() => 'add');
+  if (m === 0) return a.map(() => 'remove');
+
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // Step d only reads diagonals -d-1..d+1, so that band is all each step keeps
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(max, MAX_EDITS); d += 1) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, n, m);
+    }
+  }
+  return [...a.map(() => 'remove'), ...b.map(() => 'add')];
+}
+
+function backtrack(trace, n, m) {
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d -= 1) {
+    const band = trace[d];
+    const at = (k) => band[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push('equal');
+      x -= 1;
+      y -= 1;
+    }
+    if (d > 0) ops.push(x === prevX ? 'add' : 'remove');
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
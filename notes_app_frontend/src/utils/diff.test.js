@@ -0,0 +1,51 @@
+import { diffLines } from './diff';
+
+const types = (rows) => rows.map((r) => `${r.type[0]}:${r.text}`);
+
+describe('diffLines', () => {
+  test('identical texts are all equal', () => {
+    expect(types(diffLines('a\nb', 'a\nb'))).toEqual(['e:a', 'e:b']);
+  });
+
+  test('reports added and removed lines with line numbers', () => {
+    const rows = diffLines('one\ntwo\nthree', 'one\n2\nthree\nfour');
+    expect(types(rows)).toEqual(['e:one', 'r:two', 'a:2', 'e:three', 'a:four']);
+    expect(rows[1]).toMatchObject({ oldLine: 2, newLine: null });
+    expect(rows[2]).toMatchObject({ oldLine: null, newLine: 2 });
+    expect(rows[4]).toMatchObject({ oldLine: null, newLine: 4 });
+  });
+
+  test('handles empty sides and CRLF line endings', () => {
+    expect(types(diffLines('', 'x\ny'))).toEqual(['a:x', 'a:y']);
+    expect(types(diffLines('x\r\ny', ''))).toEqual(['r:x', 'r:y']);
+  });
+
+  test('finds a minimal edit in the middle of longer texts', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f'].join('\n');
+    const after = ['a', 'c', 'd', 'x', 'e', 'f'].join('\n');
+    const rows = diffLines(before, after);
+    expect(rows.filter((r) => r.type !== 'equal').map((r) => `${r.type[0]}:${r.text}`)).toEqual([
+      'r:b',
+      'a:x',
+    ]);
+  });
+
+  test('keeps a minimal script across many edits', () => {
+    const before = Array.from({ length: 400 }, (_, i) => `line ${i}`);
+    const after = before.filter((_, i) => i % 7 !== 0).map((line, i) => (i % 11 === 0 ? `${line}!` : line));
+    const rows = diffLines(before.join('\n'), after.join('\n'));
+    expect(rows.filter((r) => r.type !== 'add').map((r) => r.text)).toEqual(before);
+    expect(rows.filter((r) => r.type !== 'remove').map((r) => r.text)).toEqual(after);
+    // 58 deleted lines, and 32 changed ones as a remove plus an add
+    expect(rows.filter((r) => r.type !== 'equal')).toHaveLength(58 + 32 * 2);
+  });
+
+  test('diffs texts with nothing in common as one remove/add block', () => {
+    const before = Array.from({ length: 3000 }, (_, i) => `old ${i}`).join('\n');
+    const after = Array.from({ length: 3000 }, (_, i) => `new ${i}`).join('\n');
+    const rows = diffLines(before, after);
+    expect(rows).toHaveLength(6000);
+    expect(rows.slice(0, 3000).every((r) => r.type === 'remove')).toBe(true);
+    expect(rows[3000]).toMatchObject({ type: 'add', text: 'new 0', newLine: 1 });
+  });
+});
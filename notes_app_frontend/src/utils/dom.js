@@ -0,0 +1,25 @@
+/**
+ * PUBLIC_INTERFACE
+ * isEditableTarget
+ * Whether a keyboard event target is a text field, where native editing keys
+ * (undo, typing shortcuts) must not be intercepted by app-wide handlers.
+ * @param {EventTarget|null} el
+ * @returns {boolean}
+ */
+export function isEditableTarget(el) {
+  if (!el || !el.tagName) return false;
+  const tag = el.tagName.toLowerCase();
+  if (tag === 'textarea' || tag === 'select') return true;
+  if (tag === 'input') {
+    const type = (el.getAttribute('type') || 'text').toLowerCase();
+    return !['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'range', 'color'].includes(type);
+  }
+  return Boolean(el.isContentEditable);
+}
+
+// PUBLIC_INTERFACE
+/** Drag-and-drop data types: notes dragged from the list, notebooks dragged within the tree. */
+export const DRAG_TYPES = {
+  note: 'application/x-ocean-note',
+  notebook: 'application/x-ocean-notebook',
+};
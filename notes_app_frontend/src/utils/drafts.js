@@ -0,0 +1,124 @@
+import { KEYS } from '../constants';
+import { safeParse, safeStringify } from './storage';
+import { sameSchedule } from './reminders';
+
+/*
+ * Unsaved editor changes survive a closed tab or a crash as drafts:
+ * `{ title, content, tags, notebookId, dueAt, reminder, savedAt, baseUpdatedAt }` per note id,
+ * plus one for a note being created, all in localStorage under KEYS.drafts.
+ * baseUpdatedAt is the note's updatedAt when editing started. Drafts stored before the
+ * schedule was kept have no dueAt/reminder; the note's own schedule then stands.
+ */
+
+// PUBLIC_INTERFACE
+/** Draft key of the note being created. */
+export const NEW_NOTE_DRAFT_KEY = ':new';
+
+/**
+ * PUBLIC_INTERFACE
+ * draftKey
+ * Key of the draft for the editor: the note id, or NEW_NOTE_DRAFT_KEY.
+ * @param {'create'|'edit'} mode
+ * @param {string} [noteId]
+ * @returns {string}
+ */
+export function draftKey(mode, noteId) {
+  return mode === 'edit' && noteId ? noteId : NEW_NOTE_DRAFT_KEY;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * sameDraftFields
+ * Whether two sets of editor fields would save the same note.
+ * @param {{title, content, tags, notebookId, dueAt?, reminder?}} a
+ * @param {{title, content, tags, notebookId, dueAt?, reminder?}} b
+ * @returns {boolean}
+ */
+export function sameDraftFields(a, b) {
+  return (
+    (a.title || '') === (b.title || '') &&
+    (a.content || '') === (b.content || '') &&
+    (a.tags || []).join('\u0000') === (b.tags || []).join('\u0000') &&
+    (a.notebookId || null) === (b.notebookId || null) &&
+    sameSchedule(a, b)
+  );
+}
+
+function readDrafts() {
+  if (typeof window === 'undefined') return {};
+  try {
+    const stored = safeParse(window.localStorage.getItem(KEYS.drafts));
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeDrafts(drafts) {
+  if (typeof window === 'undefined') return;
+  try {
+    if (Object.keys(drafts).length === 0) window.localStorage.removeItem(KEYS.drafts);
+    else window.localStorage.setItem(KEYS.drafts, safeStringify(drafts));
+  } catch {
+    // no-op: a full storage loses the draft, not the open editor
+  }
+}
+
+// A stored reminder as the editor holds it: `{ at, repeat }`, or null
+function readReminder(reminder) {
+  const at = Number(reminder?.at) || null;
+  return at ? { at, repeat: String(reminder.repeat || 'none') } : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * loadDraft
+ * The stored draft for a key, or null. dueAt and reminder are left out when the draft
+ * did not store them.
+ * @param {string} key
+ * @returns {object|null}
+ */
+export function loadDraft(key) {
+  const draft = readDrafts()[key];
+  if (!draft || typeof draft !== 'object') return null;
+  return {
+    title: String(draft.title || ''),
+    content: String(draft.content || ''),
+    tags: Array.isArray(draft.tags) ? draft.tags.map(String) : [],
+    notebookId: draft.notebookId || null,
+    ...('dueAt' in draft ? { dueAt: Number(draft.dueAt) || null } : {}),
+    ...('reminder' in draft ? { reminder: readReminder(draft.reminder) } : {}),
+    savedAt: Number(draft.savedAt) || 0,
+    baseUpdatedAt: Number(draft.baseUpdatedAt) || 0,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * saveDraft
+ * Store (or replace) the draft for a key.
+ * @param {string} key
+ * @param {{title, content, tags, notebookId, dueAt?, reminder?, baseUpdatedAt?}} fields
+ * @param {number} [now]
+ */
+export function saveDraft(key, fields, now = Date.now()) {
+  const { title, content, tags, notebookId, dueAt, reminder, baseUpdatedAt = 0 } = fields;
+  const schedule = {
+    ...(dueAt !== undefined ? { dueAt: dueAt || null } : {}),
+    ...(reminder !== undefined ? { reminder: readReminder(reminder) } : {}),
+  };
+  writeDrafts({ ...readDrafts(), [key]: { title, content, tags, notebookId, ...schedule, savedAt: now, baseUpdatedAt } });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * removeDraft
+ * Forget the draft for a key (after saving or discarding it).
+ * @param {string} key
+ */
+export function removeDraft(key) {
+  const drafts = readDrafts();
+  if (!(key in drafts)) return;
+  delete drafts[key];
+  writeDrafts(drafts);
+}
@@ -0,0 +1,53 @@
+import { NEW_NOTE_DRAFT_KEY, draftKey, loadDraft, removeDraft, sameDraftFields, saveDraft } from './drafts';
+import { KEYS } from '../constants';
+
+const fields = { title: 'T', content: 'body', tags: ['a'], notebookId: 'inbox' };
+
+describe('drafts', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('keys drafts by note id, with one for a new note', () => {
+    expect(draftKey('edit', 'n1')).toBe('n1');
+    expect(draftKey('create', 'n1')).toBe(NEW_NOTE_DRAFT_KEY);
+    expect(draftKey('edit')).toBe(NEW_NOTE_DRAFT_KEY);
+  });
+
+  test('stores, loads and removes drafts per key', () => {
+    saveDraft('n1', { ...fields, baseUpdatedAt: 5 }, 100);
+    saveDraft(NEW_NOTE_DRAFT_KEY, { ...fields, title: 'New' }, 200);
+    expect(loadDraft('n1')).toEqual({ ...fields, savedAt: 100, baseUpdatedAt: 5 });
+    expect(loadDraft(NEW_NOTE_DRAFT_KEY).title).toBe('New');
+    removeDraft('n1');
+    expect(loadDraft('n1')).toBeNull();
+    removeDraft(NEW_NOTE_DRAFT_KEY);
+    expect(window.localStorage.getItem(KEYS.drafts)).toBeNull();
+  });
+
+  test('keeps the due date and reminder of a draft', () => {
+    const schedule = { dueAt: 5000, reminder: { at: 4000, repeat: 'weekly', snoozedUntil: 4500 } };
+    saveDraft('n1', { ...fields, ...schedule }, 100);
+    expect(loadDraft('n1')).toMatchObject({ dueAt: 5000, reminder: { at: 4000, repeat: 'weekly' } });
+    saveDraft('n1', { ...fields, dueAt: null, reminder: null }, 100);
+    expect(loadDraft('n1')).toMatchObject({ dueAt: null, reminder: null });
+    // Drafts stored without a schedule leave it out
+    saveDraft('n1', fields, 100);
+    expect(loadDraft('n1')).not.toHaveProperty('dueAt');
+    expect(loadDraft('n1')).not.toHaveProperty('reminder');
+  });
+
+  test('ignores unreadable drafts', () => {
+    window.localStorage.setItem(KEYS.drafts, '{oops');
+    expect(loadDraft('n1')).toBeNull();
+    window.localStorage.setItem(KEYS.drafts, JSON.stringify({ n1: { title: 7, tags: 'x' } }));
+    expect(loadDraft('n1')).toMatchObject({ title: '7', content: '', tags: [], notebookId: null });
+  });
+
+  test('sameDraftFields compares what would be saved', () => {
+    expect(sameDraftFields(fields, { ...fields, tags: ['a'] })).toBe(true);
+    expect(sameDraftFields(fields, { ...fields, tags: ['a', 'b'] })).toBe(false);
+    expect(sameDraftFields(fields, { ...fields, notebookId: 'work' })).toBe(false);
+    expect(sameDraftFields(fields, { ...fields, dueAt: 5 })).toBe(false);
+    expect(sameDraftFields({ ...fields, dueAt: null, reminder: null }, fields)).toBe(true);
+    expect(sameDraftFields({ title: '', content: undefined }, { title: undefined, content: '' })).toBe(true);
+  });
+});
@@ -0,0 +1,140 @@
+import { createId } from './storage';
+import { isTagWithin } from './tags';
+
+/*
+ * Sidebar filters: `{ tags: { include: string[], exclude: string[], mode: 'all'|'any' }, pinnedOnly: boolean,
+ * due: null|'upcoming'|'overdue', openTasks: boolean }`.
+ * Included tags must all (or any, by mode) be on a note; excluded tags must not. `due`
+ * keeps notes by their due date and reminder (see utils/reminders dueStatus), and
+ * `openTasks` notes with tasks left to do (see utils/tasks).
+ * A saved search ("smart folder") is `{ id, name, query, filters, notebookId }`
+ * and is kept in settings.smartFolders.
+ */
+
+// PUBLIC_INTERFACE
+/** No tag filter. */
+export const EMPTY_TAG_FILTER = { include: [], exclude: [], mode: 'all' };
+
+// PUBLIC_INTERFACE
+/** No sidebar filters. */
+export const EMPTY_FILTERS = { tags: EMPTY_TAG_FILTER, pinnedOnly: false, due: null, openTasks: false };
+
+// PUBLIC_INTERFACE
+/** Values of the due filter. */
+export const DUE_FILTERS = ['upcoming', 'overdue'];
+
+/**
+ * PUBLIC_INTERFACE
+ * toggleTagFilter
+ * Include a tag (or exclude it), or take it out of the filter when it already is.
+ * A tag is never both included and excluded.
+ * @param {object} filter tag filter
+ * @param {string} tag
+ * @param {boolean} [exclude]
+ * @returns {object}
+ */
+export function toggleTagFilter(filter, tag, exclude = false) {
+  const list = exclude ? 'exclude' : 'include';
+  const other = exclude ? 'include' : 'exclude';
+  const present = filter[list].includes(tag);
+  return {
+    ...filter,
+    [list]: present ? filter[list].filter((t) => t !== tag) : [...filter[list], tag],
+    [other]: filter[other].filter((t) => t !== tag),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * hasActiveFilters
+ * Whether any filter narrows the notes.
+ * @param {object} filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return !!(
+    filters?.pinnedOnly ||
+    filters?.due ||
+    filters?.openTasks ||
+    filters?.tags?.include.length ||
+    filters?.tags?.exclude.length
+  );
+}
+
+/** Apply `rename` to every tag of a tag filter, dropping duplicates and empty results. */
+function mapFilterTags(filter, rename) {
+  const map = (list) => [...new Set(list.map(rename).filter(Boolean))];
+  return { ...filter, include: map(filter.include), exclude: map(filter.exclude) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * renameTagInFilter
+ * Follow a tag rename (see utils/tags renameTagInNotes) in a tag filter.
+ * @param {object} filter
+ * @param {string} from
+ * @param {string} to
+ * @returns {object}
+ */
+export function renameTagInFilter(filter, from, to) {
+  return mapFilterTags(filter, (t) => (isTagWithin(t, from) ? `${to}${t.slice(from.length)}` : t));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * removeTagFromFilter
+ * Drop a deleted tag, and the tags nested in it, from a tag filter.
+ * @param {object} filter
+ * @param {string} tag
+ * @returns {object}
+ */
+export function removeTagFromFilter(filter, tag) {
+  return mapFilterTags(filter, (t) => (isTagWithin(t, tag) ? null : t));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createSmartFolder
+ * A saved search from the current query, filters and notebook.
+ * @param {string} name
+ * @param {{query: string, filters: object, notebookId: string|null}} search
+ * @returns {object}
+ */
+export function createSmartFolder(name, { query, filters, notebookId }) {
+  return {
+    id: createId(),
+    name: String(name).trim(),
+    query: String(query || '').trim(),
+    filters: {
+      tags: { ...EMPTY_TAG_FILTER, ...filters.tags },
+      pinnedOnly: !!filters.pinnedOnly,
+      due: DUE_FILTERS.includes(filters.due) ? filters.due : null,
+      openTasks: !!filters.openTasks,
+    },
+    notebookId: notebookId || null,
+  };
+}
+
+const sameList = (a = [], b = []) => a.length === b.length && a.every((t) => b.includes(t));
+
+/**
+ * PUBLIC_INTERFACE
+ * matchesSmartFolder
+ * Whether the current search is exactly what a smart folder saved.
+ * @param {object} folder
+ * @param {{query: string, filters: object, notebookId: string|null}} search
+ * @returns {boolean}
+ */
+export function matchesSmartFolder(folder, { query, filters, notebookId }) {
+  const saved = folder.filters?.tags || EMPTY_TAG_FILTER;
+  return (
+    folder.query === String(query || '').trim() &&
+    (folder.notebookId || null) === (notebookId || null) &&
+    !!folder.filters?.pinnedOnly === !!filters.pinnedOnly &&
+    (folder.filters?.due || null) === (filters.due || null) &&
+    !!folder.filters?.openTasks === !!filters.openTasks &&
+    sameList(saved.include, filters.tags.include) &&
+    sameList(saved.exclude, filters.tags.exclude) &&
+    (saved.include.length < 2 || saved.mode === filters.tags.mode)
+  );
+}
@@ -0,0 +1,76 @@
+import {
+  EMPTY_FILTERS,
+  EMPTY_TAG_FILTER,
+  createSmartFolder,
+  hasActiveFilters,
+  matchesSmartFolder,
+  removeTagFromFilter,
+  renameTagInFilter,
+  toggleTagFilter,
+} from './filters';
+import { searchNotes } from './search';
+
+const note = (id, tags, extra = {}) => ({ id, title: id, content: '', tags, updatedAt: 1, ...extra });
+const NOTES = [note('a', ['work', 'urgent']), note('b', ['work']), note('c', ['home', 'urgent'], { pinned: true })];
+const ids = (result) => result.notes.map((n) => n.id).sort();
+
+describe('toggleTagFilter', () => {
+  test('adds and removes tags, moving them between include and exclude', () => {
+    let filter = toggleTagFilter(EMPTY_TAG_FILTER, 'work');
+    expect(filter.include).toEqual(['work']);
+    filter = toggleTagFilter(filter, 'work', true);
+    expect(filter).toEqual({ include: [], exclude: ['work'], mode: 'all' });
+    expect(toggleTagFilter(filter, 'work', true).exclude).toEqual([]);
+  });
+});
+
+test('tag filters combine with AND or OR and exclusions', () => {
+  const search = (tags, extra) => ids(searchNotes(NOTES, '', { tagFilter: { ...EMPTY_TAG_FILTER, ...tags }, ...extra }));
+  expect(search({ include: ['work', 'urgent'] })).toEqual(['a']);
+  expect(search({ include: ['work', 'home'], mode: 'any' })).toEqual(['a', 'b', 'c']);
+  expect(search({ include: ['urgent'], exclude: ['work'] })).toEqual(['c']);
+  expect(search({}, { pinnedOnly: true })).toEqual(['c']);
+});
+
+test('the due filter keeps upcoming or overdue notes', () => {
+  const now = 1000;
+  const notes = [
+    note('late', [], { dueAt: 500 }),
+    note('soon', [], { dueAt: 2000 }),
+    note('remind', [], { reminder: { at: 3000, repeat: 'none' } }),
+    note('none', []),
+  ];
+  expect(ids(searchNotes(notes, '', { due: 'overdue', now }))).toEqual(['late']);
+  expect(ids(searchNotes(notes, '', { due: 'upcoming', now }))).toEqual(['remind', 'soon']);
+});
+
+test('the open tasks filter keeps notes with tasks left to do', () => {
+  const notes = [
+    note('open', [], { content: '- [x] done\n- [ ] to do' }),
+    note('done', [], { content: '- [x] done' }),
+    note('code', [], { content: '```\n- [ ] not a task\n```' }),
+  ];
+  expect(ids(searchNotes(notes, '', { openTasks: true }))).toEqual(['open']);
+});
+
+test('tag filters follow renamed and deleted tags', () => {
+  const filter = { include: ['work/acme', 'home'], exclude: ['work'], mode: 'any' };
+  expect(renameTagInFilter(filter, 'work', 'job')).toEqual({ include: ['job/acme', 'home'], exclude: ['job'], mode: 'any' });
+  expect(removeTagFromFilter(filter, 'work')).toEqual({ include: ['home'], exclude: [], mode: 'any' });
+});
+
+test('a smart folder matches the search it was saved from', () => {
+  const current = { query: ' groceries ', filters: { tags: { include: ['a', 'b'], exclude: [], mode: 'any' }, pinnedOnly: false }, notebookId: null };
+  const folder = createSmartFolder(' Shopping ', current);
+  expect(folder).toMatchObject({ name: 'Shopping', query: 'groceries' });
+  expect(matchesSmartFolder(folder, current)).toBe(true);
+  expect(matchesSmartFolder(folder, { ...current, filters: { ...current.filters, tags: { include: ['b', 'a'], exclude: [], mode: 'any' } } })).toBe(true);
+  expect(matchesSmartFolder(folder, { ...current, filters: EMPTY_FILTERS })).toBe(false);
+  expect(matchesSmartFolder(folder, { ...current, notebookId: 'inbox' })).toBe(false);
+  expect(hasActiveFilters(EMPTY_FILTERS)).toBe(false);
+  expect(hasActiveFilters({ ...EMPTY_FILTERS, pinnedOnly: true })).toBe(true);
+  expect(hasActiveFilters({ ...EMPTY_FILTERS, due: 'upcoming' })).toBe(true);
+  expect(hasActiveFilters({ ...EMPTY_FILTERS, openTasks: true })).toBe(true);
+  expect(matchesSmartFolder(folder, { ...current, filters: { ...current.filters, openTasks: true } })).toBe(false);
+  expect(matchesSmartFolder(folder, { ...current, filters: { ...current.filters, due: 'overdue' } })).toBe(false);
+});
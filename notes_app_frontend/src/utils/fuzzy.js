@@ -0,0 +1,78 @@
+/**
+ * PUBLIC_INTERFACE
+ * fuzzyMatch
+ * Match a query against text as an in-order subsequence of its letters, case-insensitively
+ * ("nwnt" matches "New note"). Consecutive letters, word starts and an early first match
+ * score higher.
+ * @param {string} query
+ * @param {string} text
+ * @returns {{score: number, indices: number[]}|null} indices of the matched characters in text
+ */
+export function fuzzyMatch(query, text) {
+  const q = String(query || '').toLowerCase().replace(/\s+/g, '');
+  const t = String(text || '');
+  const lower = t.toLowerCase();
+  if (!q) return { score: 0, indices: [] };
+
+  // Jumping ahead to word starts can leave later letters unmatched; plain left-to-right never does
+  const indices = locate(q, t, lower, true) || locate(q, t, lower, false);
+  if (!indices) return null;
+  let score = 0;
+  indices.forEach((at, n) => {
+    const prev = indices[n - 1];
+    if (prev !== undefined && at === prev + 1) score += 5;
+    if (isWordStart(t, at)) score += 3;
+    score -= prev === undefined ? Math.min(at, 10) * 0.5 : Math.min(at - prev - 1, 10) * 0.2;
+  });
+  // Shorter texts are closer matches
+  score -= (t.length - q.length) * 0.05;
+  return { score, indices };
+}
+
+/** Positions of the query letters in order; a letter not right after the previous one goes to the next word start holding it, if any. */
+function locate(q, text, lower, preferWordStarts) {
+  const indices = [];
+  let from = 0;
+  for (const ch of q) {
+    let at = lower.indexOf(ch, from);
+    if (at === -1) return null;
+    const follows = indices.length > 0 && at === indices[indices.length - 1] + 1;
+    if (preferWordStarts && !follows && !isWordStart(text, at)) {
+      for (let i = at + 1; i < lower.length; i += 1) {
+        if (lower[i] === ch && isWordStart(text, i)) {
+          at = i;
+          break;
+        }
+      }
+    }
+    indices.push(at);
+    from = at + 1;
+  }
+  return indices;
+}
+
+function isWordStart(text, i) {
+  if (i === 0) return true;
+  const before = text[i - 1];
+  return /[\s\-_/#.:([]/.test(before) || (/[a-z]/.test(before) && /[A-Z]/.test(text[i]));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * fuzzyFilter
+ * Items matching a query, best first (an empty query keeps them all, in order).
+ * @template T
+ * @param {T[]} items
+ * @param {string} query
+ * @param {(item: T) => string} getText
+ * @returns {Array<{item: T, score: number, indices: number[]}>}
+ */
+export function fuzzyFilter(items, query, getText) {
+  const results = [];
+  items.forEach((item, order) => {
+    const match = fuzzyMatch(query, getText(item));
+    if (match) results.push({ item, order, ...match });
+  });
+  results.sort((a, b) => b.score - a.score || a.order - b.order);
+  return results.map(({ item, score, indices }) => ({ item, score, indices }));
+}
@@ -0,0 +1,21 @@
+import { fuzzyFilter, fuzzyMatch } from './fuzzy';
+
+describe('fuzzyMatch', () => {
+  test('matches letters in order, case-insensitively', () => {
+    expect(fuzzyMatch('nwnt', 'New note').indices).toEqual([0, 2, 4, 6]);
+    expect(fuzzyMatch('NN', 'new note').indices).toEqual([0, 4]);
+    expect(fuzzyMatch('tn', 'New note')).toBeNull();
+    expect(fuzzyMatch('', 'anything')).toEqual({ score: 0, indices: [] });
+  });
+
+  test('falls back when jumping to a word start would miss later letters', () => {
+    expect(fuzzyMatch('ab', 'xab a').indices).toEqual([1, 2]);
+  });
+
+  test('ranks word starts and runs above scattered letters', () => {
+    const ranked = fuzzyFilter(['Toggle theme', 'Go to #tag', 'Trash', 'Pin note'], 'tt', (x) => x).map((r) => r.item);
+    expect(ranked[0]).toBe('Toggle theme');
+    expect(ranked).not.toContain('Pin note');
+    expect(fuzzyFilter(['abc', 'xyz'], '', (x) => x).map((r) => r.item)).toEqual(['abc', 'xyz']);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Note state snapshots used by undo/redo.
+ *
+ * A state describes where one note lives: `{ id, note, trashed }` where `note` is
+ * the note in the active list (or null) and `trashed` its Trash entry (or null).
+ * Every operation is recorded as the states of the notes it touched before and
+ * after, so undo and redo are just "apply these states".
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * captureNoteStates
+ * Snapshot the current states of the given note ids.
+ * @param {Array} notes
+ * @param {Array} trash
+ * @param {Iterable<string>} ids
+ * @returns {Array<{id:string, note:object|null, trashed:object|null}>}
+ */
+export function captureNoteStates(notes, trash, ids) {
+  const wanted = new Set(ids);
+  const states = new Map(Array.from(wanted, (id) => [id, { id, note: null, trashed: null }]));
+  for (const n of notes) {
+    if (wanted.has(n.id)) states.get(n.id).note = n;
+  }
+  for (const t of trash) {
+    if (wanted.has(t.id)) states.get(t.id).trashed = t;
+  }
+  return Array.from(states.values());
+}
+
+/** Replace/remove/insert items of one collection according to the states. */
+function applyToCollection(items, states, field) {
+  const byId = new Map(states.map((s) => [s.id, s[field]]));
+  const present = new Set();
+  const next = [];
+  for (const item of items) {
+    if (!byId.has(item.id)) {
+      next.push(item);
+      continue;
+    }
+    present.add(item.id);
+    const replacement = byId.get(item.id);
+    if (replacement) next.push(replacement);
+  }
+  // Newly appearing items go first, matching how new notes are added
+  const added = states.filter((s) => s[field] && !present.has(s.id)).map((s) => s[field]);
+  return added.length ? [...added, ...next] : next;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * applyNoteStates
+ * Produce new notes/trash arrays with the given states applied. Runs in O(n).
+ * @param {Array} notes
+ * @param {Array} trash
+ * @param {Array<{id:string, note:object|null, trashed:object|null}>} states
+ * @returns {{notes: Array, trash: Array}}
+ */
+export function applyNoteStates(notes, trash, states) {
+  return {
+    notes: applyToCollection(notes, states, 'note'),
+    trash: applyToCollection(trash, states, 'trashed'),
+  };
+}
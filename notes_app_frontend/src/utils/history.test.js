@@ -0,0 +1,34 @@
+import { applyNoteStates, captureNoteStates } from './history';
+
+const a = { id: 'a', title: 'A' };
+const b = { id: 'b', title: 'B' };
+
+describe('note state snapshots', () => {
+  test('captures where each note lives', () => {
+    const trashed = { ...b, deletedAt: 1 };
+    expect(captureNoteStates([a], [trashed], ['a', 'b', 'c'])).toEqual([
+      { id: 'a', note: a, trashed: null },
+      { id: 'b', note: null, trashed },
+      { id: 'c', note: null, trashed: null },
+    ]);
+  });
+
+  test('applying before/after states undoes and redoes a delete', () => {
+    const notes = [a, b];
+    const after = [{ id: 'a', note: null, trashed: { ...a, deletedAt: 5 } }];
+    const before = captureNoteStates(notes, [], ['a']);
+
+    const deleted = applyNoteStates(notes, [], after);
+    expect(deleted.notes).toEqual([b]);
+    expect(deleted.trash).toEqual([{ ...a, deletedAt: 5 }]);
+
+    const restored = applyNoteStates(deleted.notes, deleted.trash, before);
+    expect(restored.notes).toEqual([a, b]);
+    expect(restored.trash).toEqual([]);
+  });
+
+  test('replaces notes in place', () => {
+    const edited = { ...b, title: 'B2' };
+    expect(applyNoteStates([a, b], [], [{ id: 'b', note: edited, trashed: null }]).notes).toEqual([a, edited]);
+  });
+});
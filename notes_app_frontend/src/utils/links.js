@@ -0,0 +1,199 @@
+/*
+ * Wiki links between notes: `[[Note title]]`, or `[[Note title|shown text]]`.
+ * A link points at the note with that title, ignoring case and extra spaces;
+ * when several notes share a title, the most recently updated one. Links in
+ * code blocks and code spans are text, as the Markdown renderer shows them.
+ */
+
+const LINK_RE = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/g;
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+
+/**
+ * PUBLIC_INTERFACE
+ * linkKey
+ * The form of a title links are matched by.
+ * @param {string} title
+ * @returns {string} empty for a blank title
+ */
+export function linkKey(title) {
+  return String(title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseLinks
+ * The wiki links in note content, in order.
+ * @param {string} content
+ * @returns {Array<{title: string, label: string|null, start: number, end: number}>}
+ *   start/end are offsets of the whole `[[...]]`
+ */
+export function parseLinks(content) {
+  const text = String(content || '');
+  if (!text.includes('[[')) return [];
+  const links = [];
+  let offset = 0;
+  let fence = null;
+  for (const line of text.split('\n')) {
+    const marker = FENCE_RE.exec(line);
+    if (fence) {
+      if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length && !line.slice(marker[0].length).trim()) {
+        fence = null;
+      }
+    } else if (marker) {
+      fence = marker[1];
+    } else if (line.includes('[[')) {
+      // Blank out code spans, keeping the offsets
+      const visible = line.replace(/(`+).*?[^`]\1(?!`)/g, (code) => ' '.repeat(code.length));
+      for (const m of visible.matchAll(LINK_RE)) {
+        if (!m[1].trim()) continue;
+        links.push({
+          title: m[1].trim(),
+          label: m[2] ? m[2].trim() : null,
+          start: offset + m.index,
+          end: offset + m.index + m[0].length,
+        });
+      }
+    }
+    offset += line.length + 1;
+  }
+  return links;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * linkTargets
+ * The note each link key points to.
+ * @param {Array} notes
+ * @returns {Map<string, object>}
+ */
+export function linkTargets(notes) {
+  const targets = new Map();
+  for (const note of notes) {
+    const key = linkKey(note.title);
+    if (!key) continue;
+    const other = targets.get(key);
+    if (!other || (note.updatedAt || 0) > (other.updatedAt || 0)) targets.set(key, note);
+  }
+  return targets;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * backlinks
+ * Other notes that link to a note.
+ * @param {Array} notes
+ * @param {object} note
+ * @param {Map<string, object>} [targets] linkTargets(notes), when already at hand
+ * @returns {Array} in the order of `notes`
+ */
+export function backlinks(notes, note, targets = linkTargets(notes)) {
+  const key = linkKey(note?.title);
+  if (!key || targets.get(key)?.id !== note.id) return [];
+  return notes.filter((n) => n.id !== note.id && parseLinks(n.content).some((link) => linkKey(link.title) === key));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * brokenLinks
+ * Notes with links to titles no note has.
+ * @param {Array} notes
+ * @returns {Array<{note: object, titles: string[]}>} each missing title once per note
+ */
+export function brokenLinks(notes) {
+  const targets = linkTargets(notes);
+  const broken = [];
+  for (const note of notes) {
+    const seen = new Set();
+    const titles = [];
+    for (const link of parseLinks(note.content)) {
+      const key = linkKey(link.title);
+      if (targets.has(key) || seen.has(key)) continue;
+      seen.add(key);
+      titles.push(link.title);
+    }
+    if (titles.length) broken.push({ note, titles });
+  }
+  return broken;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * renameLinks
+ * Point the links to one title at another, keeping their shown text.
+ * @param {string} content
+ * @param {string} from
+ * @param {string} to
+ * @returns {string} the same string when nothing links to `from`
+ */
+export function renameLinks(content, from, to) {
+  const key = linkKey(from);
+  const title = String(to || '').trim();
+  const text = String(content || '');
+  if (!key || !title) return text;
+  let out = text;
+  const links = parseLinks(text).filter((link) => linkKey(link.title) === key);
+  for (const link of links.reverse()) {
+    const replacement = link.label ? `[[${title}|${link.label}]]` : `[[${title}]]`;
+    out = out.slice(0, link.start) + replacement + out.slice(link.end);
+  }
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * renameLinkStates
+ * Note states (see utils/history) that update the links to a renamed note.
+ * Links are left alone while another note still has the old title, since they now point there.
+ * @param {Array} notes notes after the rename
+ * @param {object} renamed the note under its new title
+ * @param {string} previousTitle
+ * @returns {Array<{id: string, note: object, trashed: null}>}
+ */
+export function renameLinkStates(notes, renamed, previousTitle) {
+  const key = linkKey(previousTitle);
+  if (!key || linkKey(renamed.title) === key || !linkKey(renamed.title)) return [];
+  if (notes.some((n) => n.id !== renamed.id && linkKey(n.title) === key)) return [];
+  const now = Date.now();
+  const states = [];
+  for (const note of notes) {
+    const source = note.id === renamed.id ? renamed : note;
+    const content = renameLinks(source.content, previousTitle, renamed.title);
+    if (content !== (source.content || '')) {
+      states.push({ id: note.id, note: { ...source, content, updatedAt: now }, trashed: null });
+    }
+  }
+  return states;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * linkAtCaret
+ * The unfinished link being typed at the caret, for autocomplete: `[[` and the text after it.
+ * @param {string} text
+ * @param {number} caret
+ * @returns {{start: number, query: string}|null} start is the offset of `[[`
+ */
+export function linkAtCaret(text, caret) {
+  const before = String(text || '').slice(0, caret);
+  const m = /\[\[([^[\]|\n]*)$/.exec(before);
+  return m ? { start: m.index, query: m[1] } : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * completeLink
+ * Finish the link started at `start` with a note title, replacing what was typed
+ * (and the rest of the title, when the caret is inside an existing link, whose shown text stays).
+ * @param {string} text
+ * @param {number} start offset of `[[` (see linkAtCaret)
+ * @param {number} caret
+ * @param {string} title
+ * @returns {{text: string, caret: number}} caret placed after the link
+ */
+export function completeLink(text, start, caret, title) {
+  const value = String(text || '');
+  const rest = /^[^[\]|\n]*(\|[^[\]\n]*)?\]\]/.exec(value.slice(caret));
+  const link = `[[${title}${rest?.[1] || ''}]]`;
+  const end = rest ? caret + rest[0].length : caret;
+  return { text: value.slice(0, start) + link + value.slice(end), caret: start + link.length };
+}
@@ -0,0 +1,67 @@
+import {
+  backlinks,
+  brokenLinks,
+  completeLink,
+  linkAtCaret,
+  linkTargets,
+  parseLinks,
+  renameLinkStates,
+  renameLinks,
+} from './links';
+
+describe('links', () => {
+  const note = (id, title, content = '', updatedAt = 1) => ({ id, title, content, updatedAt });
+  const notes = [
+    note('a', 'Trip plans', 'Packing: [[packing list]], budget in [[Budget|the budget]]'),
+    note('b', 'Packing List', 'For [[Trip  Plans]]. `[[not a link]]`'),
+    note('c', 'Ideas', '```\n[[Trip plans]]\n```\nSee [[Nowhere]] and [[nowhere]] and [[Trip plans]]'),
+  ];
+
+  test('finds links outside code', () => {
+    expect(parseLinks(notes[0].content)).toEqual([
+      { title: 'packing list', label: null, start: 9, end: 25 },
+      { title: 'Budget', label: 'the budget', start: 37, end: 58 },
+    ]);
+    expect(parseLinks(notes[1].content).map((l) => l.title)).toEqual(['Trip  Plans']);
+    expect(parseLinks(notes[2].content).map((l) => l.title)).toEqual(['Nowhere', 'nowhere', 'Trip plans']);
+    expect(parseLinks('[[ ]] [[a]b]]')).toEqual([]);
+  });
+
+  test('links point at titles regardless of case and spacing, newest first', () => {
+    const targets = linkTargets([...notes, note('d', 'trip plans', '', 0)]);
+    expect(targets.get('trip plans').id).toBe('a');
+    expect(linkTargets([...notes, note('d', 'Trip Plans', '', 5)]).get('trip plans').id).toBe('d');
+  });
+
+  test('lists backlinks and broken links', () => {
+    expect(backlinks(notes, notes[0]).map((n) => n.id)).toEqual(['b', 'c']);
+    expect(backlinks(notes, notes[2])).toEqual([]);
+    expect(brokenLinks(notes)).toEqual([
+      { note: notes[0], titles: ['Budget'] },
+      { note: notes[2], titles: ['Nowhere'] },
+    ]);
+  });
+
+  test('renames links, keeping their shown text', () => {
+    expect(renameLinks('[[trip plans]] and [[Trip Plans|here]] and `[[trip plans]]`', 'Trip plans', 'Holiday')).toBe(
+      '[[Holiday]] and [[Holiday|here]] and `[[trip plans]]`'
+    );
+    const renamed = { ...notes[0], title: 'Holiday' };
+    const states = renameLinkStates(notes.map((n) => (n.id === 'a' ? renamed : n)), renamed, 'Trip plans');
+    expect(states.map((s) => [s.id, s.note.content])).toEqual([
+      ['b', 'For [[Holiday]]. `[[not a link]]`'],
+      ['c', '```\n[[Trip plans]]\n```\nSee [[Nowhere]] and [[nowhere]] and [[Holiday]]'],
+    ]);
+    // Another note still has the old title, so the links now point there
+    expect(renameLinkStates([...notes, note('d', 'trip plans')], renamed, 'Trip plans')).toEqual([]);
+  });
+
+  test('completes the link being typed', () => {
+    expect(linkAtCaret('see [[pack', 10)).toEqual({ start: 4, query: 'pack' });
+    expect(linkAtCaret('see [[pack]] ', 13)).toBeNull();
+    expect(linkAtCaret('[[a\nb', 5)).toBeNull();
+    expect(completeLink('see [[pack', 4, 10, 'Packing List')).toEqual({ text: 'see [[Packing List]]', caret: 20 });
+    // Inside an existing link, its title is replaced and its shown text kept
+    expect(completeLink('[[pa|stuff]] ok', 0, 4, 'Packing List')).toEqual({ text: '[[Packing List|stuff]] ok', caret: 22 });
+  });
+});
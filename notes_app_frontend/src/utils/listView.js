@@ -0,0 +1,225 @@
+import { DAY_MS } from './notes';
+import { flattenNotebooks, resolveNotebookId } from './notebooks';
+
+/*
+ * How the notes list is laid out: `{ sort, direction, group, view }`, kept in
+ * settings.listView. Pinned notes come first whatever the sort. The manual order is
+ * a list of note ids (settings.noteOrder); notes missing from it come first.
+ */
+
+// PUBLIC_INTERFACE
+/** Sort keys, with the field they read and the direction they start in. */
+export const SORT_OPTIONS = {
+  updated: { label: 'Last updated', field: 'updatedAt', direction: 'desc' },
+  created: { label: 'Date created', field: 'createdAt', direction: 'desc' },
+  title: { label: 'Title', field: 'title', direction: 'asc' },
+  due: { label: 'Due date', field: 'dueAt', direction: 'asc' },
+  manual: { label: 'Manual order', field: null, direction: 'asc' },
+};
+
+// PUBLIC_INTERFACE
+/** Ways to group the list. */
+export const GROUP_OPTIONS = {
+  none: 'No grouping',
+  date: 'Date',
+  tag: 'Tag',
+  notebook: 'Notebook',
+};
+
+// PUBLIC_INTERFACE
+/** Card layouts. */
+export const VIEW_OPTIONS = {
+  list: 'List',
+  grid: 'Grid',
+  compact: 'Compact',
+};
+
+// PUBLIC_INTERFACE
+/** The layout before the user picks one: newest first, ungrouped, as a list. */
+export const DEFAULT_LIST_VIEW = { sort: 'updated', direction: 'desc', group: 'none', view: 'list' };
+
+/**
+ * PUBLIC_INTERFACE
+ * resolveListView
+ * The saved layout with unknown or missing values replaced by the defaults.
+ * @param {object} [saved] settings.listView
+ * @returns {{sort: string, direction: 'asc'|'desc', group: string, view: string}}
+ */
+export function resolveListView(saved) {
+  const pick = (value, options, fallback) => (Object.prototype.hasOwnProperty.call(options, value) ? value : fallback);
+  const sort = pick(saved?.sort, SORT_OPTIONS, DEFAULT_LIST_VIEW.sort);
+  return {
+    sort,
+    direction: saved?.direction === 'asc' || saved?.direction === 'desc' ? saved.direction : SORT_OPTIONS[sort].direction,
+    group: pick(saved?.group, GROUP_OPTIONS, DEFAULT_LIST_VIEW.group),
+    view: pick(saved?.view, VIEW_OPTIONS, DEFAULT_LIST_VIEW.view),
+  };
+}
+
+const compareTitles = (a, b) =>
+  (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base', numeric: true });
+
+/**
+ * PUBLIC_INTERFACE
+ * sortNotesBy
+ * A sorted copy of the notes: pinned first, then by the chosen key. Ties keep
+ * their incoming order; notes without a due date come last when sorting by it.
+ * @param {Array} notes
+ * @param {{sort: string, direction: 'asc'|'desc'}} listView
+ * @param {string[]} [manualOrder] note ids, for the manual sort
+ * @returns {Array}
+ */
+export function sortNotesBy(notes, { sort, direction }, manualOrder = []) {
+  const sign = direction === 'asc' ? 1 : -1;
+  let compare;
+  if (sort === 'manual') {
+    const rank = new Map(manualOrder.map((id, i) => [id, i]));
+    compare = (a, b) => (rank.has(a.id) ? rank.get(a.id) : -1) - (rank.has(b.id) ? rank.get(b.id) : -1);
+  } else if (sort === 'due') {
+    compare = (a, b) => !a.dueAt - !b.dueAt || sign * (Number(a.dueAt || 0) - Number(b.dueAt || 0));
+  } else if (sort === 'title') {
+    compare = (a, b) => sign * compareTitles(a, b);
+  } else {
+    const field = SORT_OPTIONS[sort]?.field || 'updatedAt';
+    compare = (a, b) => sign * (Number(a[field] || 0) - Number(b[field] || 0));
+  }
+  return notes
+    .map((note, i) => ({ note, i }))
+    .sort((a, b) => (b.note.pinned ? 1 : 0) - (a.note.pinned ? 1 : 0) || compare(a.note, b.note) || a.i - b.i)
+    .map(({ note }) => note);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * moveInOrder
+ * Move a note before or after another one in a manual order.
+ * @param {string[]} orderedIds every note id, in the current order
+ * @param {string} id note to move
+ * @param {string} targetId note to move next to
+ * @param {boolean} [after]
+ * @returns {string[]} a new array (the same one when nothing moves)
+ */
+export function moveInOrder(orderedIds, id, targetId, after = false) {
+  if (id === targetId || !orderedIds.includes(id) || !orderedIds.includes(targetId)) return orderedIds;
+  const rest = orderedIds.filter((x) => x !== id);
+  const at = rest.indexOf(targetId) + (after ? 1 : 0);
+  return [...rest.slice(0, at), id, ...rest.slice(at)];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * dateBucket
+ * Which date group a timestamp falls in, by the calendar in local time.
+ * @param {number} ts
+ * @param {number} [now]
+ * @returns {{key: string, label: string, rank: number}} rank grows with age
+ */
+export function dateBucket(ts, now = Date.now()) {
+  if (!ts) return { key: 'none', label: 'No date', rank: Infinity };
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const startOfDay = today.getTime();
+  const date = new Date(ts);
+  if (ts >= startOfDay) return { key: 'today', label: 'Today', rank: 0 };
+  if (ts >= startOfDay - DAY_MS) return { key: 'yesterday', label: 'Yesterday', rank: 1 };
+  if (ts >= startOfDay - 6 * DAY_MS) return { key: 'week', label: 'This week', rank: 2 };
+  if (date.getFullYear() === today.getFullYear() && date.getMonth() === today.getMonth()) {
+    return { key: 'month', label: 'Earlier this month', rank: 3 };
+  }
+  if (date.getFullYear() === today.getFullYear()) return { key: 'year', label: 'Earlier this year', rank: 4 };
+  return { key: `y${date.getFullYear()}`, label: String(date.getFullYear()), rank: 5 + today.getFullYear() - date.getFullYear() };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * groupNotes
+ * Split the listed notes into groups, keeping their order within each group.
+ * Date groups follow the sort (oldest first when sorting by a date ascending); a
+ * note is listed under each of its tags; notebooks follow the notebook tree.
+ * @param {Array} notes in list order
+ * @param {{group: string, sort: string, direction: string}} listView
+ * @param {{notebooks?: Array, now?: number}} [context]
+ * @returns {Array<{key: string, label: string, notes: Array}>|null} null when not grouping
+ */
+export function groupNotes(notes, { group, sort, direction }, { notebooks = [], now = Date.now() } = {}) {
+  if (group === 'date') {
+    const field = sort === 'created' ? 'createdAt' : 'updatedAt';
+    const groups = new Map();
+    for (const note of notes) {
+      const bucket = dateBucket(Number(note[field] || 0), now);
+      if (!groups.has(bucket.key)) groups.set(bucket.key, { ...bucket, notes: [] });
+      groups.get(bucket.key).notes.push(note);
+    }
+    const ascending = direction === 'asc' && SORT_OPTIONS[sort]?.field === field;
+    return [...groups.values()]
+      .sort((a, b) => (ascending ? b.rank - a.rank : a.rank - b.rank))
+      .map(({ key, label, notes: list }) => ({ key: `date:${key}`, label, notes: list }));
+  }
+  if (group === 'tag') {
+    const groups = new Map();
+    const untagged = [];
+    for (const note of notes) {
+      const tags = Array.isArray(note.tags) ? note.tags : [];
+      if (tags.length === 0) untagged.push(note);
+      for (const tag of new Set(tags)) {
+        if (!groups.has(tag)) groups.set(tag, []);
+        groups.get(tag).push(note);
+      }
+    }
+    const list = [...groups.keys()]
+      .sort((a, b) => a.localeCompare(b))
+      .map((tag) => ({ key: `tag:${tag}`, label: `#${tag}`, notes: groups.get(tag) }));
+    if (untagged.length) list.push({ key: 'tag:', label: 'No tags', notes: untagged });
+    return list;
+  }
+  if (group === 'notebook') {
+    const byId = new Map(notebooks.map((b) => [b.id, b]));
+    const groups = new Map();
+    for (const note of notes) {
+      const id = resolveNotebookId(note, byId);
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(note);
+    }
+    const rows = flattenNotebooks(notebooks).filter(({ notebook }) => groups.has(notebook.id));
+    const list = rows.map(({ notebook, path }) => ({ key: `notebook:${notebook.id}`, label: path, notes: groups.get(notebook.id) }));
+    // Without any notebooks (older data) everything sits in one unnamed group
+    if (list.length === 0 && notes.length) list.push({ key: 'notebook:', label: 'Notes', notes });
+    return list;
+  }
+  return null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * layoutRows
+ * Rows to render: group headings and rows of up to `columns` cards. Each card has
+ * its position among all listed cards (a note under two tags is listed twice).
+ * @param {Array} notes in list order
+ * @param {Array|null} groups from groupNotes
+ * @param {number} [columns]
+ * @returns {{rows: Array<{key: string, group?: {label: string, count: number},
+ *   cards?: Array<{note: object, position: number}>}>, rowOfPosition: number[], cardCount: number}}
+ */
+export function layoutRows(notes, groups, columns = 1) {
+  const perRow = Math.max(1, Math.floor(columns) || 1);
+  const rows = [];
+  const rowOfPosition = [];
+  const addCards = (list, prefix) => {
+    for (let i = 0; i < list.length; i += perRow) {
+      const cards = list.slice(i, i + perRow).map((note) => {
+        rowOfPosition.push(rows.length);
+        return { note, position: rowOfPosition.length - 1 };
+      });
+      rows.push({ key: `${prefix}${cards[0].note.id}`, cards });
+    }
+  };
+  if (!groups) {
+    addCards(notes, '');
+  } else {
+    for (const g of groups) {
+      rows.push({ key: `group:${g.key}`, group: { label: g.label, count: g.notes.length } });
+      addCards(g.notes, `${g.key}:`);
+    }
+  }
+  return { rows, rowOfPosition, cardCount: rowOfPosition.length };
+}
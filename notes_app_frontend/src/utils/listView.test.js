@@ -0,0 +1,116 @@
+import {
+  dateBucket,
+  groupNotes,
+  layoutRows,
+  moveInOrder,
+  resolveListView,
+  sortNotesBy,
+} from './listView';
+
+const note = (id, extra = {}) => ({ id, title: id, tags: [], pinned: false, createdAt: 0, updatedAt: 0, ...extra });
+const ids = (list) => list.map((n) => n.id);
+
+describe('listView', () => {
+  const notes = [
+    note('b', { title: 'banana', createdAt: 3, updatedAt: 1 }),
+    note('a', { title: 'Apple 10', createdAt: 1, updatedAt: 3 }),
+    note('c', { title: 'apple 9', createdAt: 2, updatedAt: 2, pinned: true }),
+  ];
+
+  test('resolveListView fills in defaults and drops unknown values', () => {
+    expect(resolveListView(undefined)).toEqual({ sort: 'updated', direction: 'desc', group: 'none', view: 'list' });
+    expect(resolveListView({ sort: 'title', group: 'tag', view: 'grid' })).toEqual({
+      sort: 'title',
+      direction: 'asc',
+      group: 'tag',
+      view: 'grid',
+    });
+    expect(resolveListView({ sort: 'size', direction: 'up', view: 'cards' }).sort).toBe('updated');
+  });
+
+  test('sorts with pinned notes first', () => {
+    expect(ids(sortNotesBy(notes, { sort: 'updated', direction: 'desc' }))).toEqual(['c', 'a', 'b']);
+    expect(ids(sortNotesBy(notes, { sort: 'created', direction: 'asc' }))).toEqual(['c', 'a', 'b']);
+    expect(ids(sortNotesBy(notes, { sort: 'created', direction: 'desc' }))).toEqual(['c', 'b', 'a']);
+    expect(ids(sortNotesBy([note('x', { title: 'Apple 10' }), note('y', { title: 'apple 9' })], { sort: 'title', direction: 'asc' }))).toEqual(['y', 'x']);
+    expect(ids(notes)).toEqual(['b', 'a', 'c']);
+  });
+
+  test('sorting by due date puts notes without one last', () => {
+    const list = [note('none'), note('later', { dueAt: 20 }), note('sooner', { dueAt: 10 })];
+    expect(ids(sortNotesBy(list, { sort: 'due', direction: 'asc' }))).toEqual(['sooner', 'later', 'none']);
+    expect(ids(sortNotesBy(list, { sort: 'due', direction: 'desc' }))).toEqual(['later', 'sooner', 'none']);
+  });
+
+  test('manual order puts notes it does not know first', () => {
+    const list = [note('new'), ...notes];
+    expect(ids(sortNotesBy(list, { sort: 'manual' }, ['a', 'b', 'c']))).toEqual(['c', 'new', 'a', 'b']);
+    expect(moveInOrder(['a', 'b', 'c', 'd'], 'd', 'b')).toEqual(['a', 'd', 'b', 'c']);
+    expect(moveInOrder(['a', 'b', 'c', 'd'], 'a', 'c', true)).toEqual(['b', 'c', 'a', 'd']);
+    const same = ['a', 'b'];
+    expect(moveInOrder(same, 'a', 'x')).toBe(same);
+  });
+
+  test('date buckets follow the calendar', () => {
+    const now = new Date(2026, 5, 17, 15, 0).getTime(); // Wednesday 17 June 2026
+    const at = (...args) => new Date(...args).getTime();
+    expect(dateBucket(at(2026, 5, 17, 1), now).label).toBe('Today');
+    expect(dateBucket(at(2026, 5, 16, 23), now).label).toBe('Yesterday');
+    expect(dateBucket(at(2026, 5, 11, 9), now).label).toBe('This week');
+    expect(dateBucket(at(2026, 5, 2), now).label).toBe('Earlier this month');
+    expect(dateBucket(at(2026, 0, 2), now).label).toBe('Earlier this year');
+    expect(dateBucket(at(2024, 11, 31), now).label).toBe('2024');
+    expect(dateBucket(0, now).label).toBe('No date');
+  });
+
+  test('groups by date, tag and notebook', () => {
+    const now = new Date(2026, 5, 17, 15, 0).getTime();
+    const dated = [
+      note('old', { updatedAt: new Date(2025, 1, 1).getTime(), pinned: true }),
+      note('today', { updatedAt: now - 1000 }),
+    ];
+    const byDate = groupNotes(dated, { group: 'date', sort: 'updated', direction: 'desc' }, { now });
+    expect(byDate.map((g) => [g.label, ids(g.notes)])).toEqual([
+      ['Today', ['today']],
+      ['2025', ['old']],
+    ]);
+    const oldestFirst = groupNotes(dated, { group: 'date', sort: 'updated', direction: 'asc' }, { now });
+    expect(oldestFirst.map((g) => g.label)).toEqual(['2025', 'Today']);
+
+    const tagged = [note('x', { tags: ['work', 'home'] }), note('y'), note('z', { tags: ['work'] })];
+    expect(groupNotes(tagged, { group: 'tag' }).map((g) => [g.label, ids(g.notes)])).toEqual([
+      ['#home', ['x']],
+      ['#work', ['x', 'z']],
+      ['No tags', ['y']],
+    ]);
+
+    const notebooks = [
+      { id: 'inbox', name: 'Inbox', parentId: null },
+      { id: 'p', name: 'Projects', parentId: null },
+      { id: 'q', name: 'Q3', parentId: 'p' },
+    ];
+    const filed = [note('1', { notebookId: 'q' }), note('2', { notebookId: 'gone' }), note('3', { notebookId: 'q' })];
+    expect(groupNotes(filed, { group: 'notebook' }, { notebooks }).map((g) => [g.label, ids(g.notes)])).toEqual([
+      ['Inbox', ['2']],
+      ['Projects / Q3', ['1', '3']],
+    ]);
+    expect(groupNotes(filed, { group: 'none' })).toBeNull();
+  });
+
+  test('lays out rows of cards under group headings', () => {
+    const list = ['a', 'b', 'c'].map((id) => note(id));
+    const plain = layoutRows(list, null, 2);
+    expect(plain.rows.map((r) => [r.key, r.cards.map((c) => c.position)])).toEqual([
+      ['a', [0, 1]],
+      ['c', [2]],
+    ]);
+    const grouped = layoutRows(list, [
+      { key: 'g1', label: 'One', notes: [list[0], list[1]] },
+      { key: 'g2', label: 'Two', notes: [list[1]] },
+    ]);
+    expect(grouped.rows.map((r) => r.key)).toEqual(['group:g1', 'g1:a', 'g1:b', 'group:g2', 'g2:b']);
+    expect(grouped.rows[0].group).toEqual({ label: 'One', count: 2 });
+    expect(grouped.rowOfPosition).toEqual([1, 2, 4]);
+    expect(grouped.cardCount).toBe(3);
+  });
+});
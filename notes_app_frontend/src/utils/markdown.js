@@ -0,0 +1,459 @@
+/**
+ * Minimal Markdown renderer for note content.
+ *
+ * Output is sanitized by construction: all source text is HTML-escaped and only
+ * a fixed set of tags is ever emitted, so the result is safe for innerHTML.
+ * Supported: ATX headings, paragraphs, emphasis/strong/strikethrough, inline code,
+ * fenced code blocks, blockquotes, nested ordered/unordered lists with task items,
+ * pipe tables, links, images, autolinks, wiki links (`[[Note title]]`, `[[Note title|text]]`),
+ * attached files (`attachment:<id>` URLs, see utils/attachments) and horizontal rules.
+ */
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const HEADING_RE = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+const HR_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_RE = /^ {0,3}> ?/;
+const LIST_RE = /^( *)([-*+]|\d{1,9}[.)])( +|$)(.*)$/;
+const TABLE_SEP_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const TASK_RE = /^\[([ xX])\]\s+/;
+const ATTACHMENT_URL_RE = /^attachment:([\w-]+)$/;
+
+/**
+ * PUBLIC_INTERFACE
+ * escapeHtml
+ * Escape text for use in HTML element content and attribute values.
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Allow only http(s), mailto, fragment and relative URLs (not protocol-relative ones).
+ * @param {string} url
+ * @returns {string|null}
+ */
+function safeUrl(url) {
+  const u = String(url || '').trim();
+  if (!u) return null;
+  if (/^(https?:|mailto:)/i.test(u)) return u;
+  // A leading `//` points at another host; browsers read backslashes there as slashes
+  if (/^[/\\]{2}/.test(u)) return null;
+  // Relative/fragment URLs have no scheme before the first path separator
+  if (!/^[^/?#]*:/.test(u)) return u;
+  return null;
+}
+
+function isBlank(line) {
+  return /^\s*$/.test(line);
+}
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+/** Whether a line starts a block other than a paragraph. */
+function startsBlock(line) {
+  return (
+    FENCE_RE.test(line) ||
+    HEADING_RE.test(line) ||
+    HR_RE.test(line) ||
+    QUOTE_RE.test(line) ||
+    LIST_RE.test(line)
+  );
+}
+
+function splitRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  // Split on unescaped pipes
+  const cells = [''];
+  for (let i = 0; i < row.length; i += 1) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cells[cells.length - 1] += '|';
+      i += 1;
+    } else if (row[i] === '|') {
+      cells.push('');
+    } else {
+      cells[cells.length - 1] += row[i];
+    }
+  }
+  return cells.map((cell) => cell.trim());
+}
+
+// Inline tokens, tried in order at each position
+const INLINE_RE = new RegExp(
+  [
+    /\\([\\`*_{}[\]()#+\-.!~|>])/.source, // 1: escaped char
+    /(`+)([\s\S]*?[^`])\2(?!`)/.source, // 2,3: code span
+    /!\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+"([^"]*)")?\)/.source, // 4,5,6: image
+    /\[((?:[^\]\\]|\\.)+)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+"([^"]*)")?\)/.source, // 7,8,9: link
+    /<((?:https?:\/\/|mailto:)[^>\s]+)>/.source, // 10: autolink
+    /(\*\*|__)(?=\S)([\s\S]*?\S)\11/.source, // 11,12: strong
+    /(\*|_)(?=\S)([\s\S]*?\S)\13/.source, // 13,14: emphasis
+    /~~(?=\S)([\s\S]*?\S)~~/.source, // 15: strikethrough
+    /(https?:\/\/[^\s<]*[^\s<.,:;"')\]])/.source, // 16: bare URL
+    /( {2,}|\\)\n/.source, // 17: hard break
+    /\[\[([^[\]|\n]*[^[\]|\s][^[\]|\n]*)(?:\|([^[\]\n]+))?\]\]/.source, // 18,19: wiki link
+  ].join('|'),
+  'g'
+);
+
+/**
+ * Render inline Markdown to HTML.
+ * @param {string} text
+ * @param {object} ctx render options (see parseBlocks)
+ * @returns {string}
+ */
+function renderInline(text, ctx) {
+  let out = '';
+  let last = 0;
+  let m;
+  // Work on a local regex clone so recursion doesn't clobber lastIndex
+  const re = new RegExp(INLINE_RE.source, 'g');
+  while ((m = re.exec(text)) !== null) {
+    const prev = text[m.index - 1] || '';
+    const delim = m[11] || m[13];
+    // Intraword underscores (snake_case) are not emphasis
+    if (delim && delim[0] === '_' && /[A-Za-z0-9]/.test(prev)) {
+      re.lastIndex = m.index + 1;
+      continue;
+    }
+    out += escapeHtml(text.slice(last, m.index));
+    last = re.lastIndex;
+
+    if (m[1] !== undefined) {
+      out += escapeHtml(m[1]);
+    } else if (m[2] !== undefined) {
+      out += `<code>${escapeHtml(m[3].replace(/^ (.*) $/, '$1'))}</code>`;
+    } else if (m[5] !== undefined && ATTACHMENT_URL_RE.test(m[5])) {
+      out += renderAttachment(m[5], m[4], escapeHtml(m[4]), ctx);
+    } else if (m[8] !== undefined && ATTACHMENT_URL_RE.test(m[8])) {
+      out += renderAttachment(m[8], null, renderInline(m[7], ctx), ctx);
+    } else if (m[5] !== undefined) {
+      const src = safeUrl(m[5]);
+      const title = m[6] ? ` title="${escapeHtml(m[6])}"` : '';
+      out += src
+        ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(m[4])}"${title} loading="lazy" />`
+        : escapeHtml(m[4]);
+    } else if (m[8] !== undefined) {
+      out += renderLink(m[8], renderInline(m[7], ctx), m[9]);
+    } else if (m[10] !== undefined) {
+      out += renderLink(m[10], escapeHtml(m[10]));
+    } else if (m[12] !== undefined) {
+      out += `<strong>${renderInline(m[12], ctx)}</strong>`;
+    } else if (m[14] !== undefined) {
+      out += `<em>${renderInline(m[14], ctx)}</em>`;
+    } else if (m[15] !== undefined) {
+      out += `<del>${renderInline(m[15], ctx)}</del>`;
+    } else if (m[16] !== undefined) {
+      out += renderLink(m[16], escapeHtml(m[16]));
+    } else if (m[17] !== undefined) {
+      out += '<br />\n';
+    } else if (m[18] !== undefined) {
+      out += renderWikiLink(m[18].trim(), (m[19] || '').trim(), ctx);
+    }
+  }
+  out += escapeHtml(text.slice(last));
+  return out;
+}
+
+/**
+ * An attached file: an image when `alt` is given (from `![alt](attachment:id)`) and the file
+ * is one, otherwise a download link. Files that are not (or no longer) there show as text.
+ */
+function renderAttachment(url, alt, innerHtml, ctx) {
+  const id = ATTACHMENT_URL_RE.exec(url)[1];
+  const file = ctx?.resolveAttachment ? ctx.resolveAttachment(id) : null;
+  if (!file) return `<span class="attachment-missing" data-attachment="${escapeHtml(id)}">${innerHtml}</span>`;
+  const src = escapeHtml(file.url);
+  if (alt !== null && /^image\//i.test(file.type || '')) {
+    return `<img src="${src}" alt="${escapeHtml(alt)}" class="attachment-image" data-attachment="${escapeHtml(id)}" loading="lazy" />`;
+  }
+  return `<a href="${src}" download="${escapeHtml(file.name || '')}" class="attachment-link" data-attachment="${escapeHtml(id)}">${innerHtml}</a>`;
+}
+
+/** A link to another note, or marked as broken when no note has the title. */
+function renderWikiLink(title, label, ctx) {
+  const text = escapeHtml(label || title);
+  const attr = `data-wiki-link="${escapeHtml(title)}"`;
+  if (!ctx?.resolveWikiLink) return `<span class="wiki-link" ${attr}>${text}</span>`;
+  const href = ctx.resolveWikiLink(title);
+  if (!href) return `<span class="wiki-link wiki-link-broken" ${attr} title="No note is called ${escapeHtml(title)}">${text}</span>`;
+  return `<a href="${escapeHtml(href)}" class="wiki-link" ${attr}>${text}</a>`;
+}
+
+function renderLink(href, innerHtml, title) {
+  const url = safeUrl(href);
+  if (!url) return innerHtml;
+  const external = /^https?:/i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+  const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+  return `<a href="${escapeHtml(url)}"${titleAttr}${external}>${innerHtml}</a>`;
+}
+
+/**
+ * Parse a list starting at `start`.
+ * @returns {{html:string, next:number}}
+ */
+function parseList(lines, start, ctx) {
+  const first = LIST_RE.exec(lines[start]);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const startNum = ordered ? parseInt(first[2], 10) : 1;
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const m = LIST_RE.exec(line);
+    if (m && m[1].length === baseIndent && /\d/.test(m[2]) === ordered) {
+      items.push({
+        lines: [m[4]],
+        contentIndent: m[1].length + m[2].length + Math.max(1, m[3].length),
+        loose: false,
+      });
+      i += 1;
+      continue;
+    }
+    const item = items[items.length - 1];
+    if (isBlank(line)) {
+      let j = i + 1;
+      while (j < lines.length && isBlank(lines[j])) j += 1;
+      const nextLine = lines[j];
+      const nextItem = nextLine !== undefined && LIST_RE.exec(nextLine);
+      const continues =
+        nextLine !== undefined &&
+        (indentOf(nextLine) > baseIndent ||
+          (nextItem && nextItem[1].length === baseIndent && /\d/.test(nextItem[2]) === ordered));
+      if (!continues) break;
+      item.lines.push('');
+      if (indentOf(nextLine) <= baseIndent) item.loose = true;
+      i += 1;
+      continue;
+    }
+    if (indentOf(line) > baseIndent) {
+      item.lines.push(line.slice(Math.min(indentOf(line), item.contentIndent)));
+      i += 1;
+      continue;
+    }
+    // Lazy paragraph continuation
+    if (!startsBlock(line) && item.lines[item.lines.length - 1] !== '') {
+      item.lines.push(line.trim());
+      i += 1;
+      continue;
+    }
+    break;
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = ordered && startNum !== 1 ? ` start="${startNum}"` : '';
+  const body = items
+    .map((item) => {
+      const itemLines = item.lines.slice();
+      while (itemLines.length > 1 && isBlank(itemLines[itemLines.length - 1])) itemLines.pop();
+      let taskHtml = '';
+      const task = TASK_RE.exec(itemLines[0]);
+      let attrs = '';
+      if (task) {
+        const checked = task[1] !== ' ';
+        itemLines[0] = itemLines[0].slice(task[0].length);
+        attrs = ' class="task-list-item"';
+        if (ctx.interactiveTasks) {
+          // Numbered in document order, like utils/tasks, so the reading view can edit the source
+          const index = ctx.taskCount;
+          const label = escapeHtml(stripMarkdown(itemLines[0]) || `Task ${index + 1}`);
+          attrs += ` data-task="${index}" draggable="true"`;
+          taskHtml = `<input type="checkbox" data-task="${index}" aria-label="${label}"${checked ? ' checked' : ''} /> `;
+        } else {
+          taskHtml = `<input type="checkbox" disabled${checked ? ' checked' : ''} /> `;
+        }
+        ctx.taskCount += 1;
+      }
+      return `<li${attrs}>${taskHtml}${renderItemBody(itemLines, item.loose, ctx)}</li>`;
+    })
+    .join('\n');
+  return { html: `<${tag}${startAttr}>\n${body}\n</${tag}>`, next: i };
+}
+
+/** Tight items render their leading text inline; loose items as paragraphs. */
+function renderItemBody(itemLines, loose, ctx) {
+  if (loose || itemLines.some((l) => isBlank(l))) return parseBlocks(itemLines, ctx);
+  const split = itemLines.findIndex((l, idx) => idx > 0 && startsBlock(l));
+  const textLines = split === -1 ? itemLines : itemLines.slice(0, split);
+  const rest = split === -1 ? [] : itemLines.slice(split);
+  return renderInline(textLines.join('\n'), ctx) + (rest.length ? `\n${parseBlocks(rest, ctx)}` : '');
+}
+
+function parseTable(lines, start, ctx) {
+  const header = splitRow(lines[start]);
+  const aligns = splitRow(lines[start + 1]).map((cell) => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return null;
+  });
+  const cellHtml = (tag, cell, idx) => {
+    const align = aligns[idx] ? ` style="text-align:${aligns[idx]}"` : '';
+    return `<${tag}${align}>${renderInline(cell, ctx)}</${tag}>`;
+  };
+  let i = start + 2;
+  const rows = [];
+  while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+    const cells = splitRow(lines[i]);
+    rows.push(`<tr>${header.map((_, idx) => cellHtml('td', cells[idx] || '', idx)).join('')}</tr>`);
+    i += 1;
+  }
+  const head = `<thead><tr>${header.map((c, idx) => cellHtml('th', c, idx)).join('')}</tr></thead>`;
+  const bodyHtml = rows.length ? `<tbody>${rows.join('')}</tbody>` : '';
+  return { html: `<table>${head}${bodyHtml}</table>`, next: i };
+}
+
+/**
+ * Parse block-level structure.
+ * @param {string[]} lines
+ * @param {{interactiveTasks: boolean, taskCount: number, resolveWikiLink?: Function, resolveAttachment?: Function}} ctx render options and counters
+ * @returns {string}
+ */
+function parseBlocks(lines, ctx) {
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i += 1;
+      continue;
+    }
+
+    const fence = FENCE_RE.exec(line);
+    if (fence) {
+      const marker = fence[1];
+      const code = [];
+      i += 1;
+      while (i < lines.length && !new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`).test(lines[i])) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      i += 1; // closing fence (or EOF)
+      const lang = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      out.push(`<pre><code${lang}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = HEADING_RE.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      out.push(`<h${level}>${renderInline(heading[2] || '', ctx)}</h${level}>`);
+      i += 1;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      out.push('<hr />');
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && !isBlank(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE_RE, ''));
+        i += 1;
+      }
+      out.push(`<blockquote>\n${parseBlocks(quoted, ctx)}\n</blockquote>`);
+      continue;
+    }
+
+    if (LIST_RE.test(line)) {
+      const list = parseList(lines, i, ctx);
+      out.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const table = parseTable(lines, i, ctx);
+      out.push(table.html);
+      i = table.next;
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && !isBlank(lines[i]) && (para.length === 0 || !startsBlock(lines[i]))) {
+      if (para.length > 0 && lines[i].includes('|') && TABLE_SEP_RE.test(lines[i + 1] || '')) break;
+      para.push(lines[i].replace(/^\s+/, ''));
+      i += 1;
+    }
+    out.push(`<p>${renderInline(para.join('\n'), ctx)}</p>`);
+  }
+  return out.join('\n');
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * renderMarkdown
+ * Render Markdown source to a sanitized HTML string.
+ * With `interactiveTasks`, task checkboxes are enabled and carry their task index
+ * in `data-task` (as do their list items, which can be dragged).
+ * `resolveWikiLink` turns the title of a wiki link into the link's href, or null
+ * when no note has it; without it wiki links render as plain text.
+ * `resolveAttachment` gives the URL (and name and type) an attached file is shown
+ * from; without it, or when it returns null, attachments render as their text.
+ * @param {string} source
+ * @param {{
+ *   interactiveTasks?: boolean, resolveWikiLink?: (title: string) => string|null,
+ *   resolveAttachment?: (id: string) => {url: string, name: string, type: string}|null
+ * }} [options]
+ * @returns {string}
+ */
+export function renderMarkdown(source, { interactiveTasks = false, resolveWikiLink = null, resolveAttachment = null } = {}) {
+  const lines = String(source || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, '    ')
+    .split('\n');
+  return parseBlocks(lines, { interactiveTasks, taskCount: 0, resolveWikiLink, resolveAttachment });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * stripMarkdown
+ * Reduce Markdown source to plain text for previews and search snippets.
+ * Whitespace is collapsed to single spaces.
+ * @param {string} source
+ * @returns {string}
+ */
+export function stripMarkdown(source) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  const text = lines
+    .filter((line) => !FENCE_RE.test(line) && !HR_RE.test(line) && !TABLE_SEP_RE.test(line))
+    .map((line) =>
+      line
+        .replace(/\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/g, (_, title, label) => (label || title).trim())
+        .replace(/^ {0,3}#{1,6}\s+/, '')
+        .replace(/\s+#+\s*$/, '')
+        .replace(/^(\s*> ?)+/, '')
+        .replace(/^\s*([-*+]|\d{1,9}[.)])\s+(\[[ xX]\]\s+)?/, '')
+        .replace(/^\s*\||\|\s*$/g, '')
+        .replace(/\s*\|\s*/g, ' ')
+    )
+    .join('\n');
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/g, '$1')
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, '$2')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/(^|[^A-Za-z0-9])([*_])(?=\S)([\s\S]*?\S)\2/g, '$1$3')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!~|>])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
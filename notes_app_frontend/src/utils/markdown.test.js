@@ -0,0 +1,80 @@
+import { renderMarkdown, stripMarkdown } from './markdown';
+
+describe('renderMarkdown', () => {
+  test('renders headings, emphasis, code and links', () => {
+    const html = renderMarkdown('# Hi *there*\n\nSome **bold** `x<y` [site](https://example.com)');
+    expect(html).toContain('<h1>Hi <em>there</em></h1>');
+    expect(html).toContain('<strong>bold</strong>');
+    expect(html).toContain('<code>x&lt;y</code>');
+    expect(html).toContain('<a href="https://example.com" target="_blank" rel="noopener noreferrer">site</a>');
+  });
+
+  test('renders nested lists, task items and fenced code', () => {
+    const html = renderMarkdown('- one\n  - [x] nested\n1. first\n\n```js\nconst a = 1;\n```');
+    expect(html).toMatch(/<ul>\n<li>one\n<ul>\n<li class="task-list-item"><input type="checkbox" disabled checked \/> nested<\/li>/);
+    expect(html).toContain('<ol>\n<li>first</li>\n</ol>');
+    expect(html).toContain('<pre><code class="language-js">const a = 1;</code></pre>');
+  });
+
+  test('renders pipe tables with alignment', () => {
+    const html = renderMarkdown('| a | b |\n|:--|--:|\n| 1 | 2 |');
+    expect(html).toBe(
+      '<table><thead><tr><th style="text-align:left">a</th><th style="text-align:right">b</th></tr></thead>' +
+        '<tbody><tr><td style="text-align:left">1</td><td style="text-align:right">2</td></tr></tbody></table>'
+    );
+  });
+
+  test('escapes raw HTML and drops unsafe URLs', () => {
+    const html = renderMarkdown('<img src=x onerror=alert(1)> [x](javascript:alert(1))');
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('javascript:');
+    expect(html).toContain('&lt;img');
+  });
+
+  test('drops protocol-relative URLs', () => {
+    const html = renderMarkdown('![pixel](//tracker.example/p.png) [a](\\\\evil.example/x) [b](/\\evil.example) [c](/notes/1)');
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('evil.example');
+    expect(html).toContain('href="/notes/1"');
+  });
+
+  test('leaves intraword underscores alone', () => {
+    expect(renderMarkdown('snake_case_name')).toBe('<p>snake_case_name</p>');
+  });
+
+  test('renders wiki links through the resolver', () => {
+    const resolveWikiLink = (title) => (title === 'My_note' ? '#/note/n1' : null);
+    expect(renderMarkdown('See [[My_note]] and [[Gone|the old one]] `[[code]]`', { resolveWikiLink })).toBe(
+      '<p>See <a href="#/note/n1" class="wiki-link" data-wiki-link="My_note">My_note</a> and ' +
+        '<span class="wiki-link wiki-link-broken" data-wiki-link="Gone" title="No note is called Gone">the old one</span> ' +
+        '<code>[[code]]</code></p>'
+    );
+    expect(renderMarkdown('[[<b>]]')).toBe('<p><span class="wiki-link" data-wiki-link="&lt;b&gt;">&lt;b&gt;</span></p>');
+  });
+
+  test('shows attached images and links to other files', () => {
+    const files = {
+      img: { url: 'blob:img', name: 'cat.png', type: 'image/png' },
+      doc: { url: 'blob:doc', name: 'q3 "final".pdf', type: 'application/pdf' },
+    };
+    const resolveAttachment = (id) => files[id] || null;
+    const source = '![A cat](attachment:img) [the report](attachment:doc) ![gone](attachment:old)';
+    expect(renderMarkdown(source, { resolveAttachment })).toBe(
+      '<p><img src="blob:img" alt="A cat" class="attachment-image" data-attachment="img" loading="lazy" /> ' +
+        '<a href="blob:doc" download="q3 &quot;final&quot;.pdf" class="attachment-link" data-attachment="doc">the report</a> ' +
+        '<span class="attachment-missing" data-attachment="old">gone</span></p>'
+    );
+    // Without a resolver the text stays
+    expect(renderMarkdown('![A cat](attachment:img)')).toBe(
+      '<p><span class="attachment-missing" data-attachment="img">A cat</span></p>'
+    );
+  });
+});
+
+describe('stripMarkdown', () => {
+  test('removes syntax and collapses whitespace', () => {
+    const text = stripMarkdown('# Title\n\n- **bold** item\n- [ ] task with [link](https://x.y)\n\n> quoted `code`');
+    expect(text).toBe('Title bold item task with link quoted code');
+    expect(stripMarkdown('See [[Plans]] and [[Trip|the trip]]')).toBe('See Plans and the trip');
+  });
+});
@@ -0,0 +1,216 @@
+import { INBOX_NOTEBOOK_ID } from '../constants';
+
+/*
+ * Notebooks form a tree: `{ id, name, parentId: string|null, createdAt, updatedAt }`.
+ * Every note belongs to exactly one notebook through `note.notebookId`; a note whose
+ * notebook does not exist here (e.g. synced from another device) counts as in the Inbox.
+ */
+
+// PUBLIC_INTERFACE
+/** Longest notebook name accepted. */
+export const MAX_NOTEBOOK_NAME = 80;
+
+/**
+ * PUBLIC_INTERFACE
+ * createInbox
+ * The default notebook, created on first load.
+ * @param {number} [now]
+ * @returns {object}
+ */
+export function createInbox(now = Date.now()) {
+  return { id: INBOX_NOTEBOOK_ID, name: 'Inbox', parentId: null, createdAt: now, updatedAt: now };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * withInbox
+ * The notebooks, with the Inbox added when missing.
+ * @param {Array} notebooks
+ * @returns {Array} the same array when the Inbox is there
+ */
+export function withInbox(notebooks) {
+  return notebooks.some((b) => b.id === INBOX_NOTEBOOK_ID) ? notebooks : [createInbox(), ...notebooks];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeNotebookName
+ * Trim and collapse whitespace; returns '' for a blank name.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeNotebookName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NOTEBOOK_NAME);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * resolveNotebookId
+ * The notebook a note is shown in: its own when it exists, else the Inbox.
+ * @param {object} note
+ * @param {Map<string, object>} byId notebooks by id
+ * @returns {string}
+ */
+export function resolveNotebookId(note, byId) {
+  return note?.notebookId && byId.has(note.notebookId) ? note.notebookId : INBOX_NOTEBOOK_ID;
+}
+
+/** Children ids by parent id (top level under null); parents missing from the list count as top level. */
+function childrenByParent(notebooks) {
+  const ids = new Set(notebooks.map((b) => b.id));
+  const children = new Map();
+  for (const b of notebooks) {
+    const parent = b.parentId && ids.has(b.parentId) && b.parentId !== b.id ? b.parentId : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(b);
+  }
+  return children;
+}
+
+const byName = (a, b) => {
+  if (a.id === INBOX_NOTEBOOK_ID) return -1;
+  if (b.id === INBOX_NOTEBOOK_ID) return 1;
+  return a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * flattenNotebooks
+ * Depth-first order with the Inbox first and siblings by name, for trees and pickers.
+ * Cycles (from bad data) are broken: each notebook is listed once.
+ * @param {Array} notebooks
+ * @returns {Array<{notebook: object, depth: number, hasChildren: boolean, path: string}>}
+ */
+export function flattenNotebooks(notebooks) {
+  const children = childrenByParent(notebooks);
+  const out = [];
+  const seen = new Set();
+  const walk = (parentId, depth, prefix) => {
+    const list = (children.get(parentId) || []).slice().sort(byName);
+    for (const notebook of list) {
+      if (seen.has(notebook.id)) continue;
+      seen.add(notebook.id);
+      const path = prefix ? `${prefix} / ${notebook.name}` : notebook.name;
+      out.push({ notebook, depth, hasChildren: (children.get(notebook.id) || []).length > 0, path });
+      walk(notebook.id, depth + 1, path);
+    }
+  };
+  walk(null, 0, '');
+  // Notebooks only reachable through a cycle become top level
+  for (const notebook of notebooks) {
+    if (!seen.has(notebook.id)) {
+      seen.add(notebook.id);
+      out.push({ notebook, depth: 0, hasChildren: false, path: notebook.name });
+    }
+  }
+  return out;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * descendantIds
+ * The notebook and every notebook nested in it.
+ * @param {Array} notebooks
+ * @param {string} id
+ * @returns {Set<string>}
+ */
+export function descendantIds(notebooks, id) {
+  const children = childrenByParent(notebooks);
+  const result = new Set();
+  const stack = [id];
+  while (stack.length) {
+    const current = stack.pop();
+    if (result.has(current)) continue;
+    result.add(current);
+    for (const child of children.get(current) || []) stack.push(child.id);
+  }
+  return result;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * canMoveNotebook
+ * Whether a notebook may move under a new parent (null: top level).
+ * The Inbox stays at the top, and a notebook cannot move into itself or its descendants.
+ * @param {Array} notebooks
+ * @param {string} id
+ * @param {string|null} parentId
+ * @returns {boolean}
+ */
+export function canMoveNotebook(notebooks, id, parentId) {
+  if (id === INBOX_NOTEBOOK_ID) return parentId === null;
+  if (parentId === null) return true;
+  if (!notebooks.some((b) => b.id === parentId)) return false;
+  return !descendantIds(notebooks, id).has(parentId);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * notebookCounts
+ * Notes per notebook: `own` directly in it, `total` including nested notebooks.
+ * @param {Array} notes
+ * @param {Array} notebooks
+ * @returns {Map<string, {own: number, total: number}>}
+ */
+export function notebookCounts(notes, notebooks) {
+  const byId = new Map(notebooks.map((b) => [b.id, b]));
+  const counts = new Map(notebooks.map((b) => [b.id, { own: 0, total: 0 }]));
+  if (!counts.has(INBOX_NOTEBOOK_ID)) counts.set(INBOX_NOTEBOOK_ID, { own: 0, total: 0 });
+  for (const note of notes) counts.get(resolveNotebookId(note, byId)).own += 1;
+  for (const [id, count] of counts) {
+    // Add own counts up the parent chain (guarding against cycles)
+    let current = byId.get(id);
+    const seen = new Set();
+    count.total += count.own;
+    while (current?.parentId && byId.has(current.parentId) && !seen.has(current.parentId)) {
+      seen.add(current.parentId);
+      counts.get(current.parentId).total += count.own;
+      current = byId.get(current.parentId);
+    }
+  }
+  return counts;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * notebookFilterIds
+ * Notebook ids a notebook filter matches: the notebook and its nested notebooks,
+ * plus unknown notebook ids of notes when the Inbox is included (they show there).
+ * @param {Array} notebooks
+ * @param {Array} notes
+ * @param {string|null} selectedId null for no filter
+ * @returns {Set<string>|null}
+ */
+export function notebookFilterIds(notebooks, notes, selectedId) {
+  if (!selectedId) return null;
+  const ids = descendantIds(notebooks, selectedId);
+  if (ids.has(INBOX_NOTEBOOK_ID)) {
+    const known = new Set(notebooks.map((b) => b.id));
+    for (const note of notes) {
+      if (!known.has(note.notebookId)) ids.add(note.notebookId);
+    }
+  }
+  return ids;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * planNotebookDeletion
+ * What deleting a notebook does: it and its nested notebooks go away, and their
+ * notes move to the deleted notebook's parent (or the Inbox at the top level).
+ * @param {Array} notebooks
+ * @param {Array} notes
+ * @param {string} id
+ * @returns {{removedIds: Set<string>, targetId: string, movedNotes: Array}|null} null for the Inbox
+ */
+export function planNotebookDeletion(notebooks, notes, id) {
+  if (id === INBOX_NOTEBOOK_ID) return null;
+  const notebook = notebooks.find((b) => b.id === id);
+  if (!notebook) return null;
+  const removedIds = descendantIds(notebooks, id);
+  const targetId =
+    notebook.parentId && !removedIds.has(notebook.parentId) && notebooks.some((b) => b.id === notebook.parentId)
+      ? notebook.parentId
+      : INBOX_NOTEBOOK_ID;
+  return { removedIds, targetId, movedNotes: notes.filter((n) => removedIds.has(n.notebookId)) };
+}
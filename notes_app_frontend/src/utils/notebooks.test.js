@@ -0,0 +1,87 @@
+import {
+  canMoveNotebook,
+  descendantIds,
+  flattenNotebooks,
+  normalizeNotebookName,
+  notebookCounts,
+  notebookFilterIds,
+  planNotebookDeletion,
+  withInbox,
+} from './notebooks';
+import { INBOX_NOTEBOOK_ID } from '../constants';
+
+const book = (id, name, parentId = null) => ({ id, name, parentId, createdAt: 1, updatedAt: 1 });
+const NOTEBOOKS = withInbox([
+  book('work', 'Work'),
+  book('projects', 'Projects', 'work'),
+  book('alpha', 'Alpha', 'projects'),
+  book('home', 'Home'),
+]);
+const note = (id, notebookId) => ({ id, title: id, content: '', tags: [], notebookId });
+
+describe('flattenNotebooks', () => {
+  test('lists the Inbox first, then each level by name with depths and paths', () => {
+    const rows = flattenNotebooks(NOTEBOOKS);
+    expect(rows.map((r) => [r.notebook.id, r.depth])).toEqual([
+      [INBOX_NOTEBOOK_ID, 0],
+      ['home', 0],
+      ['work', 0],
+      ['projects', 1],
+      ['alpha', 2],
+    ]);
+    expect(rows[4].path).toBe('Work / Projects / Alpha');
+    expect(rows.find((r) => r.notebook.id === 'work').hasChildren).toBe(true);
+  });
+
+  test('lists every notebook once even when parents form a cycle', () => {
+    const rows = flattenNotebooks([book('a', 'A', 'b'), book('b', 'B', 'a')]);
+    expect(rows.map((r) => r.notebook.id).sort()).toEqual(['a', 'b']);
+  });
+});
+
+test('normalizeNotebookName trims and collapses whitespace', () => {
+  expect(normalizeNotebookName('  Big   ideas ')).toBe('Big ideas');
+  expect(normalizeNotebookName('   ')).toBe('');
+});
+
+test('canMoveNotebook refuses moves into the notebook itself or its descendants', () => {
+  expect(canMoveNotebook(NOTEBOOKS, 'work', 'alpha')).toBe(false);
+  expect(canMoveNotebook(NOTEBOOKS, 'work', 'work')).toBe(false);
+  expect(canMoveNotebook(NOTEBOOKS, 'alpha', 'home')).toBe(true);
+  expect(canMoveNotebook(NOTEBOOKS, 'alpha', null)).toBe(true);
+  expect(canMoveNotebook(NOTEBOOKS, INBOX_NOTEBOOK_ID, 'home')).toBe(false);
+  expect(canMoveNotebook(NOTEBOOKS, 'home', 'missing')).toBe(false);
+});
+
+test('notebookCounts counts notes per notebook and in nested notebooks', () => {
+  const notes = [note('1', 'alpha'), note('2', 'projects'), note('3', 'work'), note('4', 'gone'), note('5', undefined)];
+  const counts = notebookCounts(notes, NOTEBOOKS);
+  expect(counts.get('work')).toEqual({ own: 1, total: 3 });
+  expect(counts.get('projects')).toEqual({ own: 1, total: 2 });
+  expect(counts.get('home')).toEqual({ own: 0, total: 0 });
+  // Notes in unknown notebooks show in the Inbox
+  expect(counts.get(INBOX_NOTEBOOK_ID)).toEqual({ own: 2, total: 2 });
+});
+
+test('notebookFilterIds includes nested notebooks, and unknown ones under the Inbox', () => {
+  const notes = [note('1', 'gone')];
+  expect(notebookFilterIds(NOTEBOOKS, notes, null)).toBeNull();
+  expect([...notebookFilterIds(NOTEBOOKS, notes, 'projects')].sort()).toEqual(['alpha', 'projects']);
+  expect(notebookFilterIds(NOTEBOOKS, notes, INBOX_NOTEBOOK_ID).has('gone')).toBe(true);
+  expect(descendantIds(NOTEBOOKS, 'home')).toEqual(new Set(['home']));
+});
+
+describe('planNotebookDeletion', () => {
+  test('removes nested notebooks and moves their notes to the parent', () => {
+    const notes = [note('1', 'alpha'), note('2', 'projects'), note('3', 'home')];
+    const plan = planNotebookDeletion(NOTEBOOKS, notes, 'projects');
+    expect([...plan.removedIds].sort()).toEqual(['alpha', 'projects']);
+    expect(plan.targetId).toBe('work');
+    expect(plan.movedNotes.map((n) => n.id)).toEqual(['1', '2']);
+  });
+
+  test('moves notes of a top-level notebook to the Inbox and never deletes the Inbox', () => {
+    expect(planNotebookDeletion(NOTEBOOKS, [], 'home').targetId).toBe(INBOX_NOTEBOOK_ID);
+    expect(planNotebookDeletion(NOTEBOOKS, [], INBOX_NOTEBOOK_ID)).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+/** Milliseconds in a day. */
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * PUBLIC_INTERFACE
+ * sameNoteContent
+ * Whether two notes have the same title, content and tags (ignoring pin and timestamps).
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function sameNoteContent(a, b) {
+  return (
+    (a.title || '') === (b.title || '') &&
+    (a.content || '') === (b.content || '') &&
+    (a.tags || []).join('\u0000') === (b.tags || []).join('\u0000')
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * upsertNotes
+ * Replace records by id, add new ones at the front and drop removed ids,
+ * keeping the order of the rest.
+ * @param {Array} list
+ * @param {Array} records
+ * @param {Iterable<string>} [removedIds]
+ * @returns {Array} a new array
+ */
+export function upsertNotes(list, records, removedIds = []) {
+  const byId = new Map(records.map((r) => [r.id, r]));
+  const removed = new Set(removedIds);
+  const next = [];
+  for (const item of list) {
+    if (removed.has(item.id)) continue;
+    if (byId.has(item.id)) {
+      next.push(byId.get(item.id));
+      byId.delete(item.id);
+    } else {
+      next.push(item);
+    }
+  }
+  return [...byId.values(), ...next];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * sortNotes
+ * Sort in place: pinned first desc, then by updatedAt desc.
+ * @param {Array} notes
+ * @returns {Array} the same array
+ */
+export function sortNotes(notes) {
+  return notes.sort((a, b) => {
+    const pinDiff = (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0);
+    if (pinDiff !== 0) return pinDiff;
+    const aTime = Number(a.updatedAt || 0);
+    const bTime = Number(b.updatedAt || 0);
+    return bTime - aTime;
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * purgeExpiredTrash
+ * Drop Trash entries deleted longer ago than the retention period.
+ * @param {Array} trash
+ * @param {number} retentionDays 0 keeps everything
+ * @param {number} [now]
+ * @returns {Array} the same array when nothing expired
+ */
+export function purgeExpiredTrash(trash, retentionDays, now = Date.now()) {
+  if (!retentionDays) return trash;
+  const cutoff = now - retentionDays * DAY_MS;
+  const kept = trash.filter((t) => Number(t.deletedAt || 0) > cutoff);
+  return kept.length === trash.length ? trash : kept;
+}
@@ -0,0 +1,203 @@
+/*
+ * Due dates and reminders on notes. `note.dueAt` is a timestamp (or null); a
+ * reminder is `{ at, repeat, snoozedUntil? }` where `repeat` is one of
+ * REPEAT_OPTIONS. Once a reminder goes off it is completed: a one-off reminder
+ * is removed and a repeating one moves on to its next time. A snoozed reminder
+ * goes off at `snoozedUntil` instead, without moving its schedule.
+ */
+
+// PUBLIC_INTERFACE
+/** How often a reminder repeats. */
+export const REPEAT_OPTIONS = {
+  none: 'Does not repeat',
+  daily: 'Every day',
+  weekdays: 'Every weekday',
+  weekly: 'Every week',
+  monthly: 'Every month',
+  yearly: 'Every year',
+};
+
+// Timers are re-armed at least this often, so a sleeping device or a changed clock
+// cannot push a reminder far past its time (and setTimeout overflows past ~24 days)
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+/**
+ * PUBLIC_INTERFACE
+ * reminderTime
+ * When a reminder goes off next.
+ * @param {object|null} reminder
+ * @returns {number|null}
+ */
+export function reminderTime(reminder) {
+  if (!reminder) return null;
+  return Number(reminder.snoozedUntil || reminder.at) || null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * nextOccurrence
+ * The time a repeating reminder goes off after `ts`, keeping its time of day.
+ * Monthly and yearly reminders on a day the month lacks (the 31st, February 29)
+ * fall on that month's last day.
+ * @param {number} ts
+ * @param {string} repeat
+ * @returns {number|null} null when the reminder does not repeat
+ */
+export function nextOccurrence(ts, repeat) {
+  const date = new Date(ts);
+  if (repeat === 'daily') {
+    date.setDate(date.getDate() + 1);
+  } else if (repeat === 'weekdays') {
+    do date.setDate(date.getDate() + 1);
+    while (date.getDay() === 0 || date.getDay() === 6);
+  } else if (repeat === 'weekly') {
+    date.setDate(date.getDate() + 7);
+  } else if (repeat === 'monthly' || repeat === 'yearly') {
+    const day = date.getDate();
+    date.setDate(1);
+    if (repeat === 'monthly') date.setMonth(date.getMonth() + 1);
+    else date.setFullYear(date.getFullYear() + 1);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, lastDay));
+  } else {
+    return null;
+  }
+  return date.getTime();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * completeReminder
+ * The reminder after it has gone off: gone for a one-off reminder, at its next
+ * time after `now` for a repeating one (times missed meanwhile are skipped).
+ * Completing a snoozed reminder only drops the snooze when its own time is still ahead.
+ * @param {object|null} reminder
+ * @param {number} [now]
+ * @returns {object|null}
+ */
+export function completeReminder(reminder, now = Date.now()) {
+  if (!reminder) return null;
+  const { repeat } = reminder;
+  if (reminder.at > now) return { at: reminder.at, repeat };
+  if (!Number(reminder.at) || !REPEAT_OPTIONS[repeat] || repeat === 'none') return null;
+  let { at } = reminder;
+  while (at <= now) at = nextOccurrence(at, repeat);
+  return { at, repeat };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * snoozeReminder
+ * Go off again at `until`. A one-off reminder that has already been completed
+ * comes back for the snooze (pass the time it went off as `firedAt`).
+ * @param {object|null} reminder
+ * @param {number} until
+ * @param {number} [firedAt]
+ * @returns {object}
+ */
+export function snoozeReminder(reminder, until, firedAt = until) {
+  return { ...(reminder || { at: firedAt, repeat: 'none' }), snoozedUntil: until };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * dueStatus
+ * Whether a note is overdue (its due date has passed) or upcoming (it has a due
+ * date or a reminder ahead).
+ * @param {object} note
+ * @param {number} [now]
+ * @returns {'overdue'|'upcoming'|null}
+ */
+export function dueStatus(note, now = Date.now()) {
+  const dueAt = Number(note?.dueAt) || 0;
+  if (dueAt && dueAt <= now) return 'overdue';
+  if (dueAt || (reminderTime(note?.reminder) || 0) > now) return 'upcoming';
+  return null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * sameSchedule
+ * Whether two notes have the same due date and reminder.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function sameSchedule(a, b) {
+  const ra = a?.reminder || null;
+  const rb = b?.reminder || null;
+  return (
+    (Number(a?.dueAt) || null) === (Number(b?.dueAt) || null) &&
+    (ra === rb || (!!ra && !!rb && ra.at === rb.at && ra.repeat === rb.repeat && (ra.snoozedUntil || null) === (rb.snoozedUntil || null)))
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * dueReminders
+ * Notes whose reminder should go off by `now`.
+ * @param {Array} notes
+ * @param {number} [now]
+ * @returns {Array}
+ */
+export function dueReminders(notes, now = Date.now()) {
+  return notes.filter((n) => {
+    const at = reminderTime(n.reminder);
+    return at != null && at <= now;
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createReminderScheduler
+ * Calls `onDue` with the notes whose reminders are due, then waits for the next
+ * one. `onDue` should complete (or snooze) those reminders, and `refresh` must be
+ * called whenever the notes change. Timers are injectable so tests can use fake ones.
+ * @param {{
+ *   getNotes: () => Array,
+ *   onDue: (notes: Array, now: number) => void,
+ *   now?: () => number,
+ *   setTimer?: (fn: Function, ms: number) => any,
+ *   clearTimer?: (id: any) => void
+ * }} options
+ * @returns {{refresh: () => void, stop: () => void}}
+ */
+export function createReminderScheduler({
+  getNotes,
+  onDue,
+  now = () => Date.now(),
+  setTimer = (fn, ms) => window.setTimeout(fn, ms),
+  clearTimer = (id) => window.clearTimeout(id),
+}) {
+  let timer = null;
+  let stopped = false;
+  // Notes already handed to onDue for a time, until the notes change to complete them
+  let fired = new Map();
+
+  const refresh = () => {
+    if (timer != null) clearTimer(timer);
+    timer = null;
+    if (stopped) return;
+    const t = now();
+    const notes = getNotes();
+    const dueNow = dueReminders(notes, t);
+    const due = dueNow.filter((n) => fired.get(n.id) !== reminderTime(n.reminder));
+    fired = new Map(dueNow.map((n) => [n.id, reminderTime(n.reminder)]));
+    if (due.length) onDue(due, t);
+
+    let next = Infinity;
+    for (const note of notes) {
+      const at = reminderTime(note.reminder);
+      if (at != null && at > t && at < next) next = at;
+    }
+    if (next !== Infinity) timer = setTimer(refresh, Math.min(next - t, MAX_TIMER_MS));
+  };
+
+  const stop = () => {
+    stopped = true;
+    if (timer != null) clearTimer(timer);
+    timer = null;
+  };
+
+  return { refresh, stop };
+}
@@ -0,0 +1,160 @@
+import {
+  completeReminder,
+  createReminderScheduler,
+  dueReminders,
+  dueStatus,
+  nextOccurrence,
+  reminderTime,
+  sameSchedule,
+  snoozeReminder,
+} from './reminders';
+
+describe('reminders', () => {
+  const at = (...args) => new Date(...args).getTime();
+  const now = at(2026, 9, 19, 10, 30);
+  const MIN = 60 * 1000;
+
+  test('repeating reminders keep their time of day', () => {
+    expect(nextOccurrence(at(2026, 9, 19, 9, 0), 'daily')).toBe(at(2026, 9, 20, 9, 0));
+    expect(nextOccurrence(at(2026, 9, 19, 9, 0), 'weekly')).toBe(at(2026, 9, 26, 9, 0));
+    // Friday to Monday
+    expect(nextOccurrence(at(2026, 9, 23, 9, 0), 'weekdays')).toBe(at(2026, 9, 26, 9, 0));
+    expect(nextOccurrence(at(2026, 0, 31, 9, 0), 'monthly')).toBe(at(2026, 1, 28, 9, 0));
+    expect(nextOccurrence(at(2028, 1, 29, 9, 0), 'yearly')).toBe(at(2029, 1, 28, 9, 0));
+    expect(nextOccurrence(now, 'none')).toBeNull();
+  });
+
+  test('completing removes a one-off reminder and moves a repeating one past now', () => {
+    expect(completeReminder({ at: now - MIN, repeat: 'none' }, now)).toBeNull();
+    // Missed days are skipped
+    expect(completeReminder({ at: at(2026, 9, 16, 9, 0), repeat: 'daily' }, now)).toEqual({
+      at: at(2026, 9, 20, 9, 0),
+      repeat: 'daily',
+    });
+    // A snooze of a repeating reminder does not move its schedule
+    const snoozed = { at: at(2026, 9, 20, 9, 0), repeat: 'daily', snoozedUntil: now - MIN };
+    expect(completeReminder(snoozed, now)).toEqual({ at: at(2026, 9, 20, 9, 0), repeat: 'daily' });
+    expect(completeReminder(null, now)).toBeNull();
+  });
+
+  test('snoozing brings back a completed reminder', () => {
+    const snoozed = snoozeReminder(null, now + 10 * MIN, now);
+    expect(snoozed).toEqual({ at: now, repeat: 'none', snoozedUntil: now + 10 * MIN });
+    expect(reminderTime(snoozed)).toBe(now + 10 * MIN);
+    expect(completeReminder(snoozed, now + 10 * MIN)).toBeNull();
+  });
+
+  test('due status', () => {
+    expect(dueStatus({ dueAt: now - MIN }, now)).toBe('overdue');
+    expect(dueStatus({ dueAt: now + MIN }, now)).toBe('upcoming');
+    expect(dueStatus({ reminder: { at: now + MIN, repeat: 'none' } }, now)).toBe('upcoming');
+    expect(dueStatus({ reminder: { at: now - MIN, repeat: 'none' } }, now)).toBeNull();
+    expect(dueStatus({}, now)).toBeNull();
+  });
+
+  test('compares schedules', () => {
+    const reminder = { at: now, repeat: 'none' };
+    expect(sameSchedule({ dueAt: now, reminder }, { dueAt: now, reminder: { ...reminder } })).toBe(true);
+    expect(sameSchedule({}, { dueAt: null, reminder: null })).toBe(true);
+    expect(sameSchedule({ reminder }, { reminder: { ...reminder, repeat: 'daily' } })).toBe(false);
+    expect(sameSchedule({ dueAt: now }, {})).toBe(false);
+  });
+
+  test('finds due reminders', () => {
+    const notes = [
+      { id: 'a', reminder: { at: now - MIN, repeat: 'none' } },
+      { id: 'b', reminder: { at: now + MIN, repeat: 'none' } },
+      { id: 'c', reminder: { at: now + MIN, repeat: 'daily', snoozedUntil: now } },
+      { id: 'd', reminder: null },
+    ];
+    expect(dueReminders(notes, now).map((n) => n.id)).toEqual(['a', 'c']);
+  });
+
+  describe('scheduler', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(now);
+    });
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    // Completes reminders as the app does, so the scheduler moves on
+    const setup = (initial) => {
+      let notes = initial;
+      const fired = [];
+      const scheduler = createReminderScheduler({
+        getNotes: () => notes,
+        onDue: (due, t) => {
+          fired.push(...due.map((n) => n.id));
+          const ids = new Set(due.map((n) => n.id));
+          notes = notes.map((n) => (ids.has(n.id) ? { ...n, reminder: completeReminder(n.reminder, t) } : n));
+          scheduler.refresh();
+        },
+      });
+      return { scheduler, fired, setNotes: (next) => (notes = next), getNotes: () => notes };
+    };
+
+    test('fires each reminder at its time', () => {
+      const { scheduler, fired } = setup([
+        { id: 'a', reminder: { at: now + 5 * MIN, repeat: 'none' } },
+        { id: 'b', reminder: { at: now + 10 * MIN, repeat: 'none' } },
+      ]);
+      scheduler.refresh();
+      expect(fired).toEqual([]);
+      jest.advanceTimersByTime(5 * MIN - 1);
+      expect(fired).toEqual([]);
+      jest.advanceTimersByTime(1);
+      expect(fired).toEqual(['a']);
+      jest.advanceTimersByTime(5 * MIN);
+      expect(fired).toEqual(['a', 'b']);
+      expect(jest.getTimerCount()).toBe(0);
+      scheduler.stop();
+    });
+
+    test('fires missed reminders at once, and repeating ones again', () => {
+      const { scheduler, fired, getNotes } = setup([
+        { id: 'a', reminder: { at: now - 60 * MIN, repeat: 'none' } },
+        { id: 'b', reminder: { at: now - MIN, repeat: 'daily' } },
+      ]);
+      scheduler.refresh();
+      expect(fired).toEqual(['a', 'b']);
+      expect(getNotes()[1].reminder.at).toBe(now - MIN + 24 * 60 * MIN);
+      jest.advanceTimersByTime(24 * 60 * MIN);
+      expect(fired).toEqual(['a', 'b', 'b']);
+      scheduler.stop();
+    });
+
+    test('far-off reminders are checked again within the hour', () => {
+      const { scheduler, fired } = setup([{ id: 'a', reminder: { at: now + 30 * 24 * 60 * MIN, repeat: 'none' } }]);
+      scheduler.refresh();
+      jest.advanceTimersByTime(30 * 24 * 60 * MIN);
+      expect(fired).toEqual(['a']);
+      scheduler.stop();
+    });
+
+    test('does not fire twice before the notes catch up', () => {
+      const onDue = jest.fn();
+      const notes = [{ id: 'a', reminder: { at: now, repeat: 'none' } }];
+      const scheduler = createReminderScheduler({ getNotes: () => notes, onDue });
+      scheduler.refresh();
+      scheduler.refresh();
+      expect(onDue).toHaveBeenCalledTimes(1);
+      expect(onDue).toHaveBeenCalledWith([notes[0]], now);
+      scheduler.stop();
+    });
+
+    test('follows changes to the notes and stops', () => {
+      const { scheduler, fired, setNotes } = setup([{ id: 'a', reminder: { at: now + 5 * MIN, repeat: 'none' } }]);
+      scheduler.refresh();
+      setNotes([{ id: 'a', reminder: { at: now + 20 * MIN, repeat: 'none' } }]);
+      scheduler.refresh();
+      jest.advanceTimersByTime(10 * MIN);
+      expect(fired).toEqual([]);
+      scheduler.stop();
+      jest.advanceTimersByTime(20 * MIN);
+      expect(fired).toEqual([]);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { createId } from './storage';
+import { DAY_MS } from './notes';
+
+// PUBLIC_INTERFACE
+/** Maximum revisions kept per note after compaction. */
+export const MAX_REVISIONS_PER_NOTE = 50;
+
+// Revisions younger than this are kept individually; older ones are thinned to one per day
+const KEEP_ALL_WINDOW_MS = DAY_MS;
+
+/** Whether a revision and a note hold the same title, content and tags. */
+function sameContent(rev, note) {
+  return (
+    rev.title === (note.title || '') &&
+    rev.content === (note.content || '') &&
+    (rev.tags || []).join('\u0000') === (note.tags || []).join('\u0000')
+  );
+}
+
+function snapshot(note, at) {
+  return {
+    id: createId(),
+    at,
+    title: note.title || '',
+    content: note.content || '',
+    tags: Array.isArray(note.tags) ? [...note.tags] : [],
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * compactRevisions
+ * Thin out old revisions: everything from the last day is kept, older revisions
+ * keep only the latest one per calendar day, and at most `limit` remain.
+ * @param {Array} list revisions ordered oldest first
+ * @param {number} [now]
+ * @param {number} [limit]
+ * @returns {Array}
+ */
+export function compactRevisions(list, now = Date.now(), limit = MAX_REVISIONS_PER_NOTE) {
+  const recentFrom = now - KEEP_ALL_WINDOW_MS;
+  const kept = [];
+  for (let i = 0; i < list.length; i += 1) {
+    const rev = list[i];
+    const next = list[i + 1];
+    const isOld = rev.at < recentFrom;
+    const sameDayAsNext = next && new Date(next.at).toDateString() === new Date(rev.at).toDateString();
+    // An old revision survives only if it is the last one of its day
+    if (isOld && sameDayAsNext && next.at < recentFrom) continue;
+    kept.push(rev);
+  }
+  return kept.length > limit ? kept.slice(kept.length - limit) : kept;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * recordRevision
+ * Append the saved state of a note to its revision list.
+ * When the note has no revisions yet, its previous state is recorded first so
+ * the pre-edit text is never lost. Unchanged saves are ignored.
+ * @param {Object<string, Array>} store revisions keyed by note id
+ * @param {object|null} previous note before the save (null for a new note)
+ * @param {object} next note after the save
+ * @param {number} [now]
+ * @returns {Object<string, Array>} a new store (or the same one when nothing changed)
+ */
+export function recordRevision(store, previous, next, now = Date.now()) {
+  const list = (store && store[next.id]) || [];
+  let updated = list;
+  if (updated.length === 0 && previous && !sameContent(snapshot(previous, 0), next)) {
+    updated = [snapshot(previous, previous.updatedAt || now)];
+  }
+  const last = updated[updated.length - 1];
+  if (last && sameContent(last, next)) return updated === list ? store : { ...store, [next.id]: updated };
+  updated = compactRevisions([...updated, snapshot(next, next.updatedAt || now)], now);
+  return { ...(store || {}), [next.id]: updated };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * removeRevisions
+ * Drop the revisions of permanently deleted notes.
+ * @param {Object<string, Array>} store
+ * @param {Iterable<string>} ids
+ * @returns {Object<string, Array>}
+ */
+export function removeRevisions(store, ids) {
+  const next = { ...(store || {}) };
+  let changed = false;
+  for (const id of ids) {
+    if (id in next) {
+      delete next[id];
+      changed = true;
+    }
+  }
+  return changed ? next : store;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * revisionsForNote
+ * Revisions of a note, oldest first, ending with the current version.
+ * A synthetic `{ id: 'current', isCurrent: true }` entry is appended when the
+ * latest revision differs from the note (e.g. notes saved before history existed).
+ * @param {Object<string, Array>} store
+ * @param {object} note
+ * @returns {Array}
+ */
+export function revisionsForNote(store, note) {
+  const list = (store && store[note.id]) || [];
+  const last = list[list.length - 1];
+  if (last && sameContent(last, note)) {
+    return [...list.slice(0, -1), { ...last, isCurrent: true }];
+  }
+  return [...list, { ...snapshot(note, note.updatedAt || 0), id: 'current', isCurrent: true }];
+}
@@ -0,0 +1,76 @@
+import { compactRevisions, recordRevision, removeRevisions, revisionsForNote } from './revisions';
+import { DAY_MS } from './notes';
+
+const NOW = new Date(2024, 5, 15, 12).getTime();
+const note = (content, updatedAt, extra = {}) => ({
+  id: 'n1',
+  title: 'T',
+  content,
+  tags: [],
+  updatedAt,
+  ...extra,
+});
+
+describe('recordRevision', () => {
+  test('keeps the pre-edit state the first time a note is saved', () => {
+    const store = recordRevision({}, note('old', NOW - 1000), note('new', NOW), NOW);
+    expect(store.n1.map((r) => r.content)).toEqual(['old', 'new']);
+  });
+
+  test('ignores saves without changes', () => {
+    const first = recordRevision({}, null, note('a', NOW), NOW);
+    expect(recordRevision(first, note('a', NOW), note('a', NOW + 5), NOW + 5)).toBe(first);
+  });
+
+  test('records tag-only edits', () => {
+    const first = recordRevision({}, null, note('a', NOW), NOW);
+    const next = recordRevision(first, note('a', NOW), note('a', NOW + 5, { tags: ['x'] }), NOW + 5);
+    expect(next.n1).toHaveLength(2);
+    expect(next.n1[1].tags).toEqual(['x']);
+  });
+});
+
+describe('compactRevisions', () => {
+  test('keeps recent revisions and the last one of each older day', () => {
+    const day = (d, h) => new Date(2024, 5, d, h).getTime();
+    const list = [
+      { id: '1', at: day(10, 9) },
+      { id: '2', at: day(10, 17) },
+      { id: '3', at: day(12, 8) },
+      { id: '4', at: NOW - 2 * 60 * 60 * 1000 },
+      { id: '5', at: NOW - 60 * 60 * 1000 },
+    ];
+    expect(compactRevisions(list, NOW).map((r) => r.id)).toEqual(['2', '3', '4', '5']);
+  });
+
+  test('caps the number of revisions', () => {
+    const list = Array.from({ length: 10 }, (_, i) => ({ id: String(i), at: NOW - i }));
+    list.reverse();
+    expect(compactRevisions(list, NOW, 3).map((r) => r.id)).toEqual(['2', '1', '0']);
+  });
+
+  test('drops nothing inside the last day', () => {
+    const list = [{ id: 'a', at: NOW - DAY_MS / 2 }, { id: 'b', at: NOW - DAY_MS / 4 }];
+    expect(compactRevisions(list, NOW)).toEqual(list);
+  });
+});
+
+describe('revisionsForNote', () => {
+  test('marks the latest revision as current when it matches the note', () => {
+    const store = recordRevision({}, null, note('a', NOW), NOW);
+    const list = revisionsForNote(store, note('a', NOW));
+    expect(list).toHaveLength(1);
+    expect(list[0].isCurrent).toBe(true);
+  });
+
+  test('appends the current note when it has no matching revision', () => {
+    const list = revisionsForNote({}, note('unsaved', NOW));
+    expect(list).toEqual([expect.objectContaining({ id: 'current', content: 'unsaved', isCurrent: true })]);
+  });
+});
+
+test('removeRevisions drops purged notes only', () => {
+  const store = { a: [], b: [] };
+  expect(removeRevisions(store, ['a'])).toEqual({ b: [] });
+  expect(removeRevisions(store, ['zz'])).toBe(store);
+});
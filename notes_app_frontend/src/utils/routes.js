@@ -0,0 +1,147 @@
+import { DUE_FILTERS, EMPTY_FILTERS, EMPTY_TAG_FILTER } from './filters';
+
+/*
+ * The URL hash mirrors what is on screen, so links can be shared and Back/Forward work:
+ *
+ *   #/                      all notes
+ *   #/note/:id              a note selected in the list
+ *   #/note/:id/edit         the editor open on a note
+ *   #/new                   the editor creating a note
+ *   #/tag/:tag              notes with one tag (nested tags such as work/acme may keep their `/`)
+ *   #/search?q=:query       search results
+ *   #/trash                 the Trash
+ *
+ * Any route also takes the list filters as parameters: q, notebook, tag and not
+ * (repeatable: included and excluded tags), mode=any, pinned=1, due=upcoming|overdue
+ * and tasks=open.
+ */
+
+// PUBLIC_INTERFACE
+/** Route for the initial screen. */
+export const HOME_ROUTE = {
+  view: 'notes',
+  noteId: null,
+  editor: null,
+  query: '',
+  filters: EMPTY_FILTERS,
+  notebookId: null,
+};
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch {
+    return value;
+  }
+};
+
+function parseParams(search) {
+  const params = [];
+  for (const pair of search.split('&')) {
+    if (!pair) continue;
+    const eq = pair.indexOf('=');
+    params.push(eq === -1 ? [decode(pair), ''] : [decode(pair.slice(0, eq)), decode(pair.slice(eq + 1))]);
+  }
+  return params;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseRoute
+ * Read a location hash (`#/note/abc?q=milk`). Unknown paths show all notes.
+ * @param {string} hash
+ * @returns {{view: 'notes'|'trash', noteId: string|null, editor: null|'create'|'edit', query: string,
+ *   filters: object, notebookId: string|null}} filters as in utils/filters
+ */
+export function parseRoute(hash) {
+  const raw = String(hash || '').replace(/^#/, '');
+  const queryAt = raw.indexOf('?');
+  const path = (queryAt === -1 ? raw : raw.slice(0, queryAt)).split('/').filter(Boolean).map(decode);
+  const params = parseParams(queryAt === -1 ? '' : raw.slice(queryAt + 1));
+  const all = (key) => params.filter(([k, v]) => k === key && v).map(([, v]) => v);
+  const one = (key) => all(key)[0] || '';
+
+  const route = { ...HOME_ROUTE, query: one('q'), notebookId: one('notebook') || null };
+  const include = all('tag');
+  const [section, ...rest] = path;
+  if (section === 'note' && rest[0]) {
+    route.noteId = rest[0];
+    if (rest[1] === 'edit') route.editor = 'edit';
+  } else if (section === 'new') {
+    route.editor = 'create';
+  } else if (section === 'trash') {
+    route.view = 'trash';
+  } else if (section === 'tag' && rest.length) {
+    include.unshift(rest.join('/'));
+  }
+  route.filters = {
+    tags: {
+      ...EMPTY_TAG_FILTER,
+      include: [...new Set(include)],
+      exclude: [...new Set(all('not'))].filter((t) => !include.includes(t)),
+      mode: one('mode') === 'any' ? 'any' : 'all',
+    },
+    pinnedOnly: one('pinned') === '1' || one('pinned') === 'true',
+    due: DUE_FILTERS.includes(one('due')) ? one('due') : null,
+    openTasks: one('tasks') === 'open',
+  };
+  return route;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatRoute
+ * The canonical hash for a route (see parseRoute).
+ * @param {object} route
+ * @returns {string}
+ */
+export function formatRoute(route) {
+  const { view, noteId, editor, query = '', notebookId } = route;
+  const tags = route.filters?.tags || EMPTY_TAG_FILTER;
+  const enc = encodeURIComponent;
+  let path = '/';
+  let include = tags.include;
+  if (editor === 'create') path = '/new';
+  else if (view === 'trash') path = '/trash';
+  else if (noteId) path = `/note/${enc(noteId)}${editor === 'edit' ? '/edit' : ''}`;
+  else if (include.length === 1) {
+    path = `/tag/${include[0].split('/').map(enc).join('/')}`;
+    include = [];
+  } else if (query.trim()) path = '/search';
+
+  const params = [];
+  if (query.trim()) params.push(`q=${enc(query)}`);
+  if (notebookId) params.push(`notebook=${enc(notebookId)}`);
+  include.forEach((t) => params.push(`tag=${enc(t)}`));
+  tags.exclude.forEach((t) => params.push(`not=${enc(t)}`));
+  if (tags.include.length > 1 && tags.mode === 'any') params.push('mode=any');
+  if (route.filters?.pinnedOnly) params.push('pinned=1');
+  if (route.filters?.due) params.push(`due=${enc(route.filters.due)}`);
+  if (route.filters?.openTasks) params.push('tasks=open');
+  return `#${path}${params.length ? `?${params.join('&')}` : ''}`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * routePath
+ * The path part of a hash, without parameters (`#/note/abc?q=x` gives `/note/abc`).
+ * @param {string} hash
+ * @returns {string}
+ */
+export function routePath(hash) {
+  return String(hash || '').replace(/^#/, '').split('?')[0] || '/';
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isSameScreen
+ * Whether two hashes show the same screen and filters, differing at most in
+ * the search text (`#/search?q=mi` and `#/search?q=milk`).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function isSameScreen(a, b) {
+  const withoutQuery = (hash) => formatRoute({ ...parseRoute(hash), query: '' });
+  return routePath(a) === routePath(b) && withoutQuery(a) === withoutQuery(b);
+}
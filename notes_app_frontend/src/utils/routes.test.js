@@ -0,0 +1,54 @@
+import { HOME_ROUTE, formatRoute, isSameScreen, parseRoute, routePath } from './routes';
+import { EMPTY_FILTERS } from './filters';
+
+const route = (extra) => ({ ...HOME_ROUTE, ...extra });
+const tags = (include, exclude = [], mode = 'all') => ({ ...EMPTY_FILTERS, tags: { include, exclude, mode } });
+
+describe('routes', () => {
+  test('round-trips every kind of screen through its canonical hash', () => {
+    const cases = [
+      [route({}), '#/'],
+      [route({ noteId: 'a b' }), '#/note/a%20b'],
+      [route({ noteId: 'n1', editor: 'edit' }), '#/note/n1/edit'],
+      [route({ editor: 'create' }), '#/new'],
+      [route({ view: 'trash' }), '#/trash'],
+      [route({ filters: tags(['work/acme']) }), '#/tag/work/acme'],
+      [route({ query: 'milk & eggs' }), '#/search?q=milk%20%26%20eggs'],
+      [
+        route({
+          query: 'x',
+          notebookId: 'nb',
+          filters: { tags: { include: ['a', 'b'], exclude: ['c'], mode: 'any' }, pinnedOnly: true, due: 'overdue', openTasks: true },
+        }),
+        '#/search?q=x&notebook=nb&tag=a&tag=b&not=c&mode=any&pinned=1&due=overdue&tasks=open',
+      ],
+    ];
+    for (const [r, hash] of cases) {
+      expect(formatRoute(r)).toBe(hash);
+      expect(parseRoute(hash)).toEqual(r);
+    }
+  });
+
+  test('reads hand-written links leniently', () => {
+    expect(parseRoute('#/search?q=road+trip').query).toBe('road trip');
+    expect(parseRoute('#/tag/work%2Facme').filters.tags.include).toEqual(['work/acme']);
+    expect(parseRoute('#/nowhere?pinned=true')).toEqual(route({ filters: { ...EMPTY_FILTERS, pinnedOnly: true } }));
+    expect(parseRoute('#/?due=someday').filters.due).toBeNull();
+    expect(parseRoute('#/?tasks=done').filters.openTasks).toBe(false);
+    expect(parseRoute('')).toEqual(HOME_ROUTE);
+    expect(parseRoute('#/note/%E0%A4%A')).toMatchObject({ noteId: '%E0%A4%A' });
+  });
+
+  test('routePath drops the parameters', () => {
+    expect(routePath('#/note/abc?q=x')).toBe('/note/abc');
+    expect(routePath('')).toBe('/');
+  });
+
+  test('isSameScreen ignores only the search text', () => {
+    expect(isSameScreen('#/search?q=mi', '#/search?q=milk')).toBe(true);
+    expect(isSameScreen('#/note/a?q=x', '#/note/a')).toBe(true);
+    expect(isSameScreen('#/', '#/search?q=m')).toBe(false);
+    expect(isSameScreen('#/search?q=m', '#/search?q=m&tag=a&tag=b')).toBe(false);
+    expect(isSameScreen('#/note/a', '#/note/b')).toBe(false);
+  });
+});
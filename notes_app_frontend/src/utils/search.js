@@ -0,0 +1,451 @@
+import { sortNotes } from './notes';
+import { dueStatus } from './reminders';
+import { taskProgress } from './tasks';
+import { normalizeTag, tagAncestors } from './tags';
+
+// Relative weight of a term occurrence per field
+const FIELD_WEIGHTS = { title: 3, tags: 2, content: 1 };
+
+// Score multipliers for query terms that only match a longer word or a near miss
+const PREFIX_WEIGHT = 0.6;
+const FUZZY_WEIGHTS = [1, 0.4, 0.25]; // by edit distance
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+const QUERY_KEYS = new Set(['tag', 'pinned', 'updated', 'created']);
+
+/** Lowercase and strip diacritics so "Café" matches "cafe". */
+function fold(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * tokenize
+ * Split text into folded (lowercase, accent-free) word tokens.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return fold(text).match(WORD_RE) || [];
+}
+
+/** Split a query on whitespace, keeping quoted runs (also after `key:` or `-`) together. */
+function splitQuery(query) {
+  const parts = [];
+  const re = /(-?)((?:[a-z]+:)?)("([^"]*)"?|\S+)/gi;
+  let m;
+  while ((m = re.exec(query))) {
+    const quoted = m[3].startsWith('"');
+    parts.push({ negate: m[1] === '-', key: m[2].slice(0, -1).toLowerCase(), value: quoted ? m[4] : m[3], quoted });
+  }
+  return parts;
+}
+
+/**
+ * Parse a date filter value such as ">2026-01-01", "<=2025-03" or "2024".
+ * Returns the matching [start, end) range of timestamps, or null when invalid.
+ */
+function parseDateFilter(value) {
+  const m = /^(>=|<=|>|<|=)?(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/.exec(value);
+  if (!m) return null;
+  const [, op = '=', y, mo, d] = m;
+  const year = Number(y);
+  const month = mo ? Number(mo) - 1 : 0;
+  const day = d ? Number(d) : 1;
+  const start = new Date(year, month, day);
+  if (start.getMonth() !== month) return null; // e.g. 2026-02-31
+  const end = d ? new Date(year, month, day + 1) : mo ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1);
+  const s = start.getTime();
+  const e = end.getTime();
+  switch (op) {
+    case '>':
+      return { from: e, to: Infinity };
+    case '>=':
+      return { from: s, to: Infinity };
+    case '<':
+      return { from: -Infinity, to: s };
+    case '<=':
+      return { from: -Infinity, to: e };
+    default:
+      return { from: s, to: e };
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseQuery
+ * Parse a search box query. Supported syntax:
+ * - words (all must match, with prefix and fuzzy matching)
+ * - "exact phrase"
+ * - -word, -"phrase", -tag:name to exclude
+ * - tag:name, pinned:true|false, updated:>2026-01-01, created:<=2025-06 (>, >=, <, <=, or a day/month/year)
+ * - tag:work also matches nested tags such as work/acme
+ * @param {string} query
+ * @returns {{terms: string[], phrases: string[][], tags: string[], pinned: boolean|null,
+ *   dates: Array<{field: string, from: number, to: number}>,
+ *   exclude: {terms: string[], phrases: string[][], tags: string[]}}}
+ */
+export function parseQuery(query) {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    tags: [],
+    pinned: null,
+    dates: [],
+    exclude: { terms: [], phrases: [], tags: [] },
+  };
+  for (const part of splitQuery(String(query || ''))) {
+    const target = part.negate ? parsed.exclude : parsed;
+    if (QUERY_KEYS.has(part.key) && part.value) {
+      if (part.key === 'tag') {
+        target.tags.push(fold(normalizeTag(part.value)));
+      } else if (part.key === 'pinned') {
+        const v = part.value.toLowerCase();
+        const yes = v === 'true' || v === 'yes';
+        if (yes || v === 'false' || v === 'no') parsed.pinned = part.negate ? !yes : yes;
+      } else {
+        const range = parseDateFilter(part.value);
+        if (range) parsed.dates.push({ field: `${part.key}At`, ...range });
+      }
+      continue;
+    }
+    // Unknown "key:" prefixes (e.g. in URLs) are searched as plain text
+    const text = part.key ? `${part.key}:${part.value}` : part.value;
+    const tokens = tokenize(text);
+    if (tokens.length === 0) continue;
+    if (part.quoted) target.phrases.push(tokens);
+    else target.terms.push(...tokens);
+  }
+  return parsed;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * adjacent letters; gives up (returning max + 1) once it exceeds `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (before && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], before[j - 2] + 1);
+      }
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    before = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** Whether `needle` occurs as a contiguous run inside `haystack` (both token arrays). */
+function containsPhrase(haystack, needle) {
+  for (let i = 0; i + needle.length <= haystack.length; i += 1) {
+    if (needle.every((token, j) => haystack[i + j] === token)) return true;
+  }
+  return false;
+}
+
+function indexDocument(note) {
+  const fields = {
+    title: tokenize(note.title),
+    tags: (Array.isArray(note.tags) ? note.tags : []).flatMap((t) => tokenize(t)),
+    content: tokenize(note.content),
+  };
+  const terms = new Map();
+  let length = 0;
+  for (const [field, tokens] of Object.entries(fields)) {
+    for (const token of tokens) {
+      terms.set(token, (terms.get(token) || 0) + FIELD_WEIGHTS[field]);
+    }
+    length += tokens.length;
+  }
+  // Nested tags also count as their parents, so filtering by `work` finds `work/acme`
+  const tags = new Set();
+  for (const tag of Array.isArray(note.tags) ? note.tags : []) {
+    const normalized = normalizeTag(tag);
+    [normalized, ...tagAncestors(normalized)].forEach((t) => tags.add(fold(t)));
+  }
+  const tasks = taskProgress(note.content);
+  return { note, terms, length, fields, tags, openTasks: tasks.done < tasks.total };
+}
+
+/**
+ * Filters applied on top of a query.
+ * @typedef {object} SearchOptions
+ * @property {string|null} [selectedTag] a tag every result must carry
+ * @property {{include: string[], exclude: string[], mode: 'all'|'any'}} [tagFilter]
+ *   tags results must carry (all of them, or any one) and tags they must not carry
+ * @property {boolean} [pinnedOnly]
+ * @property {'upcoming'|'overdue'|null} [due] due status results must have (see utils/reminders)
+ * @property {number} [now] time the due status is judged at
+ * @property {boolean} [openTasks] only notes with tasks left to do (see utils/tasks)
+ * @property {Set<string>|null} [notebookIds] notebooks results must be in
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * createSearchIndex
+ * Inverted index over notes, kept up to date incrementally with sync().
+ * Only notes whose object identity changed are re-indexed, which matches how
+ * the app replaces edited notes.
+ * @returns {{
+ *   sync: (notes: Array) => void,
+ *   search: (query: string, options?: SearchOptions) => {notes: Array, terms: string[]},
+ *   size: () => number
+ * }}
+ */
+export function createSearchIndex() {
+  const docs = new Map(); // id -> indexed document
+  const postings = new Map(); // term -> Map<id, weighted term frequency>
+  let totalLength = 0;
+  // Documents in list order (see sortNotes), kept until a note changes so that
+  // filtering without search text does not sort every note again
+  let ordered = null;
+
+  const add = (note) => {
+    ordered = null;
+    const doc = indexDocument(note);
+    docs.set(note.id, doc);
+    totalLength += doc.length;
+    for (const [term, tf] of doc.terms) {
+      let list = postings.get(term);
+      if (!list) {
+        list = new Map();
+        postings.set(term, list);
+      }
+      list.set(note.id, tf);
+    }
+  };
+
+  const remove = (id) => {
+    const doc = docs.get(id);
+    if (!doc) return;
+    ordered = null;
+    docs.delete(id);
+    totalLength -= doc.length;
+    for (const term of doc.terms.keys()) {
+      const list = postings.get(term);
+      list.delete(id);
+      if (list.size === 0) postings.delete(term);
+    }
+  };
+
+  const sync = (notes) => {
+    const seen = new Set();
+    for (const note of notes) {
+      seen.add(note.id);
+      const doc = docs.get(note.id);
+      if (doc && doc.note === note) continue;
+      if (doc) remove(note.id);
+      add(note);
+    }
+    if (seen.size !== docs.size) {
+      for (const id of [...docs.keys()]) {
+        if (!seen.has(id)) remove(id);
+      }
+    }
+  };
+
+  // Index terms a query term matches, with a weight for how close the match is
+  const expand = (term) => {
+    const matches = new Map();
+    if (postings.has(term)) matches.set(term, 1);
+    const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    for (const candidate of postings.keys()) {
+      if (candidate === term) continue;
+      if (term.length >= 2 && candidate.startsWith(term)) {
+        matches.set(candidate, PREFIX_WEIGHT);
+      } else if (maxDistance) {
+        const d = editDistance(term, candidate, maxDistance);
+        if (d <= maxDistance) matches.set(candidate, FUZZY_WEIGHTS[d]);
+      }
+    }
+    return matches;
+  };
+
+  const bm25 = (tf, df, length) => {
+    const n = docs.size;
+    const avg = n ? totalLength / n || 1 : 1;
+    const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    return (idf * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * length) / avg));
+  };
+
+  const search = (
+    query,
+    {
+      selectedTag = null,
+      tagFilter = null,
+      pinnedOnly = false,
+      notebookIds = null,
+      due = null,
+      now = Date.now(),
+      openTasks = false,
+    } = {}
+  ) => {
+    const q = parseQuery(query);
+    const highlight = new Set();
+    const hasText = q.terms.length > 0 || q.phrases.length > 0;
+
+    // Every query term must match some index term; scores add up across terms
+    let scores = null;
+    for (const term of q.terms) {
+      const termScores = new Map();
+      for (const [match, weight] of expand(term)) {
+        highlight.add(match);
+        const list = postings.get(match);
+        for (const [id, tf] of list) {
+          if (scores && !scores.has(id)) continue;
+          const s = weight * bm25(tf, list.size, docs.get(id).length);
+          if (s > (termScores.get(id) || 0)) termScores.set(id, s);
+        }
+      }
+      if (scores) for (const [id, s] of termScores) termScores.set(id, s + scores.get(id));
+      scores = termScores;
+      if (scores.size === 0) break;
+    }
+    q.phrases.forEach((p) => p.forEach((t) => highlight.add(t)));
+
+    const excludedTerms = new Set(q.exclude.terms);
+    const foldTag = (t) => fold(normalizeTag(t));
+    const requiredTags = [...q.tags, ...(selectedTag == null ? [] : [foldTag(selectedTag)])];
+    const anyTags = [];
+    if (tagFilter?.mode === 'any') anyTags.push(...tagFilter.include.map(foldTag));
+    else if (tagFilter) requiredTags.push(...tagFilter.include.map(foldTag));
+    const excludedTags = [...q.exclude.tags, ...(tagFilter ? tagFilter.exclude.map(foldTag) : [])];
+
+    if (!hasText && !ordered) {
+      ordered = sortNotes([...docs.values()].map((doc) => doc.note)).map((note) => docs.get(note.id));
+    }
+    const results = [];
+    const candidates = scores ? [...scores.keys()].map((id) => docs.get(id)) : hasText ? docs.values() : ordered;
+    for (const doc of candidates) {
+      const { note } = doc;
+      if (notebookIds && !notebookIds.has(note.notebookId)) continue;
+      if (requiredTags.some((t) => !doc.tags.has(t))) continue;
+      if (anyTags.length && !anyTags.some((t) => doc.tags.has(t))) continue;
+      if (excludedTags.some((t) => doc.tags.has(t))) continue;
+      if (q.pinned != null && !!note.pinned !== q.pinned) continue;
+      if (pinnedOnly && !note.pinned) continue;
+      if (due && dueStatus(note, now) !== due) continue;
+      if (openTasks && !doc.openTasks) continue;
+      if (q.dates.some(({ field, from, to }) => !(Number(note[field] || 0) >= from && Number(note[field] || 0) < to))) continue;
+      if (excludedTerms.size && [...excludedTerms].some((t) => doc.terms.has(t))) continue;
+
+      let score = scores ? scores.get(note.id) : 0;
+      let phrasesOk = true;
+      for (const phrase of q.phrases) {
+        const inTitle = containsPhrase(doc.fields.title, phrase);
+        if (!inTitle && !containsPhrase(doc.fields.content, phrase) && !containsPhrase(doc.fields.tags, phrase)) {
+          phrasesOk = false;
+          break;
+        }
+        score += inTitle ? FIELD_WEIGHTS.title : FIELD_WEIGHTS.content;
+      }
+      if (!phrasesOk) continue;
+      if (q.exclude.phrases.some((p) => Object.values(doc.fields).some((f) => containsPhrase(f, p)))) continue;
+
+      results.push({ note, score });
+    }
+
+    if (!hasText) {
+      return { notes: results.map((r) => r.note), terms: [] };
+    }
+    results.sort((a, b) => b.score - a.score || Number(b.note.updatedAt || 0) - Number(a.note.updatedAt || 0));
+    return { notes: results.map((r) => r.note), terms: [...highlight] };
+  };
+
+  return { sync, search, size: () => docs.size };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * searchNotes
+ * One-off search without keeping an index around (tests, small lists).
+ * @param {Array} notes
+ * @param {string} query
+ * @param {SearchOptions} [options]
+ * @returns {{notes: Array, terms: string[]}}
+ */
+export function searchNotes(notes, query, options) {
+  const index = createSearchIndex();
+  index.sync(notes);
+  return index.search(query, options);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * highlightSegments
+ * Split text into plain and matching runs for rendering highlights.
+ * Words are compared after folding, so "Café" is highlighted for the term "cafe".
+ * @param {string} text
+ * @param {string[]} terms folded index terms (as returned by search)
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export function highlightSegments(text, terms) {
+  const str = String(text ?? '');
+  if (!terms || terms.length === 0 || !str) return [{ text: str, match: false }];
+  const set = new Set(terms);
+  const segments = [];
+  let last = 0;
+  for (const m of str.matchAll(WORD_RE)) {
+    if (!set.has(fold(m[0]))) continue;
+    const gap = str.slice(last, m.index);
+    const prev = segments[segments.length - 1];
+    // Matches separated only by spaces become one mark, so phrases read as a unit
+    if (prev && prev.match && /^[ \t]*$/.test(gap)) {
+      prev.text += gap + m[0];
+    } else {
+      if (gap) segments.push({ text: gap, match: false });
+      segments.push({ text: m[0], match: true });
+    }
+    last = m.index + m[0].length;
+  }
+  if (last < str.length) segments.push({ text: str.slice(last), match: false });
+  return segments;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * makeSnippet
+ * Excerpt of `text` around the first matching term, with ellipses where cut.
+ * @param {string} text
+ * @param {string[]} terms
+ * @param {number} [length]
+ * @returns {string}
+ */
+export function makeSnippet(text, terms, length = 140) {
+  const str = String(text ?? '');
+  if (str.length <= length) return str;
+  let start = 0;
+  if (terms && terms.length) {
+    const set = new Set(terms);
+    for (const m of str.matchAll(WORD_RE)) {
+      if (set.has(fold(m[0]))) {
+        // Keep some context before the match; start at a word boundary
+        if (m.index + m[0].length > length - 20) {
+          start = Math.max(0, m.index - 40);
+          const space = str.indexOf(' ', start);
+          if (space !== -1 && space < m.index) start = space + 1;
+        }
+        break;
+      }
+    }
+  }
+  const end = Math.min(str.length, start + length);
+  return `${start > 0 ? '…' : ''}${str.slice(start, end)}${end < str.length ? '…' : ''}`;
+}
@@ -0,0 +1,175 @@
+import {
+  createSearchIndex,
+  highlightSegments,
+  makeSnippet,
+  parseQuery,
+  searchNotes,
+  tokenize,
+} from './search';
+
+const note = (id, title, content = '', extra = {}) => ({
+  id,
+  title,
+  content,
+  tags: [],
+  pinned: false,
+  createdAt: 0,
+  updatedAt: 0,
+  ...extra,
+});
+
+const ids = (result) => result.notes.map((n) => n.id);
+
+describe('parseQuery', () => {
+  test('splits words, phrases, operators and exclusions', () => {
+    const q = parseQuery('plan "road map" tag:Work -draft -tag:old pinned:true updated:>2026-01-01');
+    expect(q.terms).toEqual(['plan']);
+    expect(q.phrases).toEqual([['road', 'map']]);
+    expect(q.tags).toEqual(['work']);
+    expect(q.exclude).toEqual({ terms: ['draft'], phrases: [], tags: ['old'] });
+    expect(q.pinned).toBe(true);
+    expect(q.dates).toEqual([
+      { field: 'updatedAt', from: new Date(2026, 0, 2).getTime(), to: Infinity },
+    ]);
+  });
+
+  test('treats unknown prefixes and invalid dates as text or no-ops', () => {
+    const q = parseQuery('http://example.com updated:soon');
+    expect(q.terms).toEqual(['http', 'example', 'com']);
+    expect(q.dates).toEqual([]);
+  });
+});
+
+test('tokenize folds case and accents', () => {
+  expect(tokenize('Café CRÈME, 2x')).toEqual(['cafe', 'creme', '2x']);
+});
+
+describe('search index', () => {
+  const notes = [
+    note('a', 'Groceries', 'milk and bread'),
+    note('b', 'Meeting notes', 'discuss the groceries budget', { tags: ['Work'], updatedAt: 5 }),
+    note('c', 'Holiday', 'book a meeting room', { pinned: true, updatedAt: 10 }),
+  ];
+
+  test('ranks title matches above content matches', () => {
+    expect(ids(searchNotes(notes, 'groceries'))).toEqual(['a', 'b']);
+    expect(ids(searchNotes(notes, 'meeting'))).toEqual(['b', 'c']);
+  });
+
+  test('requires every term and supports prefix and fuzzy matches', () => {
+    expect(ids(searchNotes(notes, 'meeting budget'))).toEqual(['b']);
+    expect(ids(searchNotes(notes, 'groc'))).toEqual(['a', 'b']);
+    expect(ids(searchNotes(notes, 'holidya'))).toEqual(['c']);
+  });
+
+  test('applies phrases, exclusions and filters', () => {
+    expect(ids(searchNotes(notes, '"meeting room"'))).toEqual(['c']);
+    expect(ids(searchNotes(notes, 'meeting -budget'))).toEqual(['c']);
+    expect(ids(searchNotes(notes, 'tag:work'))).toEqual(['b']);
+    expect(ids(searchNotes(notes, '-tag:work'))).toEqual(['c', 'a']);
+    expect(ids(searchNotes(notes, 'pinned:true'))).toEqual(['c']);
+    expect(ids(searchNotes(notes, '', { selectedTag: 'Work' }))).toEqual(['b']);
+  });
+
+  test('a parent tag matches its nested tags', () => {
+    const nested = [
+      note('acme', 'Acme', '', { tags: ['work/clients/acme'] }),
+      note('home', 'Home', '', { tags: ['home'] }),
+    ];
+    expect(ids(searchNotes(nested, '', { selectedTag: 'work' }))).toEqual(['acme']);
+    expect(ids(searchNotes(nested, 'tag:work/clients'))).toEqual(['acme']);
+    expect(ids(searchNotes(nested, '-tag:work'))).toEqual(['home']);
+  });
+
+  test('filters by updated date', () => {
+    const dated = [
+      note('old', 'Old', '', { updatedAt: new Date(2025, 11, 31, 23).getTime() }),
+      note('new', 'New', '', { updatedAt: new Date(2026, 0, 2, 9).getTime() }),
+    ];
+    expect(ids(searchNotes(dated, 'updated:>2025-12-31'))).toEqual(['new']);
+    expect(ids(searchNotes(dated, 'updated:<2026-01-01'))).toEqual(['old']);
+    expect(ids(searchNotes(dated, 'updated:2026-01'))).toEqual(['new']);
+  });
+
+  test('empty queries keep the pinned-first, newest-first order', () => {
+    expect(ids(searchNotes(notes, ''))).toEqual(['c', 'b', 'a']);
+  });
+
+  test('re-indexes only changed notes and drops removed ones', () => {
+    const index = createSearchIndex();
+    index.sync(notes);
+    const edited = { ...notes[0], title: 'Shopping' };
+    index.sync([edited, notes[1]]);
+    expect(index.size()).toBe(2);
+    expect(ids(index.search('shopping'))).toEqual(['a']);
+    expect(ids(index.search('holiday'))).toEqual([]);
+    expect(ids(index.search('groceries'))).toEqual(['b']);
+  });
+
+  test('returns the matched index terms for highlighting', () => {
+    expect(searchNotes(notes, 'groc').terms).toEqual(['groceries']);
+  });
+
+  test('the list order follows pinning and edits', () => {
+    const index = createSearchIndex();
+    index.sync(notes);
+    expect(ids(index.search(''))).toEqual(['c', 'b', 'a']);
+    index.sync([{ ...notes[0], pinned: true }, notes[1], notes[2]]);
+    expect(ids(index.search(''))).toEqual(['c', 'a', 'b']);
+    index.sync([notes[1], notes[2]]);
+    expect(ids(index.search('', { pinnedOnly: true }))).toEqual(['c']);
+  });
+});
+
+describe('10k notes benchmark', () => {
+  const words = ['alpha', 'budget', 'meeting', 'garden', 'recipe', 'travel', 'invoice', 'project', 'weekly', 'review'];
+  const many = Array.from({ length: 10000 }, (_, i) =>
+    note(`n${i}`, `Note ${i} ${words[i % 10]}`, `${words[(i * 7) % 10]} ${words[(i * 3) % 10]} details ${i}`, {
+      tags: [words[i % 7]],
+      pinned: i % 97 === 0,
+      updatedAt: i,
+    })
+  );
+  const index = createSearchIndex();
+
+  // Generous budgets: these guard against accidental quadratic work, not machine speed
+  test('indexes and filters without slowing down', () => {
+    let started = Date.now();
+    index.sync(many);
+    expect(Date.now() - started).toBeLessThan(3000);
+
+    started = Date.now();
+    expect(index.search('').notes).toHaveLength(10000);
+    expect(index.search('budget').notes.length).toBeGreaterThan(0);
+    expect(index.search('', { tagFilter: { include: ['garden'], exclude: [], mode: 'all' } }).notes.length).toBeGreaterThan(0);
+    expect(Date.now() - started).toBeLessThan(1500);
+  });
+
+  test('a pin toggle re-indexes one note and keeps typing fast', () => {
+    const toggled = many.map((n, i) => (i === 5000 ? { ...n, pinned: true } : n));
+    const started = Date.now();
+    index.sync(toggled);
+    expect(ids(index.search('', { pinnedOnly: true }))).toContain('n5000');
+    for (const prefix of ['r', 're', 'rec', 'reci', 'recip', 'recipe']) index.search(prefix);
+    expect(Date.now() - started).toBeLessThan(1500);
+  });
+});
+
+describe('highlighting', () => {
+  test('marks matching words, merging adjacent ones', () => {
+    expect(highlightSegments('Buy café au lait', ['cafe', 'au'])).toEqual([
+      { text: 'Buy ', match: false },
+      { text: 'café au', match: true },
+      { text: ' lait', match: false },
+    ]);
+  });
+
+  test('snippets start near the first match', () => {
+    const text = `${'lorem '.repeat(40)}needle ${'ipsum '.repeat(40)}`;
+    const snippet = makeSnippet(text, ['needle'], 80);
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet).toContain('needle');
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(makeSnippet('short', ['x'], 80)).toBe('short');
+  });
+});
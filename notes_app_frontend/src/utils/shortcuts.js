@@ -0,0 +1,152 @@
+/*
+ * Keyboard shortcuts are written as combos: optional modifiers then a key, all lowercase,
+ * e.g. `n`, `/`, `?`, `mod+k`, `alt+arrowdown`. `mod` is Ctrl, or ⌘ on a Mac. Shift is
+ * only written for keys that do not change with it (`shift+enter`); `?` already implies it.
+ * Users can rebind them; overrides are kept in settings.shortcuts as { [id]: combo }.
+ */
+
+// PUBLIC_INTERFACE
+/** Rebindable app-wide shortcuts, in the order they are listed. */
+export const SHORTCUTS = [
+  { id: 'palette', combo: 'mod+k', label: 'Open the command palette' },
+  { id: 'newNote', combo: 'n', label: 'New note' },
+  { id: 'dailyNote', combo: 't', label: "Open today's note" },
+  { id: 'search', combo: '/', label: 'Search notes' },
+  { id: 'nextNote', combo: 'j', label: 'Select the next note' },
+  { id: 'previousNote', combo: 'k', label: 'Select the previous note' },
+  { id: 'pinNote', combo: 'p', label: 'Pin or unpin the selected note' },
+  { id: 'help', combo: '?', label: 'Show keyboard shortcuts' },
+];
+
+// PUBLIC_INTERFACE
+/** Keys that work everywhere and cannot be changed, listed with the rebindable ones. */
+export const FIXED_SHORTCUTS = [
+  { combo: 'enter', label: 'Open the focused note in the list' },
+  { combo: 'e', label: 'Edit the focused note in the list' },
+  { combo: 'mod+z', label: 'Undo' },
+  { combo: 'mod+shift+z', label: 'Redo' },
+  { combo: 'escape', label: 'Close the editor or dialog' },
+];
+
+const MODIFIERS = ['mod', 'alt', 'shift'];
+// Keys that are modifiers themselves and never finish a combo
+const MODIFIER_KEYS = new Set(['control', 'meta', 'alt', 'shift', 'altgraph', 'capslock', 'os']);
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeCombo
+ * A combo in canonical form (modifiers in a fixed order, lowercase), or '' when it has no key.
+ * @param {string} combo e.g. "Shift+Ctrl+K"
+ * @returns {string}
+ */
+export function normalizeCombo(combo) {
+  const { mods, key } = splitCombo(combo);
+  if (!key) return '';
+  const named = new Set(mods.map((p) => (p === 'ctrl' || p === 'cmd' || p === 'meta' ? 'mod' : p)));
+  return [...MODIFIERS.filter((m) => named.has(m)), key].join('+');
+}
+
+// Modifiers and key of a combo; a trailing empty part means the key itself is "+" ("mod++")
+function splitCombo(combo) {
+  const parts = String(combo || '')
+    .toLowerCase()
+    .split('+')
+    .map((p) => p.trim());
+  const last = parts.length - 1;
+  const key = parts[last] === '' && last > 0 ? '+' : parts[last];
+  return { mods: parts.slice(0, last).filter(Boolean), key };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * eventToCombo
+ * The combo a keydown event stands for, or '' for a lone modifier key.
+ * @param {{key: string, ctrlKey?: boolean, metaKey?: boolean, altKey?: boolean, shiftKey?: boolean}} e
+ * @returns {string}
+ */
+export function eventToCombo(e) {
+  if (!e.key) return '';
+  const key = e.key === ' ' ? 'space' : e.key.toLowerCase();
+  if (MODIFIER_KEYS.has(key)) return '';
+  const printable = e.key.length === 1;
+  const mods = [
+    (e.ctrlKey || e.metaKey) && 'mod',
+    e.altKey && 'alt',
+    // Shift already shows in a printable key ("?" rather than "/")
+    e.shiftKey && (!printable || e.ctrlKey || e.metaKey || key !== e.key) && 'shift',
+  ].filter(Boolean);
+  return [...mods, key].join('+');
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * resolveShortcuts
+ * The combo for every shortcut: the user's override if valid, else the default.
+ * @param {Object<string, string>} [overrides] settings.shortcuts
+ * @returns {Object<string, string>} id -> combo
+ */
+export function resolveShortcuts(overrides = {}) {
+  const resolved = {};
+  for (const { id, combo } of SHORTCUTS) {
+    const custom = typeof overrides?.[id] === 'string' ? normalizeCombo(overrides[id]) : '';
+    // Settings may hold anything; only combos that read back as a key are used
+    resolved[id] = custom && formatCombo(custom, false) ? custom : combo;
+  }
+  return resolved;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * matchShortcut
+ * Id of the shortcut a keydown event triggers, or null.
+ * @param {Object<string, string>} shortcuts id -> combo (see resolveShortcuts)
+ * @param {KeyboardEvent} e
+ * @returns {string|null}
+ */
+export function matchShortcut(shortcuts, e) {
+  const combo = eventToCombo(e);
+  if (!combo) return null;
+  const found = Object.keys(shortcuts).find((id) => shortcuts[id] === combo);
+  return found || null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * shortcutConflict
+ * What already uses a combo (a shortcut's label), or null when it is free.
+ * @param {Object<string, string>} shortcuts id -> combo
+ * @param {string} id the shortcut being changed
+ * @param {string} combo
+ * @returns {string|null}
+ */
+export function shortcutConflict(shortcuts, id, combo) {
+  const other = SHORTCUTS.find((s) => s.id !== id && shortcuts[s.id] === combo);
+  if (other) return other.label;
+  const fixed = FIXED_SHORTCUTS.find((s) => s.combo === combo);
+  return fixed ? fixed.label : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * formatCombo
+ * A combo as shown to people: `mod+shift+z` reads "Ctrl+Shift+Z", or "⌘⇧Z" on a Mac.
+ * @param {string} combo
+ * @param {boolean} [mac]
+ * @returns {string} '' when the combo has no key
+ */
+export function formatCombo(combo, mac = isMac()) {
+  const NAMES = { escape: 'Esc', enter: 'Enter', space: 'Space', arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→' };
+  const MAC = { mod: '⌘', alt: '⌥', shift: '⇧' };
+  const PC = { mod: 'Ctrl', alt: 'Alt', shift: 'Shift' };
+  const { mods: parts, key } = splitCombo(normalizeCombo(combo));
+  if (!key) return '';
+  const shownKey = NAMES[key] || (key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1));
+  const mods = parts.map((m) => (mac ? MAC : PC)[m]);
+  // A plain key stays as typed ("n", "/"): only combos read as key caps
+  if (!mods.length) return NAMES[key] || key;
+  return mac ? `${mods.join('')}${shownKey}` : [...mods, shownKey].join('+');
+}
+
+function isMac() {
+  return typeof window !== 'undefined' && /Mac|iP(hone|ad|od)/.test(window.navigator?.platform || '');
+}
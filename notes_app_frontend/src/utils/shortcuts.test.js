@@ -0,0 +1,66 @@
+import {
+  SHORTCUTS,
+  eventToCombo,
+  formatCombo,
+  matchShortcut,
+  normalizeCombo,
+  resolveShortcuts,
+  shortcutConflict,
+} from './shortcuts';
+
+describe('shortcuts', () => {
+  test('normalizes combos', () => {
+    expect(normalizeCombo('Shift+Ctrl+K')).toBe('mod+shift+k');
+    expect(normalizeCombo('cmd+alt+Enter')).toBe('mod+alt+enter');
+    expect(normalizeCombo('mod++')).toBe('mod++');
+    expect(normalizeCombo('Shift+Ctrl++')).toBe('mod+shift++');
+    expect(normalizeCombo('+')).toBe('+');
+    expect(normalizeCombo('')).toBe('');
+  });
+
+  test('reads combos from key events', () => {
+    expect(eventToCombo({ key: 'k', ctrlKey: true })).toBe('mod+k');
+    expect(eventToCombo({ key: 'K', metaKey: true, shiftKey: true })).toBe('mod+shift+k');
+    expect(eventToCombo({ key: '?', shiftKey: true })).toBe('?');
+    expect(eventToCombo({ key: 'N', shiftKey: true })).toBe('shift+n');
+    expect(eventToCombo({ key: 'ArrowDown', altKey: true })).toBe('alt+arrowdown');
+    expect(eventToCombo({ key: 'Shift', shiftKey: true })).toBe('');
+  });
+
+  test('resolves overrides and matches events', () => {
+    const shortcuts = resolveShortcuts({ newNote: 'Alt+N', search: '' });
+    expect(shortcuts.newNote).toBe('alt+n');
+    expect(shortcuts.search).toBe('/');
+    expect(Object.keys(shortcuts)).toEqual(SHORTCUTS.map((s) => s.id));
+    expect(matchShortcut(shortcuts, { key: 'n', altKey: true })).toBe('newNote');
+    expect(matchShortcut(shortcuts, { key: 'n' })).toBeNull();
+    expect(matchShortcut(shortcuts, { key: 'k', ctrlKey: true })).toBe('palette');
+  });
+
+  test('binds the plus key, and ignores overrides that are not combos', () => {
+    const shortcuts = resolveShortcuts({ palette: 'mod+shift++', newNote: '+', search: 42, pinNote: 'mod+' });
+    expect(shortcuts).toMatchObject({ palette: 'mod+shift++', newNote: '+', search: '/', pinNote: 'mod++' });
+    expect(matchShortcut(shortcuts, { key: '+', ctrlKey: true, shiftKey: true })).toBe('palette');
+    expect(matchShortcut(shortcuts, { key: '+', shiftKey: true })).toBe('newNote');
+    expect(resolveShortcuts(null).newNote).toBe('n');
+  });
+
+  test('reports combos already in use', () => {
+    const shortcuts = resolveShortcuts();
+    expect(shortcutConflict(shortcuts, 'newNote', 'j')).toBe('Select the next note');
+    expect(shortcutConflict(shortcuts, 'newNote', 'n')).toBeNull();
+    expect(shortcutConflict(shortcuts, 'newNote', 'mod+z')).toBe('Undo');
+    expect(shortcutConflict(shortcuts, 'newNote', 'alt+n')).toBeNull();
+  });
+
+  test('formats combos for people', () => {
+    expect(formatCombo('mod+shift+z', false)).toBe('Ctrl+Shift+Z');
+    expect(formatCombo('mod+shift+z', true)).toBe('⌘⇧Z');
+    expect(formatCombo('/', false)).toBe('/');
+    expect(formatCombo('escape', false)).toBe('Esc');
+    expect(formatCombo('+', false)).toBe('+');
+    expect(formatCombo('mod+shift++', false)).toBe('Ctrl+Shift++');
+    expect(formatCombo('mod+shift++', true)).toBe('⌘⇧+');
+    expect(formatCombo('', false)).toBe('');
+  });
+});
@@ -1,3 +1,6 @@
+ import { DEFAULT_NOTE, INBOX_NOTEBOOK_ID, KEYS, LEGACY_NOTE_KEYS, SCHEMA_VERSION } from '../constants';
+import { normalizeTags } from './tags';
+
  /**
   * Safely parse JSON, returning undefined on failure.
   * @param {string} str
@@ -24,15 +27,205 @@ export function safeStringify(value) {
   }
 }
 
+/**
+ * PUBLIC_INTERFACE
+ * createId
+ * Generate a unique id, preferring crypto.randomUUID when available.
+ * @returns {string}
+ */
+export function createId() {
+  return typeof window !== 'undefined' && window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Ordered schema migrations. Each entry upgrades notes from `version - 1` to `version`.
+ * Append new entries here (and bump SCHEMA_VERSION) when the persisted shape changes;
+ * never edit or reorder entries that have shipped.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    // v0 was a bare array with loosely typed fields; coerce them to the DEFAULT_NOTE types
+    up: (notes) =>
+      notes
+        .filter((n) => n && typeof n === 'object')
+        .map((n) => ({
+          ...n,
+          id: n.id ? String(n.id) : createId(),
+          title: String(n.title ?? ''),
+          content: String(n.content ?? ''),
+          tags: Array.isArray(n.tags) ? n.tags.map(String) : [],
+          createdAt: Number(n.createdAt) || Number(n.updatedAt) || 0,
+          updatedAt: Number(n.updatedAt) || Number(n.createdAt) || 0,
+          pinned: Boolean(n.pinned),
+        })),
+  },
+  {
+    version: 2,
+    // Notebooks were introduced: every existing note starts out in the Inbox
+    up: (notes) => notes.map((n) => ({ ...n, notebookId: n.notebookId ? String(n.notebookId) : INBOX_NOTEBOOK_ID })),
+  },
+  {
+    version: 3,
+    // Tags were only normalized by the editor; imported ones could differ in case or spacing
+    up: (notes) => notes.map((n) => ({ ...n, tags: normalizeTags(n.tags) })),
+  },
+];
+
+/**
+ * Read a stored value as a notes envelope.
+ * Bare arrays are treated as the unversioned v0 format.
+ * @param {any} stored
+ * @returns {{version:number, notes:Array}|null}
+ */
+function readEnvelope(stored) {
+  if (Array.isArray(stored)) return { version: 0, notes: stored };
+  if (stored && typeof stored === 'object' && Array.isArray(stored.notes)) {
+    return { version: Number(stored.version) || 0, notes: stored.notes };
+  }
+  return null;
+}
+
+/** Fill in fields added to DEFAULT_NOTE since the note was written. */
+function withDefaults(note) {
+  return { ...DEFAULT_NOTE, ...note, tags: Array.isArray(note.tags) ? note.tags : [] };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * migrateNotes
+ * Run the migration pipeline on a stored value (envelope or legacy array).
+ * Data written by a newer schema is returned as-is (plus defaults) and flagged `newer`.
+ * @param {any} stored
+ * @returns {{notes:Array, fromVersion:number, migrated:boolean, newer:boolean}|null}
+ *   null when the value is not recognisable as notes data
+ */
+export function migrateNotes(stored) {
+  const envelope = readEnvelope(stored);
+  if (!envelope) return null;
+  const { version } = envelope;
+  if (version > SCHEMA_VERSION) {
+    return {
+      notes: envelope.notes.filter((n) => n && typeof n === 'object').map(withDefaults),
+      fromVersion: version,
+      migrated: false,
+      newer: true,
+    };
+  }
+  let notes = envelope.notes;
+  for (const migration of MIGRATIONS) {
+    if (migration.version > version) notes = migration.up(notes);
+  }
+  return {
+    notes: notes.map(withDefaults),
+    fromVersion: version,
+    migrated: version < SCHEMA_VERSION,
+    newer: false,
+  };
+}
+
+/**
+ * Keep a copy of a pre-migration blob. The first backup per source version wins,
+ * so repeated loads never replace the original data.
+ */
+function backupNotesBlob(raw, version, prefix = KEYS.notesBackup) {
+  if (typeof window === 'undefined' || typeof raw !== 'string') return;
+  const key = `${prefix}.v${version}`;
+  try {
+    if (window.localStorage.getItem(key) === null) {
+      window.localStorage.setItem(key, raw);
+    }
+  } catch {
+    // no-op: a failed backup must not block loading
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getStoredSchemaVersion
+ * Schema version of the notes currently in localStorage (0 for legacy/empty data).
+ * @returns {number}
+ */
+export function getStoredSchemaVersion() {
+  if (typeof window === 'undefined') return 0;
+  try {
+    const envelope = readEnvelope(safeParse(window.localStorage.getItem(KEYS.notes)));
+    return envelope ? envelope.version : 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * deserializeNotes
+ * Turn the parsed KEYS.notes value into the current notes array, migrating
+ * and backing up old data on the way.
+ * @param {any} stored parsed JSON from localStorage
+ * @param {string} [backupPrefix] key prefix for the pre-migration backup
+ * @returns {Array}
+ */
+export function deserializeNotes(stored, backupPrefix = KEYS.notesBackup) {
+  const result = migrateNotes(stored);
+  if (!result) {
+    backupNotesBlob(safeStringify(stored), 'invalid', backupPrefix);
+    return [];
+  }
+  if (result.migrated) backupNotesBlob(safeStringify(stored), result.fromVersion, backupPrefix);
+  return result.notes;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * serializeNotes
+ * Wrap notes in the versioned envelope for persistence.
+ * Returns undefined (skip the write) when storage holds data from a newer schema.
+ * @param {Array} notes
+ * @returns {{version:number, notes:Array}|undefined}
+ */
+export function serializeNotes(notes) {
+  if (getStoredSchemaVersion() > SCHEMA_VERSION) return undefined;
+  return { version: SCHEMA_VERSION, notes };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * notesStorageOptions
+ * useLocalStorage options for any collection stored in the versioned notes envelope
+ * (the notes themselves, the Trash, ...).
+ * @param {string} [backupPrefix] key prefix for pre-migration backups of this collection
+ * @returns {{serialize: Function, deserialize: Function}}
+ */
+export function notesStorageOptions(backupPrefix = KEYS.notesBackup) {
+  return {
+    serialize: serializeNotes,
+    deserialize: (stored) => deserializeNotes(stored, backupPrefix),
+  };
+}
+
 /**
  * PUBLIC_INTERFACE
  * getInitialNotes
- * Return initial notes array. Supports future migrations/versioning.
+ * Return initial notes when KEYS.notes is empty: the first readable legacy key,
+ * migrated to the current schema (its original blob is backed up), or [].
  * @returns {Array}
  */
 export function getInitialNotes() {
-  // Placeholder for future migrations:
-  // - Could read legacy keys
-  // - Could transform old shapes to new one
+  if (typeof window === 'undefined') return [];
+  for (const key of LEGACY_NOTE_KEYS) {
+    let raw = null;
+    try {
+      raw = window.localStorage.getItem(key);
+    } catch {
+      raw = null;
+    }
+    if (raw === null) continue;
+    const result = migrateNotes(safeParse(raw));
+    if (!result || result.newer) continue;
+    backupNotesBlob(raw, result.fromVersion);
+    return result.notes;
+  }
   return [];
 }
@@ -0,0 +1,61 @@
+import {
+  deserializeNotes,
+  getInitialNotes,
+  migrateNotes,
+  serializeNotes,
+} from './storage';
+import { KEYS, SCHEMA_VERSION } from '../constants';
+
+describe('notes storage schema', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('migrates a legacy bare array to the current shape', () => {
+    const result = migrateNotes([{ id: 7, title: 'Old', tags: 'x', updatedAt: 5 }, null]);
+    expect(result.migrated).toBe(true);
+    expect(result.fromVersion).toBe(0);
+    expect(result.notes).toHaveLength(1);
+    expect(result.notes[0]).toMatchObject({
+      id: '7',
+      title: 'Old',
+      content: '',
+      tags: [],
+      createdAt: 5,
+      updatedAt: 5,
+      pinned: false,
+    });
+  });
+
+  test('normalizes tags stored by earlier versions', () => {
+    const result = migrateNotes({ version: 2, notes: [{ id: 'a', tags: ['Work ', 'work', 'Side Project'] }] });
+    expect(result.notes[0].tags).toEqual(['work', 'side-project']);
+  });
+
+  test('backs up the pre-migration blob once', () => {
+    const legacy = [{ id: 'a', title: 'A' }];
+    deserializeNotes(legacy);
+    deserializeNotes([{ id: 'b', title: 'B' }]);
+    const backup = JSON.parse(window.localStorage.getItem(`${KEYS.notesBackup}.v0`));
+    expect(backup).toEqual(legacy);
+  });
+
+  test('reads notes from a legacy key when the current key is empty', () => {
+    window.localStorage.setItem('notes', JSON.stringify([{ id: 'l1', title: 'Legacy' }]));
+    const notes = getInitialNotes();
+    expect(notes.map((n) => n.title)).toEqual(['Legacy']);
+    expect(window.localStorage.getItem(`${KEYS.notesBackup}.v0`)).not.toBeNull();
+  });
+
+  test('refuses to overwrite data written by a newer schema', () => {
+    const future = { version: SCHEMA_VERSION + 1, notes: [{ id: 'f', title: 'Future', extra: 1 }] };
+    window.localStorage.setItem(KEYS.notes, JSON.stringify(future));
+    const notes = deserializeNotes(future);
+    expect(notes[0]).toMatchObject({ id: 'f', extra: 1 });
+    expect(serializeNotes(notes)).toBeUndefined();
+  });
+
+  test('wraps notes in a versioned envelope', () => {
+    expect(serializeNotes([])).toEqual({ version: SCHEMA_VERSION, notes: [] });
+  });
+});
@@ -0,0 +1,201 @@
+/*
+ * Tags are lowercase strings without spaces or commas. A `/` nests them:
+ * `work/clients/acme` sits inside `work/clients`, which sits inside `work`.
+ * Parent tags exist implicitly as soon as one of their children is used.
+ */
+
+// PUBLIC_INTERFACE
+/** Separator between the levels of a nested tag. */
+export const TAG_SEPARATOR = '/';
+
+// PUBLIC_INTERFACE
+/** Colors a tag can be given in the tag manager (stored by id in settings.tagColors). */
+export const TAG_COLORS = [
+  { id: 'blue', label: 'Blue', value: '#2563eb' },
+  { id: 'green', label: 'Green', value: '#16a34a' },
+  { id: 'amber', label: 'Amber', value: '#d97706' },
+  { id: 'red', label: 'Red', value: '#dc2626' },
+  { id: 'purple', label: 'Purple', value: '#7c3aed' },
+  { id: 'pink', label: 'Pink', value: '#db2777' },
+  { id: 'teal', label: 'Teal', value: '#0d9488' },
+  { id: 'gray', label: 'Gray', value: '#6b7280' },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeTag
+ * Canonical form of a tag: trimmed, lowercase, spaces as dashes, no commas or
+ * leading `#`, and no empty levels (`" Work / Clients "` becomes `work/clients`).
+ * @param {string} tag
+ * @returns {string} '' when nothing is left
+ */
+export function normalizeTag(tag) {
+  return String(tag ?? '')
+    .toLowerCase()
+    .replace(/,+/g, '')
+    .split(TAG_SEPARATOR)
+    .map((level) => level.trim().replace(/^#+/, '').replace(/\s+/g, '-'))
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * normalizeTags
+ * Normalize a list of tags, dropping empty ones and duplicates (first occurrence wins).
+ * @param {Array<string>} tags
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  const seen = new Set();
+  for (const tag of Array.isArray(tags) ? tags : []) {
+    const normalized = normalizeTag(tag);
+    if (normalized) seen.add(normalized);
+  }
+  return [...seen];
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * tagAncestors
+ * The parent tags of a nested tag, outermost first (`a/b/c` gives `a`, `a/b`).
+ * @param {string} tag
+ * @returns {string[]}
+ */
+export function tagAncestors(tag) {
+  const levels = String(tag).split(TAG_SEPARATOR);
+  return levels.slice(0, -1).map((_, i) => levels.slice(0, i + 1).join(TAG_SEPARATOR));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * isTagWithin
+ * Whether a tag is `parent` itself or nested inside it.
+ * @param {string} tag
+ * @param {string} parent
+ * @returns {boolean}
+ */
+export function isTagWithin(tag, parent) {
+  return tag === parent || String(tag).startsWith(`${parent}${TAG_SEPARATOR}`);
+}
+
+const compareTags = (a, b) => {
+  const la = a.split(TAG_SEPARATOR);
+  const lb = b.split(TAG_SEPARATOR);
+  for (let i = 0; i < Math.min(la.length, lb.length); i += 1) {
+    const c = la[i].localeCompare(lb[i]);
+    if (c !== 0) return c;
+  }
+  return la.length - lb.length;
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * tagTree
+ * Every tag in use, parents included, in tree order (each parent directly
+ * followed by its children). `own` counts notes carrying the tag itself,
+ * `total` notes carrying it or any tag nested in it.
+ * @param {Array} notes
+ * @returns {Array<{tag: string, name: string, depth: number, own: number, total: number}>}
+ */
+export function tagTree(notes) {
+  const counts = new Map();
+  const entry = (tag) => {
+    if (!counts.has(tag)) counts.set(tag, { own: 0, total: 0 });
+    return counts.get(tag);
+  };
+  for (const note of notes) {
+    const within = new Set();
+    for (const tag of normalizeTags(note?.tags)) {
+      entry(tag).own += 1;
+      within.add(tag);
+      tagAncestors(tag).forEach((t) => within.add(t));
+    }
+    within.forEach((t) => {
+      entry(t).total += 1;
+    });
+  }
+  return [...counts.keys()].sort(compareTags).map((tag) => {
+    const levels = tag.split(TAG_SEPARATOR);
+    return { tag, name: levels[levels.length - 1], depth: levels.length - 1, ...counts.get(tag) };
+  });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * renameTagInNotes
+ * Rename a tag, and the tags nested in it, on every note. Renaming onto a tag
+ * that already exists merges the two.
+ * @param {Array} notes
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array} the notes that changed, updated (without new timestamps)
+ */
+export function renameTagInNotes(notes, from, to) {
+  const changed = [];
+  for (const note of notes) {
+    const tags = Array.isArray(note.tags) ? note.tags : [];
+    if (!tags.some((t) => isTagWithin(normalizeTag(t), from))) continue;
+    const renamed = normalizeTags(
+      tags.map((t) => {
+        const tag = normalizeTag(t);
+        return isTagWithin(tag, from) ? `${to}${tag.slice(from.length)}` : tag;
+      })
+    );
+    changed.push({ ...note, tags: renamed });
+  }
+  return changed;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * removeTagFromNotes
+ * Remove a tag, and the tags nested in it, from every note.
+ * @param {Array} notes
+ * @param {string} tag
+ * @returns {Array} the notes that changed, updated (without new timestamps)
+ */
+export function removeTagFromNotes(notes, tag) {
+  return notes
+    .filter((note) => (note.tags || []).some((t) => isTagWithin(normalizeTag(t), tag)))
+    .map((note) => ({ ...note, tags: normalizeTags(note.tags).filter((t) => !isTagWithin(t, tag)) }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * renameTagColors
+ * Carry colors over to renamed tags. Colors of existing target tags win, and the
+ * old names keep theirs so undoing the rename brings them back.
+ * @param {Object<string, string>} colors tag -> color id
+ * @param {string} from
+ * @param {string} to
+ * @returns {Object<string, string>}
+ */
+export function renameTagColors(colors, from, to) {
+  const next = { ...(colors || {}) };
+  for (const [tag, color] of Object.entries(colors || {})) {
+    if (!isTagWithin(tag, from)) continue;
+    const target = `${to}${tag.slice(from.length)}`;
+    if (!next[target]) next[target] = color;
+  }
+  return next;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * tagColor
+ * CSS color for a tag: its own, else the nearest colored parent's.
+ * @param {Object<string, string>} colors tag -> color id
+ * @param {string} tag
+ * @returns {string|null}
+ */
+export function tagColor(colors, tag) {
+  if (!colors) return null;
+  const normalized = normalizeTag(tag);
+  const chain = [normalized, ...tagAncestors(normalized).reverse()];
+  for (const t of chain) {
+    const color = TAG_COLORS.find((c) => c.id === colors[t]);
+    if (color) return color.value;
+  }
+  return null;
+}
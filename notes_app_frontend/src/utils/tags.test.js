@@ -0,0 +1,65 @@
+import {
+  normalizeTag,
+  normalizeTags,
+  removeTagFromNotes,
+  renameTagColors,
+  renameTagInNotes,
+  tagAncestors,
+  tagColor,
+  tagTree,
+} from './tags';
+
+const note = (id, tags) => ({ id, title: id, content: '', tags });
+
+describe('normalizeTag', () => {
+  test('lowercases, dashes spaces and drops commas, # and empty levels', () => {
+    expect(normalizeTag('  Project Alpha ')).toBe('project-alpha');
+    expect(normalizeTag('#Work / Clients //Acme,')).toBe('work/clients/acme');
+    expect(normalizeTag(' / ')).toBe('');
+  });
+
+  test('normalizeTags removes duplicates that only differed in form', () => {
+    expect(normalizeTags(['Work', 'work ', '', 'home'])).toEqual(['work', 'home']);
+  });
+});
+
+test('tagAncestors lists parents outermost first', () => {
+  expect(tagAncestors('a/b/c')).toEqual(['a', 'a/b']);
+  expect(tagAncestors('a')).toEqual([]);
+});
+
+test('tagTree includes implied parents and counts nested notes once', () => {
+  const rows = tagTree([note('1', ['work/acme', 'work']), note('2', ['work/beta']), note('3', ['home', 'work-x'])]);
+  expect(rows.map((r) => [r.tag, r.depth, r.own, r.total])).toEqual([
+    ['home', 0, 1, 1],
+    ['work', 0, 1, 2],
+    ['work/acme', 1, 1, 1],
+    ['work/beta', 1, 1, 1],
+    ['work-x', 0, 1, 1],
+  ]);
+});
+
+describe('renameTagInNotes', () => {
+  test('renames nested tags along with their parent and leaves other notes alone', () => {
+    const notes = [note('1', ['work', 'work/acme']), note('2', ['home']), note('3', ['workshop'])];
+    expect(renameTagInNotes(notes, 'work', 'job')).toEqual([note('1', ['job', 'job/acme'])]);
+  });
+
+  test('merges into an existing tag without duplicates', () => {
+    const notes = [note('1', ['todo', 'tasks']), note('2', ['Todo'])];
+    expect(renameTagInNotes(notes, 'todo', 'tasks').map((n) => n.tags)).toEqual([['tasks'], ['tasks']]);
+  });
+});
+
+test('removeTagFromNotes drops the tag and its nested tags', () => {
+  const notes = [note('1', ['work/acme', 'home']), note('2', ['home'])];
+  expect(removeTagFromNotes(notes, 'work')).toEqual([note('1', ['home'])]);
+});
+
+test('tag colors follow renames and are inherited by nested tags', () => {
+  const colors = renameTagColors({ work: 'blue', tasks: 'red' }, 'work', 'job');
+  expect(colors).toEqual({ work: 'blue', job: 'blue', tasks: 'red' });
+  expect(renameTagColors({ todo: 'green', tasks: 'red' }, 'todo', 'tasks').tasks).toBe('red');
+  expect(tagColor(colors, 'job/acme')).toBe('#2563eb');
+  expect(tagColor(colors, 'other')).toBeNull();
+});
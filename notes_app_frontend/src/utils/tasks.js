@@ -0,0 +1,269 @@
+/*
+ * Task items (`- [ ] buy milk`, `1. [x] done`) in note content. Tasks are
+ * numbered in document order, skipping code blocks, the same way renderMarkdown
+ * numbers its checkboxes, so an index from the reading view or a card refers to
+ * the same line here. Edits keep the rest of the text exactly as it was.
+ *
+ * Reordering works on list items: an item moves with its continuation lines and
+ * nested items, and only among its siblings (the items of the same list at the
+ * same level).
+ */
+
+const ITEM_RE = /^((?:[ \t]*>[ \t]?)*)([ \t]*)([-*+]|\d{1,9}[.)])([ \t]+|$)(\[([ xX])\](?=[ \t]))?([^\n]*)$/;
+const QUOTE_PREFIX_RE = /^(?:[ \t]*>[ \t]?)*/;
+const FENCE_RE = /^(`{3,}|~{3,})/;
+const HR_RE = /^([-*_])(?:[ \t]*\1){2,}\s*$/;
+const HEADING_RE = /^#{1,6}(?:[ \t]|$)/;
+
+const widthOf = (indent) => indent.replace(/\t/g, '    ').length;
+
+/**
+ * List items of the content, with the range of lines each one covers.
+ * @param {string[]} lines
+ * @returns {Array<{line: number, end: number, depth: number, indent: number, ordered: boolean, head: string, rest: string, checked: boolean|null}>}
+ */
+function scanItems(lines) {
+  const items = [];
+  // Items the current line may still belong to, innermost last
+  const open = [];
+  let fence = null;
+
+  lines.forEach((line, i) => {
+    if (fence) {
+      const close = new RegExp(`^[ \\t>]*${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`);
+      if (close.test(line)) fence = null;
+      open.forEach((item) => (item.end = i + 1));
+      return;
+    }
+    if (!line.trim()) return;
+
+    const quote = line.match(QUOTE_PREFIX_RE)[0];
+    const depth = (quote.match(/>/g) || []).length;
+    const body = line.slice(quote.length);
+    const trimmed = body.trimStart();
+    const indent = widthOf(body.slice(0, body.length - trimmed.length));
+    const m = HR_RE.test(trimmed) ? null : ITEM_RE.exec(line);
+    const startsBlock = !!m || FENCE_RE.test(trimmed) || HEADING_RE.test(trimmed) || HR_RE.test(trimmed);
+    // A paragraph line right after an item's text continues it, whatever its indent
+    const lazy = !startsBlock && open.length > 0 && open[open.length - 1].end === i;
+
+    const owns = (item) => {
+      if (depth === item.depth) return indent > item.indent || lazy;
+      // A quote nested in an item
+      return depth > item.depth && widthOf(line.match(/^[ \t]*/)[0]) > item.indent;
+    };
+    while (open.length && !owns(open[open.length - 1])) open.pop();
+
+    const fenceStart = FENCE_RE.exec(trimmed);
+    if (fenceStart) fence = fenceStart[1];
+
+    if (m) {
+      const item = {
+        line: i,
+        end: i + 1,
+        depth,
+        indent: widthOf(m[2]),
+        ordered: /\d/.test(m[3]),
+        head: `${m[1]}${m[2]}${m[3]}${m[4]}`,
+        rest: line.slice(m[1].length + m[2].length + m[3].length + m[4].length),
+        checked: m[5] ? m[6] !== ' ' : null,
+      };
+      items.push(item);
+      open.push(item);
+    }
+    open.forEach((item) => (item.end = i + 1));
+  });
+  return items;
+}
+
+function splitLines(content) {
+  return String(content || '').split('\n');
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseTasks
+ * The task items of a note, in document order.
+ * @param {string} content
+ * @returns {Array<{line: number, checked: boolean, text: string}>} line is 0-based
+ */
+export function parseTasks(content) {
+  return scanItems(splitLines(content))
+    .filter((item) => item.checked !== null)
+    .map((item) => ({
+      line: item.line,
+      checked: item.checked,
+      text: item.rest.replace(/^\[[ xX]\][ \t]+/, '').replace(/\r$/, ''),
+    }));
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * taskProgress
+ * How many of a note's tasks are done.
+ * @param {string} content
+ * @returns {{done: number, total: number}}
+ */
+export function taskProgress(content) {
+  // Most notes have no tasks; skip the scan for them
+  if (!/\[[ xX]\]/.test(String(content || ''))) return { done: 0, total: 0 };
+  const tasks = parseTasks(content);
+  return { done: tasks.filter((t) => t.checked).length, total: tasks.length };
+}
+
+/** Items that share a list and a level with `target`, in order. */
+function siblingsOf(items, lines, target) {
+  const same = (item) =>
+    item.depth === target.depth && item.indent === target.indent && item.ordered === target.ordered;
+  const onlyBlank = (from, to) => lines.slice(from, to).every((l) => !l.trim());
+  const at = items.indexOf(target);
+  const group = [target];
+  for (let k = at - 1, next = target; k >= 0; k -= 1) {
+    const item = items[k];
+    if (item.line < next.line && item.end > next.line) break; // a parent
+    if (!same(item)) continue;
+    if (!onlyBlank(item.end, next.line)) break;
+    group.unshift(item);
+    next = item;
+  }
+  for (let k = at + 1, prev = target; k < items.length; k += 1) {
+    const item = items[k];
+    if (item.line < prev.end) continue; // nested inside the previous sibling
+    if (!same(item) || !onlyBlank(prev.end, item.line)) break;
+    group.push(item);
+    prev = item;
+  }
+  return group;
+}
+
+/**
+ * Rewrite a list with its items in a new order. Each position keeps its marker,
+ * so ordered lists stay numbered, and blank lines between items stay put.
+ */
+function reorder(lines, group, order) {
+  const out = lines.slice(0, group[0].line);
+  group.forEach((slot, k) => {
+    const item = order[k];
+    out.push(`${slot.head}${item.rest}`, ...lines.slice(item.line + 1, item.end));
+    const gapEnd = k + 1 < group.length ? group[k + 1].line : slot.end;
+    out.push(...lines.slice(slot.end, gapEnd));
+  });
+  out.push(...lines.slice(group[group.length - 1].end));
+  return out;
+}
+
+function taskItems(items) {
+  return items.filter((item) => item.checked !== null);
+}
+
+/** Re-scan after an edit and find where `item` ended up. */
+function locate(lines, group, order, item) {
+  const nextLines = reorder(lines, group, order);
+  let line = group[0].line;
+  for (let k = 0; order[k] !== item; k += 1) {
+    line += order[k].end - order[k].line + (group[k + 1].line - group[k].end);
+  }
+  const tasks = taskItems(scanItems(nextLines));
+  return { content: nextLines.join('\n'), index: tasks.findIndex((task) => task.line === line) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * toggleTask
+ * Tick or untick a task. With `completedLast`, the task's list is then ordered
+ * with done tasks at the bottom (see completedToBottom).
+ * @param {string} content
+ * @param {number} index task index (see parseTasks)
+ * @param {{checked?: boolean, completedLast?: boolean}} [options] checked defaults to the opposite
+ * @returns {{content: string, index: number}} the new content and the task's new index
+ */
+export function toggleTask(content, index, { checked, completedLast = false } = {}) {
+  const lines = splitLines(content);
+  const items = scanItems(lines);
+  const item = taskItems(items)[index];
+  if (!item) return { content: String(content || ''), index };
+  const value = checked === undefined ? !item.checked : !!checked;
+  const rest = item.rest.replace(/^\[[ xX]\]/, value ? '[x]' : '[ ]');
+  lines[item.line] = `${item.head}${rest}`;
+  if (!completedLast) return { content: lines.join('\n'), index };
+
+  const updated = { ...item, rest, checked: value };
+  const all = items.map((other) => (other === item ? updated : other));
+  const group = siblingsOf(all, lines, updated);
+  const order = [...group.filter((other) => !other.checked), ...group.filter((other) => other.checked)];
+  return locate(lines, group, order, updated);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * moveTask
+ * Move a task before or after another task of the same list (after when moving
+ * down, before when moving up), with its nested items.
+ * Tasks in different lists or at different levels cannot be swapped, and the
+ * content is returned unchanged.
+ * @param {string} content
+ * @param {number} from task index to move
+ * @param {number} to task index whose place it takes
+ * @returns {{content: string, index: number}}
+ */
+export function moveTask(content, from, to) {
+  const lines = splitLines(content);
+  const items = scanItems(lines);
+  const tasks = taskItems(items);
+  const item = tasks[from];
+  const target = tasks[to];
+  const unchanged = { content: String(content || ''), index: from };
+  if (!item || !target || item === target) return unchanged;
+  const group = siblingsOf(items, lines, item);
+  if (!group.includes(target)) return unchanged;
+  const order = group.filter((other) => other !== item);
+  order.splice(group.indexOf(target), 0, item);
+  return locate(lines, group, order, item);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * shiftTask
+ * Move a task up or down past its neighbouring item in the same list.
+ * @param {string} content
+ * @param {number} index
+ * @param {number} offset -1 for up, 1 for down
+ * @returns {{content: string, index: number}} unchanged at either end of the list
+ */
+export function shiftTask(content, index, offset) {
+  const lines = splitLines(content);
+  const items = scanItems(lines);
+  const item = taskItems(items)[index];
+  if (!item) return { content: String(content || ''), index };
+  const group = siblingsOf(items, lines, item);
+  const at = group.indexOf(item);
+  const swapWith = at + Math.sign(offset);
+  if (swapWith < 0 || swapWith >= group.length) return { content: String(content || ''), index };
+  const order = group.slice();
+  [order[at], order[swapWith]] = [order[swapWith], order[at]];
+  return locate(lines, group, order, item);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * completedToBottom
+ * Move done tasks below the other items of every list, keeping the order within each part.
+ * @param {string} content
+ * @returns {string}
+ */
+export function completedToBottom(content) {
+  let lines = splitLines(content);
+  const items = scanItems(lines);
+  const groups = new Map();
+  for (const item of items) {
+    const group = siblingsOf(items, lines, item);
+    groups.set(group[0], group);
+  }
+  // Nested lists first: sorting one keeps the lines its parent list covers in place
+  const byLastStart = [...groups.values()].sort((x, y) => y[0].line - x[0].line);
+  for (const group of byLastStart) {
+    const order = [...group.filter((item) => !item.checked), ...group.filter((item) => item.checked)];
+    if (order.some((item, k) => item !== group[k])) lines = reorder(lines, group, order);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,87 @@
+import { renderMarkdown } from './markdown';
+import { completedToBottom, moveTask, parseTasks, shiftTask, taskProgress, toggleTask } from './tasks';
+
+describe('tasks', () => {
+  const list = ['# Groceries', '', '- [ ] milk', '- [x] eggs', '  - [ ] free range', '- [ ] bread', '', 'Done when all ticked.'].join(
+    '\n'
+  );
+
+  test('finds tasks in document order', () => {
+    expect(parseTasks(list)).toEqual([
+      { line: 2, checked: false, text: 'milk' },
+      { line: 3, checked: true, text: 'eggs' },
+      { line: 4, checked: false, text: 'free range' },
+      { line: 5, checked: false, text: 'bread' },
+    ]);
+    expect(taskProgress(list)).toEqual({ done: 1, total: 4 });
+    expect(taskProgress('no tasks [here]')).toEqual({ done: 0, total: 0 });
+  });
+
+  test('numbers tasks the way the renderer does', () => {
+    const source = [
+      '1. [X] ordered',
+      '2. [ ] second',
+      '',
+      '```',
+      '- [ ] in code',
+      '```',
+      '> - [ ] quoted',
+      '- item',
+      '  ```md',
+      '  - [ ] fenced in an item',
+      '  ```',
+      '  - [ ] nested',
+      '- [] not a task',
+      '- [x]',
+      '* * *',
+      '- [ ] last',
+    ].join('\n');
+    const html = renderMarkdown(source, { interactiveTasks: true });
+    const rendered = [...html.matchAll(/<input type="checkbox" data-task="(\d+)" aria-label="([^"]*)"/g)];
+    expect(rendered.map((m) => m[2])).toEqual(parseTasks(source).map((t) => t.text));
+    expect(rendered.map((m) => Number(m[1]))).toEqual([0, 1, 2, 3, 4]);
+    // Without the option, checkboxes stay read-only
+    expect(renderMarkdown(source)).not.toContain('data-task');
+  });
+
+  test('ticks and unticks a task', () => {
+    expect(toggleTask(list, 0).content.split('\n')[2]).toBe('- [x] milk');
+    expect(toggleTask(list, 1).content.split('\n')[3]).toBe('- [ ] eggs');
+    expect(toggleTask(list, 1, { checked: true }).content).toBe(list);
+    expect(toggleTask(list, 9)).toEqual({ content: list, index: 9 });
+  });
+
+  test('can move a ticked task below the open ones', () => {
+    const result = toggleTask(list, 0, { completedLast: true });
+    expect(result.content.split('\n').slice(2, 6)).toEqual(['- [ ] bread', '- [x] milk', '- [x] eggs', '  - [ ] free range']);
+    expect(result.index).toBe(1);
+  });
+
+  test('moves tasks with their nested items, within their list', () => {
+    const down = moveTask(list, 1, 3);
+    expect(down.content.split('\n').slice(2, 6)).toEqual(['- [ ] milk', '- [ ] bread', '- [x] eggs', '  - [ ] free range']);
+    expect(down.index).toBe(2);
+    const up = moveTask(list, 3, 0);
+    expect(up.content.split('\n').slice(2, 6)).toEqual(['- [ ] bread', '- [ ] milk', '- [x] eggs', '  - [ ] free range']);
+    expect(up.index).toBe(0);
+    // A nested task cannot leave its parent
+    expect(moveTask(list, 2, 0)).toEqual({ content: list, index: 2 });
+  });
+
+  test('shifts a task past its neighbour, keeping ordered list numbers', () => {
+    const source = '1. [ ] one\n\n2. [ ] two\n3. [x] three';
+    expect(shiftTask(source, 0, 1)).toEqual({ content: '1. [ ] two\n\n2. [ ] one\n3. [x] three', index: 1 });
+    expect(shiftTask(source, 0, -1)).toEqual({ content: source, index: 0 });
+    expect(shiftTask(source, 2, -1).content).toBe('1. [ ] one\n\n2. [x] three\n3. [ ] two');
+  });
+
+  test('moves done tasks to the bottom of every list', () => {
+    const source = ['- [x] a', '  - [x] a1', '  - [ ] a2', '- plain', '- [ ] b', '', 'Text', '', '- [x] c', '- [ ] d'].join('\n');
+    expect(completedToBottom(source)).toBe(
+      ['- plain', '- [ ] b', '- [x] a', '  - [ ] a2', '  - [x] a1', '', 'Text', '', '- [ ] d', '- [x] c'].join('\n')
+    );
+    expect(completedToBottom(list)).toBe(
+      ['# Groceries', '', '- [ ] milk', '- [ ] bread', '- [x] eggs', '  - [ ] free range', '', 'Done when all ticked.'].join('\n')
+    );
+  });
+});
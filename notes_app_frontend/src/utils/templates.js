@@ -0,0 +1,158 @@
+/*
+ * Note templates: a name, a title pattern, a body and tags, kept in settings.templates
+ * (the starter templates below until the user changes them). Placeholders are filled in
+ * when a note is made from a template:
+ *   {{date}}   today's date, 2026-10-19
+ *   {{time}}   the time, 14:05
+ *   {{cursor}} where the caret goes in the body (left out of the title)
+ * Other text in braces is kept as typed.
+ */
+import { createId } from './storage';
+import { normalizeTags } from './tags';
+
+// PUBLIC_INTERFACE
+/** Placeholders a template can use, as listed in the templates dialog. */
+export const TEMPLATE_PLACEHOLDERS = [
+  { token: '{{date}}', label: "Today's date (2026-10-19)" },
+  { token: '{{time}}', label: 'The time (14:05)' },
+  { token: '{{cursor}}', label: 'Where typing starts' },
+];
+
+// PUBLIC_INTERFACE
+/** Templates offered until the user has saved their own. */
+export const DEFAULT_TEMPLATES = [
+  {
+    id: 'meeting',
+    name: 'Meeting notes',
+    title: 'Meeting {{date}}',
+    content: '**Attendees:** {{cursor}}\n\n## Agenda\n\n- \n\n## Notes\n\n## Action items\n\n- [ ] ',
+    tags: ['meeting'],
+  },
+  {
+    id: 'standup',
+    name: 'Standup',
+    title: 'Standup {{date}}',
+    content: '## Yesterday\n\n- {{cursor}}\n\n## Today\n\n- \n\n## Blockers\n\n- None',
+    tags: ['standup'],
+  },
+  {
+    id: 'daily',
+    name: 'Daily note',
+    title: '{{date}}',
+    content: '## Tasks\n\n- [ ] {{cursor}}\n\n## Notes\n',
+    tags: ['daily'],
+  },
+];
+
+// PUBLIC_INTERFACE
+/** Template the daily note is made from unless settings.dailyTemplateId names another. */
+export const DEFAULT_DAILY_TEMPLATE_ID = 'daily';
+
+const PLACEHOLDER_RE = /\{\{\s*(date|time|cursor)\s*\}\}/gi;
+const CURSOR = '{{cursor}}';
+
+const pad = (n) => String(n).padStart(2, '0');
+const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * PUBLIC_INTERFACE
+ * fillPlaceholders
+ * Text with {{date}} and {{time}} filled in for a moment. {{cursor}} is kept, in its
+ * standard spelling, for applyTemplate to find.
+ * @param {string} text
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function fillPlaceholders(text, now = Date.now()) {
+  const date = new Date(now);
+  const values = {
+    date: formatDate(date),
+    time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+    cursor: CURSOR,
+  };
+  return String(text || '').replace(PLACEHOLDER_RE, (_, name) => values[name.toLowerCase()]);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * applyTemplate
+ * The fields of a new note made from a template, and where the caret goes in its body
+ * (the first {{cursor}}, or null when there is none).
+ * @param {{title?: string, content?: string, tags?: string[]}} template
+ * @param {number} [now]
+ * @returns {{title: string, content: string, tags: string[], caret: number|null}}
+ */
+export function applyTemplate(template, now = Date.now()) {
+  const title = fillPlaceholders(template?.title, now).split(CURSOR).join('').trim();
+  const body = fillPlaceholders(template?.content, now);
+  const at = body.indexOf(CURSOR);
+  return {
+    title,
+    content: body.split(CURSOR).join(''),
+    tags: normalizeTags(template?.tags),
+    caret: at === -1 ? null : at,
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createTemplate
+ * A template from what was typed in the templates dialog.
+ * @param {{id?: string, name: string, title?: string, content?: string, tags?: string[]}} fields
+ * @returns {{id: string, name: string, title: string, content: string, tags: string[]}}
+ */
+export function createTemplate({ id, name, title = '', content = '', tags = [] }) {
+  return {
+    id: id || createId(),
+    name: String(name || '').trim(),
+    title: String(title || '').trim(),
+    content: String(content || ''),
+    tags: normalizeTags(tags),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * dailyTitleProblem
+ * Why a title cannot name today's note, or null: it must come out the same all day and not blank.
+ * @param {string} title a template title
+ * @returns {string|null}
+ */
+export function dailyTitleProblem(title) {
+  if (/\{\{\s*time\s*\}\}/i.test(title || '')) return "Today's note can't have {{time}} in its title; it changes during the day.";
+  if (!applyTemplate({ title }).title) return "Give today's note a title, e.g. {{date}}.";
+  return null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * dailyNoteRecord
+ * What settings.dailyNote keeps about the note made for a day, so it is found again after a rename.
+ * @param {string} id
+ * @param {number} [now]
+ * @returns {{id: string, date: string}}
+ */
+export function dailyNoteRecord(id, now = Date.now()) {
+  return { id, date: formatDate(new Date(now)) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * findDailyNote
+ * Today's note: the one made today (see dailyNoteRecord), else the note titled as the
+ * daily template's title comes out today.
+ * @param {Array} notes
+ * @param {object} template
+ * @param {number} [now]
+ * @param {{id: string, date: string}|null} [made] settings.dailyNote
+ * @returns {object|null}
+ */
+export function findDailyNote(notes, template, now = Date.now(), made = null) {
+  if (made?.date === formatDate(new Date(now))) {
+    const note = notes.find((n) => n.id === made.id);
+    if (note) return note;
+  }
+  if (dailyTitleProblem(template?.title)) return null;
+  const title = applyTemplate(template, now).title.trim().toLowerCase();
+  return notes.find((n) => String(n.title || '').trim().toLowerCase() === title) || null;
+}
@@ -0,0 +1,65 @@
+import {
+  DEFAULT_TEMPLATES,
+  applyTemplate,
+  createTemplate,
+  dailyNoteRecord,
+  dailyTitleProblem,
+  fillPlaceholders,
+  findDailyNote,
+} from './templates';
+
+// 19 Oct 2026, 09:05 local time
+const NOW = new Date(2026, 9, 19, 9, 5).getTime();
+
+describe('templates', () => {
+  test('fills in the date and time', () => {
+    expect(fillPlaceholders('{{date}} at {{ TIME }}, {{unknown}}', NOW)).toBe('2026-10-19 at 09:05, {{unknown}}');
+  });
+
+  test('makes note fields from a template, with the caret at {{cursor}}', () => {
+    const note = applyTemplate(
+      { title: 'Meeting {{date}}{{cursor}}', content: 'Who: {{cursor}}\nWhen: {{time}}\n{{cursor}}', tags: ['Work', 'work'] },
+      NOW
+    );
+    expect(note).toEqual({ title: 'Meeting 2026-10-19', content: 'Who: \nWhen: 09:05\n', tags: ['work'], caret: 5 });
+    expect(applyTemplate({ title: 'Plain', content: 'text' }, NOW).caret).toBeNull();
+  });
+
+  test('cleans up typed templates', () => {
+    const template = createTemplate({ name: '  Retro ', title: ' Retro {{date}} ', content: '- ', tags: ['#Team'] });
+    expect(template).toMatchObject({ name: 'Retro', title: 'Retro {{date}}', content: '- ', tags: ['team'] });
+    expect(template.id).toBeTruthy();
+    expect(createTemplate({ id: 'keep', name: 'x' }).id).toBe('keep');
+  });
+
+  test("finds today's note by the daily template's title", () => {
+    const daily = DEFAULT_TEMPLATES.find((t) => t.id === 'daily');
+    const notes = [
+      { id: 'old', title: '2026-10-18' },
+      { id: 'today', title: ' 2026-10-19 ' },
+    ];
+    expect(findDailyNote(notes, daily, NOW)?.id).toBe('today');
+    expect(findDailyNote(notes.slice(0, 1), daily, NOW)).toBeNull();
+  });
+
+  test("finds today's note again after a rename, and only matches titles that name the day", () => {
+    const daily = DEFAULT_TEMPLATES.find((t) => t.id === 'daily');
+    const notes = [{ id: 'made', title: 'Renamed' }, { id: 'other', title: '2026-10-19' }];
+    expect(dailyNoteRecord('made', NOW)).toEqual({ id: 'made', date: '2026-10-19' });
+    expect(findDailyNote(notes, daily, NOW, dailyNoteRecord('made', NOW))?.id).toBe('made');
+    // Yesterday's record, or one whose note is gone, falls back to the title
+    expect(findDailyNote(notes, daily, NOW, dailyNoteRecord('made', NOW - 86400000))?.id).toBe('other');
+    expect(findDailyNote(notes, daily, NOW, dailyNoteRecord('gone', NOW))?.id).toBe('other');
+    expect(findDailyNote(notes, { title: '  {{date}} ' }, NOW)?.id).toBe('other');
+    expect(findDailyNote([{ id: 'x', title: 'Untitled' }], { title: '' }, NOW)).toBeNull();
+    expect(findDailyNote([{ id: 'x', title: '09:05' }], { title: '{{time}}' }, NOW)).toBeNull();
+  });
+
+  test('refuses daily titles that are blank or change during the day', () => {
+    expect(dailyTitleProblem('{{date}}')).toBeNull();
+    expect(dailyTitleProblem('Journal {{ date }}')).toBeNull();
+    expect(dailyTitleProblem('')).toMatch(/title/);
+    expect(dailyTitleProblem(' {{cursor}} ')).toMatch(/title/);
+    expect(dailyTitleProblem('{{date}} {{TIME}}')).toMatch(/\{\{time\}\}/);
+  });
+});
@@ -0,0 +1,559 @@
+import { DEFAULT_NOTE, INBOX_NOTEBOOK_ID, SCHEMA_VERSION } from '../constants';
+import { trashStates } from './batch';
+import { attachmentRefs, base64ToBytes, bytesToBase64, isImageType, readBlobBytes } from './attachments';
+import { escapeHtml, renderMarkdown } from './markdown';
+import { REPEAT_OPTIONS } from './reminders';
+import { createId, safeParse } from './storage';
+import { normalizeTags } from './tags';
+import { createZip, readZip } from './zip';
+
+/**
+ * Import/export of notes as a JSON backup, a zip of Markdown files with YAML
+ * front-matter, or a printable HTML page.
+ * Attached files travel with the notes that refer to them: base64-encoded in the
+ * JSON backup, as `attachments/<id>/<name>` files in the zip (which the Markdown
+ * links point to) and as embedded images in the HTML page.
+ * In transit they are `{id, name, type, createdAt, data: Uint8Array}` ("attachment files").
+ */
+
+// Types of attachments read back from a zip, by file extension
+const FILE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json',
+  zip: 'application/zip',
+};
+const ZIP_ATTACHMENT_RE = /^attachments\/([\w-]+)\/([^/]+)$/;
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON backup', extension: 'json', mime: 'application/json' },
+  markdown: { label: 'Markdown (.zip)', extension: 'zip', mime: 'application/zip' },
+  html: { label: 'Printable HTML', extension: 'html', mime: 'text/html' },
+};
+
+/** YYYY-MM-DD stamp for export file names. */
+function dateStamp(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(
+    date.getDate()
+  ).padStart(2, '0')}`;
+}
+
+function isoOrNull(ts) {
+  return ts ? new Date(ts).toISOString() : null;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * slugify
+ * File-name friendly slug of a note title.
+ * @param {string} str
+ * @returns {string}
+ */
+export function slugify(str) {
+  return String(str || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * noteToMarkdown
+ * Serialize a note as Markdown with YAML front-matter (id, title, tags, pinned, notebook id, timestamps,
+ * and the due date and reminder when set).
+ * @param {object} note
+ * @returns {string}
+ */
+export function noteToMarkdown(note) {
+  const tags = Array.isArray(note.tags) ? note.tags : [];
+  const lines = [
+    '---',
+    `id: ${JSON.stringify(String(note.id || ''))}`,
+    `title: ${JSON.stringify(String(note.title || ''))}`,
+    tags.length ? 'tags:' : 'tags: []',
+    ...tags.map((t) => `  - ${JSON.stringify(String(t))}`),
+    `pinned: ${note.pinned ? 'true' : 'false'}`,
+    `notebookId: ${JSON.stringify(String(note.notebookId || INBOX_NOTEBOOK_ID))}`,
+    `createdAt: ${isoOrNull(note.createdAt) || 'null'}`,
+    `updatedAt: ${isoOrNull(note.updatedAt) || 'null'}`,
+    ...(note.dueAt ? [`dueAt: ${isoOrNull(note.dueAt)}`] : []),
+    ...(note.reminder?.at ? [`remindAt: ${isoOrNull(note.reminder.at)}`, `repeat: ${note.reminder.repeat || 'none'}`] : []),
+    '---',
+    '',
+  ];
+  return `${lines.join('\n')}${note.content || ''}\n`;
+}
+
+/** Parse one YAML scalar as written by noteToMarkdown (plus common hand-written forms). */
+function parseYamlScalar(raw) {
+  const v = raw.trim();
+  if (v === '' || v === 'null' || v === '~') return null;
+  if (v === 'true' || v === 'false') return v === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  if (v.startsWith('"')) {
+    const parsed = safeParse(v);
+    return typeof parsed === 'string' ? parsed : v.slice(1, -1);
+  }
+  if (v.startsWith("'") && v.endsWith("'")) return v.slice(1, -1).replace(/''/g, "'");
+  if (v.startsWith('[') && v.endsWith(']')) {
+    const inner = v.slice(1, -1).trim();
+    return inner ? inner.split(',').map((item) => parseYamlScalar(item)) : [];
+  }
+  return v;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * markdownToNote
+ * Parse a Markdown file (optionally with YAML front-matter) into a raw note object.
+ * Without a `title` key, the first heading or the file name is used.
+ * @param {string} text
+ * @param {string} [fileName]
+ * @returns {object}
+ */
+export function markdownToNote(text, fileName = '') {
+  const source = String(text || '').replace(/\r\n?/g, '\n');
+  const raw = {};
+  let body = source;
+  const fm = /^---\n([\s\S]*?)\n---\n?/.exec(source);
+  if (fm) {
+    body = source.slice(fm[0].length);
+    let listKey = null;
+    for (const line of fm[1].split('\n')) {
+      const item = /^\s+-\s+(.*)$/.exec(line);
+      if (item && listKey) {
+        raw[listKey].push(parseYamlScalar(item[1]));
+        continue;
+      }
+      const kv = /^([A-Za-z_][\w-]*):\s*(.*)$/.exec(line);
+      if (!kv) continue;
+      if (kv[2].trim() === '') {
+        listKey = kv[1];
+        raw[listKey] = [];
+      } else {
+        listKey = null;
+        raw[kv[1]] = parseYamlScalar(kv[2]);
+      }
+    }
+  }
+  if (Array.isArray(raw.tags)) raw.tags = raw.tags.filter((t) => t !== null).map(String);
+  if (raw.remindAt) raw.reminder = { at: raw.remindAt, repeat: raw.repeat };
+  delete raw.remindAt;
+  delete raw.repeat;
+  if (!raw.title) {
+    const heading = /^#\s+(.+)$/m.exec(body);
+    raw.title = heading ? heading[1].trim() : fileName.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ');
+  }
+  raw.content = body.replace(/\n$/, '');
+  return raw;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * validateNote
+ * Check a raw object against the DEFAULT_NOTE shape and coerce it into a note.
+ * Unknown keys are dropped, missing ones take their defaults and a missing id is generated.
+ * Tags are normalized (see utils/tags).
+ * Timestamps (also the due date and reminder time) may be numbers or ISO date strings.
+ * @param {any} raw
+ * @returns {{note: object}|{error: string}}
+ */
+export function validateNote(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Not a note object.' };
+  const note = {};
+  for (const [key, def] of Object.entries(DEFAULT_NOTE)) {
+    const value = raw[key];
+    if (value === undefined || value === null) {
+      note[key] = Array.isArray(def) ? [] : def;
+    } else if (Array.isArray(def)) {
+      if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) {
+        return { error: `"${key}" must be a list of strings.` };
+      }
+      note[key] = [...value];
+    } else if (typeof def === 'number') {
+      const num = typeof value === 'string' ? Date.parse(value) : value;
+      if (typeof num !== 'number' || !Number.isFinite(num)) return { error: `"${key}" must be a number or date.` };
+      note[key] = num;
+    } else if (def === null) {
+      note[key] = value;
+    } else if (typeof value !== typeof def) {
+      return { error: `"${key}" must be a ${typeof def}.` };
+    } else {
+      note[key] = value;
+    }
+  }
+  if (!note.title.trim() && !note.content.trim()) return { error: 'Note has neither a title nor content.' };
+  const toTime = (value) => (typeof value === 'string' ? Date.parse(value) : value);
+  if (note.dueAt != null) {
+    note.dueAt = toTime(note.dueAt);
+    if (typeof note.dueAt !== 'number' || !Number.isFinite(note.dueAt)) return { error: '"dueAt" must be a number or date.' };
+  }
+  if (note.reminder != null) {
+    const at = toTime(note.reminder.at);
+    if (typeof at !== 'number' || !Number.isFinite(at)) return { error: '"reminder" must have a time.' };
+    note.reminder = { at, repeat: REPEAT_OPTIONS[note.reminder.repeat] ? note.reminder.repeat : 'none' };
+  }
+  note.tags = normalizeTags(note.tags);
+  if (!note.id) note.id = createId();
+  const now = Date.now();
+  if (!note.updatedAt) note.updatedAt = note.createdAt || now;
+  if (!note.createdAt) note.createdAt = note.updatedAt;
+  return { note };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * readAttachmentFiles
+ * Read the attachments the given notes refer to into attachment files, for export.
+ * @param {Array} notes
+ * @param {Array<{id, name, type, createdAt, blob: Blob}>} attachments stored attachments
+ * @returns {Promise<Array<{id: string, name: string, type: string, createdAt: number, data: Uint8Array}>>}
+ */
+export async function readAttachmentFiles(notes, attachments) {
+  const used = new Set(notes.flatMap((n) => attachmentRefs(n.content)));
+  return Promise.all(
+    attachments
+      .filter((a) => used.has(a.id))
+      .map(async ({ id, name, type, createdAt, blob }) => ({ id, name, type, createdAt, data: await readBlobBytes(blob) }))
+  );
+}
+
+/** Zip path of an attachment file (and the link to it from the notes). */
+function attachmentPath(file) {
+  const name = String(file.name || 'file').replace(/[\\/:*?"<>|()\t\r\n]+/g, '-') || 'file';
+  return `attachments/${file.id}/${name}`;
+}
+
+/** Point `attachment:<id>` links at the files in the zip, or back. */
+function linkAttachmentFiles(content, paths) {
+  return String(content || '').replace(/\]\(attachment:([\w-]+)/g, (match, id) =>
+    paths.has(id) ? `](${encodeURI(paths.get(id))}` : match
+  );
+}
+
+function unlinkAttachmentFiles(content, ids) {
+  return String(content || '').replace(/\]\(attachments\/([\w-]+)\/[^)\s]*/g, (match, id) =>
+    ids.has(id) ? `](attachment:${id}` : match
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * exportNotesJson
+ * Serialize notes into a JSON backup document.
+ * @param {Array} notes
+ * @param {Array} [files] attachment files the notes refer to
+ * @returns {string}
+ */
+export function exportNotesJson(notes, files = []) {
+  const attachments = files.map(({ data, ...meta }) => ({ ...meta, size: data.length, data: bytesToBase64(data) }));
+  return JSON.stringify(
+    {
+      app: 'ocean-notes',
+      version: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      notes,
+      ...(attachments.length ? { attachments } : {}),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * exportNotesMarkdownZip
+ * Build a zip with one `.md` file per note. File names are unique title slugs.
+ * Attachment files go under `attachments/`, linked from the notes by relative paths.
+ * @param {Array} notes
+ * @param {Array} [attachmentFiles] attachment files the notes refer to
+ * @returns {Uint8Array}
+ */
+export function exportNotesMarkdownZip(notes, attachmentFiles = []) {
+  const used = new Set();
+  const paths = new Map(attachmentFiles.map((file) => [file.id, attachmentPath(file)]));
+  const files = notes.map((note) => {
+    const base = slugify(note.title) || 'untitled';
+    let name = `${base}.md`;
+    for (let n = 2; used.has(name); n += 1) name = `${base}-${n}.md`;
+    used.add(name);
+    const content = paths.size ? linkAttachmentFiles(note.content, paths) : note.content;
+    return {
+      name,
+      data: noteToMarkdown({ ...note, content }),
+      date: note.updatedAt ? new Date(note.updatedAt) : undefined,
+    };
+  });
+  attachmentFiles.forEach((file) => {
+    files.push({ name: paths.get(file.id), data: file.data, date: file.createdAt ? new Date(file.createdAt) : undefined });
+  });
+  return createZip(files);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * exportNotesHtml
+ * Render notes into one self-contained, print-friendly HTML page.
+ * Attached images are embedded; other attached files show as their names.
+ * @param {Array} notes
+ * @param {{title?: string, attachmentFiles?: Array}} [options]
+ * @returns {string}
+ */
+export function exportNotesHtml(notes, { title = 'Ocean Notes', attachmentFiles = [] } = {}) {
+  const images = new Map(
+    attachmentFiles
+      .filter((file) => isImageType(file.type))
+      .map((file) => [file.id, { url: `data:${file.type};base64,${bytesToBase64(file.data)}`, name: file.name, type: file.type }])
+  );
+  const resolveAttachment = (id) => images.get(id) || null;
+  const articles = notes
+    .map((note) => {
+      const tags = (Array.isArray(note.tags) ? note.tags : [])
+        .map((t) => `<span class="tag">#${escapeHtml(t)}</span>`)
+        .join(' ');
+      const updated = note.updatedAt ? new Date(note.updatedAt).toLocaleString() : '';
+      return `<article>
+<h2>${note.pinned ? '📌 ' : ''}${escapeHtml(note.title || '(Untitled)')}</h2>
+<div class="meta">${updated ? `Updated ${escapeHtml(updated)}` : ''} ${tags}</div>
+<div class="content">${renderMarkdown(note.content, { resolveAttachment })}</div>
+</article>`;
+    })
+    .join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+body { font: 14px/1.6 Inter, system-ui, sans-serif; color: #111827; max-width: 820px; margin: 32px auto; padding: 0 16px; }
+h1 { color: #2563EB; }
+article { border-top: 1px solid #e5e7eb; padding: 16px 0; break-inside: avoid; page-break-inside: avoid; }
+article h2 { margin: 0 0 4px; font-size: 20px; }
+.meta { color: #6b7280; font-size: 12px; margin-bottom: 8px; }
+.tag { color: #2563EB; margin-right: 4px; }
+pre, code { font-family: ui-monospace, Menlo, Consolas, monospace; background: #f3f4f6; border-radius: 6px; }
+pre { padding: 8px 12px; overflow: auto; }
+code { padding: 1px 4px; }
+pre code { padding: 0; }
+blockquote { border-left: 3px solid #93c5fd; margin-left: 0; padding-left: 12px; color: #4b5563; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #e5e7eb; padding: 4px 8px; }
+img { max-width: 100%; }
+@media print { body { margin: 0; } a { color: inherit; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${notes.length} note${notes.length === 1 ? '' : 's'} · exported ${escapeHtml(new Date().toLocaleString())}</p>
+${articles}
+</body>
+</html>
+`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * exportNotes
+ * Produce the file for an export format.
+ * @param {Array} notes
+ * @param {'json'|'markdown'|'html'} format
+ * @param {Array} [attachmentFiles] attachment files the notes refer to (see readAttachmentFiles)
+ * @returns {{filename: string, data: string|Uint8Array, mime: string}}
+ */
+export function exportNotes(notes, format, attachmentFiles = []) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  const filename = `ocean-notes-${dateStamp()}.${spec.extension}`;
+  if (format === 'json') return { filename, data: exportNotesJson(notes, attachmentFiles), mime: spec.mime };
+  if (format === 'markdown') return { filename, data: exportNotesMarkdownZip(notes, attachmentFiles), mime: spec.mime };
+  return { filename, data: exportNotesHtml(notes, { attachmentFiles }), mime: spec.mime };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * downloadFile
+ * Trigger a browser download for generated data.
+ * @param {string} filename
+ * @param {string|Uint8Array} data
+ * @param {string} mime
+ */
+export function downloadFile(filename, data, mime) {
+  const blob = new window.Blob([data], { type: mime });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.setTimeout(() => window.URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * parseImportFile
+ * Read raw note candidates from an imported file (.json backup/array, .md, or .zip of .md),
+ * and the attachment files that came with them.
+ * @param {string} name file name, used to detect the format
+ * @param {Uint8Array} bytes file contents
+ * @returns {Promise<{
+ *   notes: Array<object>, errors: Array<{source: string, reason: string}>,
+ *   attachments: Array<{id: string, name: string, type: string, createdAt: number, data: Uint8Array}>
+ * }>}
+ */
+export async function parseImportFile(name, bytes) {
+  const lower = String(name || '').toLowerCase();
+  const decoder = new window.TextDecoder();
+  const candidates = [];
+  const attachments = [];
+  const errors = [];
+
+  if (lower.endsWith('.zip')) {
+    const entries = await readZip(bytes);
+    for (const entry of entries) {
+      const file = ZIP_ATTACHMENT_RE.exec(entry.name);
+      if (!file) continue;
+      const extension = (/\.([a-z0-9]+)$/i.exec(file[2]) || [])[1] || '';
+      attachments.push({
+        id: file[1],
+        name: file[2],
+        type: FILE_TYPES[extension.toLowerCase()] || 'application/octet-stream',
+        createdAt: Date.now(),
+        data: entry.data,
+      });
+    }
+    const ids = new Set(attachments.map((a) => a.id));
+    for (const entry of entries) {
+      if (ZIP_ATTACHMENT_RE.test(entry.name)) continue;
+      if (/\.(md|markdown|txt)$/i.test(entry.name)) {
+        const base = entry.name.split('/').pop();
+        const raw = markdownToNote(decoder.decode(entry.data), base);
+        if (ids.size) raw.content = unlinkAttachmentFiles(raw.content, ids);
+        candidates.push({ raw, source: entry.name });
+      }
+    }
+  } else if (lower.endsWith('.json')) {
+    const data = safeParse(decoder.decode(bytes));
+    const list = Array.isArray(data) ? data : Array.isArray(data?.notes) ? data.notes : null;
+    if (!list) throw new Error('This JSON file is not an Ocean Notes backup.');
+    list.forEach((raw, i) => candidates.push({ raw, source: `${name} #${i + 1}` }));
+    (Array.isArray(data?.attachments) ? data.attachments : []).forEach((raw, i) => {
+      const result = validateAttachment(raw);
+      if (result.error) errors.push({ source: `${name} attachment #${i + 1}`, reason: result.error });
+      else attachments.push(result.attachment);
+    });
+  } else if (/\.(md|markdown|txt)$/.test(lower)) {
+    candidates.push({ raw: markdownToNote(decoder.decode(bytes), name), source: name });
+  } else {
+    throw new Error('Unsupported file type. Use .json, .md or .zip.');
+  }
+
+  const notes = [];
+  for (const { raw, source } of candidates) {
+    const result = validateNote(raw);
+    if (result.error) errors.push({ source, reason: result.error });
+    else notes.push(result.note);
+  }
+  return { notes, errors, attachments };
+}
+
+/** Check an attachment from a JSON backup and decode its data. */
+function validateAttachment(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string' || !/^[\w-]+$/.test(raw.id)) {
+    return { error: 'Attachment without a valid id.' };
+  }
+  let data;
+  try {
+    data = base64ToBytes(raw.data);
+  } catch {
+    return { error: `Attachment "${raw.name || raw.id}" has unreadable data.` };
+  }
+  const type = typeof raw.type === 'string' && /^[\w.+-]+\/[\w.+-]+$/.test(raw.type) ? raw.type : 'application/octet-stream';
+  return {
+    attachment: {
+      id: raw.id,
+      name: typeof raw.name === 'string' && raw.name.trim() ? raw.name : 'file',
+      type,
+      createdAt: Number(raw.createdAt) || Date.now(),
+      data,
+    },
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * mergeImportedNotes
+ * Combine imported notes with existing ones.
+ * - mode 'replace': imported notes become the whole notebook (importStates moves the rest to the Trash)
+ * - mode 'merge': imported notes are added; on an id collision `collision` decides:
+ *   'newer' keeps whichever copy has the later updatedAt, 'duplicate' imports under a new id,
+ *   'skip' keeps the existing note
+ * Duplicate ids inside the import itself always get a fresh id.
+ * @param {Array} existing
+ * @param {Array} incoming validated notes
+ * @param {{mode?: 'merge'|'replace', collision?: 'newer'|'duplicate'|'skip'}} [options]
+ * @returns {{notes: Array, stats: {added:number, updated:number, duplicated:number, skipped:number}}}
+ */
+export function mergeImportedNotes(existing, incoming, { mode = 'merge', collision = 'newer' } = {}) {
+  const stats = { added: 0, updated: 0, duplicated: 0, skipped: 0 };
+  const byId = new Map(mode === 'replace' ? [] : existing.map((n) => [n.id, n]));
+  const seen = new Set();
+
+  for (const note of incoming) {
+    if (seen.has(note.id)) {
+      const copy = { ...note, id: createId() };
+      byId.set(copy.id, copy);
+      seen.add(copy.id);
+      stats.duplicated += 1;
+      continue;
+    }
+    seen.add(note.id);
+    const current = byId.get(note.id);
+    if (!current) {
+      byId.set(note.id, note);
+      stats.added += 1;
+    } else if (collision === 'duplicate') {
+      const copy = { ...note, id: createId() };
+      byId.set(copy.id, copy);
+      seen.add(copy.id);
+      stats.duplicated += 1;
+    } else if (collision === 'newer' && Number(note.updatedAt) > Number(current.updatedAt)) {
+      byId.set(note.id, note);
+      stats.updated += 1;
+    } else {
+      stats.skipped += 1;
+    }
+  }
+  return { notes: Array.from(byId.values()), stats };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * importStates
+ * The import as note states (see utils/history), so it can be undone: new and updated
+ * notes, and in 'replace' mode the existing notes it does not bring back, moved to the Trash.
+ * @param {Array} existing
+ * @param {Array} incoming validated notes
+ * @param {{mode?: 'merge'|'replace', collision?: 'newer'|'duplicate'|'skip'}} [options]
+ * @param {number} [now]
+ * @returns {{states: Array, stats: {added:number, updated:number, duplicated:number, skipped:number, trashed:number}}}
+ */
+export function importStates(existing, incoming, options, now = Date.now()) {
+  const result = mergeImportedNotes(existing, incoming, options);
+  const unchanged = new Set(existing);
+  const kept = new Set(result.notes.map((n) => n.id));
+  const imported = result.notes.filter((n) => !unchanged.has(n)).map((n) => ({ id: n.id, note: n, trashed: null }));
+  const replaced = trashStates(existing, existing.filter((n) => !kept.has(n.id)).map((n) => n.id), now);
+  return { states: [...imported, ...replaced], stats: { ...result.stats, trashed: replaced.length } };
+}
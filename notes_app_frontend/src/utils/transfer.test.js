@@ -0,0 +1,139 @@
+import {
+  exportNotesHtml,
+  exportNotesJson,
+  exportNotesMarkdownZip,
+  importStates,
+  markdownToNote,
+  mergeImportedNotes,
+  noteToMarkdown,
+  parseImportFile,
+  readAttachmentFiles,
+  validateNote,
+} from './transfer';
+import { applyNoteStates, captureNoteStates } from './history';
+
+const note = {
+  id: 'n1',
+  title: 'Meeting: "Q3"',
+  content: '# Agenda\n\n- item',
+  tags: ['work', 'q3'],
+  createdAt: Date.UTC(2026, 0, 1),
+  updatedAt: Date.UTC(2026, 0, 2),
+  pinned: true,
+  notebookId: 'nb-work',
+  dueAt: Date.UTC(2026, 0, 9, 17),
+  reminder: { at: Date.UTC(2026, 0, 9, 9), repeat: 'weekly' },
+};
+
+describe('notes import/export', () => {
+  test('round-trips a note through Markdown front-matter', () => {
+    const parsed = validateNote(markdownToNote(noteToMarkdown(note)));
+    expect(parsed.note).toEqual(note);
+    const plain = validateNote(markdownToNote(noteToMarkdown({ ...note, dueAt: null, reminder: null })));
+    expect(plain.note).toMatchObject({ dueAt: null, reminder: null });
+  });
+
+  test('round-trips notes through a Markdown zip', async () => {
+    const zip = exportNotesMarkdownZip([note, { ...note, id: 'n2' }]);
+    const { notes, errors } = await parseImportFile('backup.zip', zip);
+    expect(errors).toEqual([]);
+    expect(notes.map((n) => n.id)).toEqual(['n1', 'n2']);
+    expect(notes[1].content).toBe(note.content);
+  });
+
+  test('rejects entries that do not match the note shape', async () => {
+    const json = JSON.stringify({ notes: [note, { title: 'Bad', tags: 'work' }, 42] });
+    const { notes, errors } = await parseImportFile('backup.json', new window.TextEncoder().encode(json));
+    expect(notes).toHaveLength(1);
+    expect(errors.map((e) => e.reason)).toEqual(['"tags" must be a list of strings.', 'Not a note object.']);
+  });
+
+  test('resolves id collisions according to the chosen strategy', () => {
+    const existing = [{ ...note, title: 'Old', updatedAt: 1 }];
+    const incoming = [note, { ...note, id: 'n3' }];
+    expect(mergeImportedNotes(existing, incoming, { collision: 'newer' }).stats).toEqual({
+      added: 1, updated: 1, duplicated: 0, skipped: 0,
+    });
+    const dup = mergeImportedNotes(existing, incoming, { collision: 'duplicate' });
+    expect(dup.notes).toHaveLength(3);
+    expect(mergeImportedNotes(existing, incoming, { collision: 'skip' }).notes[0].title).toBe('Old');
+    expect(mergeImportedNotes(existing, incoming, { mode: 'replace' }).notes.map((n) => n.id)).toEqual(['n1', 'n3']);
+  });
+
+  test('replacing moves the notes the import drops to the Trash, undoably', () => {
+    const existing = [{ ...note, title: 'Old', updatedAt: 1 }, { ...note, id: 'n2' }];
+    const trash = [{ ...note, id: 't1', deletedAt: 1 }];
+    const { states, stats } = importStates(existing, [note, { ...note, id: 'n3' }], { mode: 'replace' }, 50);
+    expect(stats).toEqual({ added: 2, updated: 0, duplicated: 0, skipped: 0, trashed: 1 });
+
+    const before = captureNoteStates(existing, trash, states.map((st) => st.id));
+    const after = applyNoteStates(existing, trash, states);
+    expect(after.notes.map((n) => n.id).sort()).toEqual(['n1', 'n3']);
+    expect(after.notes.every((n) => n.title === note.title)).toBe(true);
+    expect(after.trash.map((n) => [n.id, n.deletedAt])).toEqual([['n2', 50], ['t1', 1]]);
+
+    const undone = applyNoteStates(after.notes, after.trash, before);
+    const byId = (list) => [...list].sort((a, b) => a.id.localeCompare(b.id));
+    expect(byId(undone.notes)).toEqual(existing);
+    expect(undone.trash).toEqual(trash);
+  });
+
+  test('merging only records the notes it changes', () => {
+    const existing = [{ ...note, updatedAt: 1 }, { ...note, id: 'n2' }];
+    const { states, stats } = importStates(existing, [note, { ...note, id: 'n3' }], { collision: 'newer' });
+    expect(states.map((st) => st.id)).toEqual(['n1', 'n3']);
+    expect(states.every((st) => st.trashed === null)).toBe(true);
+    expect(stats.trashed).toBe(0);
+  });
+
+  test('renders a printable HTML page with escaped titles', () => {
+    const html = exportNotesHtml([note]);
+    expect(html).toContain('Meeting: &quot;Q3&quot;');
+    expect(html).toContain('<h1>Agenda</h1>');
+  });
+});
+
+describe('attachments in import/export', () => {
+  const withFiles = { ...note, content: 'Map ![map](attachment:img-1) and [plan (v2).pdf](attachment:doc-2)' };
+  const files = [
+    { id: 'img-1', name: 'map.png', type: 'image/png', createdAt: 5, data: new Uint8Array([137, 80, 78, 71]) },
+    { id: 'doc-2', name: 'plan (v2).pdf', type: 'application/pdf', createdAt: 5, data: new Uint8Array([37, 80]) },
+  ];
+
+  test('reads only the attachments the notes refer to', async () => {
+    const stored = [
+      { id: 'img-1', name: 'map.png', type: 'image/png', createdAt: 5, blob: new window.Blob([files[0].data]) },
+      { id: 'unused', name: 'x', type: 'text/plain', createdAt: 5, blob: new window.Blob(['x']) },
+    ];
+    expect(await readAttachmentFiles([withFiles], stored)).toEqual([{ ...files[0], data: files[0].data }]);
+  });
+
+  test('round-trips attachments through a JSON backup', async () => {
+    const json = exportNotesJson([withFiles], files);
+    expect(JSON.parse(json).attachments[0]).toMatchObject({ id: 'img-1', size: 4, data: 'iVBORw==' });
+    const { notes, attachments, errors } = await parseImportFile('backup.json', new window.TextEncoder().encode(json));
+    expect(errors).toEqual([]);
+    expect(notes[0].content).toBe(withFiles.content);
+    expect(attachments).toEqual(files);
+  });
+
+  test('keeps attachments as files in the Markdown zip', async () => {
+    const zip = exportNotesMarkdownZip([withFiles], files);
+    const text = new window.TextDecoder().decode(zip);
+    expect(text).toContain('![map](attachments/img-1/map.png)');
+    expect(text).toContain('[plan (v2).pdf](attachments/doc-2/plan%20-v2-.pdf)');
+
+    const { notes, attachments } = await parseImportFile('backup.zip', zip);
+    expect(notes[0].content).toBe(withFiles.content);
+    expect(attachments.map(({ id, name, type, data }) => ({ id, name, type, data }))).toEqual([
+      { id: 'img-1', name: 'map.png', type: 'image/png', data: files[0].data },
+      { id: 'doc-2', name: 'plan -v2-.pdf', type: 'application/pdf', data: files[1].data },
+    ]);
+  });
+
+  test('embeds attached images in the HTML page', () => {
+    const html = exportNotesHtml([withFiles], { attachmentFiles: files });
+    expect(html).toContain('<img src="data:image/png;base64,iVBORw==" alt="map"');
+    expect(html).toContain('<span class="attachment-missing" data-attachment="doc-2">plan (v2).pdf</span>');
+  });
+});
@@ -0,0 +1,81 @@
+/*
+ * Windowed rendering of long lists: only the items in (or near) the viewport are
+ * mounted, and padding above and below stands in for the rest. Item heights start
+ * as an estimate and are replaced by measurements once items have rendered.
+ */
+
+/**
+ * PUBLIC_INTERFACE
+ * computeOffsets
+ * Where each item starts, with a gap between items.
+ * @param {string[]} keys item keys in list order
+ * @param {Map<string, number>} sizes measured heights by key
+ * @param {number} estimate height of items not measured yet
+ * @param {number} [gap]
+ * @returns {Float64Array} n + 1 offsets; the last is the total height plus one gap
+ */
+export function computeOffsets(keys, sizes, estimate, gap = 0) {
+  const offsets = new Float64Array(keys.length + 1);
+  for (let i = 0; i < keys.length; i += 1) {
+    const size = sizes.get(keys[i]);
+    offsets[i + 1] = offsets[i] + (size == null ? estimate : size) + gap;
+  }
+  return offsets;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * indexAtOffset
+ * The item covering a position (binary search over offsets).
+ * @param {Float64Array} offsets from computeOffsets
+ * @param {number} position
+ * @returns {number} 0 for an empty list
+ */
+export function indexAtOffset(offsets, position) {
+  let lo = 0;
+  let hi = Math.max(0, offsets.length - 2);
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= position) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * visibleRange
+ * Items to mount for a scroll position, with `overscan` extra items on each side.
+ * @param {Float64Array} offsets from computeOffsets
+ * @param {number} scrollTop
+ * @param {number} viewportHeight
+ * @param {number} [overscan]
+ * @returns {{start: number, end: number}} end exclusive
+ */
+export function visibleRange(offsets, scrollTop, viewportHeight, overscan = 0) {
+  const count = offsets.length - 1;
+  if (count <= 0) return { start: 0, end: 0 };
+  const first = indexAtOffset(offsets, Math.max(0, scrollTop));
+  const last = indexAtOffset(offsets, Math.max(0, scrollTop + viewportHeight));
+  return { start: Math.max(0, first - overscan), end: Math.min(count, last + 1 + overscan) };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * scrollTopToReveal
+ * The scroll position that brings an item fully into view, moving as little as
+ * possible (like scrollIntoView with block 'nearest').
+ * @param {Float64Array} offsets from computeOffsets
+ * @param {number} index
+ * @param {number} scrollTop
+ * @param {number} viewportHeight
+ * @param {number} [gap]
+ * @returns {number} scrollTop itself when the item is already in view
+ */
+export function scrollTopToReveal(offsets, index, scrollTop, viewportHeight, gap = 0) {
+  const top = offsets[index];
+  const bottom = offsets[index + 1] - gap;
+  if (top < scrollTop) return top;
+  if (bottom > scrollTop + viewportHeight) return Math.min(top, bottom - viewportHeight);
+  return scrollTop;
+}
@@ -0,0 +1,42 @@
+import { computeOffsets, indexAtOffset, scrollTopToReveal, visibleRange } from './virtual';
+
+describe('virtual', () => {
+  const keys = ['a', 'b', 'c', 'd', 'e'];
+  const offsets = computeOffsets(keys, new Map([['b', 50]]), 100, 10);
+
+  test('offsets use measured sizes and fall back to the estimate', () => {
+    expect([...offsets]).toEqual([0, 110, 170, 280, 390, 500]);
+    expect([...computeOffsets([], new Map(), 100)]).toEqual([0]);
+  });
+
+  test('finds the item at a position', () => {
+    expect(indexAtOffset(offsets, 0)).toBe(0);
+    expect(indexAtOffset(offsets, 109)).toBe(0);
+    expect(indexAtOffset(offsets, 110)).toBe(1);
+    expect(indexAtOffset(offsets, 175)).toBe(2);
+    expect(indexAtOffset(offsets, 10000)).toBe(4);
+  });
+
+  test('the window covers the viewport plus overscan', () => {
+    expect(visibleRange(offsets, 0, 150)).toEqual({ start: 0, end: 2 });
+    expect(visibleRange(offsets, 175, 150, 1)).toEqual({ start: 1, end: 5 });
+    expect(visibleRange(computeOffsets([], new Map(), 100), 0, 500)).toEqual({ start: 0, end: 0 });
+  });
+
+  test('reveals an item with as little scrolling as possible', () => {
+    expect(scrollTopToReveal(offsets, 1, 0, 300, 10)).toBe(0);
+    expect(scrollTopToReveal(offsets, 4, 0, 300, 10)).toBe(190);
+    expect(scrollTopToReveal(offsets, 0, 200, 300, 10)).toBe(0);
+  });
+
+  test('windows over 10k items stay small and cheap', () => {
+    const many = Array.from({ length: 10000 }, (_, i) => `n${i}`);
+    const started = Date.now();
+    const big = computeOffsets(many, new Map(), 130, 10);
+    for (let top = 0; top < big[10000]; top += 5000) {
+      const { start, end } = visibleRange(big, top, 800, 5);
+      expect(end - start).toBeLessThanOrEqual(17);
+    }
+    expect(Date.now() - started).toBeLessThan(500);
+  });
+});
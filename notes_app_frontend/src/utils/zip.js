@@ -0,0 +1,169 @@
+/**
+ * Tiny ZIP archive support without dependencies.
+ * Writing uses the "stored" (uncompressed) method; reading handles stored entries
+ * and, where the browser provides DecompressionStream, deflated ones.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 checksum of a byte array.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toBytes(data) {
+  return typeof data === 'string' ? new window.TextEncoder().encode(data) : data;
+}
+
+/** MS-DOS packed time and date used by ZIP headers. */
+function dosDateTime(date) {
+  const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createZip
+ * Build an uncompressed ZIP archive.
+ * @param {Array<{name:string, data:string|Uint8Array, date?:Date}>} files
+ * @returns {Uint8Array}
+ */
+export function createZip(files) {
+  const encoder = new window.TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = toBytes(file.data);
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(file.date);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    locals.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
+
+async function inflateRaw(bytes) {
+  if (typeof window === 'undefined' || typeof window.DecompressionStream !== 'function') {
+    throw new Error('This browser cannot read compressed zip files. Re-create the archive without compression.');
+  }
+  const stream = new window.Blob([bytes]).stream().pipeThrough(new window.DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new window.Response(stream).arrayBuffer());
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * readZip
+ * Extract the file entries of a ZIP archive (directories are skipped).
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Array<{name:string, data:Uint8Array}>>}
+ * @throws {Error} when the archive is malformed or uses an unsupported method
+ */
+export async function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let endPos = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i -= 1) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endPos = i;
+      break;
+    }
+  }
+  if (endPos < 0) throw new Error('Not a valid zip file.');
+
+  const decoder = new window.TextDecoder();
+  const count = view.getUint16(endPos + 10, true);
+  let pos = view.getUint32(endPos + 16, true);
+  const entries = [];
+
+  for (let n = 0; n < count; n += 1) {
+    if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('Corrupt zip directory.');
+    const method = view.getUint16(pos + 10, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLen = view.getUint16(pos + 28, true);
+    const extraLen = view.getUint16(pos + 30, true);
+    const commentLen = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLen));
+    pos += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith('/')) continue;
+    const dataStart =
+      localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries.push({ name, data: raw });
+    } else if (method === 8) {
+      entries.push({ name, data: await inflateRaw(raw) });
+    } else {
+      throw new Error(`Unsupported zip compression method (${method}) for ${name}.`);
+    }
+  }
+  return entries;
+}